@@ -0,0 +1,134 @@
+/*
+  admin-api.js
+  ------------
+  The /api/admin routes behind the admin console.  Every request needs
+  the bearer session of a user whose role is 'admin' (see ADMIN_EMAILS
+  in index.js):
+
+    GET  /api/admin/users                      every user, summarized
+    GET  /api/admin/stats?days=30              daily usage, OCR failure
+                                               rate and trial-to-paid
+                                               conversion
+    POST /api/admin/users/:email/grant         { plan } gives a plan
+                                               without a payment
+    POST /api/admin/users/:email/revoke        ends the user's plan now
+                                               and stops its Paystack
+                                               subscription
+    POST /api/admin/users/:email/reset-trial   sets freeTrialUsed to 0
+
+  The user routes answer with the changed user's summary.
+*/
+
+'use strict';
+
+const { readJson, sendJson } = require('./http-utils');
+const { userKey } = require('./user-store');
+const { bearerToken } = require('./auth-api');
+const entitlement = require('../static/js/entitlement');
+const usage = require('../static/js/usage');
+
+/**
+ * Days of usage shown when the request does not say.
+ */
+const DEFAULT_DAYS = 30;
+
+/**
+ * What the admin console shows of a user: no password hashes, tokens or
+ * history.
+ *
+ * @param {Object} user
+ * @returns {Object}
+ */
+function summarize(user) {
+  const payments = Array.isArray(user.payments) ? user.payments : [];
+  const end = entitlement.periodEnd(user);
+  return {
+    email: user.email,
+    name: user.name || '',
+    role: user.role || 'user',
+    createdAt: user.createdAt || '',
+    emailVerified: !!user.emailVerified,
+    state: entitlement.state(user),
+    subscription: user.subscription || 'none',
+    endsAt: end ? end.toISOString() : '',
+    autoRenew: !!user.autoRenew,
+    grantedBy: user.subscriptionGrantedBy || '',
+    subscriptionCode: user.subscriptionCode || '',
+    references: payments.map((p) => p.reference),
+    freeTrialUsed: user.freeTrialUsed || 0,
+    solves: Object.keys(user.usage || {}).reduce((sum, day) => sum + (Number(user.usage[day].solves) || 0), 0),
+  };
+}
+
+/**
+ * Handle a request if it is for the admin API.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} pathname
+ * @param {Object} store  from createUserStore
+ * @param {{auth: Object, paystack: Object, origin: string}} options
+ * @returns {Promise<boolean>} false if the path is not an admin route
+ */
+async function handleAdmin(req, res, pathname, store, options) {
+  if (!/^\/api\/admin\//.test(pathname)) return false;
+  const admin = await options.auth.currentUser(bearerToken(req));
+  if (!admin) {
+    sendJson(res, 401, { error: 'Not signed in', code: 'unauthorized' }, options);
+    return true;
+  }
+  if (admin.role !== 'admin') {
+    sendJson(res, 403, { error: 'Not allowed' }, options);
+    return true;
+  }
+
+  if (pathname === '/api/admin/users' && req.method === 'GET') {
+    sendJson(res, 200, store.all().map(summarize), options);
+    return true;
+  }
+  if (pathname === '/api/admin/stats' && req.method === 'GET') {
+    const requested = Number(new URL(req.url, 'http://localhost').searchParams.get('days'));
+    const days = Math.min(usage.USAGE_DAYS, Math.max(1, Math.floor(requested) || DEFAULT_DAYS));
+    const users = store.all();
+    const series = usage.daily(users, days);
+    sendJson(res, 200, { days: series, ocrFailureRate: usage.failureRate(series), conversion: usage.conversion(users) }, options);
+    return true;
+  }
+
+  const m = pathname.match(/^\/api\/admin\/users\/([^/]+)\/(grant|revoke|reset-trial)$/);
+  if (!m) {
+    sendJson(res, 404, { error: 'Not found' }, options);
+    return true;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' }, options);
+    return true;
+  }
+  const user = store.get(userKey(decodeURIComponent(m[1])));
+  if (!user) {
+    sendJson(res, 404, { error: 'No such user' }, options);
+    return true;
+  }
+  if (m[2] === 'grant') {
+    const body = await readJson(req);
+    const plan = body && body.plan;
+    if (!entitlement.PLANS[plan]) {
+      sendJson(res, 400, { error: `Plan must be one of ${Object.keys(entitlement.PLANS).join(', ')}` }, options);
+      return true;
+    }
+    entitlement.grant(user, plan, admin.email);
+  } else if (m[2] === 'revoke') {
+    if (user.subscriptionCode) {
+      await options.paystack.disableSubscription(user.subscriptionCode, user.emailToken);
+      delete user.subscriptionCode;
+      delete user.emailToken;
+    }
+    entitlement.revoke(user);
+  } else {
+    user.freeTrialUsed = 0;
+  }
+  sendJson(res, 200, summarize(store.put(user)), options);
+  return true;
+}
+
+module.exports = { handleAdmin, summarize };
@@ -0,0 +1,101 @@
+/*
+  auth-api.js
+  -----------
+  The /api/auth routes that MathGPT.auth.remoteAuth talks to.  Each one
+  runs the matching method of a createAuth instance (static/js/auth.js):
+
+    POST /api/auth/register            { name, email, password } -> session
+    POST /api/auth/login               { email, password }       -> session
+    POST /api/auth/logout              (bearer token)
+    GET  /api/auth/session             (bearer token)            -> { user }
+    POST /api/auth/send-verification   { email }
+    POST /api/auth/verify-email        { email, token }
+    POST /api/auth/request-reset       { email }
+    POST /api/auth/reset-password      { email, token, password }
+
+  Failures answer { error, code } with a status that fits the code.
+*/
+
+'use strict';
+
+const { readJson, sendJson } = require('./http-utils');
+const { publicUser } = require('../static/js/auth');
+
+/**
+ * HTTP status for each auth failure code.
+ */
+const STATUS = {
+  'invalid-email': 400,
+  'weak-password': 400,
+  exists: 409,
+  'invalid-credentials': 401,
+  'rate-limited': 429,
+  'invalid-token': 400,
+  unauthorized: 401,
+};
+
+/**
+ * The bearer token of a request, if any.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {string}
+ */
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return m ? m[1] : '';
+}
+
+/**
+ * Handle a request if it is for the auth API.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} pathname
+ * @param {Object} auth  from createAuth
+ * @param {{origin: string}} [options]
+ * @returns {Promise<boolean>} false if the path is not an auth route
+ */
+async function handleAuth(req, res, pathname, auth, options) {
+  const m = pathname.match(/^\/api\/auth\/([a-z-]+)$/);
+  if (!m) return false;
+  const route = m[1];
+  try {
+    if (route === 'session' && req.method === 'GET') {
+      const user = await auth.currentUser(bearerToken(req));
+      if (!user) sendJson(res, 401, { error: 'Not signed in', code: 'unauthorized' }, options);
+      else sendJson(res, 200, { user: publicUser(user) }, options);
+      return true;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' }, options);
+      return true;
+    }
+    const body = (await readJson(req)) || {};
+    let answer = { ok: true };
+    if (route === 'register') {
+      answer = await auth.register(body);
+    } else if (route === 'login') {
+      answer = await auth.login(body.email || '', body.password || '', { client: req.socket.remoteAddress });
+    } else if (route === 'logout') {
+      await auth.logout(bearerToken(req));
+    } else if (route === 'send-verification') {
+      await auth.sendVerification(body.email || '');
+    } else if (route === 'verify-email') {
+      await auth.verifyEmail(body.email, body.token);
+    } else if (route === 'request-reset') {
+      await auth.requestPasswordReset(body.email || '');
+    } else if (route === 'reset-password') {
+      await auth.resetPassword(body.email, body.token, body.password);
+    } else {
+      sendJson(res, 404, { error: 'Not found' }, options);
+      return true;
+    }
+    sendJson(res, 200, answer, options);
+  } catch (err) {
+    if (!err.code) throw err;
+    sendJson(res, STATUS[err.code] || 400, { error: err.message, code: err.code }, options);
+  }
+  return true;
+}
+
+module.exports = { bearerToken, handleAuth };
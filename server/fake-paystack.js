@@ -0,0 +1,116 @@
+/*
+  fake-paystack.js
+  ----------------
+  A local stand-in for the parts of the Paystack API the backend uses,
+  so the payment flow can be exercised offline.  Point the backend's
+  client at it with PAYSTACK_API_URL:
+
+    PAYSTACK_SECRET_KEY=sk_test_fake node server/fake-paystack.js
+    PAYSTACK_SECRET_KEY=sk_test_fake PAYSTACK_API_URL=http://localhost:8788 \
+      node server/index.js
+
+  Routes:
+
+    GET  /transaction/verify/:reference   as Paystack, needs the secret key
+    POST /subscription/disable            as Paystack; codes are kept in
+                                          `server.disabled`
+    POST /transaction                     record a transaction (test only)
+
+  `sendWebhook` signs an event with the secret key and posts it to the
+  backend, as Paystack does after a charge.
+*/
+
+'use strict';
+
+const http = require('http');
+const { readJson, sendJson } = require('./http-utils');
+const { signPayload } = require('./paystack');
+
+/**
+ * Create the fake Paystack server.  It is not listening yet; call
+ * `server.listen(port)`.  Transactions can be recorded over HTTP or with
+ * `server.addTransaction(data)`.
+ *
+ * @param {{secretKey: string}} options
+ * @returns {http.Server}
+ */
+function createFakePaystack(options) {
+  const transactions = new Map();
+  const disabled = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (req.headers.authorization !== `Bearer ${options.secretKey}`) {
+        return sendJson(res, 401, { status: false, message: 'Invalid key' });
+      }
+      const m = pathname.match(/^\/transaction\/verify\/([^/]+)$/);
+      if (m && req.method === 'GET') {
+        const tx = transactions.get(decodeURIComponent(m[1]));
+        if (!tx) return sendJson(res, 400, { status: false, message: 'Transaction reference not found' });
+        return sendJson(res, 200, { status: true, message: 'Verification successful', data: tx });
+      }
+      if (pathname === '/subscription/disable' && req.method === 'POST') {
+        const { code } = await readJson(req);
+        disabled.add(code);
+        return sendJson(res, 200, { status: true, message: 'Subscription disabled successfully' });
+      }
+      if (pathname === '/transaction' && req.method === 'POST') {
+        return sendJson(res, 200, { status: true, data: server.addTransaction(await readJson(req)) });
+      }
+      return sendJson(res, 404, { status: false, message: 'Not found' });
+    } catch (err) {
+      return sendJson(res, err.status || 500, { status: false, message: err.message });
+    }
+  });
+
+  // Subscription codes disabled through /subscription/disable.
+  server.disabled = disabled;
+
+  /**
+   * Record a transaction, filling in a successful GHS charge by default.
+   *
+   * @param {Object} data  at least `reference` and `customer.email`
+   * @returns {Object} the stored transaction
+   */
+  server.addTransaction = (data) => {
+    const tx = Object.assign({
+      status: 'success',
+      currency: 'GHS',
+      amount: 0,
+      paid_at: new Date().toISOString(),
+      metadata: {},
+    }, data);
+    transactions.set(tx.reference, tx);
+    return tx;
+  };
+
+  return server;
+}
+
+/**
+ * Post a signed webhook event to a URL.
+ *
+ * @param {string} url  e.g. http://localhost:8787/api/paystack/webhook
+ * @param {{event: string, data: Object}} event
+ * @param {string} secretKey
+ * @returns {Promise<Response>}
+ */
+function sendWebhook(url, event, secretKey) {
+  const body = JSON.stringify(event);
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signPayload(body, secretKey) },
+    body,
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8788;
+  const secretKey = process.env.PAYSTACK_SECRET_KEY || 'sk_test_fake';
+  createFakePaystack({ secretKey }).listen(port, () => {
+    console.log(`Fake Paystack listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createFakePaystack, sendWebhook };
@@ -0,0 +1,93 @@
+/*
+  http-utils.js
+  -------------
+  Small helpers shared by the Node servers: JSON responses with CORS
+  headers and request body parsing.  Built-in modules only.
+*/
+
+'use strict';
+
+/**
+ * Largest request body accepted, in bytes.  History entries carry small
+ * JPEG thumbnails, so user records can run to a few megabytes.
+ */
+const MAX_BODY = 10 * 1024 * 1024;
+
+/**
+ * Build an Error carrying the HTTP status to answer with.
+ *
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Send a JSON response with CORS headers.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} [body]
+ * @param {{origin: string}} [options]  allowed origin, '*' by default
+ */
+function sendJson(res, status, body, options) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': (options && options.origin) || '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read a request body as a Buffer, refusing bodies over MAX_BODY.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a JSON body read with readBody.
+ *
+ * @param {Buffer} body
+ * @returns {*}
+ */
+function parseJson(body) {
+  try {
+    return JSON.parse(body.toString('utf8') || 'null');
+  } catch (err) {
+    throw httpError(400, 'Body is not valid JSON');
+  }
+}
+
+/**
+ * Read and parse a JSON request body.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>}
+ */
+async function readJson(req) {
+  return parseJson(await readBody(req));
+}
+
+module.exports = { MAX_BODY, httpError, sendJson, readBody, parseJson, readJson };
@@ -0,0 +1,239 @@
+/*
+  index.js
+  --------
+  The Math GPT backend.  It signs users in (the /api/auth routes in
+  auth-api.js), keeps their records (the same routes as mock-api.js,
+  used by the REST storage adapter, but each session may only reach its
+  own user) and is the only place subscriptions are granted: the
+  browser hands over a Paystack reference and the server checks it with
+  Paystack before updating the user.  It uses only Node's built-in
+  modules.
+
+    PAYSTACK_SECRET_KEY=sk_test_... node server/index.js
+
+  Environment:
+
+    PORT                 port to listen on (8787)
+    PAYSTACK_SECRET_KEY  secret key for the Paystack API and webhooks
+    PAYSTACK_API_URL     Paystack API base URL; point it at
+                         fake-paystack.js to work offline
+    DATA_FILE            keep users in this JSON file
+    ALLOWED_ORIGIN       origin allowed by CORS ('*')
+    APP_URL              page that password reset and verification
+                         links open (http://localhost:8080/)
+    MAIL_DIR             write outgoing mail to .eml files here
+                         instead of printing it to the console
+    ADMIN_EMAILS         comma-separated emails of the users who may
+                         open the admin console
+
+  Sessions are kept in memory, so restarting the server signs everyone
+  out.  Users listed in ADMIN_EMAILS are given the role 'admin' when the
+  server starts or when they register, and lose it when they are taken
+  off the list.
+
+  Routes, in addition to /api/health and the users API:
+
+    POST /api/payments/verify      { reference, email } after checkout;
+                                   answers with the user's subscription.
+                                   With a bearer session, the payment
+                                   must be the session user's
+    POST /api/subscriptions/cancel (bearer session) stops renewal; the
+                                   plan runs to the end of the period
+    POST /api/usage/solves         (bearer session) takes one solve from
+                                   the plan or free trial; 402 when
+                                   none are left
+    POST /api/usage/scans          (bearer session) { ok } counts a
+                                   recognition and whether it failed
+    POST /api/paystack/webhook     Paystack events, signed with the
+                                   secret key in x-paystack-signature
+    /api/admin/...                 the admin console (admin-api.js)
+
+  Subscription fields, usage counts and the free trial, roles, password
+  hashes and tokens cannot be changed through the users API.
+*/
+
+'use strict';
+
+const http = require('http');
+const { parseJson, readBody, readJson, sendJson } = require('./http-utils');
+const { createUserStore, userKey } = require('./user-store');
+const { handleUsers } = require('./users-api');
+const { bearerToken, handleAuth } = require('./auth-api');
+const { handleAdmin } = require('./admin-api');
+const { fileMailSender } = require('./mail');
+const authLib = require('../static/js/auth');
+const entitlement = require('../static/js/entitlement');
+const usage = require('../static/js/usage');
+const { createPaystackClient, isValidSignature } = require('./paystack');
+const {
+  SUBSCRIPTION_FIELDS,
+  applySubscriptionEvent,
+  applyTransaction,
+  subscriptionOf,
+} = require('./payments');
+
+/**
+ * Create the backend server.  It is not listening yet; call
+ * `server.listen(port)`.
+ *
+ * @param {Object} options
+ * @param {Object} options.store  from createUserStore
+ * @param {Object} options.paystack  any object with verifyTransaction and
+ *   disableSubscription, such as createPaystackClient()
+ * @param {string} options.secretKey  Paystack secret key, for webhooks
+ * @param {Object} [options.mailer]  mail sender (console by default)
+ * @param {string} [options.appUrl]  page that emailed links open
+ * @param {string} [options.origin]  origin allowed by CORS
+ * @param {Array<string>} [options.adminEmails]  users given the admin role
+ * @returns {http.Server}
+ */
+function createServer(options) {
+  const { store, paystack, secretKey } = options;
+  const cors = { origin: options.origin || '*' };
+  const admins = new Set((options.adminEmails || []).map(userKey));
+
+  // Give or take away the admin role to match the list; true if it changed.
+  function syncRole(user) {
+    const isAdmin = admins.has(userKey(user.email));
+    if (isAdmin === (user.role === 'admin')) return false;
+    if (isAdmin) user.role = 'admin';
+    else delete user.role;
+    return true;
+  }
+  store.all().forEach((user) => {
+    if (syncRole(user)) store.put(user);
+  });
+
+  const auth = authLib.createAuth({
+    // createAuth expects the async storage adapter interface.
+    store: {
+      findUser: async (email) => store.get(email),
+      saveUser: async (user) => {
+        syncRole(user);
+        return store.put(user);
+      },
+    },
+    sessions: authLib.memorySessions(),
+    mailer: options.mailer || authLib.consoleMailSender(),
+    appUrl: options.appUrl || 'http://localhost:8080/',
+  });
+
+  // Stop the Paystack subscription behind a plan the user moved off.
+  function stopReplaced(replaced) {
+    if (!replaced) return Promise.resolve();
+    return paystack.disableSubscription(replaced.code, replaced.token)
+      .catch((err) => console.error(`Could not stop subscription ${replaced.code}: ${err.message}`));
+  }
+
+  async function verify(req, res) {
+    const body = await readJson(req);
+    if (!body || !body.reference) return sendJson(res, 400, { error: 'A payment reference is required' }, cors);
+    const sessionUser = await auth.currentUser(bearerToken(req));
+    const email = sessionUser ? sessionUser.email : body.email;
+    const tx = await paystack.verifyTransaction(String(body.reference));
+    const { user, replaced } = applyTransaction(store, tx, { email });
+    await stopReplaced(replaced);
+    return sendJson(res, 200, { ok: true, email: user.email, ...subscriptionOf(user) }, cors);
+  }
+
+  async function cancel(req, res) {
+    const user = await auth.currentUser(bearerToken(req));
+    if (!user) return sendJson(res, 401, { error: 'Not signed in', code: 'unauthorized' }, cors);
+    const s = entitlement.state(user);
+    if (s !== 'active' && s !== 'grace') return sendJson(res, 409, { error: 'There is no renewing subscription to cancel' }, cors);
+    if (user.subscriptionCode) await paystack.disableSubscription(user.subscriptionCode, user.emailToken);
+    entitlement.cancel(user);
+    store.put(user);
+    return sendJson(res, 200, { ok: true, email: user.email, ...subscriptionOf(user) }, cors);
+  }
+
+  // The usage fields of a user, as the browser copies them.
+  function usageOf(user) {
+    return { usage: user.usage || {}, freeTrialUsed: user.freeTrialUsed || 0 };
+  }
+
+  async function countUsage(req, res, kind) {
+    const user = await auth.currentUser(bearerToken(req));
+    if (!user) return sendJson(res, 401, { error: 'Not signed in', code: 'unauthorized' }, cors);
+    if (kind === 'solves') {
+      if (!entitlement.useSolve(user)) {
+        return sendJson(res, 402, { error: 'The free trial is used up', code: 'trial-used', ...usageOf(user) }, cors);
+      }
+      usage.record(user, 'solves');
+    } else {
+      const body = await readJson(req);
+      usage.recordScan(user, !(body && body.ok === false));
+    }
+    store.put(user);
+    return sendJson(res, 200, usageOf(user), cors);
+  }
+
+  async function webhook(req, res) {
+    const raw = await readBody(req);
+    if (!isValidSignature(raw, req.headers['x-paystack-signature'], secretKey)) {
+      return sendJson(res, 401, { error: 'Invalid signature' }, cors);
+    }
+    const event = parseJson(raw);
+    if (event && event.event === 'charge.success') {
+      try {
+        await stopReplaced(applyTransaction(store, event.data).replaced);
+      } catch (err) {
+        // Acknowledge anyway: Paystack retries failed deliveries, and a
+        // charge we cannot apply will not become valid on retry.
+        console.warn(`Ignored charge ${event.data && event.data.reference}: ${err.message}`);
+      }
+    } else if (event && /^subscription\./.test(event.event)) {
+      applySubscriptionEvent(store, event);
+    }
+    return sendJson(res, 200, { received: true }, cors);
+  }
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'OPTIONS') return sendJson(res, 204, undefined, cors);
+      if (pathname === '/api/health') return sendJson(res, 200, { ok: true }, cors);
+      if (pathname === '/api/payments/verify' && req.method === 'POST') return await verify(req, res);
+      if (pathname === '/api/subscriptions/cancel' && req.method === 'POST') return await cancel(req, res);
+      if (pathname === '/api/paystack/webhook' && req.method === 'POST') return await webhook(req, res);
+      const counted = pathname.match(/^\/api\/usage\/(solves|scans)$/);
+      if (counted && req.method === 'POST') return await countUsage(req, res, counted[1]);
+      if (await handleAuth(req, res, pathname, auth, cors)) return;
+      if (await handleAdmin(req, res, pathname, store, { auth, paystack, origin: cors.origin })) return;
+      const handled = await handleUsers(req, res, pathname, store, {
+        protectedFields: SUBSCRIPTION_FIELDS.concat(usage.FIELDS, authLib.SECRET_FIELDS, ['emailVerified', 'role', 'createdAt']),
+        auth,
+        origin: cors.origin,
+      });
+      if (!handled) sendJson(res, 404, { error: 'Not found' }, cors);
+    } catch (err) {
+      if (!err.status) console.error(err);
+      sendJson(res, err.status || 500, { error: err.status ? err.message : 'Internal server error' }, cors);
+    }
+  });
+}
+
+if (require.main === module) {
+  const secretKey = process.env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) {
+    console.error('Set PAYSTACK_SECRET_KEY to your Paystack secret key.');
+    process.exit(1);
+  }
+  const port = Number(process.env.PORT) || 8787;
+  ['subscribed', 'renewed', 'upgraded', 'cancelled', 'granted', 'revoked'].forEach((type) => {
+    entitlement.on(type, (event) => console.log(`Subscription ${type}: ${event.user.email} (${event.user.subscription})`));
+  });
+  createServer({
+    store: createUserStore({ dataFile: process.env.DATA_FILE }),
+    paystack: createPaystackClient({ secretKey, baseUrl: process.env.PAYSTACK_API_URL }),
+    secretKey,
+    mailer: process.env.MAIL_DIR ? fileMailSender(process.env.MAIL_DIR) : undefined,
+    appUrl: process.env.APP_URL,
+    origin: process.env.ALLOWED_ORIGIN,
+    adminEmails: (process.env.ADMIN_EMAILS || '').split(',').map((email) => email.trim()).filter(Boolean),
+  }).listen(port, () => {
+    console.log(`Math GPT backend listening on http://localhost:${port}/api`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,41 @@
+/*
+  mail.js
+  -------
+  Mail senders for the backend.  A sender is anything with
+  `send({to, subject, text})`; swap in one backed by your email provider
+  for production.  For local testing, `fileMailSender` writes each
+  message to a .eml file and auth.js provides a console sender.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A mail sender that writes each message to a file in a directory.
+ *
+ * @param {string} dir
+ * @returns {{send: Function}}
+ */
+function fileMailSender(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  let count = 0;
+  return {
+    async send(message) {
+      count += 1;
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${count}.eml`;
+      const body = [
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text,
+        '',
+      ].join('\r\n');
+      await fs.promises.writeFile(path.join(dir, name), body);
+    },
+  };
+}
+
+module.exports = { fileMailSender };
@@ -0,0 +1,64 @@
+/*
+  mock-api.js
+  -----------
+  A small local server implementing the user storage API that
+  MathGPT.storage.restAdapter talks to, so the REST backend can be tried
+  and tested offline.  It uses only Node's built-in modules:
+
+    node server/mock-api.js                 listen on http://localhost:8787
+    PORT=9000 node server/mock-api.js       listen on another port
+    DATA_FILE=users.json node server/mock-api.js
+                                            keep users in a JSON file
+                                            instead of only in memory
+
+  Routes (all JSON, CORS open to any origin):
+
+    GET    /api/health           { ok: true }
+    GET    /api/users            all users
+    GET    /api/users/:email     one user, or 404
+    PUT    /api/users/:email     insert or replace a user
+    DELETE /api/users/:email     remove a user
+
+  Users are keyed by lower-cased email, matching the browser adapters.
+  This is a development aid only: it has no authentication, so it is
+  meant for exercising the adapter rather than running the app.  The
+  full backend in server/index.js serves the same routes behind
+  sign-in, alongside payments.
+*/
+
+'use strict';
+
+const http = require('http');
+const { sendJson } = require('./http-utils');
+const { createUserStore } = require('./user-store');
+const { handleUsers } = require('./users-api');
+
+/**
+ * Create the mock API server.  It is not listening yet; call
+ * `server.listen(port)`.
+ *
+ * @param {{dataFile: string}} [options]  dataFile keeps users on disk
+ * @returns {http.Server}
+ */
+function createMockServer(options) {
+  const store = createUserStore(options);
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'OPTIONS') return sendJson(res, 204);
+      if (pathname === '/api/health') return sendJson(res, 200, { ok: true });
+      if (!(await handleUsers(req, res, pathname, store))) sendJson(res, 404, { error: 'Not found' });
+    } catch (err) {
+      sendJson(res, err.status || 500, { error: err.message });
+    }
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8787;
+  createMockServer({ dataFile: process.env.DATA_FILE }).listen(port, () => {
+    console.log(`Mock storage API listening on http://localhost:${port}/api`);
+  });
+}
+
+module.exports = { createMockServer };
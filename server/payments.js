@@ -0,0 +1,139 @@
+/*
+  payments.js
+  -----------
+  Turns verified Paystack transactions and subscription webhooks into
+  subscription state.  Both the verify endpoint (called by the browser
+  after checkout) and the webhook (called by Paystack, including for
+  automatic renewals) end up in `applyTransaction`, which checks the
+  transaction against the price list for its currency (shared with the
+  browser in static/js/pricing.js) and hands it to the shared
+  entitlement module (static/js/entitlement.js).  A reference that has
+  already been applied is acknowledged but not applied twice.
+
+  A payment from an email with no account yet is kept on a record
+  without a password.  Registering with that email sets the plan aside,
+  and verifying the address then attaches it to the account (see
+  register in static/js/auth.js).
+*/
+
+'use strict';
+
+const entitlement = require('../static/js/entitlement');
+const pricing = require('../static/js/pricing');
+const { httpError } = require('./http-utils');
+
+/**
+ * User fields that only the server may change: the entitlement fields
+ * plus the Paystack codes needed to stop a recurring plan.
+ */
+const SUBSCRIPTION_FIELDS = entitlement.FIELDS.concat(['subscriptionCode', 'emailToken']);
+
+/**
+ * The subscription fields of a user, as returned to the browser.
+ *
+ * @param {Object} user
+ * @returns {Object}
+ */
+function subscriptionOf(user) {
+  return Object.assign({ subscription: 'none' }, entitlement.fieldsOf(user));
+}
+
+/**
+ * Work out which plan a transaction paid for, using the prices in the
+ * transaction's currency.  The plan named in the checkout metadata is
+ * used when the amount covers it; otherwise the most expensive plan the
+ * amount covers.
+ *
+ * @param {Object} tx  Paystack transaction data
+ * @returns {string|null}
+ */
+function planFor(tx) {
+  const prices = pricing.isSupported(tx.currency) ? pricing.PRICES[tx.currency] : {};
+  const requested = tx.metadata && tx.metadata.planType;
+  if (prices[requested] && tx.amount >= prices[requested]) return requested;
+  const covered = Object.keys(prices)
+    .filter((name) => tx.amount >= prices[name])
+    .sort((a, b) => prices[b] - prices[a]);
+  return covered[0] || null;
+}
+
+/**
+ * Apply a Paystack transaction to the paying user's subscription.  When
+ * the payment switches plan, the Paystack subscription behind the old
+ * plan is returned as `replaced` so that the caller can stop it.
+ *
+ * @param {Object} store  from createUserStore
+ * @param {Object} tx  Paystack transaction data
+ * @param {{email: string}} [expected]  email the browser says paid
+ * @returns {{user: Object, event: Object|null, replaced: {code: string, token: string}|null}}
+ */
+function applyTransaction(store, tx, expected) {
+  if (!tx) throw httpError(404, 'Unknown payment reference');
+  if (tx.status !== 'success') throw httpError(402, `Payment was not successful (${tx.status})`);
+  if (!pricing.isSupported(tx.currency)) throw httpError(402, `Payment was made in ${tx.currency}, which no plan is priced in`);
+  const email = tx.customer && tx.customer.email;
+  if (!email) throw httpError(400, 'Payment has no customer email');
+  if (expected && expected.email && expected.email.toLowerCase() !== email.toLowerCase()) {
+    throw httpError(403, 'Payment was made by a different customer');
+  }
+  const plan = planFor(tx);
+  if (!plan) throw httpError(402, 'Payment amount does not cover a plan');
+
+  const user = store.get(email) || { email, freeTrialUsed: 0 };
+  const previous = user.subscription;
+  const replaced = user.subscriptionCode && previous !== plan
+    ? { code: user.subscriptionCode, token: user.emailToken }
+    : null;
+  const event = entitlement.applyPayment(user, {
+    plan,
+    reference: tx.reference,
+    amount: tx.amount,
+    currency: tx.currency,
+    paidAt: tx.paid_at,
+    // Charges made against a Paystack plan renew automatically.
+    autoRenew: !!(tx.plan && (tx.plan.plan_code || typeof tx.plan === 'string')),
+  });
+  if (!event) return { user, event, replaced: null };
+  if (replaced) {
+    delete user.subscriptionCode;
+    delete user.emailToken;
+  }
+  store.put(user);
+  return { user, event, replaced };
+}
+
+/**
+ * Apply a Paystack subscription webhook: `subscription.create` records
+ * the codes needed to manage the recurring plan, and
+ * `subscription.not_renew` / `subscription.disable` cancel it.
+ *
+ * @param {Object} store  from createUserStore
+ * @param {{event: string, data: Object}} event
+ * @returns {Object|null} the updated user, or null if nothing changed
+ */
+function applySubscriptionEvent(store, event) {
+  const data = event.data || {};
+  const user = data.customer && store.get(data.customer.email);
+  if (!user) return null;
+  if (event.event === 'subscription.create') {
+    user.subscriptionCode = data.subscription_code;
+    user.emailToken = data.email_token;
+    user.autoRenew = true;
+    delete user.subscriptionCancelledAt;
+    return store.put(user);
+  }
+  if ((event.event === 'subscription.not_renew' || event.event === 'subscription.disable')
+    && data.subscription_code === user.subscriptionCode && !user.subscriptionCancelledAt) {
+    entitlement.cancel(user);
+    return store.put(user);
+  }
+  return null;
+}
+
+module.exports = {
+  SUBSCRIPTION_FIELDS,
+  subscriptionOf,
+  planFor,
+  applyTransaction,
+  applySubscriptionEvent,
+};
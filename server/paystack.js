@@ -0,0 +1,100 @@
+/*
+  paystack.js
+  -----------
+  The backend's only contact with Paystack.  `createPaystackClient`
+  wraps the REST API (transaction verification and stopping recurring
+  subscriptions) and the signature helpers check webhook payloads.
+  Anything with the same methods can stand in for the client, such as
+  the real client pointed at the local fake in fake-paystack.js.
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Create a Paystack API client.
+ *
+ * @param {{secretKey: string, baseUrl: string, fetch: Function}} options
+ *   baseUrl defaults to https://api.paystack.co
+ * @returns {{verifyTransaction: Function, disableSubscription: Function}}
+ */
+function createPaystackClient(options) {
+  const secretKey = options.secretKey;
+  const baseUrl = String(options.baseUrl || 'https://api.paystack.co').replace(/\/+$/, '');
+  const fetchImpl = options.fetch || globalThis.fetch;
+  if (!secretKey) throw new Error('A Paystack secret key is required');
+
+  return {
+    /**
+     * Look up a transaction by reference.  Resolves with Paystack's
+     * transaction data (status, amount, currency, customer, metadata…)
+     * or null if Paystack does not know the reference.
+     *
+     * @param {string} reference
+     * @returns {Promise<Object|null>}
+     */
+    async verifyTransaction(reference) {
+      const response = await fetchImpl(`${baseUrl}/transaction/verify/${encodeURIComponent(reference)}`, {
+        headers: { Authorization: `Bearer ${secretKey}` },
+      });
+      const body = await response.json().catch(() => null);
+      if (response.status === 404 || (body && body.status === false && response.status === 400)) return null;
+      if (!response.ok || !body || !body.status) {
+        const err = new Error(`Paystack verification failed with status ${response.status}`);
+        err.status = 502;
+        throw err;
+      }
+      return body.data;
+    },
+
+    /**
+     * Stop a recurring subscription so that it is not charged again.
+     *
+     * @param {string} code  subscription_code from subscription.create
+     * @param {string} token  email_token from subscription.create
+     * @returns {Promise<void>}
+     */
+    async disableSubscription(code, token) {
+      const response = await fetchImpl(`${baseUrl}/subscription/disable`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${secretKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, token }),
+      });
+      if (!response.ok) {
+        const err = new Error(`Paystack could not disable subscription ${code} (status ${response.status})`);
+        err.status = 502;
+        throw err;
+      }
+    },
+  };
+}
+
+/**
+ * Sign a webhook payload the way Paystack does: an HMAC-SHA512 of the
+ * raw body keyed with the secret key, hex encoded.
+ *
+ * @param {Buffer|string} rawBody
+ * @param {string} secretKey
+ * @returns {string}
+ */
+function signPayload(rawBody, secretKey) {
+  return crypto.createHmac('sha512', secretKey).update(rawBody).digest('hex');
+}
+
+/**
+ * Check the x-paystack-signature header of a webhook request.
+ *
+ * @param {Buffer|string} rawBody
+ * @param {string} signature
+ * @param {string} secretKey
+ * @returns {boolean}
+ */
+function isValidSignature(rawBody, signature, secretKey) {
+  if (!signature || !secretKey) return false;
+  const expected = Buffer.from(signPayload(rawBody, secretKey), 'hex');
+  const given = Buffer.from(String(signature), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { createPaystackClient, signPayload, isValidSignature };
@@ -0,0 +1,55 @@
+/*
+  user-store.js
+  -------------
+  Server-side user records, keyed by lower-cased email like the browser
+  storage adapters.  Records live in memory and, when a data file is
+  given, are written through to it as JSON after every change.
+*/
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Key a user record by its email address, ignoring case.
+ *
+ * @param {string} email
+ * @returns {string}
+ */
+function userKey(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * Create a user store.
+ *
+ * @param {{dataFile: string}} [options]
+ * @returns {{all: Function, get: Function, put: Function, remove: Function}}
+ */
+function createUserStore(options) {
+  const dataFile = options && options.dataFile;
+  const users = new Map();
+  if (dataFile && fs.existsSync(dataFile)) {
+    JSON.parse(fs.readFileSync(dataFile, 'utf8')).forEach((u) => users.set(userKey(u.email), u));
+  }
+  const persist = () => {
+    if (dataFile) fs.writeFileSync(dataFile, JSON.stringify(Array.from(users.values()), null, 2));
+  };
+
+  return {
+    all: () => Array.from(users.values()),
+    get: (email) => users.get(userKey(email)) || null,
+    put(user) {
+      users.set(userKey(user.email), user);
+      persist();
+      return user;
+    },
+    remove(email) {
+      const existed = users.delete(userKey(email));
+      persist();
+      return existed;
+    },
+  };
+}
+
+module.exports = { userKey, createUserStore };
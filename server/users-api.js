@@ -0,0 +1,88 @@
+/*
+  users-api.js
+  ------------
+  The user storage routes that MathGPT.storage.restAdapter talks to:
+
+    GET    /api/users            all users
+    GET    /api/users/:email     one user, or 404
+    PUT    /api/users/:email     insert or replace a user
+    DELETE /api/users/:email     remove a user
+
+  Fields named in `protectedFields` can only be changed by the server
+  itself: a PUT keeps their stored values whatever the client sends.
+
+  When an `auth` instance is given, every request needs a bearer
+  session token, a session may only reach its own user, the full list
+  is refused, and password hashes and tokens are never sent back.
+*/
+
+'use strict';
+
+const { readJson, sendJson } = require('./http-utils');
+const { userKey } = require('./user-store');
+const { bearerToken } = require('./auth-api');
+const { publicUser } = require('../static/js/auth');
+
+/**
+ * Handle a request if it is for the users API.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} pathname
+ * @param {Object} store  from createUserStore
+ * @param {{protectedFields: Array<string>, auth: Object, origin: string}} [options]
+ * @returns {Promise<boolean>} false if the path is not a users route
+ */
+async function handleUsers(req, res, pathname, store, options) {
+  const opts = options || {};
+  const protectedFields = opts.protectedFields || [];
+  const present = opts.auth ? publicUser : (user) => user;
+  const m = pathname.match(/^\/api\/users(?:\/([^/]+))?$/);
+  if (!m) return false;
+
+  let sessionKey = null;
+  if (opts.auth) {
+    const user = await opts.auth.currentUser(bearerToken(req));
+    if (!user) {
+      sendJson(res, 401, { error: 'Not signed in', code: 'unauthorized' }, opts);
+      return true;
+    }
+    sessionKey = userKey(user.email);
+  }
+
+  if (!m[1]) {
+    if (req.method !== 'GET') sendJson(res, 405, { error: 'Method not allowed' }, opts);
+    else if (sessionKey) sendJson(res, 403, { error: 'Not allowed' }, opts);
+    else sendJson(res, 200, store.all().map(present), opts);
+    return true;
+  }
+  const key = userKey(decodeURIComponent(m[1]));
+  if (sessionKey && key !== sessionKey) {
+    sendJson(res, 403, { error: 'Not allowed' }, opts);
+    return true;
+  }
+  const existing = store.get(key);
+  if (req.method === 'GET') {
+    if (existing) sendJson(res, 200, present(existing), opts);
+    else sendJson(res, 404, { error: 'No such user' }, opts);
+  } else if (req.method === 'PUT') {
+    const user = await readJson(req);
+    if (!user || typeof user !== 'object' || userKey(user.email || '') !== key) {
+      sendJson(res, 400, { error: 'Body must be a user whose email matches the URL' }, opts);
+      return true;
+    }
+    protectedFields.forEach((field) => {
+      if (existing && field in existing) user[field] = existing[field];
+      else delete user[field];
+    });
+    sendJson(res, 200, present(store.put(user)), opts);
+  } else if (req.method === 'DELETE') {
+    if (store.remove(key)) sendJson(res, 204, undefined, opts);
+    else sendJson(res, 404, { error: 'No such user' }, opts);
+  } else {
+    sendJson(res, 405, { error: 'Method not allowed' }, opts);
+  }
+  return true;
+}
+
+module.exports = { handleUsers };
@@ -1,18 +1,37 @@
 /*
   app.js
   --------
-  This file contains all of the client-side logic for the Math GPT
-  photosolver.  The entire application is implemented in the browser
-  using JavaScript, so there is no server-side component required.  A
-  simple localStorage-based user store tracks registered users, their
-  subscription status and free‑trial usage.  Paystack's inline checkout
-  flow is used to handle subscription payments and updates the stored
-  account state upon completion.  Tesseract.js and Nerdamer are
-  leveraged to perform OCR on uploaded images and solve the resulting
-  equations directly in the browser.
-
-  NOTE: For production use you should connect to a backend service to
-  securely manage users, verify payments and protect premium content.
+  This file starts the client side of the Math GPT photosolver and ties
+  its parts together.  OCR and solving run entirely in the browser.  User
+  records (subscription status, free‑trial usage and solve history) are
+  kept through a storage adapter from storage.js: this browser's
+  localStorage by default, IndexedDB, or a REST API shared across
+  devices.  Sign-in goes through auth.js: salted password hashes,
+  expiring session tokens, password reset and email verification links.
+  Paystack's inline checkout flow is used to take subscription
+  payments; the backend in server/ verifies each payment with Paystack
+  and only its answer updates the account.  A service worker (sw.js)
+  caches the app, the libraries and the OCR data, so it installs and
+  works offline.  Text comes from the message catalogs through i18n.js;
+  prices come from pricing.js in the chosen currency.
+
+  Each page of the app is a route (router.js) shown by a view module in
+  views/: /login, /solve (the dashboard, where photos are read by
+  Tesseract.js and solved by Nerdamer), /pricing, /history, /account,
+  /admin and /shared/… for solutions shared by link.  The guard in this
+  file decides who may see which route: shared solutions are open to
+  everyone, other visitors who are not logged in are sent to /login,
+  users without an active subscription or free solves left to /pricing,
+  and only admins reach /admin.
+
+  Views are made by `createView(app)`, where `app` is the context built
+  below: the store and auth, the logged in user, payments, formatting
+  and `navigate`.  They bind their own listeners and return `show`,
+  called each time their route is shown, and `refresh`, called when the
+  language changes.
+
+  NOTE: For production use the REST storage backend, so that account
+  state lives on the server rather than in this browser.
 */
 
 (() => {
@@ -20,103 +39,147 @@
 
   /**
    * Configuration constants.  Replace the placeholders below with your
-   * actual Paystack public key and (optionally) plan codes.  Prices are
-   * expressed in the smallest currency unit (for Ghana this is pesewas).  A
-   * value of 10000 corresponds to 100.00 GHS.
+   * actual Paystack public key and (optionally) plan codes.  A Paystack
+   * plan charges in a single currency, so each currency in pricing.js
+   * has its own pair of codes; a currency without codes is charged as a
+   * one-off payment.  Prices themselves are kept in pricing.js.
    */
   const PAYSTACK_PUBLIC_KEY = 'pk_test_your_public_key_here';
-  const MONTHLY_PLAN_CODE = ''; // e.g. 'PLN_xxxxxxxxx'
-  const ANNUAL_PLAN_CODE = '';  // e.g. 'PLN_yyyyyyyyy'
-  const CURRENCY = 'GHS';
-  const MONTHLY_PRICE = 10000; // 100.00 GHS in pesewas
-  const ANNUAL_PRICE  = 100000; // 1 000.00 GHS in pesewas
-  const FREE_TRIAL_LIMIT = 3;
-
-  /**
-   * A helper for hashing passwords.  In a production application you
-   * should never store plain text passwords and instead rely on a
-   * server‑side authentication service.  Here we use the Web Crypto
-   * API to compute a SHA‑256 digest of the provided string.  The
-   * resulting hex representation is returned as a promise.
-   *
-   * @param {string} str
-   * @returns {Promise<string>}
-   */
-  async function sha256(str) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(str);
-    const hash = await crypto.subtle.digest('SHA-256', data);
-    return Array.from(new Uint8Array(hash))
-      .map((b) => b.toString(16).padStart(2, '0'))
-      .join('');
-  }
+  const PLAN_CODES = {
+    GHS: { monthly: '', annual: '' }, // e.g. 'PLN_xxxxxxxxx'
+    NGN: { monthly: '', annual: '' },
+    KES: { monthly: '', annual: '' },
+    ZAR: { monthly: '', annual: '' },
+    USD: { monthly: '', annual: '' },
+  };
+  const FREE_TRIAL_LIMIT = MathGPT.entitlement.FREE_TRIAL_LIMIT;
 
   /**
-   * Retrieve the list of users from localStorage.  If no users have
-   * registered yet an empty array is returned.
-   *
-   * @returns {Array<Object>}
+   * Where this browser remembers the chosen language and currency.
    */
-  function getUsers() {
-    const raw = localStorage.getItem('mathgpt_users');
-    try {
-      return raw ? JSON.parse(raw) : [];
-    } catch (err) {
-      console.error('Failed to parse users', err);
-      return [];
-    }
-  }
+  const LOCALE_KEY = 'mathgpt_locale';
+  const CURRENCY_KEY = 'mathgpt_currency';
+
+  const t = MathGPT.i18n.t;
 
   /**
-   * Persist the provided users array into localStorage.
-   *
-   * @param {Array<Object>} users
+   * Where user records are kept: 'local' (localStorage), 'indexeddb' or
+   * 'rest'.  The REST backend talks to API_BASE_URL, which is also where
+   * payments are verified; run `node server/index.js` (or
+   * `node server/mock-api.js` for storage alone) to try it locally.
+   * Only the REST backend keeps roles, so the admin console needs it:
+   * on the others an admin sees a notice instead.
    */
-  function setUsers(users) {
-    localStorage.setItem('mathgpt_users', JSON.stringify(users));
-  }
+  const STORAGE_BACKEND = 'local';
+  const API_BASE_URL = 'http://localhost:8787/api';
+
+  const store = MathGPT.storage.createStore({ backend: STORAGE_BACKEND, baseUrl: API_BASE_URL });
+
+  /**
+   * Recognizers that read photos, tried in order (see recognize.js).  To
+   * use a local math or handwriting model, register it with
+   * MathGPT.recognize.register in a script loaded before this one and add
+   * its name here, e.g. ['math-model', 'tesseract'].
+   */
+  const RECOGNIZERS = ['tesseract'];
+
+  /**
+   * Sign-in, password reset and email verification (see auth.js).  With
+   * the REST backend the server runs these flows; otherwise they run
+   * here against the browser's store, and links that would be emailed
+   * are written to the console.
+   */
+  const auth = STORAGE_BACKEND === 'rest'
+    ? MathGPT.auth.remoteAuth({ baseUrl: API_BASE_URL })
+    : MathGPT.auth.createAuth({
+      store,
+      sessions: MathGPT.auth.storageSessions(localStorage),
+      mailer: MathGPT.auth.consoleMailSender(),
+      appUrl: location.href,
+    });
+
+  /**
+   * Record of the logged in user, loaded from the store at start-up and
+   * on login so that the page can read it without waiting on storage.
+   */
+  let currentUser = null;
+
+  /**
+   * Currency prices are shown and charged in.
+   */
+  let currency = MathGPT.pricing.DEFAULT_CURRENCY;
+
+  /**
+   * Views by name, created once the page has loaded.
+   */
+  const views = {};
+
+  /**
+   * Path a visitor asked for before being sent to log in, shown once
+   * they have.
+   */
+  let pendingPath = null;
+
+  /**
+   * The pages of the app.  `section` is the element shown for the route,
+   * `nav` the link marked active and `view` the module that fills it.
+   * A `public` route is open to everyone, a `guest` route only to
+   * visitors who are not logged in, a `needsSolves` route needs a
+   * subscription or free solves left and an `admin` route needs an
+   * admin.
+   */
+  const ROUTES = [
+    { path: '/login', section: 'auth-section', view: 'login', guest: true },
+    { path: '/solve', section: 'dashboard-section', nav: 'nav-dashboard', view: 'solve', needsSolves: true },
+    { path: '/pricing', section: 'pricing-section', nav: 'nav-pricing', view: 'pricing' },
+    { path: '/history', section: 'history-section', nav: 'nav-history', view: 'history' },
+    { path: '/account', section: 'account-section', nav: 'nav-account', view: 'account' },
+    { path: '/admin', section: 'admin-section', nav: 'nav-admin', view: 'admin', admin: true },
+    { path: '/shared/:data', section: 'shared-section', view: 'shared', public: true },
+  ];
+
+  const router = MathGPT.router.createRouter({
+    routes: ROUTES,
+    fallback: '/solve',
+    guard,
+    onRoute: showRoute,
+    onUnknown: (hash) => views.login.handleEmailLink(hash),
+  });
 
   /**
    * Attempt to find a user by email.  The search is case-insensitive.
    *
    * @param {string} email
-   * @returns {Object|null}
+   * @returns {Promise<Object|null>}
    */
   function findUser(email) {
-    const users = getUsers();
-    return users.find((u) => u.email.toLowerCase() === email.toLowerCase()) || null;
+    return store.findUser(email);
   }
 
   /**
    * Save updates for a specific user.  If the user does not yet exist in
-   * the user list they will be added.
+   * the store they will be added.
    *
    * @param {Object} user
+   * @returns {Promise<Object>}
    */
   function saveUser(user) {
-    const users = getUsers();
-    const idx = users.findIndex((u) => u.email.toLowerCase() === user.email.toLowerCase());
-    if (idx >= 0) {
-      users[idx] = user;
-    } else {
-      users.push(user);
+    if (currentUser && currentUser.email.toLowerCase() === user.email.toLowerCase()) {
+      currentUser = user;
     }
-    setUsers(users);
+    return store.saveUser(user);
   }
 
   /**
-   * Set the currently logged in user.  This stores only the user's
-   * email address; the full user record is loaded from the users list
-   * when needed.
+   * Remember a session token on this device and load the user it
+   * belongs to.  Passing null, or a token that has expired, logs out.
    *
-   * @param {string|null} email
+   * @param {string|null} token
+   * @returns {Promise<void>}
    */
-  function setCurrentUser(email) {
-    if (email) {
-      localStorage.setItem('mathgpt_current_user', email);
-    } else {
-      localStorage.removeItem('mathgpt_current_user');
-    }
+  async function setSession(token) {
+    currentUser = token ? await auth.currentUser(token) : null;
+    await store.setSession(currentUser ? token : null);
   }
 
   /**
@@ -126,9 +189,7 @@
    * @returns {Object|null}
    */
   function getCurrentUser() {
-    const email = localStorage.getItem('mathgpt_current_user');
-    if (!email) return null;
-    return findUser(email);
+    return currentUser;
   }
 
   /**
@@ -142,307 +203,307 @@
   }
 
   /**
-   * Show or hide sections and update the navigation based on the
-   * logged‑in user's subscription status.  If no user is logged in
-   * then the authentication section is displayed.
+   * Decide whether a route may be shown to the current visitor.
+   *
+   * @param {Object} route
+   * @param {Object} params
+   * @param {string} path
+   * @returns {string|null} the path to show instead, or null
+   */
+  function guard(route, params, path) {
+    if (route.public) return null;
+    const user = getCurrentUser();
+    if (!user) {
+      if (route.guest) return null;
+      pendingPath = path;
+      return '/login';
+    }
+    if (route.guest) return '/solve';
+    if (route.needsSolves && !hasSolvesLeft()) return '/pricing';
+    if (route.admin && !isAdmin(user)) return '/solve';
+    return null;
+  }
+
+  /**
+   * Show a route's section and hide the others, then let its view fill
+   * it in.
+   *
+   * @param {Object} route
+   * @param {Object} params
+   */
+  function showRoute(route, params) {
+    ROUTES.forEach((r) => {
+      document.getElementById(r.section).style.display = r === route ? 'block' : 'none';
+      if (!r.nav) return;
+      const link = document.getElementById(r.nav);
+      link.classList.toggle('active', r === route);
+      if (r === route) link.setAttribute('aria-current', 'page');
+      else link.removeAttribute('aria-current');
+    });
+    renderNav();
+    const view = views[route.view];
+    if (view.show) view.show(params);
+  }
+
+  /**
+   * Go to a path, e.g. '/pricing'.
+   *
+   * @param {string} path
+   * @param {{replace: boolean}} [opts]
+   */
+  function navigate(path, opts) {
+    router.navigate(path, opts);
+  }
+
+  /**
+   * After logging in or registering, show the page the visitor asked for
+   * before, or the dashboard.
    */
-  function render() {
-    const authSection = document.getElementById('auth-section');
-    const pricingSection = document.getElementById('pricing-section');
-    const dashboardSection = document.getElementById('dashboard-section');
-    const navWelcome = document.getElementById('nav-welcome');
-    const navLogout = document.getElementById('nav-logout');
-    const navDashboard = document.getElementById('nav-dashboard');
-    const navPricing = document.getElementById('nav-pricing');
+  function signedIn() {
+    const path = pendingPath || '/solve';
+    pendingPath = null;
+    navigate(path, { replace: true });
+  }
 
+  /**
+   * Update the navigation for the logged in user, if any, and announce
+   * subscription reminders.
+   */
+  function renderNav() {
     const user = getCurrentUser();
+    document.getElementById('nav-welcome').style.display = user ? 'block' : 'none';
+    document.getElementById('nav-logout').style.display = user ? 'block' : 'none';
+    ROUTES.forEach((r) => {
+      if (!r.nav) return;
+      const shown = r.admin ? isAdmin(user) : !!user;
+      document.getElementById(r.nav).parentElement.style.display = shown ? '' : 'none';
+    });
     if (!user) {
-      // No user logged in; show auth forms
-      authSection.style.display = 'block';
-      pricingSection.style.display = 'none';
-      dashboardSection.style.display = 'none';
-      navWelcome.style.display = 'none';
-      navLogout.style.display = 'none';
-      navDashboard.parentElement.style.display = 'none';
-      navPricing.parentElement.style.display = 'none';
+      document.getElementById('entitlement-notice').style.display = 'none';
       return;
     }
+    renderWelcome(user);
 
-    // User logged in – show nav options
-    navWelcome.style.display = 'block';
-    navWelcome.innerHTML = `<a class="nav-link disabled" href="#">Hello, ${user.name.split(' ')[0]}</a>`;
-    navLogout.style.display = 'block';
-    navDashboard.parentElement.style.display = '';
-    navPricing.parentElement.style.display = '';
-
-    // Determine view based on subscription/free trial status
-    const now = new Date();
-    let isSubscribed = false;
-    if (user.subscription && user.subscription !== 'none' && user.subscriptionStart) {
-      const start = new Date(user.subscriptionStart);
-      if (user.subscription === 'monthly') {
-        // monthly subscription lasts 1 month
-        const end = new Date(start);
-        end.setMonth(end.getMonth() + 1);
-        isSubscribed = now < end;
-      } else if (user.subscription === 'annual') {
-        // annual subscription lasts 12 months
-        const end = new Date(start);
-        end.setFullYear(end.getFullYear() + 1);
-        isSubscribed = now < end;
-      }
-    }
-    const freeUsesLeft = Math.max(0, FREE_TRIAL_LIMIT - (user.freeTrialUsed || 0));
-    if (isSubscribed || freeUsesLeft > 0) {
-      // show dashboard
-      authSection.style.display = 'none';
-      pricingSection.style.display = 'none';
-      dashboardSection.style.display = 'block';
-      navDashboard.classList.add('active');
-      navPricing.classList.remove('active');
-      updateSubscriptionPrices();
-    } else {
-      // show pricing
-      authSection.style.display = 'none';
-      pricingSection.style.display = 'block';
-      dashboardSection.style.display = 'none';
-      navDashboard.classList.remove('active');
-      navPricing.classList.add('active');
-      updateSubscriptionPrices();
+    // Announce reminders and expiry once per billing period
+    if (MathGPT.entitlement.check(user)) {
+      saveUser(user).catch((err) => console.error('Could not save subscription notice', err));
     }
   }
 
   /**
-   * Update the displayed prices for monthly and annual subscriptions on the
-   * pricing cards.  This helper formats the pesewa amounts into GHS
-   * strings with two decimal places.
+   * Greet the logged in user in the navigation bar.  The name is the
+   * user's own input, so it goes in as text.
+   *
+   * @param {Object} user
    */
-  function updateSubscriptionPrices() {
-    const formatCurrency = (value) => {
-      const ghs = value / 100;
-      return `GHS ${ghs.toFixed(2)}`;
-    };
-    const monthlyPriceEl = document.getElementById('monthly-price');
-    const annualPriceEl  = document.getElementById('annual-price');
-    if (monthlyPriceEl) monthlyPriceEl.textContent = formatCurrency(MONTHLY_PRICE);
-    if (annualPriceEl)  annualPriceEl.textContent  = formatCurrency(ANNUAL_PRICE);
+  function renderWelcome(user) {
+    const link = document.createElement('a');
+    link.className = 'nav-link disabled';
+    link.href = '#';
+    link.textContent = t('nav.hello', { name: user.name.split(' ')[0] });
+    document.getElementById('nav-welcome').replaceChildren(link);
   }
 
   /**
-   * Initialize event listeners for forms, buttons and navigation.
+   * Format an amount in the smallest currency unit (pesewas, kobo or
+   * cents) as a price for the chosen locale.
+   *
+   * @param {number} value
+   * @param {string} [code]  currency, the chosen one by default
+   * @returns {string}
    */
-  function initEventListeners() {
-    // Registration form submission
-    const registerForm = document.getElementById('register-form');
-    registerForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const name = document.getElementById('register-name').value.trim();
-      const email = document.getElementById('register-email').value.trim();
-      const password = document.getElementById('register-password').value;
-      const errorEl = document.getElementById('register-error');
-
-      if (!name || !email || !password) {
-        errorEl.style.display = 'block';
-        errorEl.textContent = 'All fields are required.';
-        return;
-      }
-      if (findUser(email)) {
-          errorEl.style.display = 'block';
-          errorEl.textContent = 'An account with that email already exists.';
-          return;
-      }
-      // Hash the password before saving
-      const hashed = await sha256(password);
-      const user = {
-        name,
-        email,
-        password: hashed,
-        subscription: 'none',
-        subscriptionStart: '',
-        subscriptionReference: '',
-        freeTrialUsed: 0,
-      };
-      saveUser(user);
-      setCurrentUser(email);
-      // reset form fields
-      registerForm.reset();
-      errorEl.style.display = 'none';
-      render();
-    });
+  function formatCurrency(value, code) {
+    return MathGPT.i18n.formatCurrency(value, code || currency);
+  }
 
-    // Login form submission
-    const loginForm = document.getElementById('login-form');
-    loginForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const email = document.getElementById('login-email').value.trim();
-      const password = document.getElementById('login-password').value;
-      const errorEl = document.getElementById('login-error');
-      const user = findUser(email);
-      if (!user) {
-        errorEl.style.display = 'block';
-        errorEl.textContent = 'User not found.';
-        return;
-      }
-      const hashed = await sha256(password);
-      if (hashed !== user.password) {
-        errorEl.style.display = 'block';
-        errorEl.textContent = 'Incorrect password.';
-        return;
-      }
-      setCurrentUser(user.email);
-      loginForm.reset();
-      errorEl.style.display = 'none';
-      render();
-    });
+  /**
+   * Format a date for the Account page and notices.
+   *
+   * @param {Date|string|null} date
+   * @returns {string}
+   */
+  function formatDate(date) {
+    return MathGPT.i18n.formatDate(date);
+  }
 
-    // Logout link
-    const logoutLink = document.getElementById('nav-logout');
-    logoutLink.addEventListener('click', (e) => {
-      e.preventDefault();
-      setCurrentUser(null);
-      render();
-    });
+  /**
+   * The currency prices are shown and charged in.
+   *
+   * @returns {string}
+   */
+  function getCurrency() {
+    return currency;
+  }
 
-    // Navigation links
-    document.getElementById('nav-dashboard').addEventListener('click', (e) => {
-      e.preventDefault();
-      const user = getCurrentUser();
-      if (!user) return;
-      document.getElementById('pricing-section').style.display = 'none';
-      document.getElementById('dashboard-section').style.display = 'block';
-      document.getElementById('nav-dashboard').classList.add('active');
-      document.getElementById('nav-pricing').classList.remove('active');
-    });
-    document.getElementById('nav-pricing').addEventListener('click', (e) => {
-      e.preventDefault();
-      const user = getCurrentUser();
-      if (!user) return;
-      document.getElementById('pricing-section').style.display = 'block';
-      document.getElementById('dashboard-section').style.display = 'none';
-      document.getElementById('nav-dashboard').classList.remove('active');
-      document.getElementById('nav-pricing').classList.add('active');
-      updateSubscriptionPrices();
+  /**
+   * Choose the currency prices are shown and charged in, and remember it
+   * on this device.
+   *
+   * @param {string} code
+   */
+  function setCurrency(code) {
+    currency = code;
+    localStorage.setItem(CURRENCY_KEY, code);
+  }
+
+  /**
+   * Switch the page to a locale: translate the static text and let every
+   * view redraw what it shows in the new language.
+   *
+   * @param {string} code
+   */
+  function applyLocale(code) {
+    const locale = MathGPT.i18n.setLocale(code);
+    document.documentElement.lang = locale;
+    document.getElementById('locale-select').value = locale;
+    MathGPT.i18n.applyTranslations(document);
+    Object.keys(views).forEach((name) => {
+      if (views[name].refresh) views[name].refresh();
     });
+    const user = getCurrentUser();
+    if (user) renderWelcome(user);
+  }
 
-    // Back button on pricing page
-    document.getElementById('back-to-dashboard').addEventListener('click', (e) => {
-      e.preventDefault();
-      document.getElementById('pricing-section').style.display = 'none';
-      document.getElementById('dashboard-section').style.display = 'block';
-      document.getElementById('nav-dashboard').classList.add('active');
-      document.getElementById('nav-pricing').classList.remove('active');
+  /**
+   * Fill the language and currency pickers and apply the stored choices,
+   * or those that fit the browser's languages.
+   */
+  function initLocale() {
+    const localeSelect = document.getElementById('locale-select');
+    MathGPT.i18n.locales().forEach((locale) => {
+      localeSelect.appendChild(new Option(locale.label, locale.code));
     });
+    const currencySelect = document.getElementById('currency-select');
+    MathGPT.pricing.CURRENCIES.forEach((code) => currencySelect.appendChild(new Option(code, code)));
+    const storedCurrency = localStorage.getItem(CURRENCY_KEY);
+    currency = MathGPT.pricing.isSupported(storedCurrency)
+      ? storedCurrency
+      : MathGPT.pricing.currencyFor(navigator.language);
+    const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    applyLocale(MathGPT.i18n.detectLocale([localStorage.getItem(LOCALE_KEY)].concat(languages)));
+  }
+
+  /**
+   * The message for an account error: a translation of its code when
+   * there is one, the server's own words otherwise.
+   *
+   * @param {Error} err
+   * @returns {string}
+   */
+  function authMessage(err) {
+    if (!err.code) return t('auth.unreachable');
+    return MathGPT.i18n.has(`auth.error.${err.code}`) ? t(`auth.error.${err.code}`) : err.message;
+  }
 
-    // Free trial button
-    document.getElementById('free-trial-btn').addEventListener('click', (e) => {
+  /**
+   * Initialize the listeners that belong to no view: logging out and the
+   * language picker.  Navigation links are plain `#/…` links.
+   */
+  function initEventListeners() {
+    // Logout link
+    const logoutLink = document.getElementById('nav-logout');
+    logoutLink.addEventListener('click', async (e) => {
       e.preventDefault();
-      const user = getCurrentUser();
-      if (!user) return;
-      const freeUsed = user.freeTrialUsed || 0;
-      if (freeUsed >= FREE_TRIAL_LIMIT) {
-        alert('You have exhausted your free trial. Please subscribe to continue using Math GPT.');
-        return;
+      try {
+        await auth.logout(await store.getSession());
+      } catch (err) {
+        console.error('Could not end the session on the server', err);
       }
-      // Take the user to the dashboard
-      document.getElementById('pricing-section').style.display = 'none';
-      document.getElementById('dashboard-section').style.display = 'block';
-      document.getElementById('nav-dashboard').classList.add('active');
-      document.getElementById('nav-pricing').classList.remove('active');
+      await setSession(null);
+      navigate('/login');
     });
 
-    // Monthly subscription button
-    document.getElementById('monthly-btn').addEventListener('click', (e) => {
-      e.preventDefault();
-      const user = getCurrentUser();
-      if (!user) return;
-      initiatePayment({ planType: 'monthly', price: MONTHLY_PRICE, planCode: MONTHLY_PLAN_CODE });
+    // Changing the language translates the page and the OCR language
+    document.getElementById('locale-select').addEventListener('change', (e) => {
+      localStorage.setItem(LOCALE_KEY, e.target.value);
+      applyLocale(e.target.value);
     });
-    // Annual subscription button
-    document.getElementById('annual-btn').addEventListener('click', (e) => {
-      e.preventDefault();
-      const user = getCurrentUser();
-      if (!user) return;
-      initiatePayment({ planType: 'annual', price: ANNUAL_PRICE, planCode: ANNUAL_PLAN_CODE });
+  }
+
+  /**
+   * Call the backend: POST the body, or GET when there is none.  Payment
+   * and subscription endpoints answer with the user's subscription
+   * fields, or with an error.
+   *
+   * @param {string} path  e.g. '/payments/verify'
+   * @param {Object} [body]
+   * @returns {Promise<Object>}
+   */
+  async function callServer(path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = await store.getSession();
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${API_BASE_URL}${path}`, body === undefined ? { headers } : {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
     });
+    const answer = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw Object.assign(new Error(answer.error || `Request failed with status ${response.status}`), { code: answer.code });
+    }
+    return answer;
+  }
 
-    // File input change
-    const uploadInput = document.getElementById('upload-input');
-    uploadInput.addEventListener('change', () => {
-      const file = uploadInput.files[0];
-      const solveBtn = document.getElementById('solve-btn');
-      if (file) {
-        solveBtn.disabled = false;
+  /**
+   * Copy the subscription fields from a server answer onto a user and
+   * save them.  The browser never changes these fields on its own.
+   *
+   * @param {Object} user
+   * @param {Object} answer
+   * @returns {Promise<Object>}
+   */
+  function applySubscription(user, answer) {
+    MathGPT.entitlement.FIELDS.forEach((field) => {
+      if (field in answer) {
+        user[field] = answer[field];
       } else {
-        solveBtn.disabled = true;
+        delete user[field];
       }
     });
-    // Solve button click
-    document.getElementById('solve-btn').addEventListener('click', async () => {
-      const user = getCurrentUser();
-      if (!user) return;
-      const freeUsed = user.freeTrialUsed || 0;
-      const now = new Date();
-      let isSubscribed = false;
-      if (user.subscription && user.subscription !== 'none' && user.subscriptionStart) {
-        const start = new Date(user.subscriptionStart);
-        if (user.subscription === 'monthly') {
-          const end = new Date(start);
-          end.setMonth(end.getMonth() + 1);
-          isSubscribed = now < end;
-        } else if (user.subscription === 'annual') {
-          const end = new Date(start);
-          end.setFullYear(end.getFullYear() + 1);
-          isSubscribed = now < end;
-        }
-      }
-      if (!isSubscribed && freeUsed >= FREE_TRIAL_LIMIT) {
-        alert('You have exhausted your free trial. Please subscribe to continue using Math GPT.');
-        // redirect to pricing
-        document.getElementById('pricing-section').style.display = 'block';
-        document.getElementById('dashboard-section').style.display = 'none';
-        document.getElementById('nav-dashboard').classList.remove('active');
-        document.getElementById('nav-pricing').classList.add('active');
-        return;
-      }
-      const file = uploadInput.files[0];
-      if (!file) return;
-      solveImage(file);
-    });
+    return saveUser(user);
   }
 
   /**
    * Kick off a Paystack payment flow.  This helper reads the current
-   * user's details, sets up the configuration and uses the inline
-   * interface to handle the transaction.  On successful payment the
-   * subscription fields on the user record are updated and the UI is
-   * refreshed.
+   * user's details, sets up the configuration in the chosen currency and
+   * uses the inline interface to handle the transaction.  When checkout
+   * completes the reference is verified by the backend, and only the
+   * subscription it reports is stored on the user record.
    *
-   * @param {{planType: string, price: number, planCode: string}} config
+   * @param {{planType: string}} config  planType is 'monthly' or 'annual'
    */
   function initiatePayment(config) {
     const user = getCurrentUser();
     if (!user) return;
     if (!PAYSTACK_PUBLIC_KEY || PAYSTACK_PUBLIC_KEY.indexOf('pk_test') === -1 && PAYSTACK_PUBLIC_KEY.indexOf('pk_live') === -1) {
-      alert('Please set your Paystack public key in static/js/app.js before initiating payments.');
+      alert(t('pricing.no-key'));
       return;
     }
-    const { planType, price, planCode } = config;
+    const { planType } = config;
+    const planCode = PLAN_CODES[currency] && PLAN_CODES[currency][planType];
     const paystackConfig = {
       key: PAYSTACK_PUBLIC_KEY,
       email: user.email,
-      amount: price, // amount is already in pesewas
-      currency: CURRENCY,
+      amount: MathGPT.pricing.priceOf(planType, currency), // already in pesewas, kobo or cents
+      currency,
+      metadata: { planType },
       callback: function (response) {
-        // On successful payment, update user subscription
-        user.subscription = planType;
-        user.subscriptionStart = new Date().toISOString();
-        user.subscriptionReference = response.reference;
-        saveUser(user);
-        alert('Payment complete! You are now subscribed to the ' + planType + ' plan.');
-        render();
+        // The checkout callback can be faked, so the subscription comes
+        // from the server's verification rather than from this response.
+        callServer('/payments/verify', { reference: response.reference, email: user.email })
+          .then((verified) => applySubscription(user, verified))
+          .then(() => {
+            alert(t('pricing.paid', { plan: t(`plan.${user.subscription}`).toLowerCase() }));
+            navigate('/solve');
+          })
+          .catch((err) => {
+            console.error(err);
+            alert(t('pricing.unconfirmed', { error: err.message, reference: response.reference }));
+          });
       },
       onClose: function () {
-        alert('Payment window closed.');
+        alert(t('pricing.closed'));
       },
     };
     if (planCode) {
@@ -453,108 +514,157 @@
   }
 
   /**
-   * Perform OCR on the provided image using Tesseract.js and then
-   * attempt to solve any equation contained in the recognized text
-   * using Nerdamer.  Progress is reported via the progress bar.  On
-   * completion the result is displayed to the user and free trial
-   * counters are updated accordingly.
+   * Whether the current user may solve another problem without being
+   * asked to subscribe.
    *
-   * @param {File} file
-   */
-  async function solveImage(file) {
-    const progressContainer = document.getElementById('progress-container');
-    const progressBar = document.getElementById('progress-bar');
-    const resultEl = document.getElementById('result');
-    // Reset progress and result
-    progressBar.style.width = '0%';
-    progressContainer.style.display = 'block';
-    resultEl.style.display = 'none';
-    resultEl.classList.remove('alert-success', 'alert-danger', 'alert-warning');
+   * @returns {boolean}
+   */
+  function hasSolvesLeft() {
+    const user = getCurrentUser();
+    return !!user && MathGPT.entitlement.hasSolvesLeft(user);
+  }
 
-    try {
-      const worker = Tesseract.createWorker();
-      await worker.load();
-      await worker.loadLanguage('eng');
-      await worker.initialize('eng');
-      // Recognize text with progress updates
-      const { data } = await worker.recognize(file, {}, {
-        logger: (m) => {
-          if (m.status === 'recognizing text') {
-            const pct = Math.round(m.progress * 100);
-            progressBar.style.width = `${pct}%`;
-          }
-        },
-      });
-      await worker.terminate();
-      // The raw OCR output may contain multiple lines; pick the first
-      const text = data && data.text ? data.text.trim() : '';
-      if (!text) {
-        throw new Error('No text could be recognized in the image.');
-      }
-      // Attempt to extract an equation.  We assume the first line contains
-      // the equation.  Remove whitespace and newline characters.
-      const firstLine = text.split(/\n|\r/)[0].replace(/\s+/g, '');
-      // Identify the variable to solve for; default to 'x' if none found
-      let variable = 'x';
-      const match = firstLine.match(/[a-zA-Z]/);
-      if (match) variable = match[0];
-      // Solve using Nerdamer.  If there is an equals sign treat it as
-      // equation, otherwise just evaluate it as an expression equal to 0.
-      let solutions;
+  /**
+   * Count a solve or a recognition for the current user.  With the REST
+   * backend the server counts, so that the free trial and usage cannot
+   * be changed from the browser, and its counts are copied onto the
+   * user; otherwise they are counted and saved here.
+   *
+   * @param {string} kind  'solves' or 'scans'
+   * @param {{ok: boolean}} [body]  whether a recognition worked
+   * @returns {Promise<Object>} the user
+   * @throws {Error} with code 'trial-used' when no solves are left
+   */
+  async function countUsage(kind, body) {
+    const user = getCurrentUser();
+    if (STORAGE_BACKEND === 'rest') {
+      let answer;
       try {
-        if (firstLine.includes('=')) {
-          solutions = nerdamer.solve(firstLine, variable);
-        } else {
-          // expression = 0
-          solutions = nerdamer.solve(firstLine + '=0', variable);
-        }
+        answer = await callServer(`/usage/${kind}`, body || {});
       } catch (err) {
-        console.warn('Nerdamer could not parse equation', err);
-        throw new Error('Unable to parse and solve the recognized equation.');
-      }
-      let solutionText;
-      if (solutions && typeof solutions.toString === 'function') {
-        solutionText = solutions.toString();
-      } else {
-        solutionText = JSON.stringify(solutions);
-      }
-      resultEl.classList.add('alert-success');
-      resultEl.textContent = `OCR: ${firstLine}\nSolution (${variable}): ${solutionText}`;
-      resultEl.style.display = 'block';
-      // Update free trial usage if user is not subscribed
-      const user = getCurrentUser();
-      const now = new Date();
-      let isSubscribed = false;
-      if (user.subscription && user.subscription !== 'none' && user.subscriptionStart) {
-        const start = new Date(user.subscriptionStart);
-        if (user.subscription === 'monthly') {
-          const end = new Date(start);
-          end.setMonth(end.getMonth() + 1);
-          isSubscribed = now < end;
-        } else if (user.subscription === 'annual') {
-          const end = new Date(start);
-          end.setFullYear(end.getFullYear() + 1);
-          isSubscribed = now < end;
-        }
+        if (err.code === 'trial-used') err.message = t('solver.trial-used');
+        throw err;
       }
-      if (!isSubscribed) {
-        user.freeTrialUsed = (user.freeTrialUsed || 0) + 1;
-        saveUser(user);
+      MathGPT.usage.FIELDS.forEach((field) => {
+        user[field] = answer[field];
+      });
+      return user;
+    }
+    if (kind === 'solves') {
+      if (!MathGPT.entitlement.useSolve(user)) {
+        throw Object.assign(new Error(t('solver.trial-used')), { code: 'trial-used' });
       }
-    } catch (err) {
-      console.error(err);
-      resultEl.classList.add('alert-danger');
-      resultEl.textContent = `Error: ${err.message || err}`;
-      resultEl.style.display = 'block';
-    } finally {
-      progressContainer.style.display = 'none';
+      MathGPT.usage.record(user, 'solves');
+    } else {
+      MathGPT.usage.recordScan(user, !(body && body.ok === false));
     }
+    return saveUser(user);
+  }
+
+  /**
+   * Write a confidence from 0 to 100 as a percentage for the locale.
+   *
+   * @param {number} confidence
+   * @returns {string}
+   */
+  function percent(confidence) {
+    return MathGPT.i18n.formatNumber(Math.round(confidence) / 100, { style: 'percent' });
+  }
+
+  /**
+   * Show a subscription reminder or expiry notice above the solver.
+   *
+   * @param {{type: string, user: Object, endsAt: Date|null}} event
+   */
+  function showEntitlementNotice(event) {
+    const plan = MathGPT.entitlement.PLANS[event.user.subscription];
+    const name = plan ? t(`plan.${event.user.subscription}`).toLowerCase() : '';
+    const tones = {
+      'renewal-due': 'info',
+      expiring: 'warning',
+      grace: 'warning',
+      expired: 'secondary',
+    };
+    const el = document.getElementById('entitlement-notice');
+    el.className = `alert alert-${tones[event.type]}`;
+    el.textContent = t(`notice.${event.type}`, { plan: name, date: formatDate(event.endsAt) });
+    el.style.display = 'block';
+  }
+
+  /**
+   * Whether the user may open the admin console.  The console talks to
+   * the backend's admin routes; without the REST backend it only says
+   * that it needs one.
+   *
+   * @param {Object} user
+   * @returns {boolean}
+   */
+  function isAdmin(user) {
+    return !!user && user.role === 'admin';
+  }
+
+  /**
+   * Create the views, handing each the app context.
+   */
+  function createViews() {
+    const app = {
+      t,
+      store,
+      auth,
+      views,
+      FREE_TRIAL_LIMIT,
+      STORAGE_BACKEND,
+      RECOGNIZERS,
+      getCurrentUser,
+      saveUser,
+      setSession,
+      callServer,
+      applySubscription,
+      initiatePayment,
+      getCurrency,
+      setCurrency,
+      formatCurrency,
+      formatDate,
+      percent,
+      hasSolvesLeft,
+      countUsage,
+      authMessage,
+      navigate,
+      signedIn,
+      refresh: () => router.resolve(),
+    };
+    ['login', 'solve', 'pricing', 'history', 'account', 'admin', 'shared'].forEach((name) => {
+      views[name] = MathGPT.views[name].createView(app);
+    });
+  }
+
+  /**
+   * Register the service worker that caches the app and its libraries
+   * for offline use.  Browsers only allow this over https or on
+   * localhost; elsewhere (file://) the app simply needs the network.
+   */
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+    navigator.serviceWorker.register('sw.js').catch((err) => {
+      console.warn('Offline support is unavailable', err);
+    });
   }
 
   // Initialize the application once the DOM is ready
-  document.addEventListener('DOMContentLoaded', () => {
+  document.addEventListener('DOMContentLoaded', async () => {
     loadYear();
+    registerServiceWorker();
+    createViews();
+    initLocale();
+    ['renewal-due', 'expiring', 'grace', 'expired'].forEach((type) => {
+      MathGPT.entitlement.on(type, showEntitlementNotice);
+    });
     initEventListeners();
-    render();
+    try {
+      await setSession(await store.getSession());
+    } catch (err) {
+      console.error('Could not load the logged in user', err);
+    }
+    router.start();
   });
 })();
@@ -0,0 +1,653 @@
+/*
+  auth.js
+  -------
+  Accounts and sign-in.  Passwords are stored as salted PBKDF2 hashes,
+  sign-in hands out random session tokens that expire, repeated failed
+  logins are rate limited, and password resets and email verification
+  go through one-time links sent by a pluggable mail sender.
+
+  `createAuth` runs these flows on top of any storage adapter (see
+  storage.js) and is used in two places: in the browser for the local
+  and IndexedDB backends, and on the server (server/index.js) behind the
+  /api/auth routes.  With the REST backend the browser uses
+  `remoteAuth`, which has the same methods and calls those routes.
+
+  Only the SHA-256 of a session, reset or verification token is ever
+  stored, so a copy of the stored data does not let anyone sign in.
+  Accounts created before salted hashes (a bare SHA-256 hex string in
+  `password`) still sign in and are re-hashed on their next login.
+
+  Failures reject with an Error whose `code` is one of: invalid-email,
+  weak-password, exists, invalid-credentials, rate-limited,
+  invalid-token, unauthorized.
+
+  Uses the Web Crypto API, available in browsers and Node 20.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * PBKDF2 iterations for new hashes.  Stored with each hash so that it
+   * can be raised later without breaking existing accounts.
+   */
+  const PBKDF2_ITERATIONS = 600000;
+
+  /**
+   * How long a session lasts.
+   */
+  const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+  /**
+   * How long password reset and verification links stay valid.
+   */
+  const RESET_TTL_MS = 60 * 60 * 1000;
+  const VERIFY_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Failed logins allowed within the window before further attempts are
+   * refused until the window has passed.  They are counted per client
+   * and per email from that client, never per email alone, so that
+   * failing on purpose from elsewhere cannot lock the owner out.
+   */
+  const LOGIN_ATTEMPTS = 5;
+  const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+  /**
+   * Shortest password accepted.
+   */
+  const MIN_PASSWORD_LENGTH = 8;
+
+  /**
+   * Passwords refused outright however they score.
+   */
+  const COMMON_PASSWORDS = [
+    'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+    'qwerty123', 'qwertyuiop', 'iloveyou', 'letmein1', 'welcome1', 'admin123',
+    'mathgpt', 'mathgpt123', 'abc12345', '11111111', '00000000',
+  ];
+
+  /**
+   * User fields that must never leave the server or be set by a client.
+   * `unclaimedPlan` holds what a payment made before the account existed
+   * left, until the address is proved (see register).
+   */
+  const SECRET_FIELDS = ['password', 'resetToken', 'verifyToken', 'unclaimedPlan'];
+
+  const encoder = new TextEncoder();
+
+  /**
+   * Build an Error with an auth failure code.
+   *
+   * @param {string} code
+   * @param {string} message
+   * @returns {Error}
+   */
+  function authError(code, message) {
+    return Object.assign(new Error(message), { code });
+  }
+
+  /**
+   * @param {ArrayBuffer|Uint8Array} buf
+   * @returns {string}
+   */
+  function toHex(buf) {
+    return Array.from(new Uint8Array(buf))
+      .map((b) => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * @param {string} hex
+   * @returns {Uint8Array}
+   */
+  function fromHex(hex) {
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return out;
+  }
+
+  /**
+   * Compare two strings in time independent of where they differ.
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  /**
+   * A random token, hex encoded.
+   *
+   * @param {number} [bytes]
+   * @returns {string}
+   */
+  function randomToken(bytes) {
+    return toHex(root.crypto.getRandomValues(new Uint8Array(bytes || 32)));
+  }
+
+  /**
+   * SHA-256 of a string, hex encoded.
+   *
+   * @param {string} str
+   * @returns {Promise<string>}
+   */
+  async function sha256(str) {
+    return toHex(await root.crypto.subtle.digest('SHA-256', encoder.encode(str)));
+  }
+
+  /**
+   * Hash a password with PBKDF2-SHA256 and a fresh random salt.
+   *
+   * @param {string} password
+   * @param {{salt: string, iterations: number}} [params]  reuse to check a password
+   * @returns {Promise<{algorithm: string, iterations: number, salt: string, hash: string}>}
+   */
+  async function hashPassword(password, params) {
+    const salt = (params && params.salt) || randomToken(16);
+    const iterations = (params && params.iterations) || PBKDF2_ITERATIONS;
+    const key = await root.crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await root.crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(salt), iterations },
+      key,
+      256,
+    );
+    return { algorithm: 'PBKDF2-SHA256', iterations, salt, hash: toHex(bits) };
+  }
+
+  /**
+   * Check a password against a stored hash, including legacy unsalted
+   * SHA-256 hex strings.
+   *
+   * @param {string} password
+   * @param {Object|string} stored
+   * @returns {Promise<boolean>}
+   */
+  async function verifyPassword(password, stored) {
+    if (typeof stored === 'string') return safeEqual(await sha256(password), stored);
+    if (!stored || stored.algorithm !== 'PBKDF2-SHA256') return false;
+    const attempt = await hashPassword(password, stored);
+    return safeEqual(attempt.hash, stored.hash);
+  }
+
+  /**
+   * Check the format of an email address.
+   *
+   * @param {string} email
+   * @returns {boolean}
+   */
+  function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/i.test(String(email).trim());
+  }
+
+  /**
+   * Rate a password.  `ok` is false while any problem remains; `score`
+   * (0–4) drives the strength meter on the registration form.  Each
+   * problem is an English sentence, for the server's error message, and
+   * has a code at the same place in `codes` that the pages translate
+   * (auth.weak.<code> in the catalogs).
+   *
+   * @param {string} password
+   * @param {{email: string, name: string}} [context]  personal details to avoid
+   * @returns {{score: number, ok: boolean, problems: Array<string>, codes: Array<string>}}
+   */
+  function passwordStrength(password, context) {
+    const pw = String(password || '');
+    const problems = [];
+    const codes = [];
+    const problem = (code, message) => {
+      codes.push(code);
+      problems.push(message);
+    };
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter((re) => re.test(pw)).length;
+    if (pw.length < MIN_PASSWORD_LENGTH) problem('length', `Use at least ${MIN_PASSWORD_LENGTH} characters.`);
+    if (classes < 3 && pw.length < 16) {
+      problem('mix', 'Mix upper and lower case letters, numbers and symbols, or use 16 or more characters.');
+    }
+    if (COMMON_PASSWORDS.indexOf(pw.toLowerCase()) !== -1) problem('common', 'This password is too common.');
+    const personal = [];
+    if (context && context.email) personal.push(String(context.email).split('@')[0]);
+    if (context && context.name) personal.push(...String(context.name).split(/\s+/));
+    if (personal.some((part) => part.length >= 3 && pw.toLowerCase().indexOf(part.toLowerCase()) !== -1)) {
+      problem('personal', 'Do not use your name or email in your password.');
+    }
+    let score = Math.min(4, Math.floor(pw.length / 4) + classes - 2);
+    if (problems.length) score = Math.min(score, 1);
+    return { score: Math.max(0, score), ok: problems.length === 0, problems, codes };
+  }
+
+  /**
+   * Session records kept in memory, keyed by token hash.
+   *
+   * @returns {{get: Function, set: Function, delete: Function, deleteFor: Function}}
+   */
+  function memorySessions() {
+    const sessions = new Map();
+    return {
+      async get(id) {
+        return sessions.get(id) || null;
+      },
+      async set(id, session) {
+        sessions.set(id, session);
+      },
+      async delete(id) {
+        sessions.delete(id);
+      },
+      async deleteFor(email) {
+        Array.from(sessions.entries()).forEach(([id, s]) => {
+          if (s.email === email) sessions.delete(id);
+        });
+      },
+    };
+  }
+
+  /**
+   * Session records kept as JSON in a Storage object (localStorage), so
+   * that they survive a reload.  Expired sessions are dropped on write.
+   *
+   * @param {Storage} storage
+   * @param {string} [key]
+   * @returns {{get: Function, set: Function, delete: Function, deleteFor: Function}}
+   */
+  function storageSessions(storage, key) {
+    const itemKey = key || 'mathgpt_sessions';
+    const read = () => {
+      try {
+        return JSON.parse(storage.getItem(itemKey) || '{}');
+      } catch (err) {
+        return {};
+      }
+    };
+    const write = (all) => {
+      const now = Date.now();
+      Object.keys(all).forEach((id) => {
+        if (new Date(all[id].expiresAt).getTime() <= now) delete all[id];
+      });
+      storage.setItem(itemKey, JSON.stringify(all));
+    };
+    return {
+      async get(id) {
+        return read()[id] || null;
+      },
+      async set(id, session) {
+        const all = read();
+        all[id] = session;
+        write(all);
+      },
+      async delete(id) {
+        const all = read();
+        delete all[id];
+        write(all);
+      },
+      async deleteFor(email) {
+        const all = read();
+        Object.keys(all).forEach((id) => {
+          if (all[id].email === email) delete all[id];
+        });
+        write(all);
+      },
+    };
+  }
+
+  /**
+   * Count failed attempts per key within a sliding window.  Resetting a
+   * key also resets the keys made from it with '|' (email:a|client:b).
+   *
+   * @param {{limit: number, windowMs: number}} [options]
+   * @returns {{isBlocked: Function, fail: Function, reset: Function}}
+   */
+  function createRateLimiter(options) {
+    const limit = (options && options.limit) || LOGIN_ATTEMPTS;
+    const windowMs = (options && options.windowMs) || LOGIN_WINDOW_MS;
+    const failures = new Map();
+    const recent = (key, now) => (failures.get(key) || []).filter((t) => now - t < windowMs);
+    return {
+      /**
+       * Milliseconds until the key may try again, or 0 if it may now.
+       */
+      isBlocked(key, now) {
+        const t = now || Date.now();
+        const times = recent(key, t);
+        return times.length >= limit ? windowMs - (t - times[0]) : 0;
+      },
+      fail(key, now) {
+        const t = now || Date.now();
+        failures.set(key, recent(key, t).concat(t));
+      },
+      reset(key) {
+        failures.forEach((_, k) => {
+          if (k === key || k.startsWith(`${key}|`)) failures.delete(k);
+        });
+      },
+    };
+  }
+
+  /**
+   * A mail sender that writes messages to the console, for local use.
+   *
+   * @returns {{send: Function}}
+   */
+  function consoleMailSender() {
+    return {
+      async send(message) {
+        console.info(`[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+      },
+    };
+  }
+
+  /**
+   * A copy of a user without password hashes and tokens.
+   *
+   * @param {Object|null} user
+   * @returns {Object|null}
+   */
+  function publicUser(user) {
+    if (!user) return null;
+    const out = Object.assign({}, user);
+    SECRET_FIELDS.forEach((field) => delete out[field]);
+    return out;
+  }
+
+  /**
+   * Account flows on top of a storage adapter.
+   *
+   * @param {Object} options
+   * @param {Object} options.store  a storage adapter (findUser, saveUser)
+   * @param {Object} options.sessions  from memorySessions or storageSessions
+   * @param {Object} options.mailer  anything with send({to, subject, text})
+   * @param {string} options.appUrl  page that reset and verify links open
+   * @param {Object} [options.limiter]  from createRateLimiter
+   * @returns {Object}
+   */
+  function createAuth(options) {
+    const { store, sessions, mailer } = options;
+    const limiter = options.limiter || createRateLimiter();
+    const appUrl = options.appUrl;
+
+    const link = (action, email, token) =>
+      `${appUrl.replace(/#.*$/, '')}#${action}?email=${encodeURIComponent(email)}&token=${token}`;
+
+    async function issueToken(user, field, ttl) {
+      const token = randomToken();
+      user[field] = { hash: await sha256(token), expiresAt: new Date(Date.now() + ttl).toISOString() };
+      await store.saveUser(user);
+      return token;
+    }
+
+    async function consumeToken(email, token, field) {
+      const user = email ? await store.findUser(email) : null;
+      const stored = user && user[field];
+      if (!stored || new Date(stored.expiresAt).getTime() <= Date.now() || !safeEqual(await sha256(String(token)), stored.hash)) {
+        throw authError('invalid-token', 'This link is invalid or has expired.');
+      }
+      delete user[field];
+      return user;
+    }
+
+    async function startSession(user) {
+      const token = randomToken();
+      const session = {
+        email: user.email.toLowerCase(),
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+      };
+      await sessions.set(await sha256(token), session);
+      return { token, email: user.email, expiresAt: session.expiresAt };
+    }
+
+    // Give a user whose address is now proved the plan set aside for it.
+    function claimPlan(user) {
+      if (!user.unclaimedPlan) return;
+      Object.assign(user, user.unclaimedPlan);
+      delete user.unclaimedPlan;
+    }
+
+    function checkPassword(password, context) {
+      const strength = passwordStrength(password, context);
+      if (!strength.ok) throw authError('weak-password', strength.problems.join(' '));
+    }
+
+    const api = {
+      /**
+       * Send (or resend) the email verification link.
+       *
+       * @param {string} email
+       * @returns {Promise<void>}
+       */
+      async sendVerification(email) {
+        const user = await store.findUser(email);
+        if (!user || user.emailVerified) return;
+        const token = await issueToken(user, 'verifyToken', VERIFY_TTL_MS);
+        await mailer.send({
+          to: user.email,
+          subject: 'Confirm your Math GPT email address',
+          text: `Hello ${user.name || ''},\n\nConfirm your email address by opening this link:\n\n${link('verify', user.email, token)}\n\nThe link is valid for three days.`,
+        });
+      },
+
+      /**
+       * Create an account and sign it in.
+       *
+       * @param {{name: string, email: string, password: string}} details
+       * @returns {Promise<{token: string, email: string, expiresAt: string}>}
+       */
+      async register(details) {
+        const name = String(details.name || '').trim();
+        const email = String(details.email || '').trim();
+        if (!isValidEmail(email)) throw authError('invalid-email', 'Enter a valid email address.');
+        checkPassword(details.password, { email, name });
+        // A record without a password was left by a payment made before
+        // the account existed (server/payments.js).  Its plan is set aside
+        // until the address is proved, by verifying it or resetting the
+        // password, so that registering someone else's email does not
+        // take over what they paid for.
+        const existing = await store.findUser(email);
+        if (existing && existing.password) throw authError('exists', 'An account with that email already exists.');
+        const user = {
+          name,
+          email,
+          password: await hashPassword(details.password),
+          emailVerified: false,
+          subscription: 'none',
+          subscriptionStart: '',
+          subscriptionReference: '',
+          freeTrialUsed: 0,
+          createdAt: new Date().toISOString(),
+        };
+        if (existing) {
+          user.unclaimedPlan = Object.assign({}, existing);
+          delete user.unclaimedPlan.email;
+          delete user.unclaimedPlan.freeTrialUsed;
+        }
+        await store.saveUser(user);
+        await api.sendVerification(email);
+        return startSession(user);
+      },
+
+      /**
+       * Sign in with email and password.
+       *
+       * @param {string} email
+       * @param {string} password
+       * @param {{client: string}} [context]  e.g. the caller's IP, limited too
+       * @returns {Promise<{token: string, email: string, expiresAt: string}>}
+       */
+      async login(email, password, context) {
+        const address = `email:${String(email).trim().toLowerCase()}`;
+        const client = context && context.client;
+        // Without a client (in the browser) the caller is this browser alone.
+        const keys = client ? [`client:${client}`, `${address}|client:${client}`] : [address];
+        const wait = Math.max(...keys.map((k) => limiter.isBlocked(k)));
+        if (wait > 0) {
+          throw authError('rate-limited', `Too many failed attempts. Try again in ${Math.ceil(wait / 60000)} minutes.`);
+        }
+        const user = await store.findUser(String(email).trim());
+        if (!user || !(await verifyPassword(password, user.password))) {
+          keys.forEach((k) => limiter.fail(k));
+          throw authError('invalid-credentials', 'Incorrect email or password.');
+        }
+        keys.forEach((k) => limiter.reset(k));
+        if (typeof user.password === 'string') {
+          user.password = await hashPassword(password);
+          await store.saveUser(user);
+        }
+        return startSession(user);
+      },
+
+      /**
+       * End a session.
+       *
+       * @param {string} token
+       * @returns {Promise<void>}
+       */
+      async logout(token) {
+        if (token) await sessions.delete(await sha256(token));
+      },
+
+      /**
+       * The user a session token belongs to, or null if the token is
+       * unknown or has expired.
+       *
+       * @param {string} token
+       * @returns {Promise<Object|null>}
+       */
+      async currentUser(token) {
+        if (!token) return null;
+        const id = await sha256(token);
+        const session = await sessions.get(id);
+        if (!session) return null;
+        if (new Date(session.expiresAt).getTime() <= Date.now()) {
+          await sessions.delete(id);
+          return null;
+        }
+        return store.findUser(session.email);
+      },
+
+      /**
+       * Email a password reset link.  Does nothing, without saying so,
+       * for unknown addresses.
+       *
+       * @param {string} email
+       * @returns {Promise<void>}
+       */
+      async requestPasswordReset(email) {
+        const user = await store.findUser(String(email).trim());
+        if (!user) return;
+        const token = await issueToken(user, 'resetToken', RESET_TTL_MS);
+        await mailer.send({
+          to: user.email,
+          subject: 'Reset your Math GPT password',
+          text: `Hello ${user.name || ''},\n\nSomeone asked to reset the password for this account. If it was you, open this link within an hour:\n\n${link('reset', user.email, token)}\n\nIf not, you can ignore this email.`,
+        });
+      },
+
+      /**
+       * Set a new password with a reset link's token.  Every session of
+       * the account is ended.
+       *
+       * @param {string} email
+       * @param {string} token
+       * @param {string} password
+       * @returns {Promise<void>}
+       */
+      async resetPassword(email, token, password) {
+        const user = await consumeToken(email, token, 'resetToken');
+        checkPassword(password, user);
+        user.password = await hashPassword(password);
+        // Receiving the link proves the address too.
+        user.emailVerified = true;
+        delete user.verifyToken;
+        claimPlan(user);
+        await store.saveUser(user);
+        await sessions.deleteFor(user.email.toLowerCase());
+        limiter.reset(`email:${user.email.toLowerCase()}`);
+      },
+
+      /**
+       * Mark an email address as verified with a verification link's token.
+       *
+       * @param {string} email
+       * @param {string} token
+       * @returns {Promise<void>}
+       */
+      async verifyEmail(email, token) {
+        const user = await consumeToken(email, token, 'verifyToken');
+        user.emailVerified = true;
+        claimPlan(user);
+        await store.saveUser(user);
+      },
+    };
+    return api;
+  }
+
+  /**
+   * The same methods as createAuth, carried out by the server's
+   * /api/auth routes.
+   *
+   * @param {{baseUrl: string, fetch: Function}} options
+   * @returns {Object}
+   */
+  function remoteAuth(options) {
+    const baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    const fetchImpl = options.fetch || root.fetch.bind(root);
+
+    async function call(path, body, token) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const response = await fetchImpl(`${baseUrl}/auth${path}`, {
+        method: body === undefined ? 'GET' : 'POST',
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const answer = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw authError(answer.code || 'unauthorized', answer.error || `Request failed with status ${response.status}`);
+      }
+      return answer;
+    }
+
+    return {
+      sendVerification: (email) => call('/send-verification', { email }).then(() => undefined),
+      register: (details) => call('/register', details),
+      login: (email, password) => call('/login', { email, password }),
+      logout: (token) => call('/logout', {}, token).then(() => undefined),
+      currentUser: (token) =>
+        token
+          ? call('/session', undefined, token).then((a) => a.user).catch((err) => {
+            if (err.code === 'unauthorized') return null;
+            throw err;
+          })
+          : Promise.resolve(null),
+      requestPasswordReset: (email) => call('/request-reset', { email }).then(() => undefined),
+      resetPassword: (email, token, password) => call('/reset-password', { email, token, password }).then(() => undefined),
+      verifyEmail: (email, token) => call('/verify-email', { email, token }).then(() => undefined),
+    };
+  }
+
+  const api = {
+    SECRET_FIELDS,
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    isValidEmail,
+    passwordStrength,
+    memorySessions,
+    storageSessions,
+    createRateLimiter,
+    consoleMailSender,
+    publicUser,
+    createAuth,
+    remoteAuth,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.auth = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,289 @@
+/*
+  batch.js
+  --------
+  A job queue for recognizing and solving many photos in one go, such
+  as a tutor's photographed problem set or the pages of a PDF.  Each
+  item moves through
+
+    queued -> running -> done | failed | cancelled
+
+  with its own progress and stage text, and a failed or cancelled item
+  can be retried on its own.  The work for an item is supplied by the
+  caller as `process(item, control)`; the queue only schedules it, runs
+  a limited number at once and reports changes.
+
+  Recognition cannot be interrupted half way, so cancelling a running
+  item marks it cancelled at once and its result is thrown away when it
+  arrives.  `control.signal.aborted` lets the work stop between steps.
+*/
+
+(function (root) {
+  'use strict';
+
+  // A message from the catalogs (see i18n.js).
+  function t(key, params) {
+    return root.MathGPT.i18n.t(key, params);
+  }
+
+  /**
+   * Longest side, in pixels, that PDF pages are drawn at.
+   */
+  const PDF_PAGE_SIDE = 2000;
+
+  /**
+   * pdf.js parses documents in a worker loaded from here; it matches the
+   * library version in index.html.
+   */
+  const PDF_WORKER_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
+
+  /**
+   * Create a job queue.
+   *
+   * @param {Function} process  async (item, {signal, report}) -> result;
+   *   report(progress, stage) updates the item (progress from 0 to 1)
+   * @param {{concurrency: number, onChange: Function}} [options]
+   *   onChange is called with the items whenever one changes
+   * @returns {Object}
+   */
+  function createQueue(process, options) {
+    const opts = options || {};
+    const concurrency = opts.concurrency || 1;
+    const items = [];
+    let nextId = 1;
+
+    function changed() {
+      if (opts.onChange) opts.onChange(items.slice());
+    }
+
+    function find(id) {
+      return items.find((item) => item.id === id) || null;
+    }
+
+    async function run(item) {
+      const signal = { aborted: false };
+      item.signal = signal;
+      item.status = 'running';
+      item.progress = 0;
+      item.stage = '';
+      item.error = '';
+      changed();
+      const report = (progress, stage) => {
+        if (signal.aborted) return;
+        if (typeof progress === 'number') item.progress = Math.max(0, Math.min(1, progress));
+        if (stage !== undefined) item.stage = stage;
+        changed();
+      };
+      try {
+        const result = await process(item, { signal, report });
+        if (signal.aborted) return;
+        item.result = result;
+        item.status = 'done';
+        item.progress = 1;
+      } catch (err) {
+        if (signal.aborted) return;
+        item.status = 'failed';
+        item.error = (err && err.message) || String(err);
+      } finally {
+        item.signal = null;
+        changed();
+        pump();
+      }
+    }
+
+    function pump() {
+      let running = items.filter((item) => item.status === 'running').length;
+      for (const item of items) {
+        if (running >= concurrency) break;
+        if (item.status === 'queued') {
+          running++;
+          run(item);
+        }
+      }
+    }
+
+    return {
+      /**
+       * Queue work.  Each input needs a `name`; everything else on it is
+       * kept on the item for `process` to use.
+       *
+       * @param {Array<Object>} inputs
+       * @returns {Array<Object>} the new items
+       */
+      add(inputs) {
+        const added = inputs.map((input) => Object.assign({}, input, {
+          id: nextId++,
+          status: 'queued',
+          progress: 0,
+          stage: '',
+          error: '',
+          result: null,
+          signal: null,
+        }));
+        items.push(...added);
+        changed();
+        pump();
+        return added;
+      },
+
+      /**
+       * Cancel a waiting or running item.
+       *
+       * @param {number} id
+       */
+      cancel(id) {
+        const item = find(id);
+        if (!item || (item.status !== 'queued' && item.status !== 'running')) return;
+        if (item.signal) item.signal.aborted = true;
+        item.status = 'cancelled';
+        item.stage = '';
+        changed();
+        pump();
+      },
+
+      /**
+       * Run a failed or cancelled item again.
+       *
+       * @param {number} id
+       */
+      retry(id) {
+        const item = find(id);
+        if (!item || (item.status !== 'failed' && item.status !== 'cancelled')) return;
+        // A cancelled item may still be finishing; wait for it to let go.
+        if (item.signal) return;
+        item.status = 'queued';
+        item.progress = 0;
+        item.error = '';
+        changed();
+        pump();
+      },
+
+      /**
+       * Drop an item that is not running.
+       *
+       * @param {number} id
+       */
+      remove(id) {
+        const idx = items.findIndex((item) => item.id === id);
+        if (idx < 0 || items[idx].status === 'running') return;
+        if (items[idx].signal) items[idx].signal.aborted = true;
+        items.splice(idx, 1);
+        changed();
+      },
+
+      /**
+       * Drop every finished item (done, failed or cancelled).
+       */
+      clearFinished() {
+        const keep = items.filter((item) => item.status === 'queued' || item.status === 'running');
+        items.splice(0, items.length, ...keep);
+        changed();
+      },
+
+      list() {
+        return items.slice();
+      },
+    };
+  }
+
+  /**
+   * Turn chosen files into queue inputs: one per image and one per page
+   * of each PDF.  `load` draws the input onto a canvas when its turn
+   * comes, so a long PDF is not rendered all at once.
+   *
+   * @param {Array<File>} files
+   * @param {{loadImage: Function, pdfjs: Object}} deps  loadImage from
+   *   imageprep.js and the pdf.js library (needed only for PDFs)
+   * @returns {Promise<Array<{name: string, load: Function}>>}
+   */
+  async function inputsFromFiles(files, deps) {
+    const inputs = [];
+    for (const file of files) {
+      if (file.type === 'application/pdf' || /\.pdf$/i.test(file.name)) {
+        if (!deps.pdfjs) throw new Error(t('error.no-pdf'));
+        const workerOptions = deps.pdfjs.GlobalWorkerOptions;
+        if (!workerOptions.workerSrc) workerOptions.workerSrc = PDF_WORKER_URL;
+        const pdf = await deps.pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+        for (let n = 1; n <= pdf.numPages; n++) {
+          inputs.push({ name: t('queue.page', { name: file.name, n }), load: () => renderPdfPage(pdf, n) });
+        }
+      } else {
+        inputs.push({ name: file.name, load: () => deps.loadImage(file) });
+      }
+    }
+    return inputs;
+  }
+
+  /**
+   * Draw one page of a PDF onto a canvas.
+   *
+   * @param {Object} pdf  a pdf.js document
+   * @param {number} number  page number, from 1
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async function renderPdfPage(pdf, number) {
+    const page = await pdf.getPage(number);
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: Math.min(4, PDF_PAGE_SIDE / Math.max(base.width, base.height)) });
+    const canvas = root.document.createElement('canvas');
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    return canvas;
+  }
+
+  /**
+   * One row per problem of every finished item, for the combined results
+   * table.  Items that failed have a single row with their error.
+   *
+   * @param {Array<Object>} items
+   * @returns {Array<{item: string, problem: string, type: string, answer: string, ok: boolean}>}
+   */
+  function resultRows(items) {
+    const rows = [];
+    items.forEach((item) => {
+      if (item.status === 'failed') {
+        rows.push({ item: item.name, problem: '', type: '', answer: item.error, ok: false });
+      }
+      if (item.status !== 'done' || !item.result || !item.result.results) return;
+      item.result.results.forEach((r) => {
+        rows.push({
+          item: item.name,
+          problem: r.problem.lines.join('; '),
+          type: r.label || r.type,
+          answer: r.ok ? r.solutionText : r.error,
+          ok: r.ok,
+        });
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Serialize the combined results as CSV.
+   *
+   * @param {Array<Object>} items
+   * @returns {string}
+   */
+  function toCSV(items) {
+    const cell = root.MathGPT.history.csvCell;
+    const rows = [['item', 'problem', 'type', 'answer', 'solved']];
+    resultRows(items).forEach((r) => rows.push([r.item, r.problem, r.type, r.answer, r.ok ? 'yes' : 'no']));
+    return rows.map((row) => row.map(cell).join(',')).join('\r\n');
+  }
+
+  const api = {
+    createQueue,
+    inputsFromFiles,
+    resultRows,
+    toCSV,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.batch = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
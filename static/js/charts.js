@@ -0,0 +1,101 @@
+/*
+  charts.js
+  ---------
+  Bar charts for the admin console, drawn directly on a canvas like the
+  graphs in plot.js so that no charting library is needed.  A chart is
+  redrawn from scratch by calling `barChart` again; it sizes itself to
+  the canvas's CSS size.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Default bar colour.
+   */
+  const COLOR = '#0d6efd';
+
+  /**
+   * Space kept around the bars for the axis labels, in CSS pixels.
+   */
+  const MARGIN = { top: 12, right: 8, bottom: 22, left: 44 };
+
+  /**
+   * Most labels written under the bars; the others are skipped evenly.
+   */
+  const MAX_LABELS = 8;
+
+  /**
+   * Draw a bar chart.  Bars whose value is null are left out, which is
+   * different from a bar of zero (a day without any recognitions has no
+   * failure rate at all).
+   *
+   * @param {HTMLCanvasElement} canvas
+   * @param {Array<{label: string, value: number|null}>} bars
+   * @param {Object} [options]
+   * @param {number} [options.max]  top of the scale; the largest value
+   *   by default
+   * @param {string} [options.color]
+   * @param {Function} [options.format]  turns a value into axis text
+   */
+  function barChart(canvas, bars, options) {
+    const opts = options || {};
+    const format = opts.format || String;
+    const ctx = canvas.getContext('2d');
+    const ratio = root.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const values = bars.map((bar) => bar.value).filter((value) => value !== null);
+    const max = opts.max || Math.max(1, ...values);
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const toY = (value) => MARGIN.top + plotHeight - (value / max) * plotHeight;
+
+    // Grid lines at zero, half and the top of the scale
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    [0, max / 2, max].forEach((value) => {
+      const y = Math.round(toY(value)) + 0.5;
+      ctx.strokeStyle = value ? '#e9ecef' : '#495057';
+      ctx.beginPath();
+      ctx.moveTo(MARGIN.left, y);
+      ctx.lineTo(width - MARGIN.right, y);
+      ctx.stroke();
+      ctx.fillStyle = '#6c757d';
+      ctx.fillText(format(value), MARGIN.left - 4, y);
+    });
+
+    if (!bars.length) return;
+    const slot = plotWidth / bars.length;
+    const every = Math.ceil(bars.length / MAX_LABELS);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    bars.forEach((bar, i) => {
+      const x = MARGIN.left + i * slot;
+      if (bar.value !== null) {
+        ctx.fillStyle = opts.color || COLOR;
+        ctx.fillRect(x + slot * 0.15, toY(bar.value), slot * 0.7, toY(0) - toY(bar.value));
+      }
+      if (i % every === 0) {
+        ctx.fillStyle = '#6c757d';
+        ctx.fillText(bar.label, x + slot / 2, height - MARGIN.bottom + 6);
+      }
+    });
+  }
+
+  const api = {
+    barChart,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.charts = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,389 @@
+/*
+  entitlement.js
+  --------------
+  Owns subscription state and the free trial.  Everything that needs to
+  know whether a user may solve, on a plan or from the free trial
+  (FREE_TRIAL_LIMIT solves, counted in `freeTrialUsed`), how long their
+  plan has to run or what happens when a payment arrives goes through
+  here, in the browser and on the server (server/payments.js requires
+  this file).
+
+  Subscription fields on a user record:
+
+    subscription             'none', 'monthly' or 'annual'
+    subscriptionStart        ISO start of the current paid period
+    subscriptionReference    Paystack reference of the latest payment
+    autoRenew                true when Paystack renews the plan itself
+                             (paid with one of PLAN_CODES in app.js)
+    subscriptionCancelledAt  ISO time the user cancelled, if they did
+    subscriptionGrantedBy    email of the admin who granted the plan
+                             without a payment, if one did
+    payments                 [{reference, plan, amount, currency, paidAt}]
+
+  A period runs for the plan's length from its start.  Auto-renewing
+  plans stay usable for GRACE_DAYS after the period ends while Paystack
+  retries the charge; cancelled plans run to the end of the paid period
+  and then lapse.
+
+  Changes are announced as events ({type, user, endsAt}) to listeners
+  registered with `on`:
+
+    subscribed, renewed, upgraded, cancelled   from applyPayment/cancel
+    granted, revoked                            from grant/revoke
+    renewal-due, expiring, grace, expired       from check, once per period
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Plans and the length of one billing period.
+   */
+  const PLANS = {
+    monthly: { label: 'Monthly', months: 1 },
+    annual: { label: 'Annual', months: 12 },
+  };
+
+  /**
+   * Solves a user without a plan may make.
+   */
+  const FREE_TRIAL_LIMIT = 3;
+
+  /**
+   * Days an auto-renewing plan stays usable after its period ends.
+   */
+  const GRACE_DAYS = 3;
+
+  /**
+   * Days before the end of a period that reminders are given.
+   */
+  const REMINDER_DAYS = 3;
+
+  /**
+   * User fields that make up subscription state.  Only the server may
+   * change them; the browser copies them from the server's answers.
+   */
+  const FIELDS = ['subscription', 'subscriptionStart', 'subscriptionReference', 'autoRenew', 'subscriptionCancelledAt', 'subscriptionGrantedBy', 'payments'];
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const listeners = {};
+
+  /**
+   * Listen for an entitlement event.
+   *
+   * @param {string} type
+   * @param {Function} listener  called with {type, user, endsAt}
+   */
+  function on(type, listener) {
+    (listeners[type] = listeners[type] || []).push(listener);
+  }
+
+  /**
+   * Stop listening for an entitlement event.
+   *
+   * @param {string} type
+   * @param {Function} listener
+   */
+  function off(type, listener) {
+    listeners[type] = (listeners[type] || []).filter((l) => l !== listener);
+  }
+
+  /**
+   * Build an event and pass it to its listeners.
+   *
+   * @param {string} type
+   * @param {Object} user
+   * @returns {{type: string, user: Object, endsAt: Date|null}}
+   */
+  function emit(type, user) {
+    const event = { type, user, endsAt: periodEnd(user) };
+    (listeners[type] || []).forEach((listener) => listener(event));
+    return event;
+  }
+
+  /**
+   * Add whole months to a date, keeping to the last day of shorter
+   * months (31 January plus one month is 28 or 29 February).
+   *
+   * @param {Date} date
+   * @param {number} months
+   * @returns {Date}
+   */
+  function addMonths(date, months) {
+    const out = new Date(date);
+    const day = out.getUTCDate();
+    out.setUTCDate(1);
+    out.setUTCMonth(out.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(out.getUTCFullYear(), out.getUTCMonth() + 1, 0)).getUTCDate();
+    out.setUTCDate(Math.min(day, lastDay));
+    return out;
+  }
+
+  /**
+   * End of the user's current paid period, or null without a plan.
+   *
+   * @param {Object} user
+   * @returns {Date|null}
+   */
+  function periodEnd(user) {
+    const plan = user && PLANS[user.subscription];
+    if (!plan || !user.subscriptionStart) return null;
+    return addMonths(new Date(user.subscriptionStart), plan.months);
+  }
+
+  /**
+   * Whether the plan will renew at the end of the period.
+   *
+   * @param {Object} user
+   * @returns {boolean}
+   */
+  function renews(user) {
+    return !!user.autoRenew && !user.subscriptionCancelledAt;
+  }
+
+  /**
+   * The state of a user's subscription:
+   *
+   *   none       never subscribed
+   *   active     within a paid period
+   *   cancelled  within a paid period that will not renew
+   *   grace      an auto-renewing period ended less than GRACE_DAYS ago
+   *   expired    no longer usable
+   *
+   * @param {Object} user
+   * @param {Date} [now]
+   * @returns {string}
+   */
+  function state(user, now) {
+    const end = periodEnd(user);
+    if (!end) return 'none';
+    const t = (now || new Date()).getTime();
+    if (t < end.getTime()) return user.subscriptionCancelledAt ? 'cancelled' : 'active';
+    if (renews(user) && t < end.getTime() + GRACE_DAYS * DAY) return 'grace';
+    return 'expired';
+  }
+
+  /**
+   * Whether the user's plan entitles them to unlimited solves.
+   *
+   * @param {Object} user
+   * @param {Date} [now]
+   * @returns {boolean}
+   */
+  function isEntitled(user, now) {
+    const s = state(user, now);
+    return s === 'active' || s === 'cancelled' || s === 'grace';
+  }
+
+  /**
+   * Whether the user may solve another problem, on their plan or with
+   * what is left of the free trial.
+   *
+   * @param {Object} user
+   * @param {Date} [now]
+   * @returns {boolean}
+   */
+  function hasSolvesLeft(user, now) {
+    return isEntitled(user, now) || (user.freeTrialUsed || 0) < FREE_TRIAL_LIMIT;
+  }
+
+  /**
+   * Take one solve for the user: nothing on a plan, one free trial solve
+   * otherwise.  The user is updated in place.
+   *
+   * @param {Object} user
+   * @param {Date} [now]
+   * @returns {boolean} false, and nothing taken, when none are left
+   */
+  function useSolve(user, now) {
+    if (!hasSolvesLeft(user, now)) return false;
+    if (!isEntitled(user, now)) user.freeTrialUsed = (user.freeTrialUsed || 0) + 1;
+    return true;
+  }
+
+  /**
+   * Whole days left in the current paid period (0 when there is none).
+   *
+   * @param {Object} user
+   * @param {Date} [now]
+   * @returns {number}
+   */
+  function remainingDays(user, now) {
+    const end = periodEnd(user);
+    if (!end) return 0;
+    return Math.max(0, Math.ceil((end.getTime() - (now || new Date()).getTime()) / DAY));
+  }
+
+  /**
+   * When the plan will next be charged, or null if it will not renew.
+   *
+   * @param {Object} user
+   * @param {Date} [now]
+   * @returns {Date|null}
+   */
+  function nextBillingDate(user, now) {
+    const s = state(user, now);
+    return renews(user) && (s === 'active' || s === 'grace') ? periodEnd(user) : null;
+  }
+
+  /**
+   * Apply a verified payment to a user, in place.  While a plan is still
+   * usable, the paid period starts when the current one ends: paying
+   * again for the same plan renews it, and switching plan (monthly to
+   * annual or back) keeps the time left on the old one.  Otherwise the
+   * plan starts at once.  A reference that was already applied changes
+   * nothing.
+   *
+   * @param {Object} user
+   * @param {{plan: string, reference: string, amount: number, currency: string, paidAt: string,
+   *   autoRenew: boolean}} payment
+   * @returns {Object|null} the event, or null for a repeated reference
+   */
+  function applyPayment(user, payment) {
+    if (!PLANS[payment.plan]) throw new Error(`Unknown plan "${payment.plan}"`);
+    const payments = Array.isArray(user.payments) ? user.payments : [];
+    if (payments.some((p) => p.reference === payment.reference)) return null;
+    const paidAt = payment.paidAt || new Date().toISOString();
+    const current = state(user, new Date(paidAt));
+    const usable = current === 'active' || current === 'cancelled' || current === 'grace';
+    let type = 'subscribed';
+    let start = paidAt;
+    if (usable) {
+      start = periodEnd(user).toISOString();
+      if (user.subscription === payment.plan) type = 'renewed';
+      else if (PLANS[payment.plan].months > PLANS[user.subscription].months) type = 'upgraded';
+    }
+    payments.push({ reference: payment.reference, plan: payment.plan, amount: payment.amount, currency: payment.currency, paidAt });
+    user.payments = payments;
+    user.subscription = payment.plan;
+    user.subscriptionStart = start;
+    user.subscriptionReference = payment.reference;
+    user.autoRenew = !!payment.autoRenew;
+    delete user.subscriptionCancelledAt;
+    delete user.subscriptionGrantedBy;
+    return emit(type, user);
+  }
+
+  /**
+   * Cancel a user's plan, in place.  It stays usable until the end of
+   * the paid period and is not renewed.
+   *
+   * @param {Object} user
+   * @param {Date} [now]
+   * @returns {Object} the event
+   */
+  function cancel(user, now) {
+    user.subscriptionCancelledAt = (now || new Date()).toISOString();
+    user.autoRenew = false;
+    return emit('cancelled', user);
+  }
+
+  /**
+   * Give a user a plan without a payment, in place, starting now.  It
+   * does not renew and is not recorded in `payments`.
+   *
+   * @param {Object} user
+   * @param {string} plan  'monthly' or 'annual'
+   * @param {string} by  email of the admin granting it
+   * @param {Date} [now]
+   * @returns {Object} the event
+   */
+  function grant(user, plan, by, now) {
+    if (!PLANS[plan]) throw new Error(`Unknown plan "${plan}"`);
+    user.subscription = plan;
+    user.subscriptionStart = (now || new Date()).toISOString();
+    user.subscriptionReference = '';
+    user.subscriptionGrantedBy = by;
+    user.autoRenew = false;
+    delete user.subscriptionCancelledAt;
+    return emit('granted', user);
+  }
+
+  /**
+   * Take a user's plan away at once, in place.  Their payments are kept.
+   *
+   * @param {Object} user
+   * @returns {Object} the event
+   */
+  function revoke(user) {
+    user.subscription = 'none';
+    user.subscriptionStart = '';
+    user.autoRenew = false;
+    delete user.subscriptionCancelledAt;
+    delete user.subscriptionGrantedBy;
+    return emit('revoked', user);
+  }
+
+  /**
+   * Look for a reminder or expiry that is due and announce it.  Each
+   * kind of event is given once per period: the last one is remembered
+   * on the user as `entitlementNotice`, so save the user when an event
+   * is returned.
+   *
+   * @param {Object} user
+   * @param {Date} [now]
+   * @returns {Object|null} the event, if one was due
+   */
+  function check(user, now) {
+    const s = state(user, now);
+    const end = periodEnd(user);
+    const key = end ? end.toISOString() : '';
+    const last = user.entitlementNotice || {};
+    let type = null;
+    if (s === 'expired') {
+      type = 'expired';
+    } else if (s === 'grace') {
+      type = 'grace';
+    } else if ((s === 'active' || s === 'cancelled') && remainingDays(user, now) <= REMINDER_DAYS) {
+      type = renews(user) ? 'renewal-due' : 'expiring';
+    }
+    if (!type || (last.type === type && last.key === key)) return null;
+    user.entitlementNotice = { type, key };
+    return emit(type, user);
+  }
+
+  /**
+   * The subscription fields of a user, for sending between server and
+   * browser.
+   *
+   * @param {Object} user
+   * @returns {Object}
+   */
+  function fieldsOf(user) {
+    const out = {};
+    FIELDS.forEach((field) => {
+      if (field in user) out[field] = user[field];
+    });
+    return out;
+  }
+
+  const api = {
+    PLANS,
+    FREE_TRIAL_LIMIT,
+    GRACE_DAYS,
+    REMINDER_DAYS,
+    FIELDS,
+    on,
+    off,
+    state,
+    periodEnd,
+    isEntitled,
+    hasSolvesLeft,
+    useSolve,
+    remainingDays,
+    nextBillingDate,
+    applyPayment,
+    cancel,
+    grant,
+    revoke,
+    check,
+    fieldsOf,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.entitlement = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
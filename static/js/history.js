@@ -0,0 +1,193 @@
+/*
+  history.js
+  ----------
+  Solve history for each user.  Every confirmed solve is recorded on the
+  user record (next to `freeTrialUsed`) with a small thumbnail of the
+  photo, the confirmed text, the problem types, the answers and their
+  worked steps, so that students can find, re-open, export and print
+  earlier work.  Entries made before steps were kept have none.
+
+  Entries are plain JSON so they survive the trip through the user
+  store.  Apart from `makeThumbnail`, which draws on a canvas, the
+  helpers here are pure.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Maximum number of entries kept per user.  Thumbnails are small but
+   * localStorage is limited, so the oldest entries are dropped first.
+   */
+  const MAX_ENTRIES = 100;
+
+  /**
+   * Longest side of a stored thumbnail in pixels.
+   */
+  const THUMBNAIL_SIZE = 160;
+
+  /**
+   * Build a history entry from the results of a solve.
+   *
+   * @param {{thumbnail: string, text: string, mode: string, results: Array<Object>}} data
+   * @returns {Object}
+   */
+  function createEntry(data) {
+    const results = data.results.map((r) => ({
+      problem: r.problem.lines.join('\n'),
+      type: r.type,
+      label: r.label,
+      ok: r.ok,
+      solution: r.ok ? r.solutionText : r.error,
+      problemTeX: r.problemTeX || '',
+      tex: r.ok ? r.tex : '',
+      steps: r.steps || [],
+    }));
+    const types = results.map((r) => r.type).filter((t, i, all) => all.indexOf(t) === i);
+    return {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: new Date().toISOString(),
+      thumbnail: data.thumbnail || '',
+      text: data.text,
+      mode: data.mode || 'auto',
+      type: types.length === 1 ? types[0] : 'mixed',
+      results,
+    };
+  }
+
+  /**
+   * Add an entry to the front of a user's history, trimming the oldest
+   * entries beyond MAX_ENTRIES.  The user object is updated in place.
+   *
+   * @param {Object} user
+   * @param {Object} entry
+   */
+  function addEntry(user, entry) {
+    const history = Array.isArray(user.history) ? user.history : [];
+    history.unshift(entry);
+    user.history = history.slice(0, MAX_ENTRIES);
+  }
+
+  /**
+   * Filter entries by a free-text query (matched against the problem
+   * text and answers) and by problem type.
+   *
+   * @param {Array<Object>} entries
+   * @param {{query: string, type: string}} filter
+   * @returns {Array<Object>}
+   */
+  function filterEntries(entries, filter) {
+    const query = (filter.query || '').trim().toLowerCase();
+    const type = filter.type || 'all';
+    return entries.filter((entry) => {
+      if (type !== 'all' && !entry.results.some((r) => r.type === type)) return false;
+      if (!query) return true;
+      const haystack = [entry.text]
+        .concat(entry.results.map((r) => `${r.problem} ${r.label} ${r.solution}`))
+        .join(' ')
+        .toLowerCase();
+      return haystack.indexOf(query) !== -1;
+    });
+  }
+
+  /**
+   * Serialize entries as pretty-printed JSON.
+   *
+   * @param {Array<Object>} entries
+   * @returns {string}
+   */
+  function toJSON(entries) {
+    return JSON.stringify(entries, null, 2);
+  }
+
+  /**
+   * Quote a value for CSV output.
+   *
+   * @param {string} value
+   * @returns {string}
+   */
+  function csvCell(value) {
+    const str = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  /**
+   * Serialize entries as CSV with one row per solved problem.
+   *
+   * @param {Array<Object>} entries
+   * @returns {string}
+   */
+  function toCSV(entries) {
+    const rows = [['date', 'type', 'problem', 'solution', 'solved']];
+    entries.forEach((entry) => {
+      entry.results.forEach((r) => {
+        rows.push([entry.createdAt, r.type, r.problem, r.solution, r.ok ? 'yes' : 'no']);
+      });
+    });
+    return rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
+  }
+
+  /**
+   * Draw a small JPEG thumbnail of an image file.
+   *
+   * @param {Blob} file
+   * @returns {Promise<string>} a data URL, or '' if the image cannot be read
+   */
+  function makeThumbnail(file) {
+    return new Promise((resolve) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.width * scale));
+        canvas.height = Math.max(1, Math.round(img.height * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(canvas.toDataURL('image/jpeg', 0.7));
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        resolve('');
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * Offer text to the user as a file download.
+   *
+   * @param {string} filename
+   * @param {string} content
+   * @param {string} type  MIME type
+   */
+  function download(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  const api = {
+    MAX_ENTRIES,
+    createEntry,
+    addEntry,
+    filterEntries,
+    toJSON,
+    toCSV,
+    csvCell,
+    makeThumbnail,
+    download,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.history = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,237 @@
+/*
+  i18n.js
+  -------
+  Translations and locale-aware formatting.  Each language is a catalog
+  in static/locales/ that registers itself with `register`, giving its
+  name, the Tesseract language its users write in and its messages;
+  static/locales/template.js is the starting point for a new one.
+
+  Messages are looked up by key in the current locale, then in English,
+  and the key itself is shown when neither has it, so a catalog that is
+  only partly translated still works.  `{name}` in a message is replaced
+  by the matching parameter, and a message may be an object of plural
+  forms ({one, other}) chosen by the `count` parameter through
+  Intl.PluralRules.  Static text in index.html names its key in a
+  data-i18n attribute (data-i18n-placeholder, data-i18n-title and
+  data-i18n-aria-label for attributes) and is filled in by
+  `applyTranslations`.
+
+  Numbers, prices and dates are formatted with Intl for the current
+  locale, keeping the region of the browser's language when it is the
+  same language (fr-SN rather than plain fr).
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Locale shown when nothing better is known, and the fallback for
+   * messages a catalog lacks.
+   */
+  const DEFAULT_LOCALE = 'en';
+
+  /**
+   * Registered locales: code -> {label, ocr, messages}.
+   */
+  const catalogs = {};
+
+  let current = DEFAULT_LOCALE;
+
+  /**
+   * Add or replace a locale.
+   *
+   * @param {string} code  language code, e.g. 'fr'
+   * @param {{label: string, ocr: string, messages: Object}} catalog
+   *   label is the language's own name and ocr its Tesseract language
+   */
+  function register(code, catalog) {
+    catalogs[code] = {
+      label: catalog.label || code,
+      ocr: catalog.ocr || 'eng',
+      messages: catalog.messages || {},
+    };
+  }
+
+  /**
+   * The registered locales, for a language picker.
+   *
+   * @returns {Array<{code: string, label: string, ocr: string}>}
+   */
+  function locales() {
+    return Object.keys(catalogs).map((code) => ({ code, label: catalogs[code].label, ocr: catalogs[code].ocr }));
+  }
+
+  /**
+   * The first registered locale among a stored choice and the browser's
+   * preferred languages, matched on the language part ('fr-CI' -> 'fr').
+   *
+   * @param {Array<string>} preferred  stored choice first, then navigator.languages
+   * @returns {string}
+   */
+  function detectLocale(preferred) {
+    for (const tag of preferred || []) {
+      const code = String(tag || '').toLowerCase().split('-')[0];
+      if (catalogs[code]) return code;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  /**
+   * Switch locale.  An unregistered code falls back to the default.
+   *
+   * @param {string} code
+   * @returns {string} the locale now in use
+   */
+  function setLocale(code) {
+    current = catalogs[code] ? code : DEFAULT_LOCALE;
+    return current;
+  }
+
+  /**
+   * The locale in use.
+   *
+   * @returns {string}
+   */
+  function getLocale() {
+    return current;
+  }
+
+  /**
+   * Tesseract language for the current locale ('eng', 'fra', …).
+   *
+   * @returns {string}
+   */
+  function ocrLanguage() {
+    return catalogs[current] ? catalogs[current].ocr : 'eng';
+  }
+
+  /**
+   * Tag handed to Intl: the browser's own tag when it is in the current
+   * language, so that its region's conventions are kept.
+   *
+   * @returns {string}
+   */
+  function intlLocale() {
+    const browser = root.navigator && root.navigator.language;
+    if (browser && browser.toLowerCase().split('-')[0] === current) return browser;
+    return current;
+  }
+
+  /**
+   * A locale's message for `key`, in the plural form for `count` when it
+   * has several.  Empty messages, as left in a catalog made from the
+   * template, count as missing.
+   *
+   * @returns {string|undefined}
+   */
+  function lookup(code, key, count) {
+    const catalog = catalogs[code];
+    if (!catalog || !Object.prototype.hasOwnProperty.call(catalog.messages, key)) return undefined;
+    let message = catalog.messages[key];
+    if (message && typeof message === 'object') {
+      const form = typeof count === 'number' ? new Intl.PluralRules(intlLocale()).select(count) : 'other';
+      message = message[form] || message.other;
+    }
+    return message || undefined;
+  }
+
+  /**
+   * True when the current locale or English has a message for `key`.
+   *
+   * @param {string} key
+   * @returns {boolean}
+   */
+  function has(key) {
+    return lookup(current, key) !== undefined || lookup(DEFAULT_LOCALE, key) !== undefined;
+  }
+
+  /**
+   * Translate a message.
+   *
+   * @param {string} key  e.g. 'pricing.title'
+   * @param {Object} [params]  values for {placeholders}; `count` also
+   *   picks the plural form
+   * @returns {string}
+   */
+  function t(key, params) {
+    const values = params || {};
+    let message = lookup(current, key, values.count);
+    if (message === undefined) message = lookup(DEFAULT_LOCALE, key, values.count);
+    if (message === undefined) return key;
+    return String(message).replace(/\{(\w+)\}/g, (whole, name) => (name in values ? String(values[name]) : whole));
+  }
+
+  /**
+   * Fill in the text and attributes of every element under `el` that
+   * names a message key.
+   *
+   * @param {Element|Document} el
+   */
+  function applyTranslations(el) {
+    el.querySelectorAll('[data-i18n]').forEach((node) => {
+      node.textContent = t(node.dataset.i18n);
+    });
+    ['placeholder', 'title', 'aria-label'].forEach((attribute) => {
+      el.querySelectorAll(`[data-i18n-${attribute}]`).forEach((node) => {
+        node.setAttribute(attribute, t(node.getAttribute(`data-i18n-${attribute}`)));
+      });
+    });
+  }
+
+  /**
+   * Format a number for the current locale.
+   *
+   * @param {number} n
+   * @param {Object} [options]  Intl.NumberFormat options
+   * @returns {string}
+   */
+  function formatNumber(n, options) {
+    return new Intl.NumberFormat(intlLocale(), options).format(n);
+  }
+
+  /**
+   * Format an amount in hundredths (Paystack's pesewas, kobo or cents)
+   * as a price, e.g. 10000 GHS as "GH₵100.00" in English.
+   *
+   * @param {number} amount
+   * @param {string} currency  ISO 4217 code
+   * @returns {string}
+   */
+  function formatCurrency(amount, currency) {
+    return formatNumber(amount / 100, { style: 'currency', currency });
+  }
+
+  /**
+   * Format a date, or a dash when there is none.
+   *
+   * @param {Date|string|null} date
+   * @param {Object} [options]  Intl.DateTimeFormat options (a long date)
+   * @returns {string}
+   */
+  function formatDate(date, options) {
+    if (!date) return '–';
+    return new Intl.DateTimeFormat(intlLocale(), options || { year: 'numeric', month: 'long', day: 'numeric' }).format(new Date(date));
+  }
+
+  const api = {
+    DEFAULT_LOCALE,
+    register,
+    locales,
+    detectLocale,
+    setLocale,
+    getLocale,
+    ocrLanguage,
+    has,
+    t,
+    applyTranslations,
+    formatNumber,
+    formatCurrency,
+    formatDate,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.i18n = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
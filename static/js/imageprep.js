@@ -0,0 +1,589 @@
+/*
+  imageprep.js
+  ------------
+  Getting a photo ready for OCR.  Phone pictures of homework are often
+  skewed, shadowed and mostly not the problem, so before recognition the
+  image is rotated (by quarter turns and a fine straightening angle),
+  cropped to the problem and cleaned up by a pipeline of canvas steps:
+
+    grayscale   drop colour
+    upscale     enlarge small crops so characters are tall enough
+    contrast    stretch the darkest and lightest 1% to black and white
+    denoise     3x3 median filter against speckle and JPEG noise
+    threshold   adaptive (local mean) binarisation, which copes with
+                shadows that a single global threshold does not
+
+  The pixel steps work on ImageData-like objects ({width, height, data})
+  and are pure, so they run under Node too.  The rest draws on canvases:
+  `loadImage`, `transform` and `preprocess`, camera capture with
+  getUserMedia, and `createCropper`, which lets the user drag a crop box
+  over the picture.
+*/
+
+(function (root) {
+  'use strict';
+
+  // A message from the catalogs (see i18n.js).
+  function t(key, params) {
+    return root.MathGPT.i18n.t(key, params);
+  }
+
+  /**
+   * Pipeline steps in the order they run, with their English labels;
+   * the page shows the prep.<id> message from the catalogs.
+   */
+  const STEPS = [
+    { id: 'grayscale', label: 'Grayscale' },
+    { id: 'upscale', label: 'Upscale' },
+    { id: 'contrast', label: 'Contrast' },
+    { id: 'denoise', label: 'Denoise' },
+    { id: 'threshold', label: 'Threshold' },
+  ];
+
+  /**
+   * Longest side kept when a photo is loaded.  Larger photos are scaled
+   * down: they do not read any better and are slow to process.
+   */
+  const MAX_SIDE = 2000;
+
+  /**
+   * Width small crops are enlarged towards, at most UPSCALE_LIMIT times.
+   */
+  const UPSCALE_WIDTH = 1600;
+  const UPSCALE_LIMIT = 3;
+
+  /**
+   * Largest fine rotation, in degrees, that automatic straightening
+   * looks for.
+   */
+  const MAX_SKEW = 15;
+
+  /**
+   * Copy an ImageData-like object.
+   *
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  function cloneImage(image) {
+    return { width: image.width, height: image.height, data: new Uint8ClampedArray(image.data) };
+  }
+
+  /**
+   * Write one gray value into a pixel, keeping its alpha.
+   */
+  function setGray(data, i, value) {
+    data[i] = value;
+    data[i + 1] = value;
+    data[i + 2] = value;
+  }
+
+  /**
+   * Convert to gray using the usual luma weights, in place.
+   *
+   * @param {Object} image  ImageData-like
+   * @returns {Object} the same image
+   */
+  function grayscale(image) {
+    const d = image.data;
+    for (let i = 0; i < d.length; i += 4) {
+      setGray(d, i, Math.round(0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2]));
+    }
+    return image;
+  }
+
+  /**
+   * Histogram of a gray image's values.
+   *
+   * @param {Object} image  ImageData-like, already gray
+   * @returns {Uint32Array} 256 counts
+   */
+  function histogram(image) {
+    const hist = new Uint32Array(256);
+    for (let i = 0; i < image.data.length; i += 4) hist[image.data[i]]++;
+    return hist;
+  }
+
+  /**
+   * Stretch a gray image so that the darkest and lightest `clip` of its
+   * pixels become black and white, in place.
+   *
+   * @param {Object} image  ImageData-like, already gray
+   * @param {number} [clip]  fraction clipped at each end (0.01)
+   * @returns {Object} the same image
+   */
+  function stretchContrast(image, clip) {
+    const hist = histogram(image);
+    const total = image.width * image.height;
+    const cut = total * (clip === undefined ? 0.01 : clip);
+    let low = 0;
+    let high = 255;
+    for (let sum = 0; low < 255 && sum + hist[low] <= cut; low++) sum += hist[low];
+    for (let sum = 0; high > 0 && sum + hist[high] <= cut; high--) sum += hist[high];
+    if (high <= low) return image;
+    const scale = 255 / (high - low);
+    const d = image.data;
+    for (let i = 0; i < d.length; i += 4) setGray(d, i, Math.round((d[i] - low) * scale));
+    return image;
+  }
+
+  /**
+   * Replace each pixel of a gray image by the median of its 3x3
+   * neighbourhood.
+   *
+   * @param {Object} image  ImageData-like, already gray
+   * @returns {Object} a new image
+   */
+  function denoise(image) {
+    const { width, height } = image;
+    const src = image.data;
+    const out = cloneImage(image);
+    const values = new Uint8Array(9);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let n = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          const yy = Math.min(height - 1, Math.max(0, y + dy));
+          for (let dx = -1; dx <= 1; dx++) {
+            const xx = Math.min(width - 1, Math.max(0, x + dx));
+            // Insertion sort as we go; nine values need nothing cleverer.
+            const v = src[(yy * width + xx) * 4];
+            let k = n++;
+            while (k > 0 && values[k - 1] > v) {
+              values[k] = values[k - 1];
+              k--;
+            }
+            values[k] = v;
+          }
+        }
+        setGray(out.data, (y * width + x) * 4, values[4]);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Binarise a gray image against the mean of each pixel's neighbourhood
+   * (Bradley's method, using an integral image).  A pixel becomes black
+   * when it is `offset` darker than its surroundings, so writing stays
+   * black and paper white under uneven light.
+   *
+   * @param {Object} image  ImageData-like, already gray
+   * @param {{size: number, offset: number}} [options]  size is the
+   *   neighbourhood side in pixels (an eighth of the width), offset a
+   *   fraction (0.15)
+   * @returns {Object} the same image
+   */
+  function adaptiveThreshold(image, options) {
+    const opts = options || {};
+    const { width, height } = image;
+    const d = image.data;
+    const half = Math.max(4, Math.round((opts.size || width / 8) / 2));
+    const offset = opts.offset === undefined ? 0.15 : opts.offset;
+    const stride = width + 1;
+    const integral = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let row = 0;
+      for (let x = 0; x < width; x++) {
+        row += d[(y * width + x) * 4];
+        integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + row;
+      }
+    }
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - half);
+      const y1 = Math.min(height, y + half + 1);
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - half);
+        const x1 = Math.min(width, x + half + 1);
+        const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+        const mean = sum / ((x1 - x0) * (y1 - y0));
+        const i = (y * width + x) * 4;
+        setGray(d, i, d[i] < mean * (1 - offset) ? 0 : 255);
+      }
+    }
+    return image;
+  }
+
+  /**
+   * The gray level that best separates ink from paper (Otsu's method).
+   *
+   * @param {Object} image  ImageData-like, already gray
+   * @returns {number}
+   */
+  function otsuLevel(image) {
+    const hist = histogram(image);
+    const total = image.width * image.height;
+    let sumAll = 0;
+    for (let v = 0; v < 256; v++) sumAll += v * hist[v];
+    let sumBelow = 0;
+    let countBelow = 0;
+    let best = 0;
+    let level = 128;
+    for (let v = 0; v < 256; v++) {
+      countBelow += hist[v];
+      if (!countBelow || countBelow === total) continue;
+      sumBelow += v * hist[v];
+      const meanBelow = sumBelow / countBelow;
+      const meanAbove = (sumAll - sumBelow) / (total - countBelow);
+      const between = countBelow * (total - countBelow) * (meanBelow - meanAbove) ** 2;
+      if (between > best) {
+        best = between;
+        level = v;
+      }
+    }
+    return level;
+  }
+
+  /**
+   * Estimate how far the lines of writing are from horizontal.  Dark
+   * pixels are projected onto rows at each candidate angle; when the
+   * angle matches the writing, the rows are sharpest (their counts have
+   * the largest sum of squares).
+   *
+   * @param {Object} image  ImageData-like, already gray
+   * @param {{maxAngle: number, step: number}} [options]  in degrees
+   * @returns {number} the rotation, in degrees clockwise, that makes the
+   *   lines horizontal
+   */
+  function estimateSkew(image, options) {
+    const opts = options || {};
+    const maxAngle = opts.maxAngle || MAX_SKEW;
+    const step = opts.step || 0.5;
+    const { width, height, data } = image;
+    const level = otsuLevel(image);
+    const xs = [];
+    const ys = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4] <= level) {
+          xs.push(x);
+          ys.push(y);
+        }
+      }
+    }
+    // Mostly-dark images are inverted or blank paper; leave them be.
+    if (!xs.length || xs.length > width * height * 0.5) return 0;
+    const offset = width + height;
+    const bins = new Uint32Array(2 * offset + 1);
+    let bestAngle = 0;
+    let bestScore = -1;
+    const steps = Math.round(maxAngle / step);
+    for (let n = -steps; n <= steps; n++) {
+      const angle = n * step;
+      const rad = (angle * Math.PI) / 180;
+      const sin = Math.sin(rad);
+      const cos = Math.cos(rad);
+      bins.fill(0);
+      for (let k = 0; k < xs.length; k++) bins[Math.round(ys[k] * cos - xs[k] * sin) + offset]++;
+      let score = 0;
+      for (let b = 0; b < bins.length; b++) score += bins[b] * bins[b];
+      // Prefer the smaller angle when two score the same.
+      if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(bestAngle))) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+    return bestAngle === 0 ? 0 : -bestAngle;
+  }
+
+  /**
+   * Size of the box that holds an image rotated by an angle.
+   *
+   * @param {number} width
+   * @param {number} height
+   * @param {number} degrees
+   * @returns {{width: number, height: number}}
+   */
+  function rotatedSize(width, height, degrees) {
+    const rad = (degrees * Math.PI) / 180;
+    const sin = Math.abs(Math.sin(rad));
+    const cos = Math.abs(Math.cos(rad));
+    return {
+      width: Math.round(width * cos + height * sin),
+      height: Math.round(width * sin + height * cos),
+    };
+  }
+
+  /**
+   * A new canvas of the given size.
+   */
+  function makeCanvas(width, height) {
+    const canvas = root.document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+  }
+
+  /**
+   * Draw an image file onto a canvas, scaled down to MAX_SIDE.
+   *
+   * @param {Blob} file
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  function loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, MAX_SIDE / Math.max(img.width, img.height));
+        const canvas = makeCanvas(img.width * scale, img.height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(canvas);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(t('error.image')));
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * Rotate a canvas and then crop it.  Corners uncovered by the rotation
+   * are filled white, like paper.
+   *
+   * @param {HTMLCanvasElement} source
+   * @param {Object} [options]
+   * @param {number} [options.rotation]  degrees clockwise
+   * @param {{x: number, y: number, width: number, height: number}} [options.crop]
+   *   as fractions of the rotated image
+   * @param {number} [options.maxSide]  scale the result down to fit
+   * @returns {HTMLCanvasElement}
+   */
+  function transform(source, options) {
+    const opts = options || {};
+    const rotation = opts.rotation || 0;
+    const crop = opts.crop || { x: 0, y: 0, width: 1, height: 1 };
+    const size = rotatedSize(source.width, source.height, rotation);
+    const cw = Math.max(1, crop.width * size.width);
+    const ch = Math.max(1, crop.height * size.height);
+    const scale = opts.maxSide ? Math.min(1, opts.maxSide / Math.max(cw, ch)) : 1;
+    const canvas = makeCanvas(cw * scale, ch * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(scale, scale);
+    ctx.translate(-crop.x * size.width + size.width / 2, -crop.y * size.height + size.height / 2);
+    ctx.rotate((rotation * Math.PI) / 180);
+    ctx.drawImage(source, -source.width / 2, -source.height / 2);
+    return canvas;
+  }
+
+  /**
+   * Work out the straightening angle for a canvas, on a reduced copy.
+   *
+   * @param {HTMLCanvasElement} canvas
+   * @returns {number} degrees clockwise
+   */
+  function straightenAngle(canvas) {
+    const small = transform(canvas, { maxSide: 800 });
+    const ctx = small.getContext('2d');
+    const image = ctx.getImageData(0, 0, small.width, small.height);
+    return estimateSkew(grayscale(image));
+  }
+
+  /**
+   * Run the preprocessing steps that are switched on over a canvas.
+   *
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} [steps]  step id -> boolean; all on when omitted
+   * @returns {HTMLCanvasElement} a new canvas
+   */
+  function preprocess(canvas, steps) {
+    const on = (id) => !steps || !!steps[id];
+    const scale = on('upscale') ? Math.min(UPSCALE_LIMIT, Math.max(1, UPSCALE_WIDTH / canvas.width)) : 1;
+    const out = makeCanvas(canvas.width * scale, canvas.height * scale);
+    const ctx = out.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(canvas, 0, 0, out.width, out.height);
+    let image = ctx.getImageData(0, 0, out.width, out.height);
+    // The later steps read one channel, so they need gray input.
+    const needsGray = on('grayscale') || on('contrast') || on('denoise') || on('threshold');
+    if (needsGray) grayscale(image);
+    if (on('contrast')) stretchContrast(image);
+    if (on('denoise')) image = denoise(image);
+    if (on('threshold')) adaptiveThreshold(image);
+    ctx.putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    return out;
+  }
+
+  /**
+   * Encode a canvas as a PNG blob.
+   *
+   * @param {HTMLCanvasElement} canvas
+   * @returns {Promise<Blob>}
+   */
+  function toBlob(canvas) {
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  }
+
+  /**
+   * Start the camera (the rear one on phones) and show it in a video
+   * element.
+   *
+   * @param {HTMLVideoElement} video
+   * @returns {Promise<MediaStream>}
+   */
+  async function openCamera(video) {
+    if (!root.navigator.mediaDevices || !root.navigator.mediaDevices.getUserMedia) {
+      throw new Error(t('error.no-camera'));
+    }
+    const stream = await root.navigator.mediaDevices.getUserMedia({
+      video: { facingMode: { ideal: 'environment' }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+      audio: false,
+    });
+    video.srcObject = stream;
+    await video.play();
+    return stream;
+  }
+
+  /**
+   * Copy the current camera frame onto a canvas.
+   *
+   * @param {HTMLVideoElement} video
+   * @returns {HTMLCanvasElement}
+   */
+  function captureFrame(video) {
+    const scale = Math.min(1, MAX_SIDE / Math.max(video.videoWidth, video.videoHeight));
+    const canvas = makeCanvas(video.videoWidth * scale, video.videoHeight * scale);
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  /**
+   * Stop the camera.
+   *
+   * @param {MediaStream|null} stream
+   * @param {HTMLVideoElement} [video]
+   */
+  function stopCamera(stream, video) {
+    if (stream) stream.getTracks().forEach((track) => track.stop());
+    if (video) video.srcObject = null;
+  }
+
+  /**
+   * Attach a crop box to a canvas.  The canvas shows an image scaled to
+   * fit; dragging across it selects the part to keep and the rest is
+   * dimmed.  A click without a drag selects the whole image again.
+   *
+   * @param {HTMLCanvasElement} canvas
+   * @param {Function} onChange  called with the crop when a drag ends
+   * @returns {{setImage: Function, getCrop: Function, reset: Function}}
+   */
+  function createCropper(canvas, onChange) {
+    const ctx = canvas.getContext('2d');
+    let image = null;
+    let crop = null;
+    let drag = null;
+    let box = null;
+
+    const full = () => ({ x: 0, y: 0, width: 1, height: 1 });
+
+    function layout() {
+      const width = canvas.clientWidth;
+      if (!width) return false;
+      canvas.width = width;
+      canvas.height = Math.round((image.height * width) / image.width);
+      box = { width: canvas.width, height: canvas.height };
+      return true;
+    }
+
+    function draw() {
+      // Nothing to lay out while the canvas is hidden
+      if (!image || !layout()) return;
+      ctx.drawImage(image, 0, 0, box.width, box.height);
+      const r = {
+        x: crop.x * box.width,
+        y: crop.y * box.height,
+        width: crop.width * box.width,
+        height: crop.height * box.height,
+      };
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+      ctx.fillRect(0, 0, box.width, r.y);
+      ctx.fillRect(0, r.y + r.height, box.width, box.height - r.y - r.height);
+      ctx.fillRect(0, r.y, r.x, r.height);
+      ctx.fillRect(r.x + r.width, r.y, box.width - r.x - r.width, r.height);
+      ctx.strokeStyle = '#0d6efd';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 4]);
+      ctx.strokeRect(r.x + 1, r.y + 1, Math.max(0, r.width - 2), Math.max(0, r.height - 2));
+      ctx.setLineDash([]);
+    }
+
+    function fromDrag(e) {
+      const x0 = Math.min(drag.x, e.offsetX);
+      const y0 = Math.min(drag.y, e.offsetY);
+      const x1 = Math.max(drag.x, e.offsetX);
+      const y1 = Math.max(drag.y, e.offsetY);
+      const clamp = (v) => Math.min(1, Math.max(0, v));
+      const x = clamp(x0 / box.width);
+      const y = clamp(y0 / box.height);
+      return { x, y, width: clamp(x1 / box.width) - x, height: clamp(y1 / box.height) - y };
+    }
+
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!image) return;
+      drag = { x: e.offsetX, y: e.offsetY };
+      canvas.setPointerCapture(e.pointerId);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      crop = fromDrag(e);
+      draw();
+    });
+    canvas.addEventListener('pointerup', (e) => {
+      if (!drag) return;
+      const moved = Math.hypot(e.offsetX - drag.x, e.offsetY - drag.y) > 8;
+      crop = moved ? fromDrag(e) : full();
+      drag = null;
+      draw();
+      onChange(crop);
+    });
+    canvas.addEventListener('pointercancel', () => {
+      drag = null;
+    });
+    root.addEventListener('resize', draw);
+
+    return {
+      setImage(next) {
+        image = next;
+        crop = full();
+        draw();
+      },
+      getCrop() {
+        return Object.assign({}, crop || full());
+      },
+      reset() {
+        crop = full();
+        draw();
+        onChange(crop);
+      },
+    };
+  }
+
+  const api = {
+    STEPS,
+    grayscale,
+    stretchContrast,
+    denoise,
+    adaptiveThreshold,
+    otsuLevel,
+    estimateSkew,
+    rotatedSize,
+    loadImage,
+    transform,
+    straightenAngle,
+    preprocess,
+    toBlob,
+    openCamera,
+    captureFrame,
+    stopCamera,
+    createCropper,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.imageprep = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
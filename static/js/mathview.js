@@ -0,0 +1,205 @@
+/*
+  mathview.js
+  -----------
+  Typesetting for the photosolver.  Problems, answers and worked steps
+  are written in Nerdamer syntax internally (x^2, sqrt(3)/2); this
+  module converts them to LaTeX with Nerdamer's own converters and renders
+  them with the locally bundled KaTeX (static/vendor/katex) so that no
+  network access is needed.  It also produces the LaTeX, plain text and
+  MathML versions used by the copy buttons on each result.
+
+  The conversion helpers are pure and work without a DOM; only `render`
+  and `copyText` touch the page.
+*/
+
+(function (root) {
+  'use strict';
+
+  const nerdamer = root.nerdamer;
+
+  /**
+   * Relational symbols and their LaTeX commands.
+   */
+  const RELATIONS = {
+    '=': '=',
+    '≠': '\\neq',
+    '<': '<',
+    '>': '>',
+    '≤': '\\le',
+    '≥': '\\ge',
+  };
+
+  /**
+   * Wrap arbitrary text for use inside LaTeX.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function textToTeX(text) {
+    const escaped = text.replace(/[\\{}$&#^_%~]/g, (ch) => `\\${ch === '\\' ? 'backslash ' : ch}`);
+    return `\\text{${escaped}}`;
+  }
+
+  /**
+   * Convert a single expression in Nerdamer syntax to LaTeX, keeping it
+   * in the form it was written.  Anything that reads as words rather than
+   * mathematics is set as text.
+   *
+   * @param {string} expr
+   * @returns {string}
+   */
+  function exprToTeX(expr) {
+    const trimmed = expr.trim();
+    if (!trimmed) return '';
+    if (/[a-zA-Z]{2,}\s+[a-zA-Z]{2,}/.test(trimmed) || /[^\x20-\x7e]/.test(trimmed)) {
+      return textToTeX(trimmed);
+    }
+    try {
+      return nerdamer.convertToLaTeX(trimmed);
+    } catch (err) {
+      return textToTeX(trimmed);
+    }
+  }
+
+  /**
+   * Convert an evaluated value (an answer) to LaTeX, letting Nerdamer
+   * tidy the ordering of terms.
+   *
+   * @param {string} expr
+   * @returns {string}
+   */
+  function valueToTeX(expr) {
+    try {
+      return nerdamer(expr).toTeX();
+    } catch (err) {
+      return exprToTeX(expr);
+    }
+  }
+
+  /**
+   * Convert an equation or inequality, side by side.
+   *
+   * @param {string} part
+   * @returns {string}
+   */
+  function relationToTeX(part) {
+    return part
+      .split(/\s*(=|≠|≤|≥|<|>)\s*/)
+      .map((piece, i) => (i % 2 === 1 ? RELATIONS[piece] : exprToTeX(piece)))
+      .join(' ');
+  }
+
+  /**
+   * Convert one line of a step or result to LaTeX.  Lines may hold
+   * several equations separated by ",  " or "  or  ", a "label: value"
+   * pair, and a trailing check or cross mark.
+   *
+   * @param {string} line
+   * @returns {string}
+   */
+  function lineToTeX(line) {
+    let body = line.trim();
+    let mark = '';
+    if (/[✓✗]$/.test(body)) {
+      mark = body.slice(-1) === '✓' ? '\\;\\checkmark' : '\\;\\times';
+      body = body.slice(0, -1).trim();
+    }
+    const segments = body.split(/:\s+/).map((segment) =>
+      segment
+        .split(/\s+or\s+/)
+        .map((alt) => alt.split(/,\s+/).map(relationToTeX).join(',\\quad '))
+        .join('\\quad\\text{or}\\quad '),
+    );
+    return segments.join(':\\quad ') + mark;
+  }
+
+  /**
+   * Convert a (possibly multi-line) math string to LaTeX.
+   *
+   * @param {string} math
+   * @returns {string}
+   */
+  function toTeX(math) {
+    const lines = math.split('\n').filter((l) => l.trim().length > 0).map(lineToTeX);
+    if (lines.length <= 1) return lines[0] || '';
+    return `\\begin{gathered}${lines.join(' \\\\ ')}\\end{gathered}`;
+  }
+
+  /**
+   * Render LaTeX into an element.  If KaTeX is not available (or cannot
+   * parse the input) the fallback text is shown instead.
+   *
+   * @param {HTMLElement} el
+   * @param {string} tex
+   * @param {string} fallback
+   * @param {{displayMode: boolean}} [options]
+   */
+  function render(el, tex, fallback, options) {
+    const displayMode = !!(options && options.displayMode);
+    if (root.katex && tex) {
+      try {
+        root.katex.render(tex, el, { displayMode, throwOnError: true, strict: 'ignore' });
+        return;
+      } catch (err) {
+        console.warn('Could not typeset', tex, err);
+      }
+    }
+    el.textContent = fallback;
+  }
+
+  /**
+   * Produce presentation MathML for a LaTeX string.
+   *
+   * @param {string} tex
+   * @returns {string}
+   */
+  function toMathML(tex) {
+    if (!root.katex) return '';
+    const html = root.katex.renderToString(tex, { output: 'mathml', throwOnError: false, strict: 'ignore' });
+    const m = html.match(/<math[\s\S]*<\/math>/);
+    return m ? m[0] : html;
+  }
+
+  /**
+   * Copy text to the clipboard, falling back to a temporary textarea on
+   * browsers without the async clipboard API.
+   *
+   * @param {string} text
+   * @returns {Promise<void>}
+   */
+  async function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText(text);
+      return;
+    }
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.setAttribute('readonly', '');
+    area.style.position = 'absolute';
+    area.style.left = '-9999px';
+    document.body.appendChild(area);
+    area.select();
+    try {
+      document.execCommand('copy');
+    } finally {
+      document.body.removeChild(area);
+    }
+  }
+
+  const api = {
+    exprToTeX,
+    valueToTeX,
+    relationToTeX,
+    toTeX,
+    textToTeX,
+    render,
+    toMathML,
+    copyText,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.mathview = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
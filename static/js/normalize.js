@@ -0,0 +1,545 @@
+/*
+  normalize.js
+  ------------
+  Math-aware clean-up of OCR output before it reaches Nerdamer.
+  Tesseract reads printed text, not mathematics, so its output is full of
+  characters Nerdamer does not understand (×, ÷, −, ², √, π), digits
+  read as letters (l for 1, O for 0), exponents flattened onto the line
+  and brackets that were never closed.  Everything here is a pure
+  function of its input so it can be exercised against a table of OCR
+  strings without a browser.
+
+  Calculus and algebra notation (d/dx, ∫ ... dx, lim, "Simplify") is
+  rewritten into the matching Nerdamer function call so the solver can
+  tell what kind of problem it is looking at.
+
+  The main entry points are `normalizeLine` (one line of text),
+  `normalizeText` (multi-line text) and `normalizeOcr`, which takes the
+  `data` object returned by Tesseract and uses the symbol bounding boxes
+  to restore superscript exponents before normalizing.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Single character replacements for operators and constants.
+   */
+  const CHAR_MAP = {
+    '×': '*',
+    '✕': '*',
+    '·': '*',
+    '⋅': '*',
+    '∙': '*',
+    '÷': '/',
+    '∕': '/',
+    '−': '-',
+    '–': '-',
+    '—': '-',
+    '‐': '-',
+    '﹣': '-',
+    '＋': '+',
+    '＝': '=',
+    'π': 'pi',
+    '[': '(',
+    ']': ')',
+    '{': '(',
+    '}': ')',
+  };
+
+  /**
+   * Unicode superscript characters and their plain equivalents.
+   */
+  const SUPERSCRIPTS = {
+    '⁰': '0',
+    '¹': '1',
+    '²': '2',
+    '³': '3',
+    '⁴': '4',
+    '⁵': '5',
+    '⁶': '6',
+    '⁷': '7',
+    '⁸': '8',
+    '⁹': '9',
+    '⁻': '-',
+    '⁺': '+',
+    'ⁿ': 'n',
+    'ˣ': 'x',
+  };
+
+  /**
+   * Names that must not be split up when inserting implicit
+   * multiplication between adjacent letters.  Longer names come first so
+   * that the greedy match prefers "sinh" over "sin".
+   */
+  const FUNCTIONS = [
+    'integrate', 'simplify', 'defint', 'expand', 'factor', 'limit', 'diff',
+    'asinh', 'acosh', 'atanh', 'asin', 'acos', 'atan',
+    'sinh', 'cosh', 'tanh', 'sqrt', 'sin', 'cos', 'tan', 'sec', 'csc', 'cot',
+    'log', 'exp', 'abs', 'ln',
+  ];
+
+  /**
+   * Named constants that are kept together but behave like variables.
+   */
+  const CONSTANTS = ['Infinity', 'pi'];
+
+  /**
+   * Words whose letters are never digit look-alikes: the function names
+   * and constants, and "lim" before it is rewritten.
+   */
+  const WORDS = FUNCTIONS.concat(CONSTANTS, ['lim']);
+
+  /**
+   * Words that introduce an algebra instruction, mapped to the Nerdamer
+   * function that carries it out.
+   */
+  const KEYWORDS = {
+    simplify: 'simplify',
+    factorise: 'factor',
+    factorize: 'factor',
+    factor: 'factor',
+    expand: 'expand',
+  };
+
+  /**
+   * Replace operator look-alikes and unicode superscripts.
+   *
+   * @param {string} line
+   * @returns {string}
+   */
+  function replaceSymbols(line) {
+    let out = '';
+    let i = 0;
+    while (i < line.length) {
+      const ch = line[i];
+      if (SUPERSCRIPTS[ch] !== undefined) {
+        let run = '';
+        while (i < line.length && SUPERSCRIPTS[line[i]] !== undefined) {
+          run += SUPERSCRIPTS[line[i]];
+          i++;
+        }
+        out += run.length === 1 ? `^${run}` : `^(${run})`;
+        continue;
+      }
+      out += CHAR_MAP[ch] !== undefined ? CHAR_MAP[ch] : ch;
+      i++;
+    }
+    return out.replace(/\*\*/g, '^');
+  }
+
+  /**
+   * Mark the characters of a line that belong to a function name or
+   * constant, matching words the way splitWord does: greedily, from the
+   * start of each run of letters.
+   *
+   * @param {string} line
+   * @returns {Array<boolean>}
+   */
+  function wordMask(line) {
+    const mask = new Array(line.length).fill(false);
+    const lower = line.toLowerCase();
+    let i = 0;
+    while (i < line.length) {
+      if (!/[a-zA-Z]/.test(line[i])) {
+        i++;
+        continue;
+      }
+      const word = WORDS.find((w) => lower.startsWith(w.toLowerCase(), i));
+      if (word) {
+        mask.fill(true, i, i + word.length);
+        i += word.length;
+      } else {
+        i++;
+      }
+    }
+    return mask;
+  }
+
+  /**
+   * Fix letters that Tesseract commonly returns in place of digits.  An
+   * O next to a digit becomes 0, and an l or I that is next to a digit
+   * or stands on its own between operators becomes 1.  Letters of a
+   * function name are left alone, so "2log(x)" and "3ln(x)" keep their
+   * logarithms.
+   *
+   * @param {string} line
+   * @returns {string}
+   */
+  function fixDigits(line) {
+    const mask = wordMask(line);
+    const chars = line.split('');
+    const isDigit = (i) => i >= 0 && i < chars.length && /\d/.test(chars[i]);
+    // Repeat until stable so runs such as "1OO" are fully converted.
+    let changed = true;
+    while (changed) {
+      changed = false;
+      chars.forEach((ch, i) => {
+        if (mask[i] || !(isDigit(i - 1) || isDigit(i + 1))) return;
+        if (ch === 'o' || ch === 'O') chars[i] = '0';
+        else if (ch === 'l' || ch === 'I') chars[i] = '1';
+        else return;
+        changed = true;
+      });
+    }
+    return chars.join('').replace(/(^|[^a-zA-Z])[lI](?![a-zA-Z])/g, '$11');
+  }
+
+  /**
+   * Normalize the point of a limit, turning the infinity sign and its
+   * spellings into Nerdamer's Infinity.
+   *
+   * @param {string} point
+   * @returns {string}
+   */
+  function limitPoint(point) {
+    return point.replace(/∞|infinity|inf/i, 'Infinity');
+  }
+
+  /**
+   * Rewrite calculus and algebra notation into Nerdamer function calls
+   * so that the rest of the pipeline (and the solver) only ever sees one
+   * syntax: d/dx f becomes diff(f,x), ∫ f dx becomes integrate(f,x) (or
+   * defint when limits are given), lim x→a f becomes limit(f,x,a) and a
+   * leading "Simplify", "Factor" or "Expand" wraps the expression.
+   *
+   * @param {string} line  a line with whitespace already removed
+   * @returns {string}
+   */
+  function rewriteNotation(line) {
+    let m = line.match(/^(simplify|factori[sz]e|factor|expand)[:.]?(.+)$/i);
+    if (m) return `${KEYWORDS[m[1].toLowerCase()]}(${m[2]})`;
+
+    m = line.match(/^\(?d\/d([a-z])\)?(.+)$/);
+    if (m) return `diff(${m[2]},${m[1]})`;
+    m = line.match(/^d\((.+)\)\/d([a-z])$/);
+    if (m) return `diff(${m[1]},${m[2]})`;
+
+    m = line.match(/^∫_?\(?(-?[0-9.]+|-?[a-z]+)\)?\^\(?(-?[0-9.]+|-?[a-z∞]+)\)?(.+?)\*?d([a-z])$/);
+    if (m) return `defint(${m[3]},${limitPoint(m[1])},${limitPoint(m[2])},${m[4]})`;
+    m = line.match(/^∫(.+?)\*?d([a-z])$/);
+    if (m) return `integrate(${m[1]},${m[2]})`;
+
+    m = line.match(/^lim_?\(?([a-z])(?:->|→)(-?(?:[0-9.]+|∞|infinity|inf|pi|[a-z]))\)?(.+)$/i);
+    if (m) return `limit(${m[3]},${m[1]},${limitPoint(m[2])})`;
+    return line;
+  }
+
+  /**
+   * Turn √ into a sqrt() call.  The radical applies to the bracket or the
+   * single number/identifier that follows it.
+   *
+   * @param {string} line
+   * @returns {string}
+   */
+  function replaceRadicals(line) {
+    return line
+      .replace(/√\s*\(/g, 'sqrt(')
+      .replace(/√\s*([0-9.]+|[a-zA-Z]+)/g, 'sqrt($1)')
+      .replace(/√/g, 'sqrt');
+  }
+
+  /**
+   * Split the line into number, name, operator and bracket tokens.
+   *
+   * @param {string} line
+   * @returns {Array<{type: string, value: string}>}
+   */
+  function tokenize(line) {
+    const tokens = [];
+    let i = 0;
+    while (i < line.length) {
+      const ch = line[i];
+      if (/[0-9.]/.test(ch)) {
+        let num = '';
+        while (i < line.length && /[0-9.]/.test(line[i])) num += line[i++];
+        tokens.push({ type: 'number', value: num });
+      } else if (/[a-zA-Z]/.test(ch)) {
+        let word = '';
+        while (i < line.length && /[a-zA-Z]/.test(line[i])) word += line[i++];
+        splitWord(word).forEach((t) => tokens.push(t));
+      } else if (ch === '(') {
+        tokens.push({ type: 'open', value: ch });
+        i++;
+      } else if (ch === ')') {
+        tokens.push({ type: 'close', value: ch });
+        i++;
+      } else {
+        tokens.push({ type: 'op', value: ch });
+        i++;
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Break a run of letters into function names, constants and single
+   * letter variables, e.g. "2xsinx" yields x, sin, x.
+   *
+   * @param {string} word
+   * @returns {Array<{type: string, value: string}>}
+   */
+  function splitWord(word) {
+    const out = [];
+    let i = 0;
+    while (i < word.length) {
+      const rest = word.slice(i).toLowerCase();
+      const fn = FUNCTIONS.find((f) => rest.indexOf(f) === 0);
+      if (fn) {
+        out.push({ type: 'function', value: fn === 'ln' ? 'log' : fn });
+        i += fn.length;
+        continue;
+      }
+      const constant = CONSTANTS.find((c) => rest.indexOf(c.toLowerCase()) === 0);
+      if (constant) {
+        out.push({ type: 'name', value: constant });
+        i += constant.length;
+        continue;
+      }
+      out.push({ type: 'name', value: word[i] });
+      i++;
+    }
+    return out;
+  }
+
+  /**
+   * The tokens of the argument starting at `start`: a bracketed group,
+   * or a single number or name.
+   *
+   * @param {Array<{type: string, value: string}>} tokens
+   * @param {number} start
+   * @returns {Array<Object>|null} null when no argument starts there
+   */
+  function argumentAt(tokens, start) {
+    const first = tokens[start];
+    if (!first) return null;
+    if (first.type === 'number' || first.type === 'name') return [first];
+    if (first.type !== 'open') return null;
+    let depth = 0;
+    for (let i = start; i < tokens.length; i++) {
+      if (tokens[i].type === 'open') depth++;
+      if (tokens[i].type === 'close') depth--;
+      if (depth === 0) return tokens.slice(start, i + 1);
+    }
+    return tokens.slice(start);
+  }
+
+  /**
+   * Read function syntax the way it is written on paper.  A function
+   * without brackets ("sin x", "log 2") gets an explicit argument, a
+   * power written on the function ("sin^2x", "cos^2(x)") is moved onto
+   * its value, and "log10(x)" stays the base-10 logarithm.
+   *
+   * @param {Array<{type: string, value: string}>} tokens
+   * @returns {Array<{type: string, value: string}>}
+   */
+  function bracketFunctionArguments(tokens) {
+    const out = [];
+    let i = 0;
+    while (i < tokens.length) {
+      const tok = tokens[i];
+      if (tok.type !== 'function') {
+        out.push(tok);
+        i++;
+        continue;
+      }
+      let name = tok;
+      let next = i + 1;
+      if (tok.value === 'log' && tokens[next] && tokens[next].value === '10' && tokens[next + 1] && tokens[next + 1].type === 'open') {
+        name = { type: 'function', value: 'log10' };
+        next++;
+      }
+      let power = null;
+      const caret = tokens[next];
+      if (caret && caret.value === '^' && tokens[next + 1] && tokens[next + 1].type === 'number') {
+        power = tokens[next + 1];
+        next += 2;
+      }
+      const arg = argumentAt(tokens, next);
+      if (!arg) {
+        // Nothing to apply it to; leave it as written
+        out.push(tok);
+        i++;
+        continue;
+      }
+      out.push(name);
+      // A bracketed argument is read the same way, so the body of
+      // diff(sinx,x) from "d/dx sin x" becomes diff(sin(x),x).
+      if (arg[0].type === 'open') out.push(arg[0], ...bracketFunctionArguments(arg.slice(1)));
+      else out.push({ type: 'open', value: '(' }, arg[0], { type: 'close', value: ')' });
+      if (power) out.push({ type: 'op', value: '^' }, power);
+      i = next + arg.length;
+    }
+    return out;
+  }
+
+  /**
+   * Insert the multiplication signs that handwriting and print leave
+   * out: 2x, 2(x+1), (x+1)(x-1), x(x+1) and xy.
+   *
+   * @param {Array<{type: string, value: string}>} tokens
+   * @returns {string}
+   */
+  function insertImplicitMultiplication(tokens) {
+    let out = '';
+    tokens.forEach((tok, i) => {
+      const prev = tokens[i - 1];
+      if (prev) {
+        const leftOk = prev.type === 'number' || prev.type === 'name' || prev.type === 'close';
+        const rightOk = tok.type === 'number' || tok.type === 'name' || tok.type === 'function' || tok.type === 'open';
+        const bothNumbers = prev.type === 'number' && tok.type === 'number';
+        if (leftOk && rightOk && !bothNumbers) out += '*';
+      }
+      out += tok.value;
+    });
+    return out;
+  }
+
+  /**
+   * Make round brackets balance by dropping unmatched closing brackets
+   * and closing any left open.  Each side of an equation is balanced on
+   * its own so a bracket never spans the equals sign.
+   *
+   * @param {string} line
+   * @returns {string}
+   */
+  function balanceBrackets(line) {
+    return line
+      .split('=')
+      .map((side) => {
+        let depth = 0;
+        let out = '';
+        for (const ch of side) {
+          if (ch === '(') {
+            depth++;
+          } else if (ch === ')') {
+            if (depth === 0) continue;
+            depth--;
+          }
+          out += ch;
+        }
+        return out + ')'.repeat(depth);
+      })
+      .join('=');
+  }
+
+  /**
+   * Normalize a single line of OCR text into Nerdamer syntax.
+   *
+   * @param {string} line
+   * @returns {string}
+   */
+  function normalizeLine(line) {
+    let out = line
+      // A spaced x between two numbers is almost always a times sign.
+      .replace(/(\d)\s+[xX]\s+(?=\d)/g, '$1*');
+    out = out.replace(/\s+/g, '').replace(/<=|=</g, '≤').replace(/>=|=>/g, '≥');
+    out = rewriteNotation(out);
+    out = replaceSymbols(out);
+    out = replaceRadicals(out);
+    out = fixDigits(out);
+    out = balanceBrackets(out);
+    out = insertImplicitMultiplication(bracketFunctionArguments(tokenize(out)));
+    return out;
+  }
+
+  /**
+   * Normalize multi-line OCR text, dropping blank lines.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalizeText(text) {
+    return text
+      .split(/\r?\n|\r/)
+      .map(normalizeLine)
+      .filter((l) => l.length > 0)
+      .join('\n');
+  }
+
+  /**
+   * Decide whether a symbol sits above the baseline of the symbol it
+   * follows, which is how a printed exponent shows up in the bounding
+   * boxes: smaller, and with its bottom edge in the upper part of the
+   * base character.
+   *
+   * @param {{x0: number, y0: number, x1: number, y1: number}} box
+   * @param {{x0: number, y0: number, x1: number, y1: number}} base
+   * @returns {boolean}
+   */
+  function isRaised(box, base) {
+    const baseHeight = base.y1 - base.y0;
+    const height = box.y1 - box.y0;
+    if (baseHeight <= 0) return false;
+    return height < baseHeight * 0.8 && box.y1 <= base.y0 + baseHeight * 0.6;
+  }
+
+  /**
+   * Rebuild the text of each OCR line from its symbols, turning raised
+   * symbols into exponents.  `lines` follows Tesseract's structure:
+   * lines contain words, words contain symbols, and every symbol has a
+   * `text` and a `bbox`.
+   *
+   * @param {Array<Object>} lines
+   * @returns {string}
+   */
+  function textFromSymbols(lines) {
+    return lines
+      .map((line) => {
+        let out = '';
+        let base = null;
+        let exponent = '';
+        const flush = () => {
+          if (!exponent) return;
+          out += exponent.length === 1 ? `^${exponent}` : `^(${exponent})`;
+          exponent = '';
+        };
+        (line.words || []).forEach((word, w) => {
+          if (w > 0 && !exponent) out += ' ';
+          (word.symbols || []).forEach((sym) => {
+            if (base && sym.bbox && isRaised(sym.bbox, base)) {
+              exponent += sym.text;
+              return;
+            }
+            flush();
+            out += sym.text;
+            if (sym.bbox) base = sym.bbox;
+          });
+        });
+        flush();
+        return out;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Normalize the result of a Tesseract recognition.  When symbol level
+   * data is available it is used to recover exponents; otherwise the
+   * plain text is used.
+   *
+   * @param {{text: string, lines: Array<Object>}|string} data
+   * @returns {string}
+   */
+  function normalizeOcr(data) {
+    if (typeof data === 'string') return normalizeText(data);
+    const hasSymbols = data && Array.isArray(data.lines) && data.lines.some(
+      (l) => (l.words || []).some((w) => Array.isArray(w.symbols) && w.symbols.length),
+    );
+    const text = hasSymbols ? textFromSymbols(data.lines) : (data && data.text) || '';
+    return normalizeText(text);
+  }
+
+  const api = {
+    normalizeLine,
+    normalizeText,
+    normalizeOcr,
+    textFromSymbols,
+    balanceBrackets,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.normalize = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,181 @@
+/*
+  ocr.js
+  ------
+  A pool of Tesseract.js workers kept for the whole session.  Starting a
+  worker downloads the Tesseract core and the language data and sets up
+  the engine, which takes seconds, so workers are created on first use
+  (or when `warm` is called as a photo is opened) and then reused for
+  every recognition.  Jobs beyond the pool size wait their turn.
+
+  The worker, core and language files are loaded from pinned URLs
+  (PATHS) so that the service worker (sw.js) can cache them by name and
+  recognition keeps working with no network.
+*/
+
+(function (root) {
+  'use strict';
+
+  // A message from the catalogs (see i18n.js).
+  function t(key, params) {
+    return root.MathGPT.i18n.t(key, params);
+  }
+
+  /**
+   * Where Tesseract loads its worker script, engine and language data.
+   */
+  const PATHS = {
+    workerPath: 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/worker.min.js',
+    corePath: 'https://cdn.jsdelivr.net/npm/tesseract.js-core@5.0.0',
+    langPath: 'https://tessdata.projectnaptha.com/4.0.0',
+  };
+
+  /**
+   * Every file a worker may fetch for `lang`.  The core comes in a SIMD
+   * and a plain build; Tesseract picks one for the browser it runs in.
+   *
+   * @param {string} [lang]
+   * @returns {Array<string>}
+   */
+  function assetUrls(lang) {
+    return [
+      PATHS.workerPath,
+      `${PATHS.corePath}/tesseract-core-simd-lstm.wasm.js`,
+      `${PATHS.corePath}/tesseract-core-lstm.wasm.js`,
+      `${PATHS.langPath}/${lang || 'eng'}.traineddata.gz`,
+    ];
+  }
+
+  /**
+   * Create a pool of recognition workers.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.size]  workers to run at once (1)
+   * @param {string} [options.lang]  Tesseract language code ('eng')
+   * @param {Object} [options.tesseract]  the Tesseract.js global
+   * @returns {{recognize: Function, warm: Function, terminate: Function}}
+   */
+  function createPool(options) {
+    const opts = options || {};
+    const size = opts.size || 1;
+    const lang = opts.lang || 'eng';
+    const slots = [];
+    const queue = [];
+
+    function tesseract() {
+      const lib = opts.tesseract || root.Tesseract;
+      if (!lib) throw new Error(t('error.no-recognition'));
+      return lib;
+    }
+
+    /**
+     * Start a worker for a slot.  Progress messages go to whichever job
+     * the slot is running.  A worker that fails to start is forgotten so
+     * that the next job tries again.
+     */
+    function start(slot) {
+      slot.ready = tesseract()
+        .createWorker(lang, 1, Object.assign({}, PATHS, {
+          logger: (m) => {
+            if (slot.job && slot.job.onProgress) slot.job.onProgress(m);
+          },
+        }))
+        .catch((err) => {
+          slot.ready = null;
+          throw err;
+        });
+      return slot.ready;
+    }
+
+    function slotFor() {
+      let slot = slots.find((s) => !s.job);
+      if (!slot && slots.length < size) {
+        slot = { ready: null, job: null };
+        slots.push(slot);
+      }
+      return slot || null;
+    }
+
+    async function run(slot, job) {
+      slot.job = job;
+      try {
+        const worker = await (slot.ready || start(slot));
+        try {
+          const { data } = await worker.recognize(job.image);
+          job.resolve(data);
+        } catch (err) {
+          // The worker may be in a bad state; replace it next time.
+          slot.ready = null;
+          worker.terminate().catch(() => {});
+          throw err;
+        }
+      } catch (err) {
+        job.reject(err);
+      } finally {
+        slot.job = null;
+        next();
+      }
+    }
+
+    function next() {
+      while (queue.length) {
+        const slot = slotFor();
+        if (!slot) return;
+        run(slot, queue.shift());
+      }
+    }
+
+    return {
+      /**
+       * Recognize the text in an image.
+       *
+       * @param {HTMLCanvasElement|Blob|string} image
+       * @param {{onProgress: Function}} [jobOptions]  onProgress receives
+       *   Tesseract's {status, progress} messages
+       * @returns {Promise<Object>} Tesseract's result data
+       */
+      recognize(image, jobOptions) {
+        return new Promise((resolve, reject) => {
+          queue.push({ image, onProgress: jobOptions && jobOptions.onProgress, resolve, reject });
+          next();
+        });
+      },
+
+      /**
+       * Start a worker ahead of the first job.  Failures are left for
+       * that job to report.
+       */
+      warm() {
+        if (slots.length) return;
+        const slot = slotFor();
+        try {
+          start(slot).catch(() => {});
+        } catch (err) {
+          slots.pop();
+        }
+      },
+
+      /**
+       * Stop every worker.  Waiting jobs are rejected.
+       *
+       * @returns {Promise<void>}
+       */
+      async terminate() {
+        queue.splice(0).forEach((job) => job.reject(new Error(t('error.recognition-stopped'))));
+        const workers = slots.splice(0).map((slot) => slot.ready).filter(Boolean);
+        await Promise.all(workers.map((ready) => ready.then((w) => w.terminate()).catch(() => {})));
+      },
+    };
+  }
+
+  const api = {
+    PATHS,
+    assetUrls,
+    createPool,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.ocr = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,578 @@
+/*
+  plot.js
+  -------
+  Function graphing for solved problems, drawn directly on a canvas so it
+  works offline without a charting library.  `sceneFor` turns a solver
+  result into a scene (curves, implicit curves, shaded regions and
+  marked points) and `createPlot` attaches an interactive plot to a
+  canvas with pan (drag), zoom (wheel or buttons) and a hover readout.
+
+  For an equation both sides are drawn and the solutions are marked
+  where they meet.  Systems are drawn as implicit curves with their
+  common solution marked, and inequalities shade the region where they
+  hold.
+*/
+
+(function (root) {
+  'use strict';
+
+  const nerdamer = root.nerdamer;
+
+  /**
+   * Colours used for successive curves.
+   */
+  const PALETTE = ['#0d6efd', '#dc3545', '#198754', '#fd7e14', '#6f42c1'];
+
+  /**
+   * Fill colour for shaded regions.
+   */
+  const REGION_COLOR = 'rgba(13, 110, 253, 0.15)';
+
+  /**
+   * Compile an expression into a numeric function of the given
+   * variables.  The function returns NaN wherever the expression is
+   * undefined or not real.
+   *
+   * @param {string} expr
+   * @param {Array<string>} vars
+   * @returns {Function}
+   */
+  function compile(expr, vars) {
+    const fn = nerdamer(expr).buildFunction(vars);
+    return (...args) => {
+      try {
+        const y = fn(...args);
+        return typeof y === 'number' && Number.isFinite(y) ? y : NaN;
+      } catch (err) {
+        return NaN;
+      }
+    };
+  }
+
+  /**
+   * Evaluate an exact value such as "sqrt(2)" to a number, or NaN when
+   * it is not real.
+   *
+   * @param {string} value
+   * @returns {number}
+   */
+  function numeric(value) {
+    try {
+      const out = nerdamer(String(value)).evaluate().text('decimals');
+      return /i/.test(out) ? NaN : Number(out);
+    } catch (err) {
+      return NaN;
+    }
+  }
+
+  /**
+   * Format a number for labels and the readout.
+   *
+   * @param {number} n
+   * @returns {string}
+   */
+  function fmtNum(n) {
+    if (!Number.isFinite(n)) return '–';
+    return String(Number(n.toPrecision(4)));
+  }
+
+  /**
+   * Test a value against zero with an inequality symbol.
+   *
+   * @param {number} value
+   * @param {string} op
+   * @returns {boolean}
+   */
+  function satisfies(value, op) {
+    if (Number.isNaN(value)) return false;
+    if (op === '<') return value < 0;
+    if (op === '>') return value > 0;
+    if (op === '≤') return value <= 0;
+    if (op === '≥') return value >= 0;
+    return Math.abs(value) < 1e-9;
+  }
+
+  /**
+   * Choose the horizontal and vertical variables for a two-variable
+   * problem, keeping x across and y up when they are present.
+   *
+   * @param {Array<string>} variables
+   * @returns {Array<string>}
+   */
+  function axesFor(variables) {
+    const vars = variables.slice().sort();
+    if (vars.indexOf('x') !== -1 && vars.indexOf('y') !== -1) return ['x', 'y'];
+    return vars;
+  }
+
+  /**
+   * Build a scene for a single-variable curve problem.
+   *
+   * @param {Array<{label: string, expr: string}>} exprs
+   * @param {string} v
+   * @returns {Object}
+   */
+  function curveScene(exprs, v) {
+    return {
+      axes: [v, 'y'],
+      curves: exprs.map((e, i) => ({ label: e.label, fn: compile(e.expr, [v]), color: PALETTE[i % PALETTE.length] })),
+      implicit: [],
+      regions: [],
+      points: [],
+    };
+  }
+
+  /**
+   * Build the scene for a solver result, or return null if the result
+   * cannot be graphed (no variables, or more than two).
+   *
+   * @param {Object} result  a result from MathGPT.solver.solveProblem
+   * @returns {Object|null}
+   */
+  function sceneFor(result) {
+    if (!result || !result.ok) return null;
+    const solver = root.MathGPT.solver;
+    const line = result.problem.lines[0];
+    try {
+      switch (result.type) {
+        case 'solve':
+        case 'inequality': {
+          const rel = solver.splitRelation(line) || { lhs: line, op: '=', rhs: '0' };
+          const v = result.variable;
+          if (solver.variablesOf(line).some((name) => name !== v)) return null;
+          const scene = curveScene([
+            { label: `y = ${rel.lhs}`, expr: rel.lhs },
+            { label: `y = ${rel.rhs}`, expr: rel.rhs },
+          ], v);
+          const left = scene.curves[0].fn;
+          const diff = compile(`(${rel.lhs})-(${rel.rhs})`, [v]);
+          if (result.type === 'inequality') {
+            scene.regions.push({ test: (x) => satisfies(diff(x), rel.op), color: REGION_COLOR });
+          }
+          const roots = result.type === 'solve'
+            ? result.solutions
+            : (nerdamer.solve(`${rel.lhs}=${rel.rhs}`, v).symbol.elements || []).map(String);
+          roots.map(numeric).filter(Number.isFinite).forEach((x) => {
+            scene.points.push({ x, y: left(x), label: `${v} = ${fmtNum(x)}` });
+          });
+          return scene;
+        }
+        case 'system':
+        case 'region': {
+          const vars = result.problem.variables;
+          if (vars.length !== 2) return null;
+          const axes = axesFor(vars);
+          const scene = { axes, curves: [], implicit: [], regions: [], points: [] };
+          const tests = [];
+          result.problem.lines.forEach((l, i) => {
+            const rel = solver.splitRelation(l);
+            if (!rel) return;
+            const f = compile(`(${rel.lhs})-(${rel.rhs})`, axes);
+            scene.implicit.push({ label: l, fn: f, color: PALETTE[i % PALETTE.length] });
+            if (rel.op !== '=') tests.push((x, y) => satisfies(f(x, y), rel.op));
+          });
+          if (tests.length) {
+            scene.regions.push({ test: (x, y) => tests.every((t) => t(x, y)), color: REGION_COLOR });
+          }
+          if (result.values) {
+            const byName = {};
+            result.values.forEach((p) => {
+              byName[p.variable] = numeric(p.value);
+            });
+            const x = byName[axes[0]];
+            const y = byName[axes[1]];
+            if (Number.isFinite(x) && Number.isFinite(y)) {
+              scene.points.push({ x, y, label: `(${fmtNum(x)}, ${fmtNum(y)})` });
+            }
+          }
+          return scene;
+        }
+        default: {
+          const call = solver.splitCall(line);
+          const expr = call ? call.args[0] : line;
+          const v = result.variable;
+          if (solver.variablesOf(expr).some((name) => name !== v)) return null;
+          if (result.type === 'diff') {
+            return curveScene([
+              { label: `y = ${expr}`, expr },
+              { label: 'y = derivative', expr: nerdamer.diff(expr, v).toString() },
+            ], v);
+          }
+          if (result.type === 'integrate') {
+            return curveScene([
+              { label: `y = ${expr}`, expr },
+              { label: 'y = antiderivative', expr: nerdamer.integrate(expr, v).toString() },
+            ], v);
+          }
+          const scene = curveScene([{ label: `y = ${expr}`, expr }], v);
+          const f = scene.curves[0].fn;
+          if (result.type === 'defint') {
+            const a = numeric(call.args[1]);
+            const b = numeric(call.args[2]);
+            const lo = Math.min(a, b);
+            const hi = Math.max(a, b);
+            scene.regions.push({
+              test: (x, y) => {
+                if (x < lo || x > hi) return false;
+                const fx = f(x);
+                return fx >= 0 ? y >= 0 && y <= fx : y <= 0 && y >= fx;
+              },
+              color: REGION_COLOR,
+            });
+          }
+          if (result.type === 'limit') {
+            const point = call.args[2] || '0';
+            const a = numeric(point);
+            const value = numeric(nerdamer.limit(expr, v, point).toString());
+            if (Number.isFinite(a) && Number.isFinite(value)) {
+              scene.points.push({ x: a, y: value, label: `limit ${fmtNum(value)}`, hollow: true });
+            }
+          }
+          return scene;
+        }
+      }
+    } catch (err) {
+      console.warn('Could not build graph', err);
+      return null;
+    }
+  }
+
+  /**
+   * Pick a tidy grid spacing (1, 2 or 5 times a power of ten) for a
+   * span so that roughly `target` lines are drawn.
+   *
+   * @param {number} span
+   * @param {number} target
+   * @returns {number}
+   */
+  function niceStep(span, target) {
+    const raw = span / target;
+    const pow = Math.pow(10, Math.floor(Math.log10(raw)));
+    const n = raw / pow;
+    if (n < 1.5) return pow;
+    if (n < 3.5) return 2 * pow;
+    if (n < 7.5) return 5 * pow;
+    return 10 * pow;
+  }
+
+  /**
+   * Work out an initial view that shows the marked points and the
+   * interesting part of the curves.
+   *
+   * @param {Object} scene
+   * @param {number} aspect  height / width of the canvas
+   * @returns {{xmin: number, xmax: number, ymin: number, ymax: number}}
+   */
+  function initialView(scene, aspect) {
+    const xs = scene.points.map((p) => p.x);
+    let xmin = -10;
+    let xmax = 10;
+    if (xs.length) {
+      const lo = Math.min(...xs);
+      const hi = Math.max(...xs);
+      const half = Math.max(5, (hi - lo) * 0.75 + 2);
+      xmin = (lo + hi) / 2 - half;
+      xmax = (lo + hi) / 2 + half;
+    }
+
+    const ys = scene.points.map((p) => p.y).filter(Number.isFinite);
+    scene.curves.forEach((c) => {
+      for (let i = 0; i <= 200; i++) {
+        const y = c.fn(xmin + ((xmax - xmin) * i) / 200);
+        if (Number.isFinite(y)) ys.push(y);
+      }
+    });
+    if (!scene.curves.length || !ys.length) {
+      // Implicit curves and regions look right with equal scales.
+      const cy = ys.length ? ys.reduce((a, b) => a + b, 0) / ys.length : 0;
+      const half = ((xmax - xmin) * aspect) / 2;
+      return { xmin, xmax, ymin: cy - half, ymax: cy + half };
+    }
+    ys.sort((a, b) => a - b);
+    // Clip extreme values near asymptotes so the rest stays readable.
+    let ymin = Math.min(ys[Math.floor(ys.length * 0.05)], ...scene.points.map((p) => p.y).filter(Number.isFinite));
+    let ymax = Math.max(ys[Math.floor(ys.length * 0.95)], ...scene.points.map((p) => p.y).filter(Number.isFinite));
+    if (ymax - ymin < 2) {
+      ymin -= 1;
+      ymax += 1;
+    }
+    const pad = (ymax - ymin) * 0.1;
+    return { xmin, xmax, ymin: ymin - pad, ymax: ymax + pad };
+  }
+
+  /**
+   * Attach an interactive plot to a canvas.
+   *
+   * @param {HTMLCanvasElement} canvas
+   * @param {HTMLElement} readout  element that shows the hover readout
+   * @returns {{setScene: Function, zoom: Function, reset: Function, draw: Function}}
+   */
+  function createPlot(canvas, readout) {
+    const ctx = canvas.getContext('2d');
+    let scene = null;
+    let view = null;
+    let drag = null;
+    let width = 0;
+    let height = 0;
+
+    const toPx = (x) => ((x - view.xmin) / (view.xmax - view.xmin)) * width;
+    const toPy = (y) => height - ((y - view.ymin) / (view.ymax - view.ymin)) * height;
+    const toX = (px) => view.xmin + (px / width) * (view.xmax - view.xmin);
+    const toY = (py) => view.ymin + ((height - py) / height) * (view.ymax - view.ymin);
+
+    function resize() {
+      const ratio = root.devicePixelRatio || 1;
+      width = canvas.clientWidth;
+      height = canvas.clientHeight;
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    function drawRegions() {
+      const cell = 6;
+      scene.regions.forEach((region) => {
+        ctx.fillStyle = region.color;
+        for (let px = 0; px < width; px += cell) {
+          const x = toX(px + cell / 2);
+          for (let py = 0; py < height; py += cell) {
+            if (region.test(x, toY(py + cell / 2))) ctx.fillRect(px, py, cell, cell);
+          }
+        }
+      });
+    }
+
+    function drawGrid() {
+      const xStep = niceStep(view.xmax - view.xmin, 10);
+      const yStep = niceStep(view.ymax - view.ymin, 8);
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = '#e9ecef';
+      ctx.fillStyle = '#6c757d';
+      ctx.font = '11px sans-serif';
+      const axisY = Math.min(Math.max(toPy(0), 12), height - 4);
+      const axisX = Math.min(Math.max(toPx(0), 4), width - 30);
+      for (let x = Math.ceil(view.xmin / xStep) * xStep; x <= view.xmax; x += xStep) {
+        const px = Math.round(toPx(x)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(px, 0);
+        ctx.lineTo(px, height);
+        ctx.stroke();
+        if (Math.abs(x) > xStep / 2) ctx.fillText(fmtNum(x), px + 2, axisY - 2);
+      }
+      for (let y = Math.ceil(view.ymin / yStep) * yStep; y <= view.ymax; y += yStep) {
+        const py = Math.round(toPy(y)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(0, py);
+        ctx.lineTo(width, py);
+        ctx.stroke();
+        if (Math.abs(y) > yStep / 2) ctx.fillText(fmtNum(y), axisX + 2, py - 2);
+      }
+      ctx.strokeStyle = '#495057';
+      ctx.beginPath();
+      ctx.moveTo(0, Math.round(toPy(0)) + 0.5);
+      ctx.lineTo(width, Math.round(toPy(0)) + 0.5);
+      ctx.moveTo(Math.round(toPx(0)) + 0.5, 0);
+      ctx.lineTo(Math.round(toPx(0)) + 0.5, height);
+      ctx.stroke();
+      ctx.fillText(scene.axes[0], width - 12, axisY - 4);
+      ctx.fillText(scene.axes[1], axisX + 6, 12);
+    }
+
+    function drawCurves() {
+      ctx.lineWidth = 2;
+      scene.curves.forEach((curve) => {
+        ctx.strokeStyle = curve.color;
+        ctx.beginPath();
+        let prev = null;
+        for (let px = 0; px <= width; px++) {
+          const py = toPy(curve.fn(toX(px)));
+          // Break the line at gaps and across vertical asymptotes.
+          if (!Number.isFinite(py) || (prev !== null && Math.abs(py - prev) > height * 2)) {
+            prev = Number.isFinite(py) ? py : null;
+            if (prev !== null) ctx.moveTo(px, py);
+            continue;
+          }
+          if (prev === null) ctx.moveTo(px, py);
+          else ctx.lineTo(px, py);
+          prev = py;
+        }
+        ctx.stroke();
+      });
+    }
+
+    function drawImplicit() {
+      const cell = 4;
+      const cols = Math.ceil(width / cell) + 1;
+      const rows = Math.ceil(height / cell) + 1;
+      ctx.lineWidth = 2;
+      scene.implicit.forEach((curve) => {
+        const values = new Float64Array(cols * rows);
+        for (let i = 0; i < cols; i++) {
+          const x = toX(i * cell);
+          for (let j = 0; j < rows; j++) values[j * cols + i] = curve.fn(x, toY(j * cell));
+        }
+        ctx.strokeStyle = curve.color;
+        ctx.beginPath();
+        // Marching squares: join the points where each cell edge changes sign.
+        for (let i = 0; i < cols - 1; i++) {
+          for (let j = 0; j < rows - 1; j++) {
+            const corners = [
+              [i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1],
+            ].map(([ci, cj]) => ({ px: ci * cell, py: cj * cell, v: values[cj * cols + ci] }));
+            const crossings = [];
+            for (let k = 0; k < 4; k++) {
+              const a = corners[k];
+              const b = corners[(k + 1) % 4];
+              if (Number.isNaN(a.v) || Number.isNaN(b.v)) continue;
+              if ((a.v < 0) !== (b.v < 0)) {
+                const t = a.v / (a.v - b.v);
+                crossings.push([a.px + (b.px - a.px) * t, a.py + (b.py - a.py) * t]);
+              }
+            }
+            for (let k = 0; k + 1 < crossings.length; k += 2) {
+              ctx.moveTo(crossings[k][0], crossings[k][1]);
+              ctx.lineTo(crossings[k + 1][0], crossings[k + 1][1]);
+            }
+          }
+        }
+        ctx.stroke();
+      });
+    }
+
+    function drawPoints() {
+      ctx.font = '12px sans-serif';
+      scene.points.forEach((p) => {
+        const px = toPx(p.x);
+        const py = toPy(p.y);
+        if (!Number.isFinite(py)) return;
+        ctx.beginPath();
+        ctx.arc(px, py, 4.5, 0, Math.PI * 2);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#212529';
+        if (p.hollow) {
+          ctx.fillStyle = '#fff';
+          ctx.fill();
+          ctx.stroke();
+        } else {
+          ctx.fillStyle = '#212529';
+          ctx.fill();
+        }
+        ctx.fillStyle = '#212529';
+        ctx.fillText(p.label, px + 7, py - 7);
+      });
+    }
+
+    function drawLegend() {
+      ctx.font = '12px sans-serif';
+      const items = scene.curves.concat(scene.implicit);
+      items.forEach((item, i) => {
+        const y = 16 + i * 16;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(6, y - 11, ctx.measureText(item.label).width + 22, 15);
+        ctx.fillStyle = item.color;
+        ctx.fillRect(10, y - 6, 10, 3);
+        ctx.fillStyle = '#212529';
+        ctx.fillText(item.label, 24, y);
+      });
+    }
+
+    function draw() {
+      if (!scene) return;
+      resize();
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, width, height);
+      drawRegions();
+      drawGrid();
+      drawImplicit();
+      drawCurves();
+      drawPoints();
+      drawLegend();
+    }
+
+    function setScene(next) {
+      scene = next;
+      resize();
+      view = initialView(scene, height / Math.max(width, 1));
+      readout.textContent = ' ';
+      draw();
+    }
+
+    function reset() {
+      if (!scene) return;
+      view = initialView(scene, height / Math.max(width, 1));
+      draw();
+    }
+
+    /**
+     * Zoom by a factor about a point given in canvas pixels (the centre
+     * when omitted).  Factors below 1 zoom in.
+     */
+    function zoom(factor, px, py) {
+      if (!scene) return;
+      const cx = toX(px === undefined ? width / 2 : px);
+      const cy = toY(py === undefined ? height / 2 : py);
+      view = {
+        xmin: cx + (view.xmin - cx) * factor,
+        xmax: cx + (view.xmax - cx) * factor,
+        ymin: cy + (view.ymin - cy) * factor,
+        ymax: cy + (view.ymax - cy) * factor,
+      };
+      draw();
+    }
+
+    function showReadout(px, py) {
+      const x = toX(px);
+      const parts = [`${scene.axes[0]} = ${fmtNum(x)}`, `${scene.axes[1]} = ${fmtNum(toY(py))}`];
+      scene.curves.forEach((c) => parts.push(`${c.label.replace(/^y = /, '')} → ${fmtNum(c.fn(x))}`));
+      const near = scene.points.find((p) => Math.hypot(toPx(p.x) - px, toPy(p.y) - py) < 8);
+      if (near) parts.unshift(`● ${near.label}`);
+      readout.textContent = parts.join('   ');
+    }
+
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!scene) return;
+      drag = { px: e.offsetX, py: e.offsetY, view: Object.assign({}, view) };
+      canvas.setPointerCapture(e.pointerId);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+      if (!scene) return;
+      if (drag) {
+        const dx = ((e.offsetX - drag.px) / width) * (drag.view.xmax - drag.view.xmin);
+        const dy = ((e.offsetY - drag.py) / height) * (drag.view.ymax - drag.view.ymin);
+        view = {
+          xmin: drag.view.xmin - dx,
+          xmax: drag.view.xmax - dx,
+          ymin: drag.view.ymin + dy,
+          ymax: drag.view.ymax + dy,
+        };
+        draw();
+      }
+      showReadout(e.offsetX, e.offsetY);
+    });
+    const endDrag = () => {
+      drag = null;
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    canvas.addEventListener('pointerleave', () => {
+      if (!drag) readout.textContent = ' ';
+    });
+    canvas.addEventListener('wheel', (e) => {
+      if (!scene) return;
+      e.preventDefault();
+      zoom(e.deltaY < 0 ? 0.85 : 1 / 0.85, e.offsetX, e.offsetY);
+    }, { passive: false });
+    root.addEventListener('resize', draw);
+
+    return { setScene, zoom, reset, draw };
+  }
+
+  const api = { sceneFor, createPlot, niceStep };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.plot = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
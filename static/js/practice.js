@@ -0,0 +1,263 @@
+/*
+  practice.js
+  -----------
+  Practice problems made from a solved equation.  `generate` keeps the
+  shape of the equation and gives its numbers new values, solving each
+  candidate and keeping only those whose answers are clean (whole
+  numbers or simple fractions), so that 3*x+5=20 might become 4*x+7=19
+  and x^2-5*x+6=0 become x^2-7*x+10=0.
+
+  The student's answers are graded by symbolic equivalence: each one is
+  parsed by Nerdamer and must differ from an expected answer by exactly
+  zero, so 0.5, 1/2 and 2/4 are all accepted for x = 1/2.
+
+  Scores are kept per topic (the equation family found by steps.js) on
+  the user record as `practice`, next to `history`:
+
+    practice: { linear: { attempted, correct, lastAt }, ... }
+*/
+
+(function (root) {
+  'use strict';
+
+  const nerdamer = root.nerdamer;
+
+  /**
+   * Topics, keyed by equation family, with their labels.
+   */
+  const TOPICS = {
+    linear: 'Linear equations',
+    quadratic: 'Quadratic equations',
+    exponential: 'Exponential equations',
+    rational: 'Rational equations',
+    general: 'Other equations',
+  };
+
+  /**
+   * Problems offered per practice set.
+   */
+  const DEFAULT_COUNT = 5;
+
+  /**
+   * Candidates tried per problem before giving up.
+   */
+  const ATTEMPTS = 80;
+
+  /**
+   * Clean answers: whole numbers, which are tried for first, and
+   * fractions with a small denominator.
+   */
+  const WHOLE = /^-?\d{1,3}$/;
+  const CLEAN = /^-?\d{1,3}(\/\d)?$/;
+
+  /**
+   * A random whole number from lo to hi inclusive.
+   */
+  function randomInt(random, lo, hi) {
+    return lo + Math.floor(random() * (hi - lo + 1));
+  }
+
+  /**
+   * Give every number in an equation a new value.  Exponents written
+   * directly after ^ (the 2 of x^2) and digits that are part of a name
+   * (log10) keep their value, since they are the shape of the problem;
+   * the base of a power stays between 2 and 5, a coefficient is never 1
+   * and other numbers keep roughly their size and are never zero.
+   *
+   * @param {string} line
+   * @param {Function} random  returns a number in [0, 1)
+   * @returns {string}
+   */
+  function vary(line, random) {
+    return line.replace(/\d+(\.\d+)?/g, (number, decimals, offset) => {
+      const before = line.charAt(offset - 1);
+      const after = line.charAt(offset + number.length);
+      if (before === '^' || before === '.' || /[a-zA-Z_]/.test(before)) return number;
+      if (after === '^') return String(randomInt(random, 2, 5));
+      const size = Math.max(9, Math.round(Math.abs(Number(number)) * 2));
+      return String(randomInt(random, after === '*' || after === '(' ? 2 : 1, size));
+    });
+  }
+
+  /**
+   * Which powers of the variable a polynomial equation has, e.g. "1,0,1"
+   * for x^2 = 9, so that a variation cannot lose a term by cancelling it
+   * (x^2-x+8 = 8).
+   *
+   * @param {string} line
+   * @param {string} v
+   * @returns {string}
+   */
+  function termPattern(line, v) {
+    const { lhs, rhs } = root.MathGPT.solver.splitRelation(line);
+    return nerdamer.coeffs(nerdamer(`(${lhs})-(${rhs})`).expand().toString(), v).symbol.elements
+      .map((c) => (String(c) === '0' ? 0 : 1))
+      .join();
+  }
+
+  /**
+   * Solve a candidate and return its answers if they are all clean.
+   *
+   * @param {string} line
+   * @param {Array<string>} variables
+   * @param {RegExp} clean  WHOLE or CLEAN
+   * @returns {{answers: Array<string>, family: string}|null}
+   */
+  function cleanAnswers(line, variables, clean) {
+    const result = root.MathGPT.solver.solveProblem({ kind: 'equation', lines: [line], variables });
+    if (!result.ok || !result.answers || !result.answers.length || result.more) return null;
+    if (result.complex.length || result.rejected.length) return null;
+    const answers = result.answers.map((a) => (a.kind === 'exact' ? nerdamer(a.value).toString() : null));
+    if (!answers.every((a) => a !== null && clean.test(a))) return null;
+    return { answers, family: result.family };
+  }
+
+  /**
+   * Make practice problems like a solved equation.
+   *
+   * @param {Object} result  a 'solve' result from MathGPT.solver.solveProblem
+   * @param {number} [count]
+   * @param {{random: Function, exclude: Array<string>}} [options]
+   *   exclude lists problems already given
+   * @returns {Array<{line: string, variable: string, topic: string, answers: Array<string>}>}
+   *   fewer than `count` when too few clean variations turn up
+   */
+  function generate(result, count, options) {
+    const opts = options || {};
+    const random = opts.random || Math.random;
+    const line = result.problem.lines[0];
+    const variables = result.problem.variables;
+    const topic = TOPICS[result.family] ? result.family : 'general';
+    const polynomial = topic === 'linear' || topic === 'quadratic';
+    const pattern = polynomial ? termPattern(line, result.variable) : '';
+    const seen = new Set([line].concat(opts.exclude || []));
+    const problems = [];
+    for (let n = 0; n < (count || DEFAULT_COUNT); n++) {
+      for (let attempt = 0; attempt < ATTEMPTS; attempt++) {
+        const candidate = vary(line, random);
+        if (seen.has(candidate)) continue;
+        seen.add(candidate);
+        const solved = cleanAnswers(candidate, variables, attempt < ATTEMPTS / 2 ? WHOLE : CLEAN);
+        if (!solved || solved.family !== result.family) continue;
+        if (polynomial && termPattern(candidate, result.variable) !== pattern) continue;
+        problems.push({ line: candidate, variable: result.variable, topic, answers: solved.answers });
+        break;
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Split a student's answer into values: "x = 3 or x = -2", "3, -2" and
+   * "-2; 3" all give ["3", "-2"] or ["-2", "3"].
+   *
+   * @param {string} text
+   * @param {string} variable
+   * @returns {Array<string>}
+   */
+  function parseAnswers(text, variable) {
+    const normalize = root.MathGPT.normalize.normalizeLine;
+    return String(text)
+      .split(/,|;|\bor\b|\band\b/i)
+      .map((part) => part.trim().replace(new RegExp(`^${variable}\\s*=`), '').trim())
+      .filter(Boolean)
+      .map((part) => normalize(part));
+  }
+
+  /**
+   * True when two values are symbolically equal.
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  function equivalent(a, b) {
+    try {
+      return nerdamer(`(${a})-(${b})`).toString() === '0';
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Grade a student's answer to a practice problem.  It is correct when
+   * every expected answer is given and nothing else is.
+   *
+   * @param {{variable: string, answers: Array<string>}} problem
+   * @param {string} text  what the student typed
+   * @returns {{correct: boolean, found: number, wrong: Array<string>, message: string}}
+   */
+  function grade(problem, text) {
+    const given = parseAnswers(text, problem.variable);
+    if (!given.length) {
+      return { correct: false, found: 0, wrong: [], message: 'Enter an answer first.' };
+    }
+    const found = problem.answers.filter((a) => given.some((g) => equivalent(g, a))).length;
+    const wrong = given.filter((g) => !problem.answers.some((a) => equivalent(g, a)));
+    const correct = found === problem.answers.length && !wrong.length;
+    let message;
+    if (correct) message = 'Correct!';
+    else if (wrong.length) message = `${wrong.map((w) => `${problem.variable} = ${w}`).join(', ')} does not solve the equation.`;
+    else message = `${found} of ${problem.answers.length} solutions found; there is more to find.`;
+    return { correct, found, wrong, message };
+  }
+
+  /**
+   * Count a graded attempt towards a topic.  The user object is updated
+   * in place.
+   *
+   * @param {Object} user
+   * @param {string} topic
+   * @param {boolean} correct
+   */
+  function recordAttempt(user, topic, correct) {
+    const practice = user.practice && typeof user.practice === 'object' ? user.practice : {};
+    const score = practice[topic] || { attempted: 0, correct: 0, lastAt: null };
+    score.attempted++;
+    if (correct) score.correct++;
+    score.lastAt = new Date().toISOString();
+    practice[topic] = score;
+    user.practice = practice;
+  }
+
+  /**
+   * A user's scores per topic, most recently practised first.
+   *
+   * @param {Object} user
+   * @returns {Array<{topic: string, label: string, attempted: number, correct: number, percent: number}>}
+   */
+  function progress(user) {
+    const practice = (user && user.practice) || {};
+    return Object.keys(practice)
+      .filter((topic) => practice[topic].attempted > 0)
+      .sort((a, b) => String(practice[b].lastAt).localeCompare(String(practice[a].lastAt)))
+      .map((topic) => {
+        const { attempted, correct } = practice[topic];
+        return {
+          topic,
+          label: TOPICS[topic] || topic,
+          attempted,
+          correct,
+          percent: Math.round((100 * correct) / attempted),
+        };
+      });
+  }
+
+  const api = {
+    TOPICS,
+    DEFAULT_COUNT,
+    vary,
+    generate,
+    parseAnswers,
+    equivalent,
+    grade,
+    recordAttempt,
+    progress,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.practice = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,98 @@
+/*
+  pricing.js
+  ----------
+  Plan prices in every currency Paystack can charge.  The browser shows
+  and charges these amounts and the server (server/payments.js requires
+  this file) checks each verified payment against them, so the two
+  cannot drift apart.
+
+  Amounts are in the currency's smallest unit, as Paystack expects them:
+  pesewas, kobo or cents, a hundredth of the main unit in each case.
+  A customer's currency is guessed from the region of their browser
+  language (en-NG pays in naira) and can be changed on the pricing page.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Plan prices per currency, in hundredths.
+   */
+  const PRICES = {
+    GHS: { monthly: 10000, annual: 100000 },
+    NGN: { monthly: 1000000, annual: 10000000 },
+    KES: { monthly: 90000, annual: 900000 },
+    ZAR: { monthly: 12000, annual: 120000 },
+    USD: { monthly: 700, annual: 7000 },
+  };
+
+  /**
+   * Currencies in the order they are offered.
+   */
+  const CURRENCIES = Object.keys(PRICES);
+
+  /**
+   * Currency used when the browser's language names no region.
+   */
+  const DEFAULT_CURRENCY = 'GHS';
+
+  /**
+   * Currency for a region; customers in any other region pay in USD.
+   */
+  const REGIONS = {
+    GH: 'GHS',
+    NG: 'NGN',
+    KE: 'KES',
+    ZA: 'ZAR',
+  };
+
+  /**
+   * True when plans can be bought in `currency`.
+   *
+   * @param {string} currency
+   * @returns {boolean}
+   */
+  function isSupported(currency) {
+    return Object.prototype.hasOwnProperty.call(PRICES, currency);
+  }
+
+  /**
+   * Guess the currency for a language tag such as 'en-GH' or 'fr-CI'.
+   *
+   * @param {string} [tag]
+   * @returns {string}
+   */
+  function currencyFor(tag) {
+    const match = /^[a-z]{2,3}(?:-[A-Za-z]{4})?-([A-Za-z]{2})\b/.exec(String(tag || ''));
+    if (!match) return DEFAULT_CURRENCY;
+    return REGIONS[match[1].toUpperCase()] || 'USD';
+  }
+
+  /**
+   * The price of a plan in a currency, or null when either is unknown.
+   *
+   * @param {string} plan  'monthly' or 'annual'
+   * @param {string} currency
+   * @returns {number|null}
+   */
+  function priceOf(plan, currency) {
+    const prices = isSupported(currency) ? PRICES[currency] : null;
+    return prices && prices[plan] ? prices[plan] : null;
+  }
+
+  const api = {
+    PRICES,
+    CURRENCIES,
+    DEFAULT_CURRENCY,
+    REGIONS,
+    isSupported,
+    currencyFor,
+    priceOf,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.pricing = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,318 @@
+/*
+  recognize.js
+  ------------
+  The recognition pipeline: the step between a prepared image and the
+  text the solver reads.  A pipeline runs one or more recognizers in
+  order and keeps the most confident reading, stopping early once one is
+  confident enough.  Tesseract is the default recognizer; a math or
+  handwriting model that runs locally can be added next to it without
+  the solver or the rest of the app noticing.
+
+  Every recognizer has the same shape:
+
+    { name, label, recognize(image, {onProgress}) -> Promise<reading> }
+
+  and every reading follows Tesseract's result data, so normalize.js can
+  turn it into solver input whichever recognizer produced it:
+
+    { text, confidence, recognizer,
+      lines: [{ text, confidence,
+        words: [{ text, confidence,
+          symbols: [{ text, confidence, bbox, choices: [{text, confidence}] }] }] }] }
+
+  Confidences run from 0 to 100.  `choices` are the recognizer's other
+  readings of a symbol, best first; they are what `alternatives` offers
+  when a line is uncertain.
+
+  Recognizers are registered by name (`register`), so a pipeline can be
+  described in configuration, e.g. createPipeline({recognizers:
+  ['math-model', 'tesseract']}, deps).
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Symbols below this confidence are highlighted and offered
+   * alternatives.
+   */
+  const LOW_CONFIDENCE = 60;
+
+  /**
+   * Readings at or above this confidence are accepted without trying the
+   * next recognizer.
+   */
+  const ACCEPT_CONFIDENCE = 85;
+
+  const factories = {};
+
+  /**
+   * Make a recognizer available to pipelines under a name.
+   *
+   * @param {string} name
+   * @param {Function} factory  (deps) -> recognizer
+   */
+  function register(name, factory) {
+    factories[name] = factory;
+  }
+
+  /**
+   * Names of the registered recognizers.
+   *
+   * @returns {Array<string>}
+   */
+  function registered() {
+    return Object.keys(factories);
+  }
+
+  /**
+   * Mean of the confidences of a list of parts, or `fallback` when the
+   * list is empty.
+   */
+  function meanConfidence(parts, fallback) {
+    const known = parts.filter((p) => typeof p.confidence === 'number');
+    if (!known.length) return fallback;
+    return known.reduce((sum, p) => sum + p.confidence, 0) / known.length;
+  }
+
+  /**
+   * Bring a reading into the common shape: every level has text and a
+   * confidence, and every symbol a `choices` list.
+   *
+   * @param {Object} data  a reading, possibly partial
+   * @param {string} recognizer  name of the recognizer that made it
+   * @returns {Object}
+   */
+  function toReading(data, recognizer) {
+    const lines = ((data && data.lines) || []).map((line) => {
+      const words = (line.words || []).map((word) => {
+        const symbols = (word.symbols || []).map((sym) => ({
+          text: sym.text,
+          confidence: typeof sym.confidence === 'number' ? sym.confidence : word.confidence,
+          bbox: sym.bbox || null,
+          choices: (sym.choices || [])
+            .filter((c) => c.text && c.text !== sym.text)
+            .map((c) => ({ text: c.text, confidence: c.confidence }))
+            .sort((a, b) => b.confidence - a.confidence),
+        }));
+        return {
+          text: word.text !== undefined ? word.text : symbols.map((s) => s.text).join(''),
+          confidence: typeof word.confidence === 'number' ? word.confidence : meanConfidence(symbols, 0),
+          symbols,
+        };
+      });
+      return {
+        text: (line.text !== undefined ? line.text : words.map((w) => w.text).join(' ')).replace(/\n$/, ''),
+        confidence: typeof line.confidence === 'number' ? line.confidence : meanConfidence(words, 0),
+        words,
+      };
+    });
+    const text = data && data.text !== undefined ? data.text : lines.map((l) => l.text).join('\n');
+    return {
+      text,
+      confidence: data && typeof data.confidence === 'number' ? data.confidence : meanConfidence(lines, 0),
+      recognizer,
+      lines,
+    };
+  }
+
+  /**
+   * Tesseract, through a worker pool from ocr.js.
+   *
+   * @param {{ocr: Object}} deps  ocr is a pool from MathGPT.ocr.createPool
+   * @returns {Object} a recognizer
+   */
+  function tesseractRecognizer(deps) {
+    return {
+      name: 'tesseract',
+      label: 'Tesseract',
+      async recognize(image, options) {
+        const onProgress = options && options.onProgress;
+        const data = await deps.ocr.recognize(image, {
+          onProgress: (m) => {
+            if (onProgress && m.status === 'recognizing text') onProgress(m.progress);
+          },
+        });
+        return toReading(data, 'tesseract');
+      },
+    };
+  }
+
+  /**
+   * Wrap a local model as a recognizer.  `predict` receives the image
+   * and returns (or resolves to) a reading in any part of the common
+   * shape; at least `text` and `confidence`, ideally lines down to
+   * symbols with their choices.
+   *
+   * @param {{name: string, label: string, predict: Function}} model
+   * @returns {Object} a recognizer
+   */
+  function modelRecognizer(model) {
+    return {
+      name: model.name,
+      label: model.label || model.name,
+      async recognize(image, options) {
+        const onProgress = options && options.onProgress;
+        if (onProgress) onProgress(0);
+        const data = await model.predict(image, { onProgress });
+        if (onProgress) onProgress(1);
+        const reading = typeof data === 'string' ? { text: data } : data;
+        // A model that only gives text still gets one line per text line.
+        if (!reading.lines) {
+          reading.lines = String(reading.text || '').split('\n').filter((t) => t.trim()).map((t) => ({
+            text: t,
+            confidence: reading.confidence,
+            words: [],
+          }));
+        }
+        return toReading(reading, model.name);
+      },
+    };
+  }
+
+  /**
+   * Create a pipeline.  Recognizers are tried in order until one reading
+   * reaches `accept`; the most confident reading is returned.  A
+   * recognizer that fails is skipped unless none succeed.
+   *
+   * @param {{recognizers: Array<string|Object>, accept: number}} config
+   *   recognizers are registered names or recognizer objects
+   * @param {Object} [deps]  passed to the factories of named recognizers
+   * @returns {{recognizers: Array<Object>, recognize: Function}}
+   */
+  function createPipeline(config, deps) {
+    const accept = config.accept === undefined ? ACCEPT_CONFIDENCE : config.accept;
+    const recognizers = (config.recognizers || ['tesseract']).map((r) => {
+      if (typeof r !== 'string') return r;
+      if (!factories[r]) throw new Error(`Unknown recognizer "${r}"`);
+      return factories[r](deps || {});
+    });
+    return {
+      recognizers,
+
+      /**
+       * Read the text in an image.
+       *
+       * @param {HTMLCanvasElement|Blob} image
+       * @param {{onProgress: Function}} [options]  onProgress(fraction, label)
+       * @returns {Promise<Object>} the best reading
+       */
+      async recognize(image, options) {
+        const onProgress = options && options.onProgress;
+        let best = null;
+        let lastError = null;
+        for (let i = 0; i < recognizers.length; i++) {
+          const recognizer = recognizers[i];
+          try {
+            const reading = await recognizer.recognize(image, {
+              onProgress: (fraction) => {
+                if (onProgress) onProgress((i + fraction) / recognizers.length, recognizer.label);
+              },
+            });
+            if (!best || reading.confidence > best.confidence) best = reading;
+            if (reading.confidence >= accept && reading.text.trim()) break;
+          } catch (err) {
+            console.warn(`Recognizer ${recognizer.name} failed`, err);
+            lastError = err;
+          }
+        }
+        if (!best) throw lastError || new Error('No recognizer is configured.');
+        return best;
+      },
+    };
+  }
+
+  /**
+   * Symbols of a line with their position, flattened across words.
+   */
+  function lineSymbols(line) {
+    const out = [];
+    line.words.forEach((word, w) => {
+      word.symbols.forEach((sym, s) => out.push({ w, s, sym }));
+    });
+    return out;
+  }
+
+  /**
+   * Other likely readings of a line, made by swapping uncertain symbols
+   * for their choices.  Readings are ranked by the product of the
+   * confidences of their symbols, best first, and the line as read is
+   * not included.
+   *
+   * @param {Object} line  a line of a reading
+   * @param {{threshold: number, limit: number}} [options]
+   * @returns {Array<{line: Object, confidence: number}>} lines in the
+   *   reading shape, for normalize.js
+   */
+  function alternatives(line, options) {
+    const opts = options || {};
+    const threshold = opts.threshold === undefined ? LOW_CONFIDENCE : opts.threshold;
+    const limit = opts.limit || 3;
+    const uncertain = lineSymbols(line).filter(({ sym }) => sym.confidence < threshold && sym.choices.length);
+    if (!uncertain.length) return [];
+    // Each uncertain symbol has its own reading first, then its choices.
+    const readings = uncertain.map(({ sym }) => [{ text: sym.text, confidence: sym.confidence }].concat(sym.choices));
+    const score = (picks) => picks.reduce((p, pick, k) => p * Math.max(readings[k][pick].confidence, 1) / 100, 1);
+    // Best-first search over the combinations.
+    const start = uncertain.map(() => 0);
+    const seen = new Set([start.join()]);
+    const frontier = [{ picks: start, score: score(start) }];
+    const found = [];
+    while (frontier.length && found.length < limit + 1) {
+      frontier.sort((a, b) => b.score - a.score);
+      const { picks, score: s } = frontier.shift();
+      found.push({ picks, score: s });
+      picks.forEach((pick, k) => {
+        if (pick + 1 >= readings[k].length) return;
+        const next = picks.slice();
+        next[k]++;
+        if (seen.has(next.join())) return;
+        seen.add(next.join());
+        frontier.push({ picks: next, score: score(next) });
+      });
+    }
+    return found
+      .filter(({ picks }) => picks.some((p) => p > 0))
+      .slice(0, limit)
+      .map(({ picks, score: s }) => {
+        const copy = {
+          text: '',
+          confidence: Math.round(s * 100),
+          words: line.words.map((word) => ({
+            text: word.text,
+            confidence: word.confidence,
+            symbols: word.symbols.map((sym) => Object.assign({}, sym)),
+          })),
+        };
+        picks.forEach((pick, k) => {
+          const { w, s: si } = uncertain[k];
+          copy.words[w].symbols[si].text = readings[k][pick].text;
+        });
+        copy.words.forEach((word) => {
+          word.text = word.symbols.map((sym) => sym.text).join('');
+        });
+        copy.text = copy.words.map((word) => word.text).join(' ');
+        return { line: copy, confidence: copy.confidence };
+      });
+  }
+
+  register('tesseract', tesseractRecognizer);
+
+  const api = {
+    LOW_CONFIDENCE,
+    ACCEPT_CONFIDENCE,
+    register,
+    registered,
+    toReading,
+    tesseractRecognizer,
+    modelRecognizer,
+    createPipeline,
+    alternatives,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.recognize = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,186 @@
+/*
+  router.js
+  ---------
+  Hash routes for the single page app.  Each view has an address such as
+  `#/history`, so the back and forward buttons, bookmarks and links to a
+  view work without any help from the web server (the app is served as
+  static files, and the service worker only knows index.html).
+
+  Routes are plain objects with a `path`; a segment written `:name`
+  matches any one segment and is handed over in `params`.  Whenever the
+  address changes the router finds the matching route and asks `guard`
+  whether it may be shown: the guard answers with another path to go to
+  instead (the login page, say), or nothing.  The route that is finally
+  shown goes to `onRoute`.  Fragments that are not routes, such as the
+  `#verify?…` links in our emails, are passed to `onUnknown` and then
+  replaced by the fallback route.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Redirects followed for one address change before giving up, in case
+   * two guards send the user back and forth.
+   */
+  const MAX_REDIRECTS = 5;
+
+  /**
+   * The route path in a location hash ('#/history' -> '/history'), or
+   * null when the hash is not a route.
+   *
+   * @param {string} hash
+   * @returns {string|null}
+   */
+  function pathOf(hash) {
+    const m = /^#?(\/[^?#]*)$/.exec(hash || '');
+    return m ? m[1] : null;
+  }
+
+  /**
+   * Match a path against a route pattern.
+   *
+   * @param {string} pattern  e.g. '/shared/:data'
+   * @param {string} path
+   * @returns {Object|null} the :params, or null when it does not match
+   *   (including a parameter that is not valid percent-encoding)
+   */
+  function matchPath(pattern, path) {
+    const want = pattern.split('/');
+    const got = path.split('/');
+    if (want.length !== got.length) return null;
+    const params = {};
+    for (let i = 0; i < want.length; i++) {
+      if (want[i].charAt(0) === ':') {
+        if (!got[i]) return null;
+        try {
+          params[want[i].slice(1)] = decodeURIComponent(got[i]);
+        } catch (err) {
+          return null;
+        }
+      } else if (want[i] !== got[i]) {
+        return null;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Create a router.  Nothing happens until `start` is called.
+   *
+   * @param {Object} options
+   * @param {Array<{path: string}>} options.routes
+   * @param {string} options.fallback  path shown for an empty or unknown
+   *   address
+   * @param {Function} [options.guard]  (route, params, path) -> a path to
+   *   show instead, or null to allow it
+   * @param {Function} options.onRoute  (route, params, path) when a route
+   *   is shown
+   * @param {Function} [options.onUnknown]  (hash) for a fragment that is
+   *   not a route
+   * @param {Window} [win]  the window whose address is used
+   * @returns {{start: Function, navigate: Function, resolve: Function,
+   *   current: Function, match: Function}}
+   */
+  function createRouter(options, win) {
+    const w = win || root;
+    let current = null;
+
+    function match(path) {
+      for (const route of options.routes) {
+        const params = matchPath(route.path, path);
+        if (params) return { route, params };
+      }
+      return null;
+    }
+
+    // Point the address at a path without adding a history entry.
+    function replace(path) {
+      w.history.replaceState(null, '', `#${path}`);
+    }
+
+    /**
+     * Show the route for the current address, following guard redirects.
+     */
+    function resolve() {
+      let path = pathOf(w.location.hash);
+      if (path === null) {
+        if (w.location.hash && options.onUnknown) options.onUnknown(w.location.hash);
+        path = options.fallback;
+        replace(path);
+      }
+      for (let i = 0; i <= MAX_REDIRECTS; i++) {
+        let found = match(path);
+        if (!found) {
+          path = options.fallback;
+          replace(path);
+          found = match(path);
+        }
+        const redirect = options.guard ? options.guard(found.route, found.params, path) : null;
+        if (!redirect || redirect === path) {
+          current = { route: found.route, params: found.params, path };
+          options.onRoute(found.route, found.params, path);
+          return;
+        }
+        path = redirect;
+        replace(path);
+      }
+      throw new Error(`Too many redirects from ${w.location.hash}`);
+    }
+
+    return {
+      /**
+       * Show the route for the current address and follow later changes.
+       */
+      start() {
+        w.addEventListener('hashchange', resolve);
+        resolve();
+      },
+
+      /**
+       * Go to a path.  With `replace` the current history entry is
+       * replaced, so the back button skips the page being left.
+       *
+       * @param {string} path
+       * @param {{replace: boolean}} [opts]
+       */
+      navigate(path, opts) {
+        if (opts && opts.replace) {
+          replace(path);
+          resolve();
+        } else if (pathOf(w.location.hash) === path) {
+          // Setting the same hash fires no hashchange
+          resolve();
+        } else {
+          w.location.hash = path;
+        }
+      },
+
+      resolve,
+
+      /**
+       * The route on screen.
+       *
+       * @returns {{route: Object, params: Object, path: string}|null}
+       */
+      current() {
+        return current;
+      },
+
+      match,
+    };
+  }
+
+  const api = {
+    MAX_REDIRECTS,
+    pathOf,
+    matchPath,
+    createRouter,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.router = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,160 @@
+/*
+  share.js
+  --------
+  Shareable links to a solved problem.  The problem, its answer and the
+  worked steps are written into the link itself, after `#/shared/`, so
+  that whoever opens it sees the solution without an account and
+  without anything being stored on a server.
+
+  The data is JSON, compressed with deflate where the browser can
+  (CompressionStream) and written in base64url so that it survives in a
+  URL fragment.  Its first character says which: 'z' for compressed,
+  'j' for plain JSON.  The photo is left out; it would make the link
+  far too long.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Version of the shared data, bumped if its fields ever change.
+   */
+  const VERSION = 1;
+
+  /**
+   * Longest link data accepted when opening a link, so that a huge
+   * fragment cannot stall the page.
+   */
+  const MAX_DATA_LENGTH = 20000;
+
+  /**
+   * An error for link data that cannot be read.  `code` is 'invalid',
+   * 'damaged' or 'unsupported' (a compressed link in a browser that
+   * cannot decompress it).
+   *
+   * @param {string} code
+   * @param {string} message
+   * @returns {Error}
+   */
+  function shareError(code, message) {
+    return Object.assign(new Error(message), { code });
+  }
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach((b) => {
+      binary += String.fromCharCode(b);
+    });
+    return root.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const binary = root.atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  }
+
+  // Run bytes through a CompressionStream or DecompressionStream.
+  async function pipe(bytes, stream) {
+    const blob = new root.Blob([bytes]);
+    const buffer = await new root.Response(blob.stream().pipeThrough(stream)).arrayBuffer();
+    return new Uint8Array(buffer);
+  }
+
+  /**
+   * The fields of a solver result that a shared link carries.
+   *
+   * @param {Object} result  a result from MathGPT.solver.solveProblem, or
+   *   one stored in a history entry
+   * @returns {Object}
+   */
+  function fromResult(result) {
+    const problem = result.problem && result.problem.lines ? result.problem.lines.join('\n') : result.problem;
+    return {
+      v: VERSION,
+      problem,
+      problemTeX: result.problemTeX || '',
+      type: result.type,
+      label: result.label,
+      solution: result.solutionText || result.solution,
+      tex: result.tex || '',
+      steps: (result.steps || []).map((s) => (s.tex ? { title: s.title, math: s.math, tex: s.tex } : { title: s.title, math: s.math })),
+    };
+  }
+
+  /**
+   * Write a solution as link data.
+   *
+   * @param {Object} solution  from fromResult
+   * @returns {Promise<string>}
+   */
+  async function encode(solution) {
+    const bytes = new root.TextEncoder().encode(JSON.stringify(solution));
+    if (typeof root.CompressionStream === 'function') {
+      return `z${toBase64Url(await pipe(bytes, new root.CompressionStream('deflate-raw')))}`;
+    }
+    return `j${toBase64Url(bytes)}`;
+  }
+
+  /**
+   * Read a solution back from link data.
+   *
+   * @param {string} data
+   * @returns {Promise<Object>}
+   * @throws {Error} with a `code` when the data is damaged or not a
+   *   solution
+   */
+  async function decode(data) {
+    if (typeof data !== 'string' || data.length < 2 || data.length > MAX_DATA_LENGTH) {
+      throw shareError('invalid', 'The link is not valid.');
+    }
+    if (data[0] !== 'z' && data[0] !== 'j') throw shareError('invalid', 'The link is not valid.');
+    if (data[0] === 'z' && typeof root.DecompressionStream !== 'function') {
+      throw shareError('unsupported', 'This browser cannot open the link.');
+    }
+    let solution;
+    try {
+      let bytes = fromBase64Url(data.slice(1));
+      if (data[0] === 'z') bytes = await pipe(bytes, new root.DecompressionStream('deflate-raw'));
+      solution = JSON.parse(new root.TextDecoder().decode(bytes));
+    } catch (err) {
+      throw shareError('damaged', 'The link is damaged.');
+    }
+    if (!solution || solution.v !== VERSION || typeof solution.problem !== 'string' || typeof solution.solution !== 'string') {
+      throw shareError('invalid', 'The link is not valid.');
+    }
+    // A label that is not text is dropped: the page labels the answer by
+    // its type, or by this label for a type it does not know, and falls
+    // back to the catalog's result.label.solve (see solver.resultLabel).
+    if (typeof solution.type !== 'string') delete solution.type;
+    if (typeof solution.label !== 'string' || !solution.label.trim()) delete solution.label;
+    if (!Array.isArray(solution.steps)) solution.steps = [];
+    solution.steps = solution.steps.filter((s) => s && typeof s.title === 'string' && typeof s.math === 'string');
+    return solution;
+  }
+
+  /**
+   * The link that opens a solution.
+   *
+   * @param {Object} solution  from fromResult
+   * @param {string} pageUrl  address of the app
+   * @returns {Promise<string>}
+   */
+  async function link(solution, pageUrl) {
+    return `${pageUrl.replace(/#.*$/, '')}#/shared/${await encode(solution)}`;
+  }
+
+  const api = {
+    VERSION,
+    MAX_DATA_LENGTH,
+    fromResult,
+    encode,
+    decode,
+    link,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.share = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
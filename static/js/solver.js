@@ -0,0 +1,855 @@
+/*
+  solver.js
+  ---------
+  Turns recognized text into problems and solves them with Nerdamer.  A
+  photo rarely contains just one line: a worksheet may hold several
+  independent problems and a system of equations spans two or more
+  lines.  `splitProblems` breaks the OCR output into separate problems,
+  grouping consecutive lines that share variables into a system, and
+  `solveProblem` solves each one, using `nerdamer.solveEquations` for
+  systems and `nerdamer.solve` plus the step generator for single
+  equations.  Every solution of a single equation is substituted back
+  and labelled exact or approximate (verify.js); when Nerdamer cannot
+  solve the equation, or only approximates, its real roots are also
+  searched for numerically, and an equation with none says why.
+
+  Not every photo is an equation.  Lines written as Nerdamer calls
+  (diff, integrate, defint, limit, simplify, factor, expand), which is
+  what the normalizer turns d/dx, ∫ and lim notation into, are routed to
+  the matching Nerdamer function, and a bare expression is simplified
+  rather than forced into "= 0".  `applyMode` lets the dashboard's mode
+  selector override the detected type.
+
+  Inequalities (<, >, ≤, ≥) in one variable are solved by testing the
+  intervals between the roots of the boundary equation; inequalities in
+  two variables, alone or as a system, describe a region which the
+  graph shades.
+*/
+
+(function (root) {
+  'use strict';
+
+  const nerdamer = root.nerdamer;
+
+  /**
+   * Problem types, keyed by the Nerdamer function that handles them, with
+   * the catalog key of the label shown on the result card.
+   */
+  const PROBLEM_TYPES = {
+    solve: 'result.label.solve',
+    system: 'result.label.system',
+    diff: 'result.label.diff',
+    integrate: 'result.label.integrate',
+    defint: 'result.label.defint',
+    limit: 'result.label.limit',
+    simplify: 'result.label.simplify',
+    factor: 'result.label.factor',
+    expand: 'result.label.expand',
+    inequality: 'result.label.inequality',
+    region: 'result.label.region',
+  };
+
+  // A message from the catalogs (see i18n.js).
+  function t(key, params) {
+    return root.MathGPT.i18n.t(key, params);
+  }
+
+  /**
+   * Relational symbols a line may use, inequalities before "=" so that
+   * the first match is the relation of the line.
+   */
+  const RELATION = /≤|≥|<|>|=/;
+
+  /**
+   * Inequality symbols.
+   */
+  const INEQUALITY = /≤|≥|<|>/;
+
+  /**
+   * Dashboard modes and the Nerdamer function each one wraps an
+   * expression in.
+   */
+  const MODES = {
+    derivative: 'diff',
+    integral: 'integrate',
+    limit: 'limit',
+    simplify: 'simplify',
+    factor: 'factor',
+    expand: 'expand',
+  };
+
+  /**
+   * Find the variables used by a line.  Nerdamer is asked first; if the
+   * line does not parse the single letters in it are used instead.
+   *
+   * @param {string} line
+   * @returns {Array<string>}
+   */
+  function variablesOf(line) {
+    const rel = splitRelation(line);
+    const expr = rel ? `(${rel.lhs})-(${rel.rhs})` : line;
+    try {
+      return nerdamer(expr).variables();
+    } catch (err) {
+      const letters = line.match(/[a-zA-Z]/g) || [];
+      return letters.filter((l, i) => letters.indexOf(l) === i).sort();
+    }
+  }
+
+  /**
+   * Split a line at its relation symbol.  Returns null for a plain
+   * expression.
+   *
+   * @param {string} line
+   * @returns {{lhs: string, op: string, rhs: string}|null}
+   */
+  function splitRelation(line) {
+    const m = line.match(RELATION);
+    if (!m) return null;
+    return {
+      lhs: line.slice(0, m.index),
+      op: m[0],
+      rhs: line.slice(m.index + 1) || '0',
+    };
+  }
+
+  /**
+   * True when a line is an equation or inequality rather than an
+   * expression.
+   *
+   * @param {string} line
+   * @returns {boolean}
+   */
+  function isRelation(line) {
+    return RELATION.test(line);
+  }
+
+  /**
+   * Parse a single line the way the solver will read it, for previewing
+   * recognized text before it is solved.
+   *
+   * @param {string} line
+   * @returns {{ok: boolean, text: string, error: string}}
+   */
+  function parseLine(line) {
+    try {
+      const rel = splitRelation(line);
+      const text = rel
+        ? `${nerdamer(rel.lhs).toString()} ${rel.op} ${nerdamer(rel.rhs).toString()}`
+        : nerdamer(line).toString();
+      return { ok: true, text, error: '' };
+    } catch (err) {
+      return { ok: false, text: '', error: err.message || String(err) };
+    }
+  }
+
+  /**
+   * Split a Nerdamer function call such as "diff(x^3,x)" into its name
+   * and top-level arguments.  Returns null if the line is not a single
+   * call to one of the known problem functions.
+   *
+   * @param {string} line
+   * @returns {{fn: string, args: Array<string>}|null}
+   */
+  function splitCall(line) {
+    const m = line.match(/^([a-z]+)\((.*)\)$/);
+    if (!m || !PROBLEM_TYPES[m[1]] || m[1] === 'solve' || m[1] === 'system') return null;
+    const args = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of m[2]) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (depth < 0) return null;
+      if (ch === ',' && depth === 0) {
+        args.push(current);
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (depth !== 0) return null;
+    args.push(current);
+    return { fn: m[1], args };
+  }
+
+  /**
+   * Work out what kind of problem a line is: one of the PROBLEM_TYPES
+   * keys.  Equations are solved, known function calls keep their
+   * function and anything else is an expression to simplify.
+   *
+   * @param {string} line
+   * @returns {string}
+   */
+  function problemType(line) {
+    const call = splitCall(line);
+    if (call) return call.fn;
+    if (INEQUALITY.test(line)) return variablesOf(line).length > 1 ? 'region' : 'inequality';
+    return line.indexOf('=') === -1 ? 'simplify' : 'solve';
+  }
+
+  /**
+   * Apply the mode chosen on the dashboard to every line of the text.
+   * In "auto" mode the text is left alone and the type is detected; in
+   * "solve" mode expressions are set equal to zero; the other modes wrap
+   * each expression in the matching Nerdamer call.
+   *
+   * @param {string} text
+   * @param {string} mode
+   * @param {{limitPoint: string}} [options]
+   * @returns {string}
+   */
+  function applyMode(text, mode, options) {
+    if (!mode || mode === 'auto') return text;
+    const opts = options || {};
+    return text
+      .split('\n')
+      .map((line) => {
+        if (!line || splitCall(line)) return line;
+        if (mode === 'solve') return isRelation(line) ? line : `${line}=0`;
+        // An equation has no single expression to differentiate or factor.
+        if (isRelation(line)) return line;
+        const v = pickVariable(variablesOf(line));
+        const fn = MODES[mode];
+        if (fn === 'diff' || fn === 'integrate') return `${fn}(${line},${v})`;
+        if (fn === 'limit') return `limit(${line},${v},${opts.limitPoint || '0'})`;
+        return `${fn}(${line})`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Typeset the problem as written.  Equations are converted side by
+   * side; simplify/factor/expand show only the expression they act on.
+   *
+   * @param {{kind: string, lines: Array<string>}} problem
+   * @param {string} type
+   * @returns {string}
+   */
+  function problemToTeX(problem, type) {
+    const view = root.MathGPT.mathview;
+    if (type === 'simplify' || type === 'factor' || type === 'expand') {
+      const call = splitCall(problem.lines[0]);
+      return view.exprToTeX(call ? call.args[0] : problem.lines[0]);
+    }
+    const lines = problem.lines.map((l) => view.relationToTeX(l));
+    if (lines.length === 1) return lines[0];
+    return `\\left\\{\\begin{aligned}${lines.join(' \\\\ ')}\\end{aligned}\\right.`;
+  }
+
+  /**
+   * Carry out a non-equation problem with the matching Nerdamer
+   * function and describe the result.
+   *
+   * @param {string} type  a PROBLEM_TYPES key other than solve/system
+   * @param {string} line
+   * @returns {{variable: string, solutionText: string, tex: string}}
+   */
+  function evaluateProblem(type, line) {
+    const view = root.MathGPT.mathview;
+    const call = splitCall(line) || { fn: type, args: [line] };
+    const expr = call.args[0];
+    const v = call.args[type === 'defint' ? 3 : 1] || pickVariable(variablesOf(expr));
+    let result;
+    let text;
+    try {
+      switch (type) {
+        case 'diff':
+          result = nerdamer.diff(expr, v).toString();
+          text = `d/d${v} (${expr}) = ${result}`;
+          break;
+        case 'integrate':
+          result = nerdamer.integrate(expr, v).toString();
+          text = `∫ ${expr} d${v} = ${result} + C`;
+          break;
+        case 'defint':
+          result = nerdamer.defint(expr, call.args[1], call.args[2], v).toString();
+          text = `∫ from ${call.args[1]} to ${call.args[2]} of ${expr} d${v} = ${result}`;
+          break;
+        case 'limit':
+          result = nerdamer.limit(expr, v, call.args[2] || '0').toString();
+          text = `lim ${v}→${call.args[2] || '0'} ${expr} = ${result}`;
+          break;
+        case 'factor':
+          result = nerdamer.factor(expr).toString();
+          text = result;
+          break;
+        case 'expand':
+          result = nerdamer.expand(expr).toString();
+          text = result;
+          break;
+        default: {
+          const plain = nerdamer(expr).toString();
+          result = nerdamer.simplify(expr).toString();
+          // Nerdamer's simplify can trade surds and constants for a long
+          // rational approximation; keep the exact form in that case.
+          if (/^-?\d+(\/\d+)?$/.test(result) && /[a-z]/i.test(plain)) result = plain;
+          text = result;
+        }
+      }
+    } catch (err) {
+      console.warn('Nerdamer could not evaluate problem', err);
+      throw new Error(t('error.expression'));
+    }
+    let tex = view.valueToTeX(result);
+    if (type === 'diff' || type === 'integrate' || type === 'defint' || type === 'limit') {
+      tex = `${view.exprToTeX(line)} = ${tex}${type === 'integrate' ? ' + C' : ''}`;
+    }
+    return { variable: v, solutionText: text, tex };
+  }
+
+  /**
+   * Pick the variable to solve a single equation for, preferring x when
+   * it is present.
+   *
+   * @param {Array<string>} variables
+   * @returns {string}
+   */
+  function pickVariable(variables) {
+    if (!variables.length || variables.indexOf('x') !== -1) return 'x';
+    return variables[0];
+  }
+
+  /**
+   * Split recognized text into problems.  Each non-empty line is a
+   * candidate.  Within a block of consecutive equations and
+   * inequalities, lines are linked by the variables they share, and
+   * linked lines that between them use more than one variable are
+   * collected, in order, into systems of as many equations as unknowns;
+   * so "x = 2" followed by "x + y = 5" is one system.  Everything else
+   * becomes an independent single-line problem.
+   *
+   * @param {string} text
+   * @returns {Array<{kind: string, lines: Array<string>, variables: Array<string>}>}
+   */
+  function splitProblems(text) {
+    const lines = text
+      .split(/\r?\n|\r/)
+      .map((l) => l.replace(/\s+/g, ''))
+      .filter((l) => l.length > 0);
+    const vars = lines.map(variablesOf);
+
+    // Problems with the index of their first line, to keep them in order.
+    const found = [];
+    const single = (i) => found.push({ at: i, problem: { kind: 'equation', lines: [lines[i]], variables: vars[i] } });
+    const union = (indexes) => indexes.reduce((all, i) => all.concat(vars[i].filter((v) => all.indexOf(v) === -1)), []);
+
+    // Collect the lines of one linked group into systems.
+    const collect = (indexes) => {
+      if (indexes.length < 2 || union(indexes).length < 2) {
+        indexes.forEach(single);
+        return;
+      }
+      let chunk = [];
+      const close = () => {
+        if (chunk.length === 1) single(chunk[0]);
+        else if (chunk.length) found.push({ at: chunk[0], problem: { kind: 'system', lines: chunk.map((i) => lines[i]), variables: union(chunk).sort() } });
+        chunk = [];
+      };
+      indexes.forEach((i) => {
+        chunk.push(i);
+        const unknowns = union(chunk).length;
+        if (unknowns > 1 && chunk.length >= unknowns) close();
+      });
+      close();
+    };
+
+    // Link the lines of a block of relations by shared variables.
+    const link = (block) => {
+      const groups = [];
+      block.forEach((i) => {
+        const linked = groups.filter((g) => vars[i].some((v) => g.variables.indexOf(v) !== -1));
+        const merged = { lines: [i], variables: vars[i].slice() };
+        linked.forEach((g) => {
+          merged.lines = merged.lines.concat(g.lines);
+          g.variables.forEach((v) => {
+            if (merged.variables.indexOf(v) === -1) merged.variables.push(v);
+          });
+          groups.splice(groups.indexOf(g), 1);
+        });
+        merged.lines.sort((a, b) => a - b);
+        groups.push(merged);
+      });
+      groups.forEach((g) => collect(g.lines));
+    };
+
+    let block = [];
+    lines.forEach((line, i) => {
+      if (isRelation(line) && vars[i].length) {
+        block.push(i);
+        return;
+      }
+      link(block);
+      block = [];
+      single(i);
+    });
+    link(block);
+    return found.sort((a, b) => a.at - b.at).map((f) => f.problem);
+  }
+
+  /**
+   * Most real answers listed for one equation; periodic equations such
+   * as sin(x) = 1/2 keep the ones nearest zero.
+   */
+  const MAX_ANSWERS = 8;
+
+  /**
+   * Write a complex solution for display, in decimals when Nerdamer's
+   * exact form is a long approximation.
+   *
+   * @param {string} value
+   * @returns {string}
+   */
+  function complexText(value) {
+    const verify = root.MathGPT.verify;
+    if (!verify.looksApproximate(value)) return nerdamer(value).toString();
+    const parts = verify.numericParts(value);
+    if (!parts) return value;
+    const im = `${verify.formatNumber(Math.abs(parts.im))}*i`;
+    if (Math.abs(parts.re) < 1e-12) return parts.im < 0 ? `-${im}` : im;
+    return `${verify.formatNumber(parts.re)}${parts.im < 0 ? '-' : '+'}${im}`;
+  }
+
+  /**
+   * Solve a single equation (or expression, treated as "= 0") and check
+   * every solution in the original equation.
+   *
+   * Nerdamer's roots are checked one by one; those that are not real or
+   * do not satisfy the equation are set aside with the reason.  When
+   * Nerdamer fails, finds no real root, or could only approximate (its
+   * sign that the equation is transcendental), the equation is also
+   * searched numerically and any roots it missed are added.
+   *
+   * @param {string} line
+   * @param {Array<string>} variables
+   * @returns {{variable: string, family: string, answers: Array<Object>, more: number,
+   *   complex: Array<string>, rejected: Array<Object>, allReal: boolean,
+   *   note: string, steps: Array<Object>}}
+   *   answers are checkAnswer results with a `text` for display
+   */
+  function solveEquation(line, variables) {
+    const verify = root.MathGPT.verify;
+    const variable = pickVariable(variables);
+    const equation = line.includes('=') ? line : `${line}=0`;
+    const { lhs, rhs } = splitRelation(equation);
+    const difference = `(${lhs})-(${rhs})`;
+    let roots = null;
+    try {
+      const solutions = nerdamer.solve(equation, variable);
+      roots = solutions && solutions.symbol && solutions.symbol.elements
+        ? solutions.symbol.elements.map(String)
+        : [];
+    } catch (err) {
+      console.warn('Nerdamer could not solve equation', err);
+    }
+    let f;
+    let rest;
+    try {
+      f = verify.compile(difference, variable);
+      rest = nerdamer(difference).expand();
+    } catch (err) {
+      console.warn('Nerdamer could not parse equation', err);
+      throw new Error(t('error.equation'));
+    }
+
+    const out = {
+      variable, family: 'general', answers: [], more: 0, complex: [], rejected: [], allReal: false, note: '', steps: [],
+    };
+    // With the variable gone the equation is either always or never true.
+    if (rest.variables().indexOf(variable) === -1) {
+      const constant = rest.toString();
+      out.steps = [
+        { title: t('step.start'), math: `${lhs} = ${rhs}` },
+        { title: t('step.cancel', { variable }), math: `${constant} = 0` },
+      ];
+      if (constant === '0') {
+        out.allReal = true;
+        out.note = t('note.always-equal', { variable });
+      } else {
+        out.note = t('note.never-equal', { variable, constant });
+      }
+      return out;
+    }
+
+    let steps;
+    if (roots) {
+      // Rebuild the working; for the families it understands the step
+      // engine also returns exact forms of Nerdamer's roots.
+      const worked = root.MathGPT.steps.generateSteps(line, variable, roots);
+      roots = worked.solutions;
+      steps = worked.steps;
+      out.family = worked.family;
+    } else {
+      roots = [];
+      steps = [{ title: t('step.start'), math: `${lhs} = ${rhs}` }];
+      if (nerdamer(rhs).toString() !== '0') {
+        steps.push({ title: t('step.rearrange'), math: `${nerdamer(difference).toString()} = 0` });
+      }
+    }
+    const symbolic = roots.length > 0;
+    const checked = roots.map((r) => verify.checkAnswer(lhs, rhs, variable, r));
+    // Roots in terms of the equation's other variables cannot be checked
+    // or searched for with numbers; they are the answer as they stand.
+    if (checked.some((c) => c.kind === 'symbolic')) {
+      out.answers = checked.filter((c) => c.kind === 'symbolic').map((c) => Object.assign(c, { text: c.value }));
+      out.steps = steps;
+      return out;
+    }
+    let answers = checked.filter((c) => c.kind === 'exact' || c.kind === 'approximate');
+    out.complex = checked.filter((c) => c.kind === 'complex').map((c) => complexText(c.value));
+    out.rejected = checked.filter((c) => c.kind === 'rejected');
+
+    let searched = false;
+    if (!answers.length || answers.every((a) => a.kind === 'approximate')) {
+      searched = true;
+      const near = (x) => answers.findIndex((a) => Math.abs(a.number - x) <= 1e-6 * Math.max(1, Math.abs(x)));
+      verify.findRoots(f).forEach((x) => {
+        // A root that lands on a whole number or the square root of one
+        // may well be exact; the check decides.
+        let check = null;
+        const whole = Math.round(x);
+        const square = Math.round(x * x);
+        const candidates = [];
+        if (Math.abs(x - whole) < 1e-6) candidates.push(String(whole));
+        else if (Math.abs(x * x - square) < 1e-6) candidates.push(`${x < 0 ? '-' : ''}sqrt(${square})`);
+        candidates.forEach((c) => {
+          const exact = verify.checkAnswer(lhs, rhs, variable, c);
+          if (exact.kind === 'exact') check = exact;
+        });
+        if (!check) {
+          check = verify.checkAnswer(lhs, rhs, variable, String(x));
+          if (check.kind !== 'exact' && check.kind !== 'approximate') return;
+          check.kind = 'approximate';
+        }
+        const same = near(x);
+        if (same === -1) answers.push(check);
+        // Nerdamer only approximated a root that turns out to be exact.
+        else if (check.kind === 'exact') answers[same] = check;
+      });
+    }
+
+    // Nerdamer sometimes repeats an approximate root, most often a
+    // repeated root; keep one of each, the exact one if there is one.
+    answers.sort((a, b) => a.number - b.number);
+    answers = answers.reduce((kept, a) => {
+      const last = kept[kept.length - 1];
+      if (!last || Math.abs(a.number - last.number) > 1e-6 * Math.max(1, Math.abs(a.number))) kept.push(a);
+      else if (a.kind === 'exact') kept[kept.length - 1] = a;
+      return kept;
+    }, []);
+    if (answers.length > MAX_ANSWERS) {
+      out.more = answers.length - MAX_ANSWERS;
+      answers = answers
+        .slice()
+        .sort((a, b) => Math.abs(a.number) - Math.abs(b.number))
+        .slice(0, MAX_ANSWERS)
+        .sort((a, b) => a.number - b.number);
+    }
+    out.answers = answers.map((a) => Object.assign(a, {
+      text: a.kind === 'exact' ? a.value : verify.formatNumber(a.number),
+    }));
+
+    if (searched && (!symbolic || answers.some((a) => !roots.includes(a.value)))) {
+      const { from, to } = verify.SEARCH;
+      steps.push({
+        title: t('step.search', { from, to, variable }),
+        math: answers.length
+          ? answers.map((a) => `${variable} = ${a.text}`).join(',  ')
+          : t('step.no-roots'),
+      });
+    }
+    out.steps = steps;
+
+    if (!answers.length) {
+      if (out.complex.length) {
+        out.note = t('note.all-complex');
+      } else if (out.rejected.length) {
+        const values = out.rejected.map((r) => `${variable} = ${r.value}`).join(', ');
+        out.note = t('note.rejected', { answers: values, count: out.rejected.length });
+      } else {
+        const { from, to } = verify.SEARCH;
+        out.note = t('note.no-root', { from, to });
+      }
+    } else if (out.more) {
+      out.note = t('note.nearest', { count: answers.length, more: out.more });
+    }
+    return out;
+  }
+
+  /**
+   * Describe the answers of `solveEquation` as text and LaTeX, labelling
+   * each one exact or approximate; a symbolic one is written as it is.
+   *
+   * @param {Object} solved
+   * @returns {{text: string, tex: string}}
+   */
+  function describeAnswers(solved) {
+    const view = root.MathGPT.mathview;
+    const v = solved.variable;
+    if (solved.allReal) {
+      const text = `${t('answer.all-real', { variable: v })} ${t('answer.exact')}`;
+      return { text, tex: view.textToTeX(text) };
+    }
+    if (!solved.answers.length) {
+      const complex = solved.complex.map((c) => `${v} = ${c}`);
+      const text = `${t('answer.no-real')}${complex.length ? ` (${t('answer.complex')} ${complex.join(', ')})` : ''}`;
+      return {
+        text,
+        tex: view.textToTeX(t('answer.no-real'))
+          + (complex.length ? `\\quad ${view.textToTeX(t('answer.complex'))}\\; ${solved.complex.map((c) => `${v} = ${view.valueToTeX(c)}`).join(',\\; ')}` : ''),
+      };
+    }
+    const exact = t('answer.exact');
+    const approximate = t('answer.approximate');
+    const parts = solved.answers.map((a) => {
+      if (a.kind === 'symbolic') return { text: `${v} = ${a.text}`, tex: `${v} = ${view.valueToTeX(a.text)}` };
+      return a.kind === 'exact'
+        ? { text: `${v} = ${a.text} ${exact}`, tex: `${v} = ${view.valueToTeX(a.text)}\\;${view.textToTeX(exact)}` }
+        : { text: `${v} ≈ ${a.text} ${approximate}`, tex: `${v} \\approx ${a.text}\\;${view.textToTeX(approximate)}` };
+    });
+    if (solved.more) {
+      const more = t('answer.more', { count: solved.more });
+      parts.push({ text: more, tex: view.textToTeX(more) });
+    }
+    return { text: parts.map((p) => p.text).join(', '), tex: parts.map((p) => p.tex).join(',\\quad ') };
+  }
+
+  /**
+   * Solve a system of equations together.  Nerdamer returns decimal
+   * values which are converted back to exact fractions where possible.
+   *
+   * @param {Array<string>} lines
+   * @returns {Array<{variable: string, value: string}>}
+   */
+  function solveSystem(lines) {
+    let pairs;
+    try {
+      // solveEquations rewrites the array it is given in place.
+      pairs = nerdamer.solveEquations(lines.slice());
+    } catch (err) {
+      console.warn('Nerdamer could not solve system', err);
+      throw new Error(t('error.system'));
+    }
+    if (!pairs || !pairs.length) {
+      throw new Error(t('error.no-system-solution'));
+    }
+    return pairs.map(([variable, value]) => ({ variable, value: nerdamer(String(value)).toString() }));
+  }
+
+  /**
+   * Compare a value with zero using the given inequality, treating tiny
+   * values as zero so that boundary points are judged consistently.
+   *
+   * @param {number} value
+   * @param {string} op
+   * @returns {boolean}
+   */
+  function compareZero(value, op) {
+    const v = Math.abs(value) < 1e-9 ? 0 : value;
+    if (op === '<') return v < 0;
+    if (op === '>') return v > 0;
+    if (op === '≤') return v <= 0;
+    return v >= 0;
+  }
+
+  /**
+   * Solve an inequality in one variable.  The real roots of the boundary
+   * equation split the number line into intervals; each interval is
+   * tested at an interior point and neighbouring intervals that both hold
+   * are merged across a boundary that also holds.
+   *
+   * @param {string} line
+   * @param {Array<string>} variables
+   * @returns {{variable: string, pieces: Array<string>}}
+   */
+  function solveInequality(line, variables) {
+    const { lhs, op, rhs } = splitRelation(line);
+    const v = pickVariable(variables);
+    let f;
+    let roots = [];
+    try {
+      f = nerdamer(`(${lhs})-(${rhs})`).buildFunction([v]);
+      const found = nerdamer.solve(`${lhs}=${rhs}`, v).symbol.elements.map(String);
+      roots = root.MathGPT.steps.generateSteps(`${lhs}=${rhs}`, v, found).solutions;
+    } catch (err) {
+      console.warn('Nerdamer could not solve inequality', err);
+      throw new Error(t('error.inequality'));
+    }
+    const points = roots
+      .map((r) => ({ text: r, value: Number(nerdamer(r).evaluate().text('decimals')) }))
+      .filter((p) => Number.isFinite(p.value))
+      .sort((a, b) => a.value - b.value)
+      .filter((p, i, all) => i === 0 || Math.abs(p.value - all[i - 1].value) > 1e-12);
+    const holds = (x) => compareZero(f(x), op);
+
+    // Alternate interval / boundary entries from -∞ to +∞.
+    const parts = [];
+    for (let i = 0; i <= points.length; i++) {
+      const lo = i === 0 ? -Infinity : points[i - 1].value;
+      const hi = i === points.length ? Infinity : points[i].value;
+      let probe;
+      if (lo === -Infinity && hi === Infinity) probe = 0;
+      else if (lo === -Infinity) probe = hi - 1;
+      else if (hi === Infinity) probe = lo + 1;
+      else probe = (lo + hi) / 2;
+      parts.push({ kind: 'interval', holds: holds(probe) });
+      if (i < points.length) parts.push({ kind: 'point', holds: holds(points[i].value), point: points[i] });
+    }
+
+    const pieces = [];
+    let start = null;
+    parts.forEach((part, i) => {
+      if (part.holds && start === null) start = i;
+      const next = parts[i + 1];
+      if (start !== null && (!next || !next.holds)) {
+        const first = parts[start];
+        const last = part;
+        const from = start === 0 ? null : (first.kind === 'point' ? first : parts[start - 1]);
+        const to = i === parts.length - 1 ? null : (last.kind === 'point' ? last : parts[i + 1]);
+        if (first === last && first.kind === 'point') {
+          pieces.push(`${v} = ${first.point.text}`);
+        } else if (!from && !to) {
+          pieces.push(t('answer.all-real', { variable: v }));
+        } else {
+          const lower = from ? `${from.point.text} ${from === first ? '≤' : '<'} ` : '';
+          const upper = to ? ` ${to === last ? '≤' : '<'} ${to.point.text}` : '';
+          if (!from) pieces.push(`${v}${upper}`);
+          else if (!to) pieces.push(`${v} ${from === first ? '≥' : '>'} ${from.point.text}`);
+          else pieces.push(`${lower}${v}${upper}`);
+        }
+        start = null;
+      }
+    });
+    return { variable: v, pieces };
+  }
+
+  /**
+   * Solve one problem produced by `splitProblems`.  Errors are caught and
+   * reported on the result so that one unreadable line does not prevent
+   * the rest of a worksheet from being solved.
+   *
+   * @param {{kind: string, lines: Array<string>, variables: Array<string>}} problem
+   * @returns {Object} result with `type`, `label`, `ok`, `solutionText`, `tex`,
+   *   `problemTeX`, `steps` and `error`; equations also carry their
+   *   `family` (from steps.js), the checked `answers`, the `complex` and
+   *   `rejected` solutions and a `note`
+   */
+  function solveProblem(problem) {
+    let type = problemType(problem.lines[0]);
+    if (problem.kind === 'system') {
+      type = problem.lines.some((l) => INEQUALITY.test(l)) ? 'region' : 'system';
+    }
+    const label = t(PROBLEM_TYPES[type]);
+    const view = root.MathGPT.mathview;
+    const problemTeX = problemToTeX(problem, type);
+    try {
+      if (type === 'system') {
+        const values = solveSystem(problem.lines);
+        return {
+          problem,
+          type,
+          label,
+          ok: true,
+          values,
+          solutionText: values.map((p) => `${p.variable} = ${p.value}`).join(', '),
+          tex: values.map((p) => `${p.variable} = ${view.valueToTeX(p.value)}`).join(',\\quad '),
+          problemTeX,
+          steps: [],
+        };
+      }
+      if (type === 'region') {
+        const and = t('answer.and');
+        const where = problem.lines.join(` ${and} `);
+        return {
+          problem,
+          type,
+          label,
+          ok: true,
+          variables: problem.variables,
+          solutionText: t('answer.region', { where }),
+          tex: `${view.textToTeX(`${t('answer.region-where')} `)}${problem.lines.map((l) => view.relationToTeX(l)).join(`\\;${view.textToTeX(and)}\\; `)}`,
+          problemTeX,
+          steps: [],
+        };
+      }
+      if (type === 'inequality') {
+        const { variable, pieces } = solveInequality(problem.lines[0], problem.variables);
+        const or = t('answer.or');
+        const allReal = t('answer.all-real', { variable });
+        const none = t('answer.none-satisfy', { variable });
+        return {
+          problem,
+          type,
+          label,
+          ok: true,
+          variable,
+          solutionText: pieces.length ? pieces.join(` ${or} `) : none,
+          tex: pieces.length
+            ? pieces.map((p) => (p === allReal ? view.textToTeX(p) : view.relationToTeX(p))).join(`\\quad${view.textToTeX(or)}\\quad `)
+            : view.textToTeX(none),
+          problemTeX,
+          steps: [],
+        };
+      }
+      if (type !== 'solve') {
+        const { variable, solutionText, tex } = evaluateProblem(type, problem.lines[0]);
+        return { problem, type, label, ok: true, variable, solutionText, tex, problemTeX, steps: [] };
+      }
+      const solved = solveEquation(problem.lines[0], problem.variables);
+      const { text, tex } = describeAnswers(solved);
+      return {
+        problem,
+        type,
+        label,
+        ok: true,
+        variable: solved.variable,
+        family: solved.family,
+        solutions: solved.answers.map((a) => (a.kind === 'exact' ? a.value : String(a.number))),
+        answers: solved.answers,
+        complex: solved.complex,
+        rejected: solved.rejected,
+        note: solved.note,
+        solutionText: text,
+        tex,
+        problemTeX,
+        steps: solved.steps,
+      };
+    } catch (err) {
+      return { problem, type, label, ok: false, error: err.message || String(err), problemTeX, steps: [] };
+    }
+  }
+
+  /**
+   * The label a result's answer is shown under, in the current language.
+   * Results kept from before (history entries, shared links) are
+   * relabelled by their type; one without a known type keeps the label
+   * it was saved with, and one with neither is labelled as a solution.
+   *
+   * @param {{type: string, label: string}} result
+   * @returns {string}
+   */
+  function resultLabel(result) {
+    const known = Object.prototype.hasOwnProperty.call(PROBLEM_TYPES, result.type);
+    if (known) return t(PROBLEM_TYPES[result.type]);
+    return typeof result.label === 'string' && result.label ? result.label : t(PROBLEM_TYPES.solve);
+  }
+
+  const api = {
+    PROBLEM_TYPES,
+    splitProblems,
+    solveProblem,
+    resultLabel,
+    applyMode,
+    problemType,
+    variablesOf,
+    parseLine,
+    splitCall,
+    splitRelation,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.solver = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
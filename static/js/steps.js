@@ -0,0 +1,528 @@
+/*
+  steps.js
+  --------
+  Worked-solution generator for the photosolver.  Nerdamer is very good
+  at producing answers but it does not explain how it got there, so this
+  module rebuilds the working for the equation families students meet
+  most often: linear, quadratic, simple rational and exponential
+  equations.  Each family produces an ordered list of steps (isolate
+  terms, factor or apply the quadratic formula, simplify and check) which
+  the dashboard renders as a numbered list.
+
+  Every step is a plain object of the form { title, math } where `title`
+  is a short description, in the current language (see i18n.js), and `math` is the expression or
+  equation for that line written in Nerdamer syntax.  A step whose line
+  cannot be written in Nerdamer syntax (the ± of the quadratic formula)
+  also carries a ready-made `tex` version for display.  Anything that does
+  not fit one of the known families falls back to a short generic
+  explanation built from the Nerdamer result.
+*/
+
+(function (root) {
+  'use strict';
+
+  const nerdamer = root.nerdamer;
+
+  // A message from the catalogs (see i18n.js).
+  function t(key, params) {
+    return root.MathGPT.i18n.t(key, params);
+  }
+
+  /**
+   * Split an equation string into its left and right hand sides.  An
+   * expression without an equals sign is treated as "expression = 0".
+   *
+   * @param {string} equation
+   * @returns {{lhs: string, rhs: string}}
+   */
+  function splitEquation(equation) {
+    const idx = equation.indexOf('=');
+    if (idx === -1) return { lhs: equation, rhs: '0' };
+    return { lhs: equation.slice(0, idx), rhs: equation.slice(idx + 1) || '0' };
+  }
+
+  /**
+   * Format a Nerdamer expression (or string) for display.
+   *
+   * @param {string|Object} expr
+   * @returns {string}
+   */
+  function fmt(expr) {
+    return nerdamer(expr.toString()).toString();
+  }
+
+  /**
+   * Build a polynomial string from a coefficient list ordered from the
+   * constant term upwards, writing the highest power first so the result
+   * reads the way it would in a textbook (e.g. 2*x^2-5*x+3).
+   *
+   * @param {Array<string>} coeffs
+   * @param {string} v
+   * @returns {string}
+   */
+  function polyString(coeffs, v) {
+    let out = '';
+    for (let p = coeffs.length - 1; p >= 0; p--) {
+      const c = nerdamer(coeffs[p]);
+      if (c.toString() === '0') continue;
+      let term;
+      const cs = c.toString();
+      const negative = cs.charAt(0) === '-';
+      const abs = negative ? fmt(`-(${cs})`) : cs;
+      const needsParens = /[+\-/]/.test(abs);
+      const coef = needsParens ? `(${abs})` : abs;
+      const power = p === 0 ? '' : p === 1 ? v : `${v}^${p}`;
+      if (!power) term = coef;
+      else if (coef === '1') term = power;
+      else term = `${coef}*${power}`;
+      if (!out) out = negative ? `-${term}` : term;
+      else out += negative ? `-${term}` : `+${term}`;
+    }
+    return out || '0';
+  }
+
+  /**
+   * Return true when the string representation contains the variable as
+   * a standalone symbol (so that "x" is not matched inside "exp").
+   *
+   * @param {string} str
+   * @param {string} v
+   * @returns {boolean}
+   */
+  function hasVariable(str, v) {
+    return new RegExp(`(^|[^a-zA-Z])${v}([^a-zA-Z]|$)`).test(str);
+  }
+
+  /**
+   * Numerically evaluate an expression with the variable substituted.
+   * Returns NaN when the value is complex or cannot be evaluated.
+   *
+   * @param {string} expr
+   * @param {string} v
+   * @param {string} value
+   * @returns {number}
+   */
+  function evaluateAt(expr, v, value) {
+    try {
+      const sub = {};
+      sub[v] = value;
+      const out = nerdamer(expr, sub).evaluate().text('decimals');
+      if (/i/.test(out)) return NaN;
+      return Number(out);
+    } catch (err) {
+      return NaN;
+    }
+  }
+
+  /**
+   * Build the final "check" step by substituting each solution back into
+   * both sides of the original equation.
+   *
+   * @param {string} lhs
+   * @param {string} rhs
+   * @param {string} v
+   * @param {Array<string>} solutions
+   * @returns {Object|null}
+   */
+  function checkStep(lhs, rhs, v, solutions) {
+    if (!solutions.length) return null;
+    const lines = solutions.map((s) => {
+      const left = evaluateAt(lhs, v, s);
+      const right = evaluateAt(rhs, v, s);
+      if (Number.isNaN(left) || Number.isNaN(right)) {
+        return t('step.not-real', { answer: `${v} = ${s}` });
+      }
+      const ok = Math.abs(left - right) <= 1e-9 * Math.max(1, Math.abs(left), Math.abs(right));
+      const l = Number(left.toPrecision(10));
+      const r = Number(right.toPrecision(10));
+      return `${v} = ${s}: ${l} ${ok ? '=' : '≠'} ${r} ${ok ? '✓' : '✗'}`;
+    });
+    return { title: t('step.check'), math: lines.join('\n') };
+  }
+
+  /**
+   * Collect the terms of an expression together with their numerators
+   * and denominators.
+   *
+   * @param {string} expr
+   * @returns {Array<{numerator: string, denominator: string}>}
+   */
+  function termsOf(expr) {
+    const e = nerdamer(expr);
+    const sym = e.symbol;
+    const parts = sym.symbols && sym.group === nerdamer.getCore().groups.CP
+      ? Object.keys(sym.symbols).map((k) => sym.symbols[k].clone().toString())
+      : [e.toString()];
+    return parts.map((part) => {
+      const term = nerdamer(part);
+      return {
+        numerator: term.numerator().toString(),
+        denominator: term.denominator().toString(),
+      };
+    });
+  }
+
+  /**
+   * Steps for a linear equation a*v + b = 0.
+   *
+   * @param {Array<string>} coeffs  [b, a]
+   * @param {string} v
+   * @returns {{steps: Array<Object>, solutions: Array<string>}}
+   */
+  function linearSteps(coeffs, v) {
+    const [b, a] = coeffs;
+    const steps = [];
+    const negB = fmt(`-(${b})`);
+    steps.push({
+      title: t('step.collect', { variable: v }),
+      math: `${polyString(['0', a], v)} = ${negB}`,
+    });
+    const answer = fmt(`(${negB})/(${a})`);
+    if (fmt(a) !== '1') {
+      steps.push({ title: t('step.divide', { value: fmt(a) }), math: `${v} = ${answer}` });
+    }
+    return { steps, solutions: [answer] };
+  }
+
+  /**
+   * Steps for a quadratic equation a*v^2 + b*v + c = 0.  Rational roots
+   * are found by factoring, anything else goes through the quadratic
+   * formula so that surds are kept exact.
+   *
+   * @param {Array<string>} coeffs  [c, b, a]
+   * @param {string} v
+   * @returns {{steps: Array<Object>, solutions: Array<string>}}
+   */
+  function quadraticSteps(coeffs, v) {
+    const [c, b, a] = coeffs;
+    const steps = [];
+    const disc = fmt(`(${b})^2-4*(${a})*(${c})`);
+    const discValue = Number(nerdamer(disc).evaluate().text('decimals'));
+    const discRoot = fmt(`sqrt(${disc})`);
+    const rational = discValue >= 0 && !/sqrt/.test(discRoot);
+
+    if (rational && fmt(c) !== '0') {
+      const r1 = fmt(`(-(${b})+(${discRoot}))/(2*(${a}))`);
+      const r2 = fmt(`(-(${b})-(${discRoot}))/(2*(${a}))`);
+      const roots = r1 === r2 ? [r1] : [r1, r2];
+      const factors = roots.map((r) => polyString([fmt(`-(${r})`), '1'], v));
+      const lead = fmt(a) === '1' ? '' : `${fmt(a)}*`;
+      const factored = factors.length === 1
+        ? `${lead}(${factors[0]})^2`
+        : `${lead}${factors.map((f) => `(${f})`).join('*')}`;
+      steps.push({ title: t('step.factor'), math: `${factored} = 0` });
+      steps.push({
+        title: t('step.zero-factors'),
+        math: factors.map((f) => `${f} = 0`).join('  or  '),
+      });
+      steps.push({ title: t('step.solve-factors', { variable: v }), math: roots.map((r) => `${v} = ${r}`).join(',  ') });
+      return { steps, solutions: roots };
+    }
+
+    if (fmt(c) === '0') {
+      const other = fmt(`-(${b})/(${a})`);
+      steps.push({ title: t('step.factor-out', { variable: v }), math: `${v}*(${polyString([b, a], v)}) = 0` });
+      steps.push({
+        title: t('step.zero-factors'),
+        math: `${v} = 0  or  ${polyString([b, a], v)} = 0`,
+      });
+      const roots = other === '0' ? ['0'] : ['0', other];
+      steps.push({ title: t('step.solve-for', { variable: v }), math: roots.map((r) => `${v} = ${r}`).join(',  ') });
+      return { steps, solutions: roots };
+    }
+
+    steps.push({
+      title: t('step.coefficients'),
+      math: `a = ${fmt(a)},  b = ${fmt(b)},  c = ${fmt(c)}`,
+    });
+    steps.push({ title: t('step.discriminant'), math: `D = ${disc}` });
+    if (discValue < 0) {
+      steps.push({
+        title: t('step.negative-discriminant'),
+        math: `D = ${disc} < 0`,
+      });
+      const re = fmt(`-(${b})/(2*(${a}))`);
+      const im = fmt(`sqrt(${fmt(`-(${disc})`)})/(2*(${a}))`);
+      const roots = [fmt(`${re}+${im}*i`), fmt(`${re}-${im}*i`)];
+      steps.push({ title: t('step.complex-solutions'), math: roots.map((r) => `${v} = ${r}`).join(',  ') });
+      return { steps, solutions: roots };
+    }
+    const tex = (expr) => nerdamer(expr).toTeX();
+    steps.push({
+      title: t('step.quadratic-formula'),
+      math: `${v} = (-(${fmt(b)}) ± sqrt(${disc}))/(2*${fmt(a)})`,
+      tex: `${v} = \\frac{-\\left(${tex(b)}\\right) \\pm \\sqrt{${tex(disc)}}}{2 \\cdot ${tex(a)}}`,
+    });
+    const r1 = fmt(`(-(${b})+sqrt(${disc}))/(2*(${a}))`);
+    const r2 = fmt(`(-(${b})-sqrt(${disc}))/(2*(${a}))`);
+    const roots = r1 === r2 ? [r1] : [r1, r2];
+    steps.push({ title: t('step.simplify'), math: roots.map((r) => `${v} = ${r}`).join(',  ') });
+    return { steps, solutions: roots };
+  }
+
+  /**
+   * Steps for any polynomial equation expressed as `expr = 0`.  Returns
+   * null for degrees this module does not explain.
+   *
+   * @param {string} expr
+   * @param {string} v
+   * @returns {{family: string, steps: Array<Object>, solutions: Array<string>}|null}
+   */
+  function polynomialSteps(expr, v) {
+    let degree;
+    let coeffs;
+    try {
+      degree = Number(nerdamer.deg(expr, v).toString());
+      coeffs = nerdamer.coeffs(expr, v).symbol.elements.map(String);
+    } catch (err) {
+      // coeffs fails on a non-polynomial from inside a numeric block and
+      // leaves Nerdamer evaluating everything to numbers; switch it back.
+      nerdamer.getCore().Settings.PARSE2NUMBER = false;
+      return null;
+    }
+    if (degree === 1) return Object.assign({ family: 'linear' }, linearSteps(coeffs, v));
+    if (degree === 2) {
+      if (fmt(coeffs[2]).charAt(0) === '-') {
+        // A positive leading coefficient keeps the factoring and formula steps readable.
+        const flipped = coeffs.map((c) => fmt(`-(${c})`));
+        const inner = quadraticSteps(flipped, v);
+        const flip = { title: t('step.negate'), math: `${polyString(flipped, v)} = 0` };
+        return { family: 'quadratic', steps: [flip].concat(inner.steps), solutions: inner.solutions };
+      }
+      return Object.assign({ family: 'quadratic' }, quadraticSteps(coeffs, v));
+    }
+    return null;
+  }
+
+  /**
+   * The logarithm of a value, with a whole number that is a perfect
+   * power written as a multiple (log(8) is 3*log(2)) so that it can
+   * cancel against the coefficients of the exponent.
+   *
+   * @param {string} value
+   * @returns {string}
+   */
+  function logOf(value) {
+    const n = Number(value);
+    if (/^\d+$/.test(value) && n > 1) {
+      for (let r = 2; r * r <= n; r++) {
+        let p = 0;
+        let rest = n;
+        while (rest % r === 0) {
+          rest /= r;
+          p++;
+        }
+        if (rest === 1) return `${p}*log(${r})`;
+      }
+    }
+    return `log(${value})`;
+  }
+
+  /**
+   * A number as a fraction with a small denominator ("3", "1/2"), or
+   * null when it is not one.
+   *
+   * @param {number} n
+   * @returns {string|null}
+   */
+  function smallFraction(n) {
+    for (let q = 1; q <= 12; q++) {
+      const p = Math.round(n * q);
+      if (Math.abs(n * q - p) < 1e-9) return q === 1 ? String(p) : `${p}/${q}`;
+    }
+    return null;
+  }
+
+  /**
+   * Steps for an exponential equation of the form k*a^(f(v)) = c, where
+   * f is linear in the variable.
+   *
+   * @param {string} lhs
+   * @param {string} rhs
+   * @param {string} v
+   * @returns {{family: string, steps: Array<Object>, solutions: Array<string>}|null}
+   */
+  function exponentialSteps(lhs, rhs, v) {
+    let side = lhs;
+    let other = rhs;
+    if (!hasVariable(lhs, v)) {
+      side = rhs;
+      other = lhs;
+    }
+    if (hasVariable(other, v)) return null;
+    const m = side.match(/^(?:([0-9.]+)\*)?([0-9.]+|e)\^\(?([^()]+)\)?$/);
+    if (!m || !hasVariable(m[3], v)) return null;
+    const [, k, base, exponent] = m;
+    const steps = [];
+    let value = fmt(other);
+    if (k && k !== '1') {
+      value = fmt(`(${value})/(${k})`);
+      steps.push({ title: t('step.divide', { value: k }), math: `${base}^(${exponent}) = ${value}` });
+    }
+    if (Number(nerdamer(value).evaluate().text('decimals')) <= 0) {
+      steps.push({
+        title: t('step.positive-power'),
+        math: `${base}^(${exponent}) = ${value}`,
+      });
+      return { family: 'exponential', steps, solutions: [] };
+    }
+    // Prefer a plain exponent when the right-hand side is a power of the
+    // base (25^x = 5 gives x = 1/2).
+    const baseLog = logOf(base);
+    const logValue = base === 'e' ? fmt(logOf(value)) : `${logOf(value)}/${/\*/.test(baseLog) ? `(${baseLog})` : baseLog}`;
+    const exact = nerdamer(logValue).evaluate().text('decimals');
+    const fraction = smallFraction(Number(exact));
+    const whole = fraction !== null;
+    const newRhs = whole ? fraction : logValue;
+    steps.push({
+      title: base === 'e' ? t('step.natural-log') : t('step.log-base', { base }),
+      math: `${exponent} = ${whole ? newRhs : (base === 'e' ? `log(${value})` : `log(${value})/log(${base})`)}`,
+    });
+    // Nerdamer turns logarithms into fractions when it collects
+    // coefficients, so the linear part is solved with a stand-in symbol
+    // that is put back afterwards to keep the answer exact.  Natural
+    // logarithms are simplified again (log(4)/2 is log(2)); a quotient
+    // of logarithms is left as written, which reads better than
+    // Nerdamer's log(2)^(-1).
+    const stand = v === 'logvalue' ? 'logvalue2' : 'logvalue';
+    const inner = polynomialSteps(fmt(`(${exponent})-(${whole ? newRhs : stand})`), v);
+    if (!inner || inner.family !== 'linear') return null;
+    const restore = (text) => {
+      if (text === stand) return newRhs;
+      const out = text.replace(new RegExp(`\\b${stand}\\b`, 'g'), `(${newRhs})`);
+      return base === 'e' ? fmt(out) : out;
+    };
+    const solutions = whole ? inner.solutions : inner.solutions.map(restore);
+    const innerSteps = inner.steps.map((step) => {
+      if (whole) return step;
+      const { lhs: left, rhs: right } = splitEquation(step.math);
+      return { title: step.title, math: `${left.trim()} = ${restore(right.trim())}` };
+    });
+    // When the exponent is the bare variable the logarithm step already is the answer.
+    const extra = exponent.trim() === v ? [] : innerSteps;
+    return { family: 'exponential', steps: steps.concat(extra), solutions };
+  }
+
+  /**
+   * Steps for a rational equation: state the restrictions, multiply
+   * through by the lowest common denominator and solve the resulting
+   * polynomial, discarding extraneous roots.
+   *
+   * @param {string} expr  the equation rearranged as expr = 0
+   * @param {string} v
+   * @returns {{family: string, steps: Array<Object>, solutions: Array<string>}|null}
+   */
+  function rationalSteps(expr, v) {
+    const terms = termsOf(expr);
+    const denominators = [];
+    terms.forEach((term) => {
+      if (hasVariable(term.denominator, v) && denominators.indexOf(term.denominator) === -1) {
+        denominators.push(term.denominator);
+      }
+    });
+    if (!denominators.length) return null;
+    const lcd = denominators.map((d) => `(${d})`).join('*');
+    const cleared = terms
+      .map((term) => {
+        const others = denominators.filter((d) => d !== term.denominator).map((d) => `(${d})`);
+        const scale = hasVariable(term.denominator, v)
+          ? (others.length ? others.join('*') : '1')
+          : `(${lcd})/(${term.denominator})`;
+        return `(${term.numerator})*${scale}`;
+      })
+      .join('+');
+    const poly = nerdamer(cleared).expand().toString();
+    if (/\^\(-/.test(poly) || /\^-/.test(poly)) return null;
+
+    const excluded = [];
+    denominators.forEach((d) => {
+      try {
+        nerdamer.solve(`${d}=0`, v).symbol.elements.forEach((r) => excluded.push(fmt(r)));
+      } catch (err) {
+        // A denominator we cannot solve just goes unlisted.
+      }
+    });
+    const steps = [];
+    if (excluded.length) {
+      steps.push({
+        title: t('step.excluded'),
+        math: excluded.map((r) => `${v} ≠ ${r}`).join(',  '),
+      });
+    }
+    steps.push({ title: t('step.multiply-lcd', { lcd }), math: `${fmt(poly)} = 0` });
+    const inner = polynomialSteps(poly, v);
+    if (!inner) return null;
+    const valid = inner.solutions.filter((s) => excluded.indexOf(s) === -1);
+    const result = steps.concat(inner.steps);
+    if (valid.length !== inner.solutions.length) {
+      result.push({
+        title: t('step.reject'),
+        math: valid.length ? valid.map((s) => `${v} = ${s}`).join(',  ') : t('step.no-valid'),
+      });
+    }
+    return { family: 'rational', steps: result, solutions: valid };
+  }
+
+  /**
+   * Generate worked steps for solving `equation` for `variable`.  The
+   * solutions returned by Nerdamer are used for the generic fallback and
+   * the final check; for the families handled here the engine derives
+   * exact solutions itself, which are returned alongside the steps.
+   *
+   * @param {string} equation
+   * @param {string} variable
+   * @param {Array<string>} solutions  Nerdamer's solutions as strings
+   * @returns {{family: string, steps: Array<{title: string, math: string}>, solutions: Array<string>}}
+   */
+  function generateSteps(equation, variable, solutions) {
+    const { lhs, rhs } = splitEquation(equation);
+    const v = variable;
+    const steps = [{ title: t('step.start'), math: `${lhs.trim()} = ${rhs.trim()}` }];
+
+    let result = null;
+    try {
+      result = exponentialSteps(lhs, rhs, v);
+      if (!result) {
+        const expr = nerdamer(`(${lhs})-(${rhs})`).expand().toString();
+        result = rationalSteps(expr, v);
+        if (!result) {
+          result = polynomialSteps(expr, v);
+          if (result && result.family !== 'linear' && fmt(rhs) !== '0') {
+            const standard = nerdamer.coeffs(expr, v).symbol.elements.map(String);
+            steps.push({
+              title: t('step.standard-form'),
+              math: `${polyString(standard, v)} = 0`,
+            });
+          }
+        }
+      }
+    } catch (err) {
+      console.warn('Could not build worked steps', err);
+      result = null;
+    }
+
+    if (!result) {
+      if (fmt(rhs) !== '0') {
+        steps.push({ title: t('step.rearrange'), math: `${fmt(`(${lhs})-(${rhs})`)} = 0` });
+      }
+      steps.push({
+        title: t('step.solve-for', { variable: v }),
+        math: solutions.length ? solutions.map((s) => `${v} = ${s}`).join(',  ') : t('step.no-solutions'),
+      });
+      result = { family: 'general', steps: [], solutions };
+    }
+
+    const all = steps.concat(result.steps);
+    const check = checkStep(lhs, rhs, v, result.solutions);
+    if (check) all.push(check);
+    return { family: result.family, steps: all, solutions: result.solutions };
+  }
+
+  const api = { generateSteps, splitEquation };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.steps = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,273 @@
+/*
+  storage.js
+  ----------
+  Storage adapters for user records.  Every adapter has the same
+  promise-based interface, so the app does not care where accounts live:
+
+    getUsers()          -> Promise<Array<Object>>
+    findUser(email)     -> Promise<Object|null>   (case-insensitive)
+    saveUser(user)      -> Promise<Object>        (insert or replace)
+    getSession()        -> Promise<string|null>   (token of the signed-in session)
+    setSession(token)   -> Promise<void>          (null signs out)
+
+  Three implementations are provided:
+
+    localAdapter     this browser's localStorage, under the key the app
+                     has always used (mathgpt_users)
+    indexedDbAdapter this browser's IndexedDB, which has room for long
+                     histories and their thumbnails
+    restAdapter      a JSON API at a configurable base URL so that accounts
+                     follow the user across devices
+
+  The session token (see auth.js) always stays on the device; the REST
+  adapter sends it with every request.  Adapters take their dependencies
+  (Storage, indexedDB, fetch) as options, so they run under Node with
+  `memoryStorage()` and a local server such as server/mock-api.js.
+*/
+
+(function (root) {
+  'use strict';
+
+  const USERS_KEY = 'mathgpt_users';
+  const SESSION_KEY = 'mathgpt_session';
+
+  /**
+   * Key a user record by its email address, ignoring case.
+   *
+   * @param {string} email
+   * @returns {string}
+   */
+  function userKey(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  /**
+   * A Storage-like object kept in memory, for use where localStorage is
+   * not available (Node, private browsing with storage disabled).
+   *
+   * @returns {{getItem: Function, setItem: Function, removeItem: Function}}
+   */
+  function memoryStorage() {
+    const items = new Map();
+    return {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => {
+        items.set(key, String(value));
+      },
+      removeItem: (key) => {
+        items.delete(key);
+      },
+    };
+  }
+
+  /**
+   * Read the users array kept under USERS_KEY in a Storage object.
+   *
+   * @param {Storage} storage
+   * @returns {Array<Object>}
+   */
+  function readUsers(storage) {
+    const raw = storage.getItem(USERS_KEY);
+    try {
+      return raw ? JSON.parse(raw) : [];
+    } catch (err) {
+      console.error('Failed to parse users', err);
+      return [];
+    }
+  }
+
+  /**
+   * Session helpers shared by all adapters: the session token is kept in
+   * a Storage object on this device.
+   *
+   * @param {Storage} storage
+   * @returns {{getSession: Function, setSession: Function}}
+   */
+  function sessionIn(storage) {
+    return {
+      async getSession() {
+        return storage.getItem(SESSION_KEY);
+      },
+      async setSession(token) {
+        if (token) {
+          storage.setItem(SESSION_KEY, token);
+        } else {
+          storage.removeItem(SESSION_KEY);
+        }
+      },
+    };
+  }
+
+  /**
+   * Keep users in a Storage object (localStorage by default) as one JSON
+   * array.  Writes that exceed the storage quota reject with the
+   * browser's QuotaExceededError.
+   *
+   * @param {{storage: Storage}} [options]
+   * @returns {Object} a storage adapter
+   */
+  function localAdapter(options) {
+    const storage = (options && options.storage) || root.localStorage;
+    return Object.assign(sessionIn(storage), {
+      async getUsers() {
+        return readUsers(storage);
+      },
+      async findUser(email) {
+        const key = userKey(email);
+        return readUsers(storage).find((u) => userKey(u.email) === key) || null;
+      },
+      async saveUser(user) {
+        const users = readUsers(storage);
+        const idx = users.findIndex((u) => userKey(u.email) === userKey(user.email));
+        if (idx >= 0) {
+          users[idx] = user;
+        } else {
+          users.push(user);
+        }
+        storage.setItem(USERS_KEY, JSON.stringify(users));
+        return user;
+      },
+    });
+  }
+
+  /**
+   * Keep users in an IndexedDB object store keyed by lower-cased email.
+   * Accounts already in localStorage are copied across when the
+   * database is first created, so switching adapters keeps them.
+   *
+   * @param {{indexedDB: IDBFactory, name: string, storage: Storage}} [options]
+   * @returns {Object} a storage adapter
+   */
+  function indexedDbAdapter(options) {
+    const opts = options || {};
+    const factory = opts.indexedDB || root.indexedDB;
+    const storage = opts.storage || root.localStorage;
+    const name = opts.name || 'mathgpt';
+    let opening = null;
+
+    function open() {
+      if (!opening) {
+        opening = new Promise((resolve, reject) => {
+          const request = factory.open(name, 1);
+          request.onupgradeneeded = () => {
+            const users = request.result.createObjectStore('users');
+            readUsers(storage).forEach((u) => users.put(u, userKey(u.email)));
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => {
+            opening = null;
+            reject(request.error);
+          };
+        });
+      }
+      return opening;
+    }
+
+    async function withUsers(mode, fn) {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction('users', mode);
+        const request = fn(tx.objectStore('users'));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    }
+
+    return Object.assign(sessionIn(storage), {
+      async getUsers() {
+        return withUsers('readonly', (users) => users.getAll());
+      },
+      async findUser(email) {
+        const user = await withUsers('readonly', (users) => users.get(userKey(email)));
+        return user || null;
+      },
+      async saveUser(user) {
+        await withUsers('readwrite', (users) => users.put(user, userKey(user.email)));
+        return user;
+      },
+    });
+  }
+
+  /**
+   * Keep users on a server.  The API is plain JSON:
+   *
+   *   GET {baseUrl}/users           all users
+   *   GET {baseUrl}/users/:email    one user, or 404
+   *   PUT {baseUrl}/users/:email    insert or replace a user
+   *
+   * Requests carry the session token as a bearer token; the server only
+   * lets a session read and write its own user.  Failed requests reject
+   * with an Error carrying the HTTP `status`.
+   *
+   * @param {{baseUrl: string, fetch: Function, storage: Storage}} options
+   * @returns {Object} a storage adapter
+   */
+  function restAdapter(options) {
+    const baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    const fetchImpl = options.fetch || root.fetch.bind(root);
+    const storage = options.storage || root.localStorage;
+
+    async function request(method, path, body) {
+      const headers = { 'Content-Type': 'application/json' };
+      const token = storage.getItem(SESSION_KEY);
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const response = await fetchImpl(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      if (response.status === 404 && method === 'GET') return null;
+      if (!response.ok) {
+        const err = new Error(`Storage request failed: ${method} ${path} returned ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+      return response.json();
+    }
+
+    const userPath = (email) => `/users/${encodeURIComponent(userKey(email))}`;
+
+    return Object.assign(sessionIn(storage), {
+      async getUsers() {
+        return (await request('GET', '/users')) || [];
+      },
+      findUser(email) {
+        return request('GET', userPath(email));
+      },
+      saveUser(user) {
+        return request('PUT', userPath(user.email), user);
+      },
+    });
+  }
+
+  /**
+   * Create the adapter named by a configuration object.
+   *
+   * @param {{backend: string, baseUrl: string}} config  backend is 'local',
+   *   'indexeddb' or 'rest'
+   * @returns {Object} a storage adapter
+   */
+  function createStore(config) {
+    const backend = (config && config.backend) || 'local';
+    if (backend === 'local') return localAdapter(config);
+    if (backend === 'indexeddb') return indexedDbAdapter(config);
+    if (backend === 'rest') return restAdapter(config);
+    throw new Error(`Unknown storage backend "${backend}"`);
+  }
+
+  const api = {
+    createStore,
+    localAdapter,
+    indexedDbAdapter,
+    restAdapter,
+    memoryStorage,
+    userKey,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.storage = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,159 @@
+/*
+  usage.js
+  --------
+  Usage counts and the figures the admin console charts from them.  Per
+  user and per day, the problems solved and the photos recognized and
+  how many of those recognitions failed are counted; the counts are
+  kept on the user record as `usage`, next to `history`:
+
+    usage: { '2026-10-18': { solves, scans, scanFailures }, ... }
+
+  Only the last USAGE_DAYS days are kept.  With the REST backend the
+  counts, like the free trial, are kept by the server (POST
+  /api/usage/... in server/index.js) and the browser cannot change them;
+  with the browser backends app.js counts.  The server
+  (server/admin-api.js requires this file) adds the counts up over all
+  users into daily series, an OCR failure rate and the trial-to-paid
+  funnel.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Days of counts kept on each user.
+   */
+  const USAGE_DAYS = 90;
+
+  /**
+   * What is counted.
+   */
+  const KINDS = ['solves', 'scans', 'scanFailures'];
+
+  /**
+   * User fields counted by the server when there is one: the usage and
+   * the free trial solves used.  The browser copies them from the
+   * server's answers.
+   */
+  const FIELDS = ['usage', 'freeTrialUsed'];
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  /**
+   * The UTC day of a date, as 'YYYY-MM-DD'.
+   *
+   * @param {Date} [date]
+   * @returns {string}
+   */
+  function dayKey(date) {
+    return (date || new Date()).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Count one event for a user, in place, dropping days older than
+   * USAGE_DAYS.
+   *
+   * @param {Object} user
+   * @param {string} kind  one of KINDS
+   * @param {Date} [now]
+   */
+  function record(user, kind, now) {
+    if (KINDS.indexOf(kind) === -1) throw new Error(`Unknown usage "${kind}"`);
+    const date = now || new Date();
+    const usage = user.usage && typeof user.usage === 'object' ? user.usage : {};
+    const key = dayKey(date);
+    const day = usage[key] || { solves: 0, scans: 0, scanFailures: 0 };
+    day[kind] = (day[kind] || 0) + 1;
+    usage[key] = day;
+    const oldest = dayKey(new Date(date.getTime() - (USAGE_DAYS - 1) * DAY));
+    Object.keys(usage).forEach((k) => {
+      if (k < oldest) delete usage[k];
+    });
+    user.usage = usage;
+  }
+
+  /**
+   * Count one recognition, and whether it failed.
+   *
+   * @param {Object} user
+   * @param {boolean} ok  false when it threw or found no text
+   * @param {Date} [now]
+   */
+  function recordScan(user, ok, now) {
+    record(user, 'scans', now);
+    if (!ok) record(user, 'scanFailures', now);
+  }
+
+  /**
+   * Counts over all users for each of the last `days` days, oldest
+   * first.  Days without any use are included with zero counts.
+   *
+   * @param {Array<Object>} users
+   * @param {number} days
+   * @param {Date} [now]
+   * @returns {Array<{date: string, solves: number, scans: number, scanFailures: number}>}
+   */
+  function daily(users, days, now) {
+    const end = (now || new Date()).getTime();
+    const series = [];
+    for (let i = days - 1; i >= 0; i--) {
+      series.push({ date: dayKey(new Date(end - i * DAY)), solves: 0, scans: 0, scanFailures: 0 });
+    }
+    const byDate = new Map(series.map((day) => [day.date, day]));
+    users.forEach((user) => {
+      Object.keys(user.usage || {}).forEach((key) => {
+        const day = byDate.get(key);
+        if (!day) return;
+        KINDS.forEach((kind) => {
+          day[kind] += Number(user.usage[key][kind]) || 0;
+        });
+      });
+    });
+    return series;
+  }
+
+  /**
+   * Share of recognitions that failed, from 0 to 1, or null when there
+   * were none.
+   *
+   * @param {Array<{scans: number, scanFailures: number}>} series
+   * @returns {number|null}
+   */
+  function failureRate(series) {
+    const scans = series.reduce((sum, day) => sum + day.scans, 0);
+    const failures = series.reduce((sum, day) => sum + day.scanFailures, 0);
+    return scans ? failures / scans : null;
+  }
+
+  /**
+   * The trial-to-paid funnel: everyone registered, those who used the
+   * free trial and those who have paid at least once.
+   *
+   * @param {Array<Object>} users
+   * @returns {{registered: number, tried: number, paid: number, rate: number|null}}
+   *   rate is paid users as a share of those who tried
+   */
+  function conversion(users) {
+    const paid = users.filter((u) => Array.isArray(u.payments) && u.payments.length).length;
+    const tried = users.filter((u) => (u.freeTrialUsed || 0) > 0 || (Array.isArray(u.payments) && u.payments.length)).length;
+    return { registered: users.length, tried, paid, rate: tried ? paid / tried : null };
+  }
+
+  const api = {
+    USAGE_DAYS,
+    KINDS,
+    FIELDS,
+    dayKey,
+    record,
+    recordScan,
+    daily,
+    failureRate,
+    conversion,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.usage = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,324 @@
+/*
+  verify.js
+  ---------
+  Checks answers and finds the ones Nerdamer cannot.  `checkAnswer`
+  substitutes a solution back into both sides of the original equation:
+  a solution that makes the difference of the sides simplify to zero is
+  exact, one that only agrees to rounding is approximate, and one that
+  leaves the sides apart (or undefined, as at a denominator's zero) does
+  not check out.  Complex solutions are reported as such rather than
+  checked, and so are symbolic ones, written in terms of other
+  variables (x = (y - 1)/2 from y = 2x + 1), which have no value to
+  substitute.
+
+  `findRoots` is the numeric fallback for equations Nerdamer has no
+  method for, such as cos(x) = x.  It samples the equation over a search
+  interval, narrows every sign change down by bisection and polishes the
+  places where the curve only touches zero with Newton's method.  It can
+  only see real roots inside the interval, and the solver says so when
+  it finds none.
+*/
+
+(function (root) {
+  'use strict';
+
+  const nerdamer = root.nerdamer;
+
+  // A message from the catalogs (see i18n.js).
+  function t(key, params) {
+    return root.MathGPT.i18n.t(key, params);
+  }
+
+  /**
+   * The two sides must agree to this fraction of their size (or
+   * absolutely, near zero) for a solution to check out.
+   */
+  const TOLERANCE = 1e-9;
+
+  /**
+   * Interval searched for real roots and how many pieces it is cut into.
+   */
+  const SEARCH = { from: -100, to: 100, samples: 4000 };
+
+  /**
+   * Nerdamer falls back to long fractions such as 97132529/131422653 for
+   * roots it can only approximate; a value with a number this long is
+   * taken to be one of those.
+   */
+  const APPROXIMATION = /\d{7,}/;
+
+  /**
+   * True when a value is one of Nerdamer's rational approximations
+   * rather than an exact form.
+   *
+   * @param {string} value
+   * @returns {boolean}
+   */
+  function looksApproximate(value) {
+    return APPROXIMATION.test(value);
+  }
+
+  /**
+   * Evaluate a value such as "sqrt(2)" or "1+2*i" to its real and
+   * imaginary parts.  Returns null when it cannot be evaluated.
+   *
+   * The value is evaluated to a number first: Nerdamer's realpart and
+   * imagpart go wrong on exact forms such as (1/2)*(-3+sqrt(5)), and
+   * take a quotient of logarithms to be complex.
+   *
+   * @param {string} value
+   * @returns {{re: number, im: number}|null}
+   */
+  function numericParts(value) {
+    try {
+      const number = nerdamer(value).evaluate().toString();
+      const re = Number(nerdamer(`realpart(${number})`).evaluate().text('decimals'));
+      const im = Number(nerdamer(`imagpart(${number})`).evaluate().text('decimals'));
+      if (!Number.isFinite(re) || !Number.isFinite(im)) return null;
+      return { re, im };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Evaluate one side of an equation with the variable substituted.
+   * Returns NaN where the side is undefined or not real.
+   */
+  function sideAt(expr, v, value) {
+    try {
+      const sub = {};
+      sub[v] = `(${value})`;
+      const out = nerdamer(expr, sub).evaluate().text('decimals');
+      if (/i/.test(out)) return NaN;
+      return Number(out);
+    } catch (err) {
+      return NaN;
+    }
+  }
+
+  /**
+   * True when the difference of the two sides comes to exactly zero at
+   * `value`.  Nerdamer only cancels radicals once the difference is
+   * expanded, leaves some values such as tan(0) unevaluated and cannot
+   * cancel a logarithm in an exponent (3^(log(5)/log(3)) - 5), so a
+   * difference that does not simplify away is also taken to be zero
+   * when it evaluates to zero within the rounding of the last digits of
+   * `scale`, the size of the sides.
+   */
+  function exactlyZero(lhs, rhs, v, value, scale) {
+    try {
+      const sub = {};
+      sub[v] = `(${value})`;
+      const difference = nerdamer(`(${lhs})-(${rhs})`, sub);
+      if (difference.toString() === '0' || difference.expand().toString() === '0') return true;
+      return Math.abs(Number(difference.evaluate().text('decimals'))) <= 16 * Number.EPSILON * Math.max(1, scale);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Substitute a solution back into the equation lhs = rhs.
+   *
+   * `kind` is 'exact' or 'approximate' for a real solution that checks
+   * out, 'complex' for a solution that is not real, 'symbolic' for one in
+   * terms of other variables and 'rejected' for one that does not
+   * satisfy the equation, with `reason` saying why.
+   *
+   * @param {string} lhs
+   * @param {string} rhs
+   * @param {string} v  the variable
+   * @param {string} value  the solution, in Nerdamer syntax
+   * @returns {{value: string, kind: string, number: number, left: number,
+   *   right: number, residual: number, reason: string}}
+   */
+  function checkAnswer(lhs, rhs, v, value) {
+    const out = { value, kind: 'rejected', number: NaN, left: NaN, right: NaN, residual: NaN, reason: '' };
+    try {
+      if (nerdamer(value).variables().length) {
+        out.kind = 'symbolic';
+        return out;
+      }
+    } catch (err) {
+      out.reason = t('check.cannot-evaluate');
+      return out;
+    }
+    const parts = numericParts(value);
+    if (!parts) {
+      out.reason = t('check.cannot-evaluate');
+      return out;
+    }
+    if (Math.abs(parts.im) > TOLERANCE * Math.max(1, Math.abs(parts.re))) {
+      out.kind = 'complex';
+      out.number = parts.re;
+      out.reason = t('check.not-real');
+      return out;
+    }
+    out.number = parts.re;
+    out.left = sideAt(lhs, v, value);
+    out.right = sideAt(rhs, v, value);
+    if (Number.isNaN(out.left) || Number.isNaN(out.right)) {
+      out.reason = t('check.undefined');
+      return out;
+    }
+    out.residual = Math.abs(out.left - out.right);
+    if (out.residual > TOLERANCE * Math.max(1, Math.abs(out.left), Math.abs(out.right))) {
+      out.reason = t('check.not-equal');
+      return out;
+    }
+    const scale = Math.max(Math.abs(out.left), Math.abs(out.right));
+    out.kind = !looksApproximate(value) && exactlyZero(lhs, rhs, v, value, scale) ? 'exact' : 'approximate';
+    return out;
+  }
+
+  /**
+   * Compile an expression into a function of `v` for root finding.
+   * Nerdamer's own buildFunction writes e^x as a ratio of two huge
+   * powers, which overflows for |x| beyond about 38, so e is passed in
+   * as a parameter instead.
+   *
+   * @param {string} expr
+   * @param {string} v
+   * @returns {Function} number -> number
+   */
+  function compile(expr, v) {
+    const source = expr.replace(/\bexp\(/g, 'euler^(').replace(/\be\b/g, 'euler');
+    const fn = nerdamer(source).buildFunction([v, 'euler']);
+    return (x) => fn(x, Math.E);
+  }
+
+  /**
+   * Narrow a sign change of f between lo and hi down to a single point.
+   */
+  function bisect(f, lo, hi, fLo) {
+    let a = lo;
+    let b = hi;
+    let fa = fLo;
+    for (let i = 0; i < 200 && b - a > 4 * Number.EPSILON * Math.max(1, Math.abs(a)); i++) {
+      const mid = (a + b) / 2;
+      const fm = f(mid);
+      if (fm === 0) return mid;
+      if (Number.isNaN(fm) || Math.sign(fm) === Math.sign(fa)) {
+        a = mid;
+        fa = fm;
+      } else {
+        b = mid;
+      }
+    }
+    return (a + b) / 2;
+  }
+
+  /**
+   * Newton's method from x, with a central-difference derivative.
+   * Returns NaN if it leaves [lo, hi] or does not settle.
+   */
+  function newton(f, x0, lo, hi) {
+    let x = x0;
+    for (let i = 0; i < 100; i++) {
+      const fx = f(x);
+      if (fx === 0) return x;
+      const h = 1e-6 * Math.max(1, Math.abs(x));
+      const d = (f(x + h) - f(x - h)) / (2 * h);
+      if (!Number.isFinite(fx) || !Number.isFinite(d) || d === 0) return NaN;
+      const next = x - fx / d;
+      if (next < lo || next > hi) return NaN;
+      if (Math.abs(next - x) <= 1e-15 * Math.max(1, Math.abs(x))) return next;
+      x = next;
+    }
+    return x;
+  }
+
+  /**
+   * Find the real roots of f inside a search interval.  Sign changes are
+   * bisected, except where f blows up rather than crossing zero (the
+   * pole of 1/x), and dips of |f| that do not cross are tried with
+   * Newton's method for roots where the curve touches the axis.
+   *
+   * @param {Function} f  number -> number, NaN where undefined
+   * @param {{from: number, to: number, samples: number}} [options]
+   * @returns {Array<number>} roots in increasing order
+   */
+  function findRoots(f, options) {
+    const opts = Object.assign({}, SEARCH, options);
+    const step = (opts.to - opts.from) / opts.samples;
+    const xs = [];
+    const ys = [];
+    for (let i = 0; i <= opts.samples; i++) {
+      const x = opts.from + i * step;
+      let y;
+      try {
+        y = f(x);
+      } catch (err) {
+        y = NaN;
+      }
+      xs.push(x);
+      ys.push(typeof y === 'number' && Number.isFinite(y) ? y : NaN);
+    }
+    const safe = (x) => {
+      try {
+        const y = f(x);
+        return typeof y === 'number' && Number.isFinite(y) ? y : NaN;
+      } catch (err) {
+        return NaN;
+      }
+    };
+    const found = [];
+    for (let i = 0; i <= opts.samples; i++) {
+      const y = ys[i];
+      if (Number.isNaN(y)) continue;
+      if (y === 0) {
+        found.push(xs[i]);
+        continue;
+      }
+      const prev = ys[i - 1];
+      if (i > 0 && !Number.isNaN(prev) && prev !== 0 && Math.sign(prev) !== Math.sign(y)) {
+        const x = bisect(safe, xs[i - 1], xs[i], prev);
+        const fx = safe(x);
+        if (Math.abs(fx) <= 1e-6 * Math.max(1, Math.min(Math.abs(prev), Math.abs(y)))) found.push(x);
+        continue;
+      }
+      const next = ys[i + 1];
+      if (i > 0 && i < opts.samples && !Number.isNaN(prev) && !Number.isNaN(next)
+        && Math.abs(y) < Math.abs(prev) && Math.abs(y) <= Math.abs(next)
+        && Math.sign(prev) === Math.sign(y) && Math.sign(next) === Math.sign(y)) {
+        // Only a dip that Newton drives far below its neighbours is a
+        // root; a curve that is merely small there (e^x far to the left)
+        // is not.
+        const x = newton(safe, xs[i], xs[i - 1], xs[i + 1]);
+        if (Number.isFinite(x) && Math.abs(safe(x)) <= 1e-8 * Math.min(Math.abs(prev), Math.abs(next))) found.push(x);
+      }
+    }
+    found.sort((a, b) => a - b);
+    return found.filter((x, i) => i === 0 || Math.abs(x - found[i - 1]) > 1e-7 * Math.max(1, Math.abs(x)));
+  }
+
+  /**
+   * Write a number for display: up to eight significant figures, without
+   * trailing zeros.
+   *
+   * @param {number} n
+   * @returns {string}
+   */
+  function formatNumber(n) {
+    const rounded = Number(n.toPrecision(8));
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+  }
+
+  const api = {
+    TOLERANCE,
+    SEARCH,
+    looksApproximate,
+    numericParts,
+    checkAnswer,
+    compile,
+    findRoots,
+    formatNumber,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.verify = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
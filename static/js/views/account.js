@@ -0,0 +1,129 @@
+/*
+  views/account.js
+  ----------------
+  The /account view: the user's plan, billing dates, free trial and
+  payments, with buttons to upgrade, renew or cancel.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Badge colour for each subscription state.  The admin console uses
+   * the same colours.
+   */
+  const STATE_BADGES = {
+    none: 'secondary',
+    active: 'success',
+    cancelled: 'warning',
+    grace: 'warning',
+    expired: 'secondary',
+  };
+
+  /**
+   * Bind the account view to its section of the page.
+   *
+   * @param {Object} app  the app context
+   * @returns {{show: Function, refresh: Function}}
+   */
+  function createView(app) {
+    const MathGPT = root.MathGPT;
+    const { t, formatDate } = app;
+
+    /**
+     * Fill in the Account page for the logged in user.
+     */
+    function renderAccount() {
+      const user = app.getCurrentUser();
+      if (!user) return;
+      const ent = MathGPT.entitlement;
+      const plan = ent.PLANS[user.subscription];
+      const state = ent.state(user);
+      const statusEl = document.getElementById('account-status');
+      statusEl.textContent = t(`account.state.${state}`);
+      statusEl.className = `badge text-bg-${STATE_BADGES[state]}`;
+      document.getElementById('account-plan').textContent = plan
+        ? t('account.plan-name', { plan: t(`plan.${user.subscription}`) })
+        : t('account.state.none');
+      document.getElementById('account-period').textContent = plan
+        ? `${formatDate(user.subscriptionStart)} – ${formatDate(ent.periodEnd(user))}`
+        : '–';
+      document.getElementById('account-remaining').textContent = ent.isEntitled(user) ? String(ent.remainingDays(user)) : '–';
+      const next = ent.nextBillingDate(user);
+      document.getElementById('account-next-billing').textContent = next
+        ? formatDate(next)
+        : ent.isEntitled(user) ? t('account.will-not-renew') : '–';
+      document.getElementById('account-trial').textContent = t('account.trial-count', {
+        used: Math.min(user.freeTrialUsed || 0, app.FREE_TRIAL_LIMIT),
+        limit: app.FREE_TRIAL_LIMIT,
+      });
+
+      document.getElementById('account-upgrade-btn').style.display = ent.isEntitled(user) && user.subscription === 'monthly' ? '' : 'none';
+      // Cancelling needs a session the server knows, so only the REST backend offers it
+      document.getElementById('account-cancel-btn').style.display = next && app.STORAGE_BACKEND === 'rest' ? '' : 'none';
+      document.getElementById('account-subscribe-btn').style.display = ent.isEntitled(user) ? 'none' : '';
+      document.getElementById('account-subscribe-btn').textContent = t(state === 'cancelled' || state === 'expired' ? 'account.renew' : 'account.choose');
+
+      const payments = (user.payments || []).slice().reverse();
+      const tbody = document.getElementById('account-payments');
+      tbody.innerHTML = '';
+      payments.forEach((p) => {
+        const row = document.createElement('tr');
+        // Payments recorded before plans had a currency were all in cedis
+        const amount = app.formatCurrency(p.amount, p.currency || MathGPT.pricing.DEFAULT_CURRENCY);
+        [formatDate(p.paidAt), ent.PLANS[p.plan] ? t(`plan.${p.plan}`) : p.plan, amount, p.reference].forEach((value, i) => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          if (i === 2) cell.className = 'text-end';
+          if (i === 3) cell.className = 'font-monospace small';
+          row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+      });
+      document.getElementById('account-payments-empty').style.display = payments.length ? 'none' : 'block';
+    }
+
+    // Upgrade, cancel or pick a plan
+    document.getElementById('account-upgrade-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      app.initiatePayment({ planType: 'annual' });
+    });
+    document.getElementById('account-subscribe-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      app.navigate('/pricing');
+    });
+    document.getElementById('account-cancel-btn').addEventListener('click', async (e) => {
+      e.preventDefault();
+      const user = app.getCurrentUser();
+      if (!user) return;
+      const end = MathGPT.entitlement.periodEnd(user);
+      if (!confirm(t('account.cancel-confirm', { date: formatDate(end) }))) return;
+      const errorEl = document.getElementById('account-error');
+      errorEl.style.display = 'none';
+      try {
+        await app.applySubscription(user, await app.callServer('/subscriptions/cancel', { email: user.email }));
+      } catch (err) {
+        console.error(err);
+        errorEl.textContent = t('account.cancel-failed', { error: err.message });
+        errorEl.style.display = 'block';
+      }
+      renderAccount();
+    });
+
+    return {
+      show: renderAccount,
+      refresh: renderAccount,
+    };
+  }
+
+  const api = {
+    STATE_BADGES,
+    createView,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT.views = root.MathGPT.views || {};
+    root.MathGPT.views.account = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,218 @@
+/*
+  views/admin.js
+  --------------
+  The /admin view, for users with the admin role on the REST backend:
+  charts of daily solves, the OCR failure rate and trial-to-paid
+  conversion, and every user with their plan, Paystack references and
+  free trial, with buttons to grant or revoke a plan and reset the
+  trial.  The data comes from the backend's /api/admin routes
+  (server/admin-api.js); with any other backend the view only says so.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Bind the admin view to its section of the page.
+   *
+   * @param {Object} app  the app context
+   * @returns {{show: Function, refresh: Function}}
+   */
+  function createView(app) {
+    const MathGPT = root.MathGPT;
+    const { t } = app;
+
+    /**
+     * User summaries and usage last fetched from the backend.
+     */
+    let adminUsers = [];
+    let adminStats = null;
+
+    /**
+     * Fetch users and usage from the backend and fill in the admin
+     * console.
+     *
+     * @returns {Promise<void>}
+     */
+    async function renderAdmin() {
+      const errorEl = document.getElementById('admin-error');
+      errorEl.style.display = 'none';
+      if (app.STORAGE_BACKEND !== 'rest') {
+        errorEl.textContent = t('admin.needs-rest');
+        errorEl.style.display = 'block';
+        return;
+      }
+      try {
+        const days = document.getElementById('admin-days').value;
+        const [stats, users] = await Promise.all([app.callServer(`/admin/stats?days=${days}`), app.callServer('/admin/users')]);
+        adminUsers = users;
+        renderAdminCharts(stats);
+        renderAdminUsers();
+      } catch (err) {
+        console.error(err);
+        errorEl.textContent = t('admin.load-failed', { error: err.message });
+        errorEl.style.display = 'block';
+      }
+    }
+
+    /**
+     * Draw the admin console's charts from /admin/stats.
+     *
+     * @param {{days: Array<Object>, ocrFailureRate: number|null,
+     *   conversion: {registered: number, tried: number, paid: number, rate: number|null}}} stats
+     */
+    function renderAdminCharts(stats) {
+      const charts = MathGPT.charts;
+      // Days are UTC dates; show them as such rather than shifting them a day
+      const dayLabel = (date) => MathGPT.i18n.formatDate(date, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+      const count = (n) => MathGPT.i18n.formatNumber(Math.round(n));
+
+      const solves = stats.days.reduce((sum, day) => sum + day.solves, 0);
+      document.getElementById('admin-solves-total').textContent = t('admin.solves-total', { count: solves, total: count(solves) });
+      charts.barChart(document.getElementById('admin-solves-chart'),
+        stats.days.map((day) => ({ label: dayLabel(day.date), value: day.solves })),
+        { format: count });
+
+      document.getElementById('admin-ocr-rate').textContent = stats.ocrFailureRate === null
+        ? t('admin.no-scans')
+        : t('admin.ocr-rate', { rate: app.percent(stats.ocrFailureRate * 100) });
+      charts.barChart(document.getElementById('admin-ocr-chart'),
+        stats.days.map((day) => ({ label: dayLabel(day.date), value: day.scans ? day.scanFailures / day.scans : null })),
+        { max: 1, color: '#dc3545', format: (rate) => app.percent(rate * 100) });
+
+      const funnel = stats.conversion;
+      document.getElementById('admin-conversion-rate').textContent = funnel.rate === null
+        ? t('admin.no-trials')
+        : t('admin.conversion-rate', { rate: app.percent(funnel.rate * 100), paid: funnel.paid, tried: funnel.tried });
+      charts.barChart(document.getElementById('admin-conversion-chart'), [
+        { label: t('admin.funnel.registered'), value: funnel.registered },
+        { label: t('admin.funnel.tried'), value: funnel.tried },
+        { label: t('admin.funnel.paid'), value: funnel.paid },
+      ], { color: '#198754', format: count });
+    }
+
+    /**
+     * List the fetched users matching the admin search box, with buttons
+     * to grant or revoke a plan and reset the free trial.
+     */
+    function renderAdminUsers() {
+      const query = document.getElementById('admin-search').value.trim().toLowerCase();
+      const users = adminUsers.filter((u) => !query || `${u.name} ${u.email}`.toLowerCase().includes(query));
+      const tbody = document.getElementById('admin-users');
+      tbody.innerHTML = '';
+      users.forEach((u) => {
+        const row = document.createElement('tr');
+
+        const who = document.createElement('td');
+        const name = document.createElement('div');
+        name.textContent = u.role === 'admin' ? `${u.name} (${t('admin.role-admin')})` : u.name;
+        const email = document.createElement('div');
+        email.className = 'small text-muted';
+        email.textContent = u.emailVerified ? u.email : `${u.email} (${t('admin.unverified')})`;
+        who.append(name, email);
+
+        const registered = document.createElement('td');
+        registered.textContent = app.formatDate(u.createdAt);
+
+        const status = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `badge text-bg-${MathGPT.views.account.STATE_BADGES[u.state]}`;
+        badge.textContent = t(`account.state.${u.state}`);
+        status.appendChild(badge);
+        if (u.state !== 'none') {
+          const plan = document.createElement('div');
+          plan.className = 'small text-muted';
+          plan.textContent = t('admin.plan-until', { plan: t(`plan.${u.subscription}`), date: app.formatDate(u.endsAt) });
+          status.appendChild(plan);
+        }
+        if (u.grantedBy) {
+          const granted = document.createElement('div');
+          granted.className = 'small text-muted';
+          granted.textContent = t('admin.granted-by', { email: u.grantedBy });
+          status.appendChild(granted);
+        }
+
+        const references = document.createElement('td');
+        references.className = 'font-monospace small';
+        references.textContent = u.references.concat(u.subscriptionCode ? [u.subscriptionCode] : []).join('\n') || '–';
+        references.style.whiteSpace = 'pre-line';
+
+        const trial = document.createElement('td');
+        trial.className = 'text-end';
+        trial.textContent = t('account.trial-count', { used: u.freeTrialUsed, limit: app.FREE_TRIAL_LIMIT });
+        const solves = document.createElement('td');
+        solves.className = 'text-end';
+        solves.textContent = MathGPT.i18n.formatNumber(u.solves);
+
+        const actions = document.createElement('td');
+        actions.className = 'text-nowrap';
+        const button = (label, style, action, body) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = `btn btn-sm ${style} me-1`;
+          btn.textContent = label;
+          btn.addEventListener('click', () => adminAction(u, action, body));
+          actions.appendChild(btn);
+        };
+        const entitled = u.state === 'active' || u.state === 'cancelled' || u.state === 'grace';
+        if (entitled) {
+          button(t('admin.revoke'), 'btn-outline-danger', 'revoke');
+        } else {
+          button(t('admin.grant-monthly'), 'btn-outline-primary', 'grant', { plan: 'monthly' });
+          button(t('admin.grant-annual'), 'btn-outline-primary', 'grant', { plan: 'annual' });
+        }
+        if (u.freeTrialUsed) button(t('admin.reset-trial'), 'btn-outline-secondary', 'reset-trial');
+
+        row.append(who, registered, status, references, trial, solves, actions);
+        tbody.appendChild(row);
+      });
+    }
+
+    /**
+     * Run an admin action on a user and show the changed row.
+     *
+     * @param {Object} summary  the user's row
+     * @param {string} action  'grant', 'revoke' or 'reset-trial'
+     * @param {Object} [body]  { plan } for grant
+     * @returns {Promise<void>}
+     */
+    async function adminAction(summary, action, body) {
+      if (action === 'revoke' && !confirm(t('admin.revoke-confirm', { email: summary.email }))) return;
+      const errorEl = document.getElementById('admin-error');
+      errorEl.style.display = 'none';
+      try {
+        const updated = await app.callServer(`/admin/users/${encodeURIComponent(summary.email)}/${action}`, body || {});
+        adminUsers = adminUsers.map((u) => (u.email === updated.email ? updated : u));
+        renderAdminUsers();
+      } catch (err) {
+        console.error(err);
+        errorEl.textContent = t('admin.action-failed', { error: err.message });
+        errorEl.style.display = 'block';
+      }
+    }
+
+    // Period, refresh and user search
+    document.getElementById('admin-days').addEventListener('change', renderAdmin);
+    document.getElementById('admin-refresh-btn').addEventListener('click', renderAdmin);
+    document.getElementById('admin-search').addEventListener('input', renderAdminUsers);
+
+    return {
+      show: renderAdmin,
+      // Redraw what was fetched in the new language
+      refresh() {
+        if (adminStats) renderAdminCharts(adminStats);
+        renderAdminUsers();
+      },
+    };
+  }
+
+  const api = {
+    createView,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT.views = root.MathGPT.views || {};
+    root.MathGPT.views.admin = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,145 @@
+/*
+  views/history.js
+  ----------------
+  The /history view: the user's past solves with search, a type filter,
+  JSON and CSV export, a printable worksheet of the selected solves
+  (worksheet.js) and a button that reopens a solve on the dashboard.
+  The entries themselves are managed by static/js/history.js.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Bind the history view to its section of the page.
+   *
+   * @param {Object} app  the app context
+   * @returns {{show: Function, refresh: Function}}
+   */
+  function createView(app) {
+    const MathGPT = root.MathGPT;
+    const { t } = app;
+
+    /**
+     * Ids of the entries ticked for printing.
+     */
+    const selected = new Set();
+
+    /**
+     * The current user's history entries matching the search box and
+     * type filter.
+     *
+     * @returns {Array<Object>}
+     */
+    function filteredHistory() {
+      const user = app.getCurrentUser();
+      if (!user) return [];
+      return MathGPT.history.filterEntries(user.history || [], {
+        query: document.getElementById('history-search').value,
+        type: document.getElementById('history-type').value,
+      });
+    }
+
+    /**
+     * Render the History page: one list item per past solve with its
+     * thumbnail, the problems and answers and a re-solve button.
+     */
+    function renderHistory() {
+      const list = document.getElementById('history-list');
+      const emptyEl = document.getElementById('history-empty');
+      const entries = filteredHistory();
+      list.innerHTML = '';
+      emptyEl.style.display = entries.length ? 'none' : 'block';
+      entries.forEach((entry) => {
+        const item = document.createElement('div');
+        item.className = 'list-group-item d-flex gap-3 align-items-start';
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'form-check-input flex-shrink-0 mt-1';
+        select.checked = selected.has(entry.id);
+        select.setAttribute('aria-label', t('history.select'));
+        select.addEventListener('change', () => {
+          if (select.checked) selected.add(entry.id);
+          else selected.delete(entry.id);
+        });
+        item.appendChild(select);
+        if (entry.thumbnail) {
+          const img = document.createElement('img');
+          img.src = entry.thumbnail;
+          img.alt = t('history.photo');
+          img.className = 'history-thumb rounded border';
+          item.appendChild(img);
+        }
+        const body = document.createElement('div');
+        body.className = 'flex-grow-1';
+        const date = document.createElement('div');
+        date.className = 'small text-muted';
+        date.textContent = MathGPT.i18n.formatDate(entry.createdAt, { dateStyle: 'medium', timeStyle: 'short' });
+        body.appendChild(date);
+        entry.results.forEach((r) => {
+          const problem = document.createElement('div');
+          problem.className = 'step-math';
+          problem.textContent = r.problem;
+          const answer = document.createElement('div');
+          answer.className = r.ok ? 'mb-1' : 'mb-1 text-danger';
+          answer.textContent = r.ok
+            ? `${t('result.answer-label', { label: MathGPT.solver.resultLabel(r) })} ${r.solution}`
+            : t('solver.error', { message: r.solution });
+          body.appendChild(problem);
+          body.appendChild(answer);
+        });
+        const reopen = document.createElement('button');
+        reopen.type = 'button';
+        reopen.className = 'btn btn-sm btn-outline-primary';
+        reopen.textContent = t('history.resolve');
+        reopen.addEventListener('click', () => app.views.solve.reopen(entry));
+        item.appendChild(body);
+        item.appendChild(reopen);
+        list.appendChild(item);
+      });
+    }
+
+    // Search, filter and export
+    document.getElementById('history-search').addEventListener('input', renderHistory);
+    document.getElementById('history-type').addEventListener('change', renderHistory);
+    document.getElementById('export-json-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      MathGPT.history.download('mathgpt-history.json', MathGPT.history.toJSON(filteredHistory()), 'application/json');
+    });
+    document.getElementById('export-csv-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      MathGPT.history.download('mathgpt-history.csv', MathGPT.history.toCSV(filteredHistory()), 'text/csv');
+    });
+
+    // Print the ticked solves, or all those shown, as a worksheet
+    document.getElementById('print-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      const shown = filteredHistory();
+      const ticked = shown.filter((entry) => selected.has(entry.id));
+      const items = MathGPT.worksheet.itemsFromEntries(ticked.length ? ticked : shown);
+      if (!items.length) {
+        alert(t('history.print-none'));
+        return;
+      }
+      MathGPT.worksheet.print(items, {
+        steps: document.getElementById('print-steps').checked,
+        answerKey: document.getElementById('print-key').checked,
+      });
+    });
+
+    return {
+      show: renderHistory,
+      refresh: renderHistory,
+    };
+  }
+
+  const api = {
+    createView,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT.views = root.MathGPT.views || {};
+    root.MathGPT.views.history = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,222 @@
+/*
+  views/login.js
+  --------------
+  The /login view: the login and registration forms, the forgotten
+  password form and the new password form that a reset link opens.  It
+  also acts on the links in our emails (`#verify?email=…&token=…` and
+  `#reset?email=…&token=…`), which the router hands to the app as
+  fragments that are not routes.
+
+  Like every view it is made by `createView(app)`, where `app` is the
+  context app.js builds (see the note on views there).
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Bind the login view to its section of the page.
+   *
+   * @param {Object} app  the app context
+   * @returns {{handleEmailLink: Function}}
+   */
+  function createView(app) {
+    const MathGPT = root.MathGPT;
+    const { t, auth } = app;
+
+    /**
+     * What is wrong with a password, in the current language.
+     *
+     * @param {Object} strength  from MathGPT.auth.passwordStrength
+     * @returns {Array<string>}
+     */
+    function weakness(strength) {
+      return strength.codes.map((code) => t(`auth.weak.${code}`, { min: MathGPT.auth.MIN_PASSWORD_LENGTH }));
+    }
+
+    /**
+     * Show how strong the password typed into the registration form is,
+     * and what would make it stronger.
+     */
+    function renderPasswordStrength() {
+      const password = document.getElementById('register-password').value;
+      const meter = document.getElementById('register-password-meter');
+      const problems = document.getElementById('register-password-problems');
+      const strength = MathGPT.auth.passwordStrength(password, {
+        email: document.getElementById('register-email').value,
+        name: document.getElementById('register-name').value,
+      });
+      const colours = ['bg-danger', 'bg-danger', 'bg-warning', 'bg-info', 'bg-success'];
+      meter.style.width = password ? `${(strength.score + 1) * 20}%` : '0%';
+      meter.className = `progress-bar ${colours[strength.score]}`;
+      problems.innerHTML = '';
+      if (!password) return;
+      weakness(strength).forEach((problem) => {
+        const li = document.createElement('li');
+        li.textContent = problem;
+        problems.appendChild(li);
+      });
+    }
+
+    // Registration form submission
+    const registerForm = document.getElementById('register-form');
+    const registerEmail = document.getElementById('register-email');
+    const registerPassword = document.getElementById('register-password');
+    registerForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const name = document.getElementById('register-name').value.trim();
+      const email = registerEmail.value.trim();
+      const password = registerPassword.value;
+      const errorEl = document.getElementById('register-error');
+
+      if (!name || !email || !password) {
+        errorEl.style.display = 'block';
+        errorEl.textContent = t('auth.all-required');
+        return;
+      }
+      if (!MathGPT.auth.isValidEmail(email)) {
+        registerEmail.classList.add('is-invalid');
+        return;
+      }
+      const strength = MathGPT.auth.passwordStrength(password, { email, name });
+      if (!strength.ok) {
+        errorEl.style.display = 'block';
+        errorEl.textContent = weakness(strength).join(' ');
+        return;
+      }
+      try {
+        const session = await auth.register({ name, email, password });
+        await app.setSession(session.token);
+      } catch (err) {
+        console.error(err);
+        errorEl.style.display = 'block';
+        errorEl.textContent = app.authMessage(err);
+        return;
+      }
+      // reset form fields
+      registerForm.reset();
+      renderPasswordStrength();
+      errorEl.style.display = 'none';
+      app.signedIn();
+    });
+    registerEmail.addEventListener('input', () => registerEmail.classList.remove('is-invalid'));
+    registerPassword.addEventListener('input', renderPasswordStrength);
+
+    // Login form submission
+    const loginForm = document.getElementById('login-form');
+    loginForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const email = document.getElementById('login-email').value.trim();
+      const password = document.getElementById('login-password').value;
+      const errorEl = document.getElementById('login-error');
+      try {
+        const session = await auth.login(email, password);
+        await app.setSession(session.token);
+      } catch (err) {
+        console.error(err);
+        errorEl.style.display = 'block';
+        errorEl.textContent = app.authMessage(err);
+        return;
+      }
+      loginForm.reset();
+      errorEl.style.display = 'none';
+      app.signedIn();
+    });
+
+    // Forgotten password: ask for a reset link
+    const resetRequestForm = document.getElementById('reset-request-form');
+    document.getElementById('forgot-password-link').addEventListener('click', (e) => {
+      e.preventDefault();
+      resetRequestForm.style.display = resetRequestForm.style.display === 'none' ? 'block' : 'none';
+      document.getElementById('reset-request-email').value = document.getElementById('login-email').value;
+    });
+    resetRequestForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const messageEl = document.getElementById('reset-request-message');
+      try {
+        await auth.requestPasswordReset(document.getElementById('reset-request-email').value.trim());
+        // The same answer whether or not the account exists
+        messageEl.textContent = t('auth.reset-sent');
+      } catch (err) {
+        console.error(err);
+        messageEl.textContent = t('auth.reset-failed');
+      }
+      messageEl.style.display = 'block';
+    });
+
+    // New password from a reset link
+    const resetForm = document.getElementById('reset-form');
+    resetForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const password = document.getElementById('reset-password').value;
+      const errorEl = document.getElementById('reset-error');
+      if (password !== document.getElementById('reset-password-confirm').value) {
+        errorEl.style.display = 'block';
+        errorEl.textContent = t('auth.mismatch');
+        return;
+      }
+      try {
+        await auth.resetPassword(resetForm.dataset.email, resetForm.dataset.token, password);
+      } catch (err) {
+        console.error(err);
+        errorEl.style.display = 'block';
+        errorEl.textContent = app.authMessage(err);
+        return;
+      }
+      resetForm.reset();
+      errorEl.style.display = 'none';
+      resetForm.style.display = 'none';
+      // Resetting ends every session of the account
+      await app.setSession(null);
+      app.navigate('/login');
+      alert(t('auth.password-changed'));
+    });
+
+    return {
+      /**
+       * Act on a link from one of our emails: `#verify?…` confirms the
+       * address and `#reset?…` opens the new password form.  The router
+       * replaces the fragment afterwards, so the token does not stay in
+       * the address bar.
+       *
+       * @param {string} hash
+       * @returns {Promise<void>}
+       */
+      async handleEmailLink(hash) {
+        const match = /^#(verify|reset)\?(.*)$/.exec(hash);
+        if (!match) return;
+        const params = new URLSearchParams(match[2]);
+        const email = params.get('email');
+        const token = params.get('token');
+        if (match[1] === 'reset') {
+          resetForm.dataset.email = email;
+          resetForm.dataset.token = token;
+          resetForm.style.display = 'block';
+          return;
+        }
+        try {
+          await auth.verifyEmail(email, token);
+          const user = app.getCurrentUser();
+          if (user && user.email.toLowerCase() === String(email).toLowerCase()) {
+            await app.setSession(await app.store.getSession());
+            app.refresh();
+          }
+          alert(t('auth.email-confirmed'));
+        } catch (err) {
+          console.error(err);
+          alert(err.code ? app.authMessage(err) : t('auth.confirm-failed'));
+        }
+      },
+    };
+  }
+
+  const api = {
+    createView,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT.views = root.MathGPT.views || {};
+    root.MathGPT.views.login = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
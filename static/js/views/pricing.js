@@ -0,0 +1,81 @@
+/*
+  views/pricing.js
+  ----------------
+  The /pricing view: the free trial and plan cards in the chosen
+  currency.  Checkout itself is app.initiatePayment, which the Account
+  page uses too.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Bind the pricing view to its section of the page.
+   *
+   * @param {Object} app  the app context
+   * @returns {{show: Function, refresh: Function}}
+   */
+  function createView(app) {
+    const MathGPT = root.MathGPT;
+    const { t } = app;
+
+    /**
+     * Update the displayed prices for monthly and annual subscriptions on
+     * the pricing cards, in the chosen currency.
+     */
+    function updateSubscriptionPrices() {
+      const currency = app.getCurrency();
+      document.getElementById('monthly-price').textContent = app.formatCurrency(MathGPT.pricing.priceOf('monthly', currency));
+      document.getElementById('annual-price').textContent = app.formatCurrency(MathGPT.pricing.priceOf('annual', currency));
+      document.getElementById('free-trial-text').textContent = t('pricing.free-text', { limit: app.FREE_TRIAL_LIMIT });
+      document.getElementById('currency-select').value = currency;
+    }
+
+    // Back button
+    document.getElementById('back-to-dashboard').addEventListener('click', (e) => {
+      e.preventDefault();
+      app.navigate('/solve');
+    });
+
+    // Free trial button
+    document.getElementById('free-trial-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      if (!app.hasSolvesLeft()) {
+        alert(t('pricing.trial-used'));
+        return;
+      }
+      app.navigate('/solve');
+    });
+
+    // Plan buttons
+    document.getElementById('monthly-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      app.initiatePayment({ planType: 'monthly' });
+    });
+    document.getElementById('annual-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      app.initiatePayment({ planType: 'annual' });
+    });
+
+    // Prices follow the chosen currency
+    document.getElementById('currency-select').addEventListener('change', (e) => {
+      app.setCurrency(e.target.value);
+      updateSubscriptionPrices();
+    });
+
+    return {
+      show: updateSubscriptionPrices,
+      refresh: updateSubscriptionPrices,
+    };
+  }
+
+  const api = {
+    createView,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT.views = root.MathGPT.views || {};
+    root.MathGPT.views.pricing = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
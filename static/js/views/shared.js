@@ -0,0 +1,127 @@
+/*
+  views/shared.js
+  ---------------
+  The /shared/:data view: a solution someone shared, read from the link
+  itself (see share.js).  It is read-only and open to everyone, logged
+  in or not.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Bind the shared solution view to its section of the page.
+   *
+   * @param {Object} app  the app context
+   * @returns {{show: Function, refresh: Function}}
+   */
+  function createView(app) {
+    const MathGPT = root.MathGPT;
+    const { t } = app;
+
+    /**
+     * The solution on screen, or the error its link gave.
+     */
+    let solution = null;
+    let error = null;
+
+    /**
+     * Counts links opened, so that a slow link finishing late does not
+     * replace a newer one.
+     */
+    let opened = 0;
+
+    /**
+     * Show the solution, or why its link could not be read.
+     */
+    function renderShared() {
+      const errorEl = document.getElementById('shared-error');
+      const card = document.getElementById('shared-solution');
+      document.getElementById('shared-loading').style.display = solution || error ? 'none' : 'block';
+      errorEl.style.display = error ? 'block' : 'none';
+      card.style.display = solution ? 'block' : 'none';
+      if (error) {
+        errorEl.textContent = MathGPT.i18n.has(`shared.error.${error.code}`)
+          ? t(`shared.error.${error.code}`)
+          : t('shared.error.invalid');
+      }
+      if (!solution) return;
+      const { mathview } = MathGPT;
+      mathview.render(document.getElementById('shared-problem'),
+        solution.problemTeX || mathview.toTeX(solution.problem), solution.problem, { displayMode: true });
+      const label = MathGPT.solver.resultLabel(solution);
+      document.getElementById('shared-label').textContent = t('result.answer-label', { label });
+      mathview.render(document.getElementById('shared-answer'),
+        solution.tex || mathview.toTeX(solution.solution), solution.solution, { displayMode: true });
+
+      const steps = document.getElementById('shared-steps');
+      steps.innerHTML = '';
+      if (!solution.steps.length) return;
+      const details = document.createElement('details');
+      details.className = 'steps-details';
+      details.open = true;
+      const summary = document.createElement('summary');
+      summary.textContent = t('result.steps', { count: solution.steps.length });
+      details.appendChild(summary);
+      const list = document.createElement('ol');
+      list.className = 'list-group list-group-numbered list-group-flush mt-2';
+      solution.steps.forEach((step) => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item d-flex align-items-start';
+        const body = document.createElement('div');
+        body.className = 'ms-2';
+        const title = document.createElement('div');
+        title.className = 'fw-semibold';
+        title.textContent = step.title;
+        const math = document.createElement('div');
+        math.className = 'step-math';
+        mathview.render(math, step.tex || mathview.toTeX(step.math), step.math);
+        body.appendChild(title);
+        body.appendChild(math);
+        item.appendChild(body);
+        list.appendChild(item);
+      });
+      details.appendChild(list);
+      steps.appendChild(details);
+    }
+
+    return {
+      /**
+       * Read the solution from the link and show it.
+       *
+       * @param {{data: string}} params
+       * @returns {Promise<void>}
+       */
+      async show(params) {
+        const run = ++opened;
+        solution = null;
+        error = null;
+        renderShared();
+        let read = null;
+        let failed = null;
+        try {
+          read = await MathGPT.share.decode(params.data);
+        } catch (err) {
+          console.warn('Could not open the shared solution', err);
+          failed = err;
+        }
+        if (run !== opened) return;
+        solution = read;
+        error = failed;
+        renderShared();
+      },
+
+      refresh: renderShared,
+    };
+  }
+
+  const api = {
+    createView,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT.views = root.MathGPT.views || {};
+    root.MathGPT.views.shared = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,1225 @@
+/*
+  views/solve.js
+  --------------
+  The /solve view, the dashboard where problems are solved: photos are
+  uploaded or taken with the camera, cropped and cleaned up, recognized
+  through the job queue, checked and corrected as text and then solved,
+  with worked steps, graphs and practice sets for each result.  Several
+  photos or a PDF go through the queue without the checking step.
+
+  Solves count against the free trial and are added to the user's
+  history and usage here.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Bind the solve view to the dashboard section of the page.
+   *
+   * @param {Object} app  the app context
+   * @returns {{show: Function, refresh: Function, reopen: Function}}
+   */
+  function createView(app) {
+    const MathGPT = root.MathGPT;
+    const { t } = app;
+
+    /**
+     * Thumbnail of the image currently being solved, stored with the
+     * history entry once the solve is confirmed.
+     */
+    let currentThumbnail = '';
+
+    /**
+     * Interactive graph on the dashboard, created the first time a result
+     * is plotted.
+     */
+    let graph = null;
+
+    /**
+     * Photo being prepared for recognition: the loaded image, quarter turns
+     * and fine rotation in degrees.  The crop lives in `cropper`.
+     */
+    let photo = null;
+    let cropper = null;
+
+    /**
+     * Tesseract workers for the chosen language, started on first use and
+     * kept until the language changes, and the recognition pipeline built
+     * from app.RECOGNIZERS on top of them (see startRecognition).
+     */
+    let ocr = null;
+    let recognizer = null;
+
+    /**
+     * Recognition jobs, one per photo or PDF page, run one at a time.
+     */
+    const jobs = MathGPT.batch.createQueue(processJob, { onChange: renderJobs });
+
+    /**
+     * Camera stream while the camera panel is open.
+     */
+    let camera = null;
+
+    /**
+     * The practice set on the dashboard: the result it was made from and
+     * its problems.  `practiceRun` counts sets started, so that a set
+     * still being made stops when a newer one begins.
+     */
+    let practiceSet = null;
+    let practiceRun = 0;
+
+    /**
+     * Set when a solve is reopened from History, so that the text box
+     * gets focus when the dashboard appears.
+     */
+    let focusText = false;
+
+    /**
+     * Start Tesseract workers for the current locale's language, stopping
+     * those of the previous one.  Nothing changes when the language is the
+     * same.
+     */
+    function startRecognition() {
+      const lang = MathGPT.i18n.ocrLanguage();
+      if (ocr && ocr.lang === lang) return;
+      if (ocr) ocr.terminate().catch((err) => console.warn('Could not stop the OCR workers', err));
+      ocr = Object.assign(MathGPT.ocr.createPool({ lang }), { lang });
+      recognizer = MathGPT.recognize.createPipeline({ recognizers: app.RECOGNIZERS }, { ocr });
+    }
+
+    /**
+     * Check that the current user may run another solve.  Users without an
+     * active subscription who have used up their free trial are told so and
+     * sent to the pricing page.
+     *
+     * @returns {boolean}
+     */
+    function ensureCanSolve() {
+      if (!app.getCurrentUser()) return false;
+      if (!app.hasSolvesLeft()) {
+        alert(t('pricing.trial-used'));
+        app.navigate('/pricing');
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * Build the collapsible, numbered list of worked steps for a result.
+     *
+     * @param {Array<{title: string, math: string}>} steps
+     * @returns {HTMLElement}
+     */
+    function buildStepsList(steps) {
+      const details = document.createElement('details');
+      details.className = 'steps-details';
+      const summary = document.createElement('summary');
+      summary.textContent = t('result.steps', { count: steps.length });
+      details.appendChild(summary);
+      const list = document.createElement('ol');
+      list.className = 'list-group list-group-numbered list-group-flush mt-2';
+      steps.forEach((step) => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item d-flex align-items-start';
+        const body = document.createElement('div');
+        body.className = 'ms-2';
+        const title = document.createElement('div');
+        title.className = 'fw-semibold';
+        title.textContent = step.title;
+        const math = document.createElement('div');
+        math.className = 'step-math';
+        MathGPT.mathview.render(math, step.tex || MathGPT.mathview.toTeX(step.math), step.math);
+        body.appendChild(title);
+        body.appendChild(math);
+        item.appendChild(body);
+        list.appendChild(item);
+      });
+      details.appendChild(list);
+      return details;
+    }
+
+    /**
+     * Build the copy-as-LaTeX/plain text/MathML buttons for a result.
+     *
+     * @param {Object} result
+     * @returns {HTMLElement}
+     */
+    function buildCopyButtons(result) {
+      const group = document.createElement('div');
+      group.className = 'btn-group btn-group-sm mb-2';
+      group.setAttribute('role', 'group');
+      group.setAttribute('aria-label', t('result.copy'));
+      const formats = [
+        [t('result.copy-latex'), () => result.tex],
+        [t('result.copy-text'), () => result.solutionText],
+        [t('result.copy-mathml'), () => MathGPT.mathview.toMathML(result.tex)],
+      ];
+      formats.forEach(([label, value]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn-outline-secondary';
+        btn.textContent = label;
+        btn.addEventListener('click', async () => {
+          try {
+            await MathGPT.mathview.copyText(value());
+            btn.textContent = t('result.copied');
+          } catch (err) {
+            console.error(err);
+            btn.textContent = t('result.copy-failed');
+          }
+          setTimeout(() => {
+            btn.textContent = label;
+          }, 1500);
+        });
+        group.appendChild(btn);
+      });
+      return group;
+    }
+
+    /**
+     * Build the button that shares a result as a link.  The link opens
+     * the problem, answer and steps read-only, without an account.  Where
+     * the browser has a share sheet it is used; otherwise the link is
+     * copied.
+     *
+     * @param {Object} result
+     * @returns {HTMLElement}
+     */
+    function buildShareButton(result) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-sm btn-outline-secondary mb-2 ms-2';
+      btn.textContent = t('result.share');
+      btn.addEventListener('click', async () => {
+        try {
+          const url = await MathGPT.share.link(MathGPT.share.fromResult(result), location.href);
+          if (navigator.share) {
+            try {
+              await navigator.share({ title: t('shared.title'), url });
+              return;
+            } catch (err) {
+              // Closing the share sheet is not a failure
+              if (err.name === 'AbortError') return;
+              console.warn('Could not open the share sheet', err);
+            }
+          }
+          await MathGPT.mathview.copyText(url);
+          btn.textContent = t('result.link-copied');
+        } catch (err) {
+          console.error(err);
+          btn.textContent = t('result.share-failed');
+        }
+        setTimeout(() => {
+          btn.textContent = t('result.share');
+        }, 1500);
+      });
+      return btn;
+    }
+
+    /**
+     * Plot a scene on the graph panel below the summary.  Passing null
+     * hides the panel.
+     *
+     * @param {Object|null} scene  a scene from MathGPT.plot.sceneFor
+     * @param {string} [title]
+     */
+    function showGraph(scene, title) {
+      const panel = document.getElementById('plot-panel');
+      if (!scene) {
+        panel.style.display = 'none';
+        return;
+      }
+      // The panel must be visible before drawing so the canvas has a size.
+      panel.style.display = 'block';
+      document.getElementById('plot-title').textContent = title;
+      if (!graph) {
+        graph = MathGPT.plot.createPlot(
+          document.getElementById('plot-canvas'),
+          document.getElementById('plot-readout'),
+        );
+      }
+      graph.setScene(scene);
+    }
+
+    /**
+     * List how each answer of an equation checked out when substituted
+     * back into it, labelled exact or approximate, followed by the
+     * solutions that were set aside and why.
+     *
+     * @param {Object} result  a result of type 'solve'
+     * @returns {HTMLElement}
+     */
+    function buildAnswerChecks(result) {
+      const wrap = document.createElement('div');
+      wrap.className = 'answer-checks small mb-2';
+      const v = result.variable;
+      const fmt = MathGPT.verify.formatNumber;
+      const add = (kind, label, text) => {
+        const row = document.createElement('div');
+        const badge = document.createElement('span');
+        badge.className = `badge text-bg-${kind} me-2`;
+        badge.textContent = label;
+        row.appendChild(badge);
+        row.appendChild(document.createTextNode(text));
+        wrap.appendChild(row);
+      };
+      result.answers.forEach((a) => {
+        if (a.kind === 'symbolic') {
+          add('info', t('result.symbolic'), `${v} = ${a.text}`);
+          return;
+        }
+        const exact = a.kind === 'exact';
+        add(exact ? 'success' : 'warning', t(exact ? 'result.exact' : 'result.approximate'),
+          `${v} ${exact ? '=' : '≈'} ${a.text}: ${t('result.sides', { left: fmt(a.left), right: fmt(a.right) })} ✓`);
+      });
+      result.rejected.forEach((r) => add('danger', t('result.rejected'), `${v} = ${r.value}: ${r.reason}`));
+      result.complex.forEach((c) => add('secondary', t('result.complex'), `${v} = ${c}`));
+      if (result.note) {
+        const note = document.createElement('div');
+        note.className = 'text-muted mt-1';
+        note.textContent = result.note;
+        wrap.appendChild(note);
+      }
+      return wrap;
+    }
+
+    /**
+     * Render one result card per solved problem.  Passing an empty array
+     * clears the cards.  The first problem that can be graphed is plotted
+     * straight away; the others get a button to plot them.
+     *
+     * @param {Array<Object>} results  results from MathGPT.solver.solveProblem
+     */
+    function renderResults(results) {
+      const container = document.getElementById('results');
+      container.innerHTML = '';
+      let plotted = false;
+      results.forEach((result, i) => {
+        const { problem } = result;
+        const card = document.createElement('div');
+        card.className = `card mb-3 result-card border-${result.ok ? 'success' : 'danger'}`;
+        const header = document.createElement('div');
+        header.className = 'card-header';
+        header.textContent = problem.kind === 'system'
+          ? t('result.system', { n: i + 1, count: problem.lines.length })
+          : t('result.problem', { n: i + 1, label: t(`result.kind.${result.type}`) });
+        const body = document.createElement('div');
+        body.className = 'card-body';
+        const ocr = document.createElement('div');
+        ocr.className = 'step-math text-muted mb-2';
+        MathGPT.mathview.render(ocr, result.problemTeX, problem.lines.join('\n'), { displayMode: true });
+        body.appendChild(ocr);
+        if (result.ok) {
+          const label = document.createElement('div');
+          label.className = 'fw-semibold';
+          label.textContent = t('result.answer-label', { label: MathGPT.solver.resultLabel(result) });
+          const answer = document.createElement('div');
+          answer.className = 'result-math';
+          MathGPT.mathview.render(answer, result.tex, result.solutionText, { displayMode: true });
+          body.appendChild(label);
+          body.appendChild(answer);
+          if (result.answers) body.appendChild(buildAnswerChecks(result));
+          body.appendChild(buildCopyButtons(result));
+          body.appendChild(buildShareButton(result));
+          if (result.answers && result.answers.some((a) => a.kind === 'exact')) {
+            const practiceBtn = document.createElement('button');
+            practiceBtn.type = 'button';
+            practiceBtn.className = 'btn btn-sm btn-outline-success mb-2 ms-2';
+            practiceBtn.textContent = t('result.practice');
+            practiceBtn.addEventListener('click', () => startPractice(result));
+            body.appendChild(practiceBtn);
+          }
+          const scene = MathGPT.plot.sceneFor(result);
+          if (scene) {
+            const title = t('result.graph-of', { n: i + 1 });
+            const graphBtn = document.createElement('button');
+            graphBtn.type = 'button';
+            graphBtn.className = 'btn btn-sm btn-outline-primary mb-2 ms-2';
+            graphBtn.textContent = t('result.graph');
+            graphBtn.addEventListener('click', () => {
+              showGraph(scene, title);
+              document.getElementById('plot-panel').scrollIntoView({ behavior: 'smooth' });
+            });
+            body.appendChild(graphBtn);
+            if (!plotted) {
+              showGraph(scene, title);
+              plotted = true;
+            }
+          }
+        } else {
+          const error = document.createElement('div');
+          error.className = 'text-danger';
+          error.textContent = t('solver.error', { message: result.error });
+          body.appendChild(error);
+        }
+        if (result.steps.length) body.appendChild(buildStepsList(result.steps));
+        card.appendChild(header);
+        card.appendChild(body);
+        container.appendChild(card);
+      });
+      if (!plotted) showGraph(null);
+    }
+
+    /**
+     * Make a practice set like a solved equation and show it.  Problems
+     * are made one at a time with a pause between them, so the page stays
+     * responsive while candidates are solved.
+     *
+     * @param {Object} result  a 'solve' result
+     */
+    async function startPractice(result) {
+      const run = ++practiceRun;
+      const count = Number(document.getElementById('practice-count').value) || MathGPT.practice.DEFAULT_COUNT;
+      const exclude = practiceSet && practiceSet.source === result ? practiceSet.problems.map((p) => p.line) : [];
+      practiceSet = { source: result, problems: [] };
+      const panel = document.getElementById('practice-panel');
+      const status = document.getElementById('practice-status');
+      const list = document.getElementById('practice-list');
+      document.getElementById('practice-title').textContent = t('practice.title-for', { problem: result.problem.lines[0] });
+      list.innerHTML = '';
+      status.textContent = t('practice.making');
+      panel.style.display = '';
+      panel.scrollIntoView({ behavior: 'smooth' });
+      for (let n = 0; n < count; n++) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        if (run !== practiceRun) return;
+        const [problem] = MathGPT.practice.generate(result, 1, {
+          exclude: exclude.concat(practiceSet.problems.map((p) => p.line)),
+        });
+        if (!problem) break;
+        practiceSet.problems.push(problem);
+        list.appendChild(buildPracticeProblem(problem));
+      }
+      status.textContent = practiceSet.problems.length
+        ? t('practice.instructions', { variable: result.variable })
+        : t('practice.none');
+    }
+
+    /**
+     * One practice problem with an answer box.  The first answer checked
+     * counts towards the topic's score; later tries only get feedback.
+     *
+     * @param {Object} problem  from MathGPT.practice.generate
+     * @returns {HTMLElement}
+     */
+    function buildPracticeProblem(problem) {
+      const item = document.createElement('li');
+      item.className = 'mb-3';
+      const math = document.createElement('div');
+      math.className = 'step-math';
+      MathGPT.mathview.render(math, MathGPT.mathview.relationToTeX(problem.line), problem.line);
+      const group = document.createElement('div');
+      group.className = 'input-group input-group-sm';
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'form-control';
+      input.placeholder = `${problem.variable} = `;
+      input.setAttribute('aria-label', t('practice.answer-to', { problem: problem.line }));
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-outline-primary';
+      btn.textContent = t('practice.check');
+      const feedback = document.createElement('div');
+      feedback.className = 'small mt-1';
+      const check = () => {
+        const grade = MathGPT.practice.grade(problem, input.value);
+        feedback.textContent = gradeMessage(problem, grade);
+        feedback.className = `small mt-1 ${grade.correct ? 'text-success' : 'text-danger'}`;
+        if (grade.correct) {
+          input.disabled = true;
+          btn.disabled = true;
+        }
+        if (problem.graded || !input.value.trim()) return;
+        problem.graded = true;
+        const user = app.getCurrentUser();
+        if (!user) return;
+        MathGPT.practice.recordAttempt(user, problem.topic, grade.correct);
+        app.saveUser(user).catch((err) => console.error('Could not save practice score', err));
+        renderProgress(user);
+      };
+      btn.addEventListener('click', check);
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') check();
+      });
+      group.appendChild(input);
+      group.appendChild(btn);
+      item.appendChild(math);
+      item.appendChild(group);
+      item.appendChild(feedback);
+      return item;
+    }
+
+    /**
+     * Feedback on a graded practice answer, in the chosen language.
+     *
+     * @param {Object} problem
+     * @param {Object} grade  from MathGPT.practice.grade
+     * @returns {string}
+     */
+    function gradeMessage(problem, grade) {
+      if (grade.correct) return t('practice.correct');
+      if (grade.wrong.length) {
+        return t('practice.wrong', { answers: grade.wrong.map((w) => `${problem.variable} = ${w}`).join(', ') });
+      }
+      if (!grade.found) return t('practice.empty');
+      return t('practice.partial', { found: grade.found, total: problem.answers.length });
+    }
+
+    /**
+     * Show the user's practice scores per topic on the dashboard.
+     *
+     * @param {Object} user
+     */
+    function renderProgress(user) {
+      const scores = MathGPT.practice.progress(user);
+      const panel = document.getElementById('progress-panel');
+      const list = document.getElementById('progress-list');
+      panel.style.display = scores.length ? '' : 'none';
+      list.innerHTML = '';
+      scores.forEach((score) => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item';
+        const head = document.createElement('div');
+        head.className = 'd-flex justify-content-between small';
+        const label = document.createElement('span');
+        const topic = MathGPT.i18n.has(`topic.${score.topic}`) ? t(`topic.${score.topic}`) : score.label;
+        label.textContent = topic;
+        const count = document.createElement('span');
+        count.className = 'text-muted';
+        count.textContent = t('practice.score', { correct: score.correct, attempted: score.attempted });
+        head.appendChild(label);
+        head.appendChild(count);
+        const bar = document.createElement('div');
+        bar.className = 'progress mt-1 practice-score';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-label', t('practice.score-label', { topic }));
+        bar.setAttribute('aria-valuenow', String(score.percent));
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', '100');
+        const fill = document.createElement('div');
+        fill.className = `progress-bar ${score.percent >= 70 ? 'bg-success' : 'bg-warning'}`;
+        fill.style.width = `${score.percent}%`;
+        bar.appendChild(fill);
+        item.appendChild(head);
+        item.appendChild(bar);
+        list.appendChild(item);
+      });
+    }
+
+    /**
+     * Normalize problem text and apply the mode picked on the dashboard so
+     * that the preview and the solver read it the same way.
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    function prepareText(text) {
+      const mode = document.getElementById('mode-select').value;
+      const limitPoint = MathGPT.normalize.normalizeLine(document.getElementById('limit-point').value) || '0';
+      return MathGPT.solver.applyMode(MathGPT.normalize.normalizeText(text), mode, { limitPoint });
+    }
+
+    /**
+     * Show how each line of the recognized text will be read by the solver
+     * so that OCR mistakes can be spotted before solving.
+     *
+     * @param {string} text
+     */
+    function renderParsedPreview(text) {
+      const preview = document.getElementById('ocr-parsed');
+      const confirmBtn = document.getElementById('confirm-solve-btn');
+      preview.innerHTML = '';
+      const problems = MathGPT.solver.splitProblems(prepareText(text));
+      let parseable = 0;
+      problems.forEach((problem) => {
+        problem.lines.forEach((line) => {
+          const row = document.createElement('div');
+          const parsed = MathGPT.solver.parseLine(line);
+          if (parsed.ok) {
+            parseable++;
+            row.className = 'step-math';
+            MathGPT.mathview.render(row, MathGPT.mathview.relationToTeX(line), parsed.text);
+          } else {
+            row.className = 'step-math text-danger';
+            row.textContent = t('solver.unreadable', { line, error: parsed.error });
+          }
+          preview.appendChild(row);
+        });
+      });
+      confirmBtn.disabled = parseable === 0;
+    }
+
+    /**
+     * Open a photo in the preparation panel, uncropped and unrotated.
+     *
+     * @param {HTMLCanvasElement} source
+     * @param {string} name  shown in the queue
+     */
+    function openPhoto(source, name) {
+      photo = { source, name, quarter: 0, angle: 0 };
+      // Get the recognition engine loading while the photo is prepared
+      ocr.warm();
+      document.getElementById('prep-panel').style.display = 'block';
+      document.getElementById('solve-btn').disabled = false;
+      setPhotoAngle(0);
+    }
+
+    /**
+     * Forget the photo being prepared.
+     */
+    function closePhoto() {
+      photo = null;
+      document.getElementById('prep-panel').style.display = 'none';
+      document.getElementById('solve-btn').disabled = true;
+    }
+
+    /**
+     * Total rotation of the photo in degrees clockwise.
+     *
+     * @returns {number}
+     */
+    function photoRotation() {
+      return photo.quarter * 90 + photo.angle;
+    }
+
+    /**
+     * Turn the photo a quarter turn left (-1) or right (1).
+     *
+     * @param {number} direction
+     */
+    function turnPhoto(direction) {
+      if (!photo) return;
+      photo.quarter = (photo.quarter + direction + 4) % 4;
+      setPhotoAngle(photo.angle);
+    }
+
+    /**
+     * Set the fine rotation and redraw the crop view.  Rotating changes
+     * what the crop box covers, so it is reset to the whole photo.
+     *
+     * @param {number} degrees
+     */
+    function setPhotoAngle(degrees) {
+      photo.angle = degrees;
+      document.getElementById('prep-angle').value = degrees;
+      document.getElementById('prep-angle-value').textContent = `${degrees}°`;
+      cropper.setImage(MathGPT.imageprep.transform(photo.source, { rotation: photoRotation(), maxSide: 1000 }));
+      updatePrepPreview();
+    }
+
+    /**
+     * The preprocessing steps switched on in the panel.
+     *
+     * @returns {Object} step id -> boolean
+     */
+    function prepSteps() {
+      const steps = {};
+      MathGPT.imageprep.STEPS.forEach((step) => {
+        steps[step.id] = document.getElementById(`prep-step-${step.id}`).checked;
+      });
+      return steps;
+    }
+
+    /**
+     * Rotate and crop the photo, then run the preprocessing steps on it.
+     *
+     * @param {number} [maxSide]  work on a reduced copy, for previews
+     * @returns {{before: HTMLCanvasElement, after: HTMLCanvasElement}}
+     */
+    function preparePhoto(maxSide) {
+      const before = MathGPT.imageprep.transform(photo.source, {
+        rotation: photoRotation(),
+        crop: cropper.getCrop(),
+        maxSide,
+      });
+      return { before, after: MathGPT.imageprep.preprocess(before, prepSteps()) };
+    }
+
+    let prepTimer = null;
+
+    /**
+     * Redraw the before and after previews.  Dragging and sliding fire
+     * often, so the work is deferred until they settle.
+     */
+    function updatePrepPreview() {
+      clearTimeout(prepTimer);
+      prepTimer = setTimeout(() => {
+        if (!photo) return;
+        const { before, after } = preparePhoto(500);
+        [['prep-before', before], ['prep-after', after]].forEach(([id, canvas]) => {
+          const target = document.getElementById(id);
+          target.width = canvas.width;
+          target.height = canvas.height;
+          target.getContext('2d').drawImage(canvas, 0, 0);
+        });
+      }, 150);
+    }
+
+    /**
+     * Work for one queue item: run OCR with Tesseract.js on the photo or
+     * PDF page and then either hand the text to the user to check (a
+     * single prepared photo, `item.review`) or solve it straight away.
+     * Each item solved straight away counts as one solve against the free
+     * trial, so an item that starts once the trial is used up fails and
+     * can be retried after subscribing.
+     *
+     * @param {Object} item
+     * @param {{signal: Object, report: Function}} control
+     * @returns {Promise<{text: string, results: Array<Object>}|null>}
+     */
+    async function processJob(item, control) {
+      const { signal, report } = control;
+      if (!item.review && !app.hasSolvesLeft()) {
+        throw new Error(t('solver.trial-used'));
+      }
+      report(0, t('queue.loading'));
+      const source = await item.load();
+      if (signal.aborted) return null;
+      // A single photo was prepared by hand; queued ones get the default clean-up
+      const image = item.review ? source : MathGPT.imageprep.preprocess(source);
+      report(0, t('queue.recognizing'));
+      let reading;
+      try {
+        reading = await recognizer.recognize(image, {
+          onProgress: (fraction) => report(fraction, t('queue.recognizing')),
+        });
+      } catch (err) {
+        if (!signal.aborted) recordScan(false);
+        throw err;
+      }
+      recordScan(!!reading.text.trim());
+      if (signal.aborted) return null;
+      if (!reading.text.trim()) {
+        throw new Error(t('solver.no-text'));
+      }
+      // Translate OCR look-alikes into Nerdamer syntax, one problem per line
+      const text = MathGPT.normalize.normalizeOcr(reading);
+      const thumbnail = await MathGPT.history.makeThumbnail(await MathGPT.imageprep.toBlob(item.original || source));
+      if (signal.aborted) return null;
+      if (item.review) {
+        showOcrText(text, thumbnail, reading);
+        return { text, results: [] };
+      }
+      report(1, t('queue.solving'));
+      // The trial may have run out while this item was being recognized
+      if (!app.hasSolvesLeft()) throw new Error(t('solver.trial-used'));
+      const results = solveProblems(text);
+      if (!results.some((r) => r.ok)) {
+        throw new Error(results.length ? results[0].error : t('solver.nothing'));
+      }
+      await recordSolve(text, results, thumbnail);
+      return { text, results };
+    }
+
+    /**
+     * Put recognized text in the editable preview so that the user can
+     * correct it and confirm before anything is solved or counted against
+     * the free trial.
+     *
+     * @param {string} text
+     * @param {string} thumbnail  data URL kept with the history entry
+     * @param {Object} [reading]  the recognizer's reading, for confidence
+     */
+    function showOcrText(text, thumbnail, reading) {
+      const previewEl = document.getElementById('ocr-preview');
+      const textEl = document.getElementById('ocr-text');
+      const resultEl = document.getElementById('result');
+      resultEl.style.display = 'none';
+      renderResults([]);
+      currentThumbnail = thumbnail;
+      textEl.value = text;
+      textEl.rows = Math.min(8, Math.max(2, text.split('\n').length));
+      renderParsedPreview(text);
+      renderConfidence(reading);
+      previewEl.style.display = 'block';
+      textEl.focus();
+    }
+
+    /**
+     * Show how sure the recognizer was of each symbol.  Uncertain symbols
+     * are highlighted, and lines that have them get buttons for their most
+     * likely other readings, which replace the line in the text box.
+     *
+     * @param {Object} [reading]
+     */
+    function renderConfidence(reading) {
+      const box = document.getElementById('ocr-confidence');
+      box.innerHTML = '';
+      if (!reading || !reading.lines.length) return;
+      const low = MathGPT.recognize.LOW_CONFIDENCE;
+      const source = recognizer.recognizers.find((r) => r.name === reading.recognizer);
+      const summary = document.createElement('div');
+      summary.className = 'text-muted mb-1';
+      summary.textContent = t('solver.read-by', {
+        recognizer: source ? source.label : reading.recognizer,
+        confidence: app.percent(reading.confidence),
+      });
+      box.appendChild(summary);
+      reading.lines.forEach((line) => {
+        const row = document.createElement('div');
+        row.className = 'font-monospace ocr-line';
+        const symbolic = line.words.some((word) => word.symbols.length);
+        const mark = (text, confidence) => {
+          const span = document.createElement('span');
+          span.textContent = text;
+          span.title = t('solver.confident', { confidence: app.percent(confidence) });
+          if (confidence < low) span.className = 'ocr-low';
+          row.appendChild(span);
+        };
+        if (symbolic) {
+          line.words.forEach((word, w) => {
+            if (w > 0) row.appendChild(document.createTextNode(' '));
+            word.symbols.forEach((sym) => mark(sym.text, sym.confidence));
+          });
+        } else {
+          mark(line.text, line.confidence);
+        }
+        box.appendChild(row);
+
+        const alternatives = MathGPT.recognize.alternatives(line);
+        if (!alternatives.length) return;
+        const current = MathGPT.normalize.normalizeOcr({ lines: [line] });
+        const choices = document.createElement('div');
+        choices.className = 'mb-1';
+        choices.appendChild(document.createTextNode(t('solver.or')));
+        alternatives.forEach((alt) => {
+          const text = MathGPT.normalize.normalizeOcr({ lines: [alt.line] });
+          if (!text || text === current) return;
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'btn btn-sm btn-outline-secondary font-monospace me-1 mb-1';
+          btn.textContent = text;
+          btn.title = t('solver.likely', { confidence: app.percent(alt.confidence) });
+          btn.addEventListener('click', () => replaceOcrLine(current, text));
+          choices.appendChild(btn);
+        });
+        if (choices.querySelector('button')) box.appendChild(choices);
+      });
+    }
+
+    /**
+     * Swap one line of the recognized text for another reading of it.  If
+     * the line has been edited since, the reading is added as a new line.
+     *
+     * @param {string} from
+     * @param {string} to
+     */
+    function replaceOcrLine(from, to) {
+      const textEl = document.getElementById('ocr-text');
+      const lines = textEl.value.split('\n');
+      const idx = lines.indexOf(from);
+      if (idx >= 0) {
+        lines[idx] = to;
+      } else {
+        lines.push(to);
+      }
+      textEl.value = lines.join('\n');
+      textEl.rows = Math.min(8, Math.max(2, lines.length));
+      renderParsedPreview(textEl.value);
+    }
+
+    /**
+     * Show the queue, with progress and actions for each item, and the
+     * combined results of the items solved from it.
+     *
+     * @param {Array<Object>} items
+     */
+    function renderJobs(items) {
+      const panel = document.getElementById('job-panel');
+      const list = document.getElementById('job-list');
+      panel.style.display = items.length ? 'block' : 'none';
+      list.innerHTML = '';
+      const badges = { queued: 'secondary', running: 'primary', done: 'success', failed: 'danger', cancelled: 'warning' };
+      items.forEach((item) => {
+        const li = document.createElement('li');
+        li.className = 'list-group-item';
+        const head = document.createElement('div');
+        head.className = 'd-flex justify-content-between align-items-center gap-2';
+        const name = document.createElement('span');
+        name.className = 'text-truncate';
+        name.textContent = item.name;
+        const badge = document.createElement('span');
+        badge.className = `badge bg-${badges[item.status]} ms-auto`;
+        badge.textContent = item.status === 'running' && item.stage ? item.stage : t(`queue.${item.status}`);
+        head.appendChild(name);
+        head.appendChild(badge);
+        const actions = [];
+        if (item.status === 'queued' || item.status === 'running') actions.push(['cancel', t('queue.cancel')]);
+        if ((item.status === 'failed' || item.status === 'cancelled') && !item.signal) actions.push(['retry', t('queue.retry')]);
+        if (item.status !== 'running') actions.push(['remove', t('queue.remove')]);
+        actions.forEach(([action, label]) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'btn btn-sm btn-link p-0';
+          btn.dataset.action = action;
+          btn.dataset.id = item.id;
+          btn.textContent = label;
+          head.appendChild(btn);
+        });
+        li.appendChild(head);
+        if (item.status === 'running') {
+          const bar = document.createElement('div');
+          bar.className = 'progress mt-1 job-progress';
+          const fill = document.createElement('div');
+          fill.className = 'progress-bar progress-bar-striped progress-bar-animated';
+          fill.style.width = `${Math.round(item.progress * 100)}%`;
+          bar.appendChild(fill);
+          li.appendChild(bar);
+        }
+        if (item.error) {
+          const error = document.createElement('div');
+          error.className = 'small text-danger mt-1';
+          error.textContent = item.error;
+          li.appendChild(error);
+        }
+        list.appendChild(li);
+      });
+      renderBatchResults(items);
+    }
+
+    /**
+     * Fill the combined results table from the queue.
+     *
+     * @param {Array<Object>} items
+     */
+    function renderBatchResults(items) {
+      const rows = MathGPT.batch.resultRows(items.filter((item) => !item.review));
+      const body = document.getElementById('batch-results');
+      document.getElementById('batch-results-panel').style.display = rows.length ? 'block' : 'none';
+      body.innerHTML = '';
+      rows.forEach((row) => {
+        const tr = document.createElement('tr');
+        if (!row.ok) tr.className = 'table-warning';
+        [row.item, row.problem, row.type, row.answer].forEach((value) => {
+          const td = document.createElement('td');
+          td.textContent = value;
+          tr.appendChild(td);
+        });
+        body.appendChild(tr);
+      });
+    }
+
+    /**
+     * Split text into problems and solve each one.  A photo may hold
+     * several problems or a system spread over a few lines.
+     *
+     * @param {string} text
+     * @returns {Array<Object>} solver results
+     */
+    function solveProblems(text) {
+      return MathGPT.solver.splitProblems(prepareText(text)).map(MathGPT.solver.solveProblem);
+    }
+
+    /**
+     * Count a recognition, and whether it failed, towards the day's usage.
+     * Failures are recognitions that threw or found no text.
+     *
+     * @param {boolean} ok
+     */
+    function recordScan(ok) {
+      if (!app.getCurrentUser()) return;
+      app.countUsage('scans', { ok }).catch((err) => console.error('Could not count the recognition', err));
+    }
+
+    /**
+     * Count a solve against the free trial (unless the user is
+     * subscribed) and the day's usage, and add it to the user's history.
+     * It fails, and nothing is recorded, when the trial is used up.
+     *
+     * @param {string} text
+     * @param {Array<Object>} results
+     * @param {string} thumbnail
+     * @returns {Promise<void>}
+     */
+    async function recordSolve(text, results, thumbnail) {
+      const user = await app.countUsage('solves');
+      const entry = MathGPT.history.createEntry({
+        thumbnail,
+        text,
+        mode: document.getElementById('mode-select').value,
+        results,
+      });
+      MathGPT.history.addEntry(user, entry);
+      app.saveUser(user)
+        .catch((err) => {
+          // Most likely the storage quota; keep the entry without its image.
+          console.warn('Could not save history thumbnail', err);
+          entry.thumbnail = '';
+          return app.saveUser(user);
+        })
+        .catch((err) => console.error('Could not save solve history', err));
+    }
+
+    /**
+     * Solve the confirmed problem text using Nerdamer and display the
+     * results.  A free trial use is only counted when at least one problem
+     * was solved successfully.
+     *
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    async function solveText(text) {
+      const resultEl = document.getElementById('result');
+      resultEl.style.display = 'none';
+      renderResults([]);
+      resultEl.classList.remove('alert-success', 'alert-danger', 'alert-warning');
+
+      try {
+        if (!text.trim()) {
+          throw new Error(t('solver.nothing'));
+        }
+        const results = solveProblems(text);
+        const solved = results.filter((r) => r.ok).length;
+        if (!solved) {
+          throw new Error(results.length ? results[0].error : t('solver.nothing'));
+        }
+        // Counted before it is shown, so a used-up trial shows nothing
+        await recordSolve(text, results, currentThumbnail);
+        resultEl.classList.add(solved === results.length ? 'alert-success' : 'alert-warning');
+        resultEl.textContent = t('solver.summary', { count: results.length, solved });
+        resultEl.style.display = 'block';
+        renderResults(results);
+      } catch (err) {
+        console.error(err);
+        resultEl.classList.add('alert-danger');
+        resultEl.textContent = t('solver.error', { message: err.message || err });
+        resultEl.style.display = 'block';
+      }
+    }
+
+    /**
+     * Load a history entry back into the editable preview so it can be
+     * changed and solved again, and go to the dashboard.
+     *
+     * @param {Object} entry
+     */
+    function reopen(entry) {
+      const modeSelect = document.getElementById('mode-select');
+      modeSelect.value = entry.mode || 'auto';
+      document.getElementById('limit-point-group').style.display = modeSelect.value === 'limit' ? '' : 'none';
+      const textEl = document.getElementById('ocr-text');
+      textEl.value = entry.text;
+      textEl.rows = Math.min(8, Math.max(2, entry.text.split('\n').length));
+      currentThumbnail = entry.thumbnail || '';
+      document.getElementById('result').style.display = 'none';
+      renderResults([]);
+      renderParsedPreview(entry.text);
+      renderConfidence(null);
+      document.getElementById('ocr-preview').style.display = 'block';
+      // The text box can only take focus once the dashboard is shown
+      focusText = true;
+      app.navigate('/solve');
+    }
+
+    // Resend the email verification link
+    document.getElementById('resend-verification-btn').addEventListener('click', async (e) => {
+      const user = app.getCurrentUser();
+      if (!user) return;
+      e.target.disabled = true;
+      try {
+        await app.auth.sendVerification(user.email);
+        e.target.textContent = t('auth.link-sent');
+      } catch (err) {
+        console.error(err);
+        e.target.disabled = false;
+        alert(t('auth.verification-failed'));
+      }
+    });
+
+    // One chosen photo opens in the crop and cleanup panel; several
+    // photos or a PDF go straight to the queue
+    const uploadInput = document.getElementById('upload-input');
+    uploadInput.addEventListener('change', async () => {
+      const files = Array.from(uploadInput.files);
+      if (!files.length) {
+        closePhoto();
+        return;
+      }
+      try {
+        if (files.length === 1 && files[0].type !== 'application/pdf') {
+          openPhoto(await MathGPT.imageprep.loadImage(files[0]), files[0].name);
+          return;
+        }
+        closePhoto();
+        if (!ensureCanSolve()) return;
+        ocr.warm();
+        jobs.add(await MathGPT.batch.inputsFromFiles(files, {
+          loadImage: MathGPT.imageprep.loadImage,
+          pdfjs: window.pdfjsLib,
+        }));
+        uploadInput.value = '';
+      } catch (err) {
+        console.error(err);
+        closePhoto();
+        alert(err.message);
+      }
+    });
+
+    // Camera capture
+    const cameraPanel = document.getElementById('camera-panel');
+    const cameraVideo = document.getElementById('camera-video');
+    const closeCamera = () => {
+      MathGPT.imageprep.stopCamera(camera, cameraVideo);
+      camera = null;
+      cameraPanel.style.display = 'none';
+    };
+    document.getElementById('camera-btn').addEventListener('click', async () => {
+      if (camera) return;
+      cameraPanel.style.display = 'block';
+      try {
+        camera = await MathGPT.imageprep.openCamera(cameraVideo);
+      } catch (err) {
+        console.error(err);
+        closeCamera();
+        alert(err.name === 'NotAllowedError' ? t('solver.camera-refused') : err.message);
+      }
+    });
+    document.getElementById('camera-capture-btn').addEventListener('click', () => {
+      if (!camera) return;
+      const frame = MathGPT.imageprep.captureFrame(cameraVideo);
+      closeCamera();
+      uploadInput.value = '';
+      openPhoto(frame, t('solver.camera-photo'));
+    });
+    document.getElementById('camera-cancel-btn').addEventListener('click', closeCamera);
+
+    // Crop, rotation and cleanup of the photo
+    cropper = MathGPT.imageprep.createCropper(document.getElementById('prep-canvas'), updatePrepPreview);
+    const stepsEl = document.getElementById('prep-steps');
+    MathGPT.imageprep.STEPS.forEach((step) => {
+      const wrap = document.createElement('div');
+      wrap.className = 'form-check form-check-inline';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.className = 'form-check-input';
+      box.id = `prep-step-${step.id}`;
+      box.checked = true;
+      box.addEventListener('change', updatePrepPreview);
+      const label = document.createElement('label');
+      label.className = 'form-check-label';
+      label.htmlFor = box.id;
+      label.textContent = MathGPT.i18n.has(`prep.${step.id}`) ? t(`prep.${step.id}`) : step.label;
+      wrap.appendChild(box);
+      wrap.appendChild(label);
+      stepsEl.appendChild(wrap);
+    });
+    document.getElementById('prep-rotate-left').addEventListener('click', () => turnPhoto(-1));
+    document.getElementById('prep-rotate-right').addEventListener('click', () => turnPhoto(1));
+    document.getElementById('prep-angle').addEventListener('input', (e) => {
+      if (!photo) return;
+      setPhotoAngle(Number(e.target.value));
+    });
+    document.getElementById('prep-straighten').addEventListener('click', () => {
+      if (!photo) return;
+      // Measure with the quarter turns applied and no fine angle
+      const upright = MathGPT.imageprep.transform(photo.source, { rotation: photo.quarter * 90 });
+      setPhotoAngle(MathGPT.imageprep.straightenAngle(upright));
+    });
+    document.getElementById('prep-reset').addEventListener('click', () => {
+      if (!photo) return;
+      photo.quarter = 0;
+      setPhotoAngle(0);
+    });
+
+    // Recognize button click: the prepared photo joins the queue and its
+    // text comes back for checking before it is solved
+    document.getElementById('solve-btn').addEventListener('click', async () => {
+      if (!ensureCanSolve()) return;
+      if (!photo) return;
+      const { before, after } = preparePhoto();
+      jobs.add([{ name: photo.name, review: true, load: async () => after, original: before }]);
+    });
+
+    // Queue buttons
+    document.getElementById('job-list').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      jobs[btn.dataset.action](Number(btn.dataset.id));
+    });
+    document.getElementById('job-clear-btn').addEventListener('click', () => jobs.clearFinished());
+
+    // Practice set buttons
+    document.getElementById('practice-new-btn').addEventListener('click', () => {
+      if (practiceSet) startPractice(practiceSet.source);
+    });
+    document.getElementById('practice-close-btn').addEventListener('click', () => {
+      practiceRun++;
+      practiceSet = null;
+      document.getElementById('practice-panel').style.display = 'none';
+    });
+    document.getElementById('batch-export-btn').addEventListener('click', () => {
+      MathGPT.history.download('mathgpt-problem-set.csv', MathGPT.batch.toCSV(jobs.list()), 'text/csv');
+    });
+
+    // Editing the recognized text updates the parsed preview live
+    document.getElementById('ocr-text').addEventListener('input', (e) => {
+      renderParsedPreview(e.target.value);
+    });
+
+    // Changing the problem type re-reads the text in the new mode
+    const modeSelect = document.getElementById('mode-select');
+    modeSelect.addEventListener('change', () => {
+      document.getElementById('limit-point-group').style.display = modeSelect.value === 'limit' ? '' : 'none';
+      renderParsedPreview(document.getElementById('ocr-text').value);
+    });
+    document.getElementById('limit-point').addEventListener('input', () => {
+      renderParsedPreview(document.getElementById('ocr-text').value);
+    });
+
+    // Solve the (possibly corrected) recognized text
+    document.getElementById('confirm-solve-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      if (!ensureCanSolve()) return;
+      solveText(document.getElementById('ocr-text').value);
+    });
+
+    // Graph zoom controls
+    document.getElementById('plot-zoom-in').addEventListener('click', () => {
+      if (graph) graph.zoom(0.7);
+    });
+    document.getElementById('plot-zoom-out').addEventListener('click', () => {
+      if (graph) graph.zoom(1 / 0.7);
+    });
+    document.getElementById('plot-reset').addEventListener('click', () => {
+      if (graph) graph.reset();
+    });
+
+    return {
+      /**
+       * Show the dashboard for the logged in user.
+       */
+      show() {
+        const user = app.getCurrentUser();
+        document.getElementById('verify-notice').classList.toggle('d-none', user.emailVerified !== false);
+        renderProgress(user);
+        if (focusText) {
+          focusText = false;
+          document.getElementById('ocr-text').focus();
+        }
+      },
+
+      /**
+       * Read photos in the new language and redraw the dashboard's text.
+       */
+      refresh() {
+        startRecognition();
+        const user = app.getCurrentUser();
+        if (user) renderProgress(user);
+        renderJobs(jobs.list());
+      },
+
+      reopen,
+    };
+  }
+
+  const api = {
+    createView,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT.views = root.MathGPT.views || {};
+    root.MathGPT.views.solve = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
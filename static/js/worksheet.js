@@ -0,0 +1,165 @@
+/*
+  worksheet.js
+  ------------
+  Printable worksheets of solved problems.  Each problem is laid out
+  with the photo it was read from, the typeset problem and, if asked
+  for, its worked steps; the answers go under each problem or, with an
+  answer key, on a page of their own at the end so the sheet can be
+  handed out as practice.
+
+  Printing uses the browser's print dialog, which also saves as PDF:
+  the sheet is built in #print-sheet and the print stylesheet in
+  style.css hides the rest of the page while it is printed.
+*/
+
+(function (root) {
+  'use strict';
+
+  /**
+   * The solved problems of some history entries, in order, each with
+   * the photo of its entry.  Problems that could not be solved are left
+   * out.
+   *
+   * @param {Array<Object>} entries  history entries
+   * @returns {Array<Object>}
+   */
+  function itemsFromEntries(entries) {
+    const items = [];
+    entries.forEach((entry) => {
+      entry.results.filter((r) => r.ok).forEach((r) => {
+        items.push({
+          image: entry.thumbnail || '',
+          problem: r.problem,
+          problemTeX: r.problemTeX || '',
+          type: r.type,
+          label: r.label,
+          solution: r.solution,
+          tex: r.tex || '',
+          steps: r.steps || [],
+        });
+      });
+    });
+    return items;
+  }
+
+  // An element with a class and, optionally, text.
+  function el(tag, className, text) {
+    const node = root.document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  // Typeset math, falling back to the plain text.
+  function math(tex, text, className) {
+    const mathview = root.MathGPT.mathview;
+    const node = el('div', className);
+    mathview.render(node, tex || mathview.toTeX(text), text, { displayMode: true });
+    return node;
+  }
+
+  // "Solution: x = 2", typeset.
+  function answer(item) {
+    const { i18n, solver } = root.MathGPT;
+    const wrap = el('div', 'worksheet-answer');
+    wrap.appendChild(el('div', 'fw-semibold', i18n.t('result.answer-label', { label: solver.resultLabel(item) })));
+    wrap.appendChild(math(item.tex, item.solution));
+    return wrap;
+  }
+
+  /**
+   * Build a worksheet.
+   *
+   * @param {Array<Object>} items  from itemsFromEntries
+   * @param {Object} [options]
+   * @param {string} [options.title]
+   * @param {boolean} [options.steps]  include the worked steps
+   * @param {boolean} [options.answerKey]  put the answers on a page of
+   *   their own instead of under each problem
+   * @returns {HTMLElement}
+   */
+  function build(items, options) {
+    const { t, formatDate } = root.MathGPT.i18n;
+    const opts = options || {};
+    const sheet = el('div', 'worksheet');
+    const header = el('div', 'worksheet-header');
+    header.appendChild(el('h1', 'h3', opts.title || t('worksheet.title')));
+    header.appendChild(el('div', 'text-muted small', formatDate(new Date(), { dateStyle: 'long' })));
+    sheet.appendChild(header);
+
+    items.forEach((item, i) => {
+      const block = el('section', 'worksheet-problem');
+      block.appendChild(el('h2', 'h5', t('worksheet.problem', { n: i + 1 })));
+      if (item.image) {
+        const img = el('img', 'worksheet-image');
+        img.src = item.image;
+        img.alt = t('history.photo');
+        block.appendChild(img);
+      }
+      block.appendChild(math(item.problemTeX, item.problem, 'worksheet-math'));
+      if (opts.steps && item.steps.length) {
+        block.appendChild(el('div', 'fw-semibold mt-2', t('worksheet.steps')));
+        const list = el('ol', 'worksheet-steps');
+        item.steps.forEach((step) => {
+          const li = el('li');
+          li.appendChild(el('div', '', step.title));
+          li.appendChild(math(step.tex, step.math, 'worksheet-math'));
+          list.appendChild(li);
+        });
+        block.appendChild(list);
+      }
+      if (!opts.answerKey) {
+        block.appendChild(answer(item));
+      } else if (!opts.steps) {
+        // Room to work the problem out
+        block.appendChild(el('div', 'worksheet-space'));
+      }
+      sheet.appendChild(block);
+    });
+
+    if (opts.answerKey) {
+      const key = el('section', 'worksheet-key');
+      key.appendChild(el('h2', 'h4', t('worksheet.key')));
+      const list = el('ol');
+      items.forEach((item) => {
+        const li = el('li');
+        li.appendChild(answer(item));
+        list.appendChild(li);
+      });
+      key.appendChild(list);
+      sheet.appendChild(key);
+    }
+    return sheet;
+  }
+
+  /**
+   * Open the print dialog for a worksheet.  The sheet stays in
+   * #print-sheet until printing is over.
+   *
+   * @param {Array<Object>} items  from itemsFromEntries
+   * @param {Object} [options]  as for build
+   */
+  function print(items, options) {
+    const doc = root.document;
+    const target = doc.getElementById('print-sheet');
+    target.replaceChildren(build(items, options));
+    doc.body.classList.add('printing');
+    root.addEventListener('afterprint', () => {
+      doc.body.classList.remove('printing');
+      target.replaceChildren();
+    }, { once: true });
+    root.print();
+  }
+
+  const api = {
+    itemsFromEntries,
+    build,
+    print,
+  };
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MathGPT = root.MathGPT || {};
+    root.MathGPT.worksheet = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,413 @@
+/*
+  en.js
+  -----
+  English messages.  This catalog is the fallback for every other
+  language, so every key the app uses must be here.
+*/
+
+(function (root) {
+  'use strict';
+
+  const catalog = {
+    label: 'English',
+    ocr: 'eng',
+    messages: {
+      'app.title': 'Math GPT Photosolve',
+      'nav.toggle': 'Toggle navigation',
+      'nav.dashboard': 'Dashboard',
+      'nav.pricing': 'Pricing',
+      'nav.history': 'History',
+      'nav.account': 'Account',
+      'nav.logout': 'Logout',
+      'nav.hello': 'Hello, {name}',
+      'nav.language': 'Language',
+      'nav.admin': 'Admin',
+      'footer.rights': 'Math GPT. All rights reserved.',
+
+      'auth.welcome': 'Welcome to Math GPT',
+      'auth.intro': 'Easily solve your math problems using our photo solver.  Create an account to get started.',
+      'auth.login': 'Login',
+      'auth.register': 'Register',
+      'auth.email': 'Email address',
+      'auth.password': 'Password',
+      'auth.name': 'Name',
+      'auth.forgot': 'Forgot your password?',
+      'auth.reset-intro': 'Enter your email address and we will send you a link to choose a new password.',
+      'auth.send-link': 'Send link',
+      'auth.password-strength': 'Password strength',
+      'auth.weak.length': 'Use at least {min} characters.',
+      'auth.weak.mix': 'Mix upper and lower case letters, numbers and symbols, or use 16 or more characters.',
+      'auth.weak.common': 'This password is too common.',
+      'auth.weak.personal': 'Do not use your name or email in your password.',
+      'auth.new-password-title': 'Choose a new password',
+      'auth.new-password': 'New password',
+      'auth.repeat-password': 'Repeat the new password',
+      'auth.save-password': 'Save password',
+      'auth.all-required': 'All fields are required.',
+      'auth.unreachable': 'Could not reach the account store. Please try again.',
+      'auth.reset-sent': 'If an account exists for that address, a reset link has been sent to it.',
+      'auth.reset-failed': 'Could not send the reset link. Please try again.',
+      'auth.mismatch': 'The passwords do not match.',
+      'auth.password-changed': 'Your password has been changed. Log in with your new password.',
+      'auth.link-sent': 'Link sent',
+      'auth.verification-failed': 'Could not send the verification link. Please try again.',
+      'auth.email-confirmed': 'Thank you, your email address is confirmed.',
+      'auth.confirm-failed': 'Could not confirm your email address. Please try again.',
+      'auth.verify-notice': 'Please confirm your email address using the link we sent you.',
+      'auth.resend': 'Resend link',
+      'auth.error.invalid-email': 'Enter a valid email address.',
+      'auth.error.exists': 'An account with that email already exists.',
+      'auth.error.invalid-credentials': 'Incorrect email or password.',
+      'auth.error.invalid-token': 'This link is invalid or has expired.',
+
+      'pricing.title': 'Choose a Subscription',
+      'pricing.intro': 'Unlock unlimited photo solves and access to all current and future GPT models.',
+      'pricing.currency': 'Currency',
+      'pricing.free-title': 'Free Trial',
+      'pricing.free-text': 'Try Math GPT for free.  You can solve up to {limit} problems without paying.',
+      'pricing.free-btn': 'Use Free Trial',
+      'pricing.monthly-title': 'Monthly',
+      'pricing.monthly-text': 'Pay monthly and enjoy unlimited photo solves.  Cancel anytime.',
+      'pricing.monthly-btn': 'Subscribe Monthly',
+      'pricing.annual-title': 'Annual',
+      'pricing.annual-text': 'Save by paying yearly.  Access all models for 12 months.',
+      'pricing.annual-btn': 'Subscribe Annually',
+      'pricing.back': 'Back',
+      'pricing.trial-used': 'You have exhausted your free trial. Please subscribe to continue using Math GPT.',
+      'pricing.no-key': 'Please set your Paystack public key in static/js/app.js before initiating payments.',
+      'pricing.paid': 'Payment complete! You are now subscribed to the {plan} plan.',
+      'pricing.unconfirmed': 'We could not confirm your payment ({error}). If you were charged, please contact support with reference {reference}.',
+      'pricing.closed': 'Payment window closed.',
+
+      'solver.title': 'Photo Solver',
+      'solver.intro': 'Upload a clear image of your math problem and let our AI work its magic.',
+      'solver.camera': 'Use camera',
+      'solver.take-photo': 'Take photo',
+      'solver.cancel': 'Cancel',
+      'solver.camera-refused': 'Camera access was refused. Upload a photo instead.',
+      'solver.camera-photo': 'Camera photo',
+      'solver.crop': 'Drag to crop the problem',
+      'solver.rotate': 'Rotate photo',
+      'solver.rotate-left': 'Rotate left',
+      'solver.rotate-right': 'Rotate right',
+      'solver.straighten': 'Straighten',
+      'solver.reset': 'Reset',
+      'solver.fine-rotation': 'Fine rotation:',
+      'solver.before': 'Before',
+      'solver.after': 'After (sent to recognition)',
+      'prep.grayscale': 'Grayscale',
+      'prep.upscale': 'Upscale',
+      'prep.contrast': 'Contrast',
+      'prep.denoise': 'Denoise',
+      'prep.threshold': 'Threshold',
+      'solver.type': 'Problem type',
+      'solver.mode.auto': 'Detect automatically',
+      'solver.mode.solve': 'Solve equation',
+      'solver.mode.derivative': 'Derivative',
+      'solver.mode.integral': 'Integral',
+      'solver.mode.limit': 'Limit',
+      'solver.mode.simplify': 'Simplify',
+      'solver.mode.factor': 'Factor',
+      'solver.mode.expand': 'Expand',
+      'solver.limit-point': 'Limit point',
+      'solver.recognize': 'Recognize',
+      'solver.many': 'Choose several photos or a PDF to recognize and solve a whole problem set at once.',
+      'solver.check-text': 'Check the recognized problem and fix any mistakes before solving.',
+      'solver.solve': 'Solve',
+      'solver.nothing': 'There is nothing to solve.',
+      'solver.summary': {
+        one: 'Recognized {count} problem; solved {solved}.',
+        other: 'Recognized {count} problems; solved {solved}.',
+      },
+      'solver.error': 'Error: {message}',
+      'solver.unreadable': '{line}  ← cannot be read: {error}',
+      'solver.no-text': 'No text could be recognized in the image.',
+      'solver.trial-used': 'Your free trial is used up. Subscribe, then retry.',
+      'solver.read-by': 'Read by {recognizer}, {confidence} confident. Highlighted symbols are uncertain.',
+      'solver.confident': '{confidence} confident',
+      'solver.or': 'Or: ',
+      'solver.likely': '{confidence} likely',
+
+      'queue.title': 'Queue',
+      'queue.clear': 'Clear finished',
+      'queue.queued': 'Waiting',
+      'queue.running': 'Working',
+      'queue.done': 'Done',
+      'queue.failed': 'Failed',
+      'queue.cancelled': 'Cancelled',
+      'queue.loading': 'Loading',
+      'queue.recognizing': 'Recognizing',
+      'queue.solving': 'Solving',
+      'queue.cancel': 'Cancel',
+      'queue.retry': 'Retry',
+      'queue.remove': 'Remove',
+      'queue.results': 'Problem set results',
+      'queue.export': 'Export CSV',
+      'queue.item': 'Item',
+      'queue.problem': 'Problem',
+      'queue.type': 'Type',
+      'queue.answer': 'Answer',
+      'queue.page': '{name} – page {n}',
+
+      'result.problem': 'Problem {n}: {label}',
+      'result.system': 'Problem {n}: system of {count} equations',
+      'result.steps': 'Worked steps ({count})',
+      'result.copy': 'Copy result',
+      'result.copy-latex': 'Copy LaTeX',
+      'result.copy-text': 'Copy text',
+      'result.copy-mathml': 'Copy MathML',
+      'result.copied': 'Copied!',
+      'result.copy-failed': 'Copy failed',
+      'result.practice': 'Practice',
+      'result.graph': 'Graph',
+      'result.graph-of': 'Graph of problem {n}',
+      'result.exact': 'Exact',
+      'result.approximate': 'Approximate',
+      'result.symbolic': 'Symbolic',
+      'result.rejected': 'Does not check',
+      'result.complex': 'Not real',
+      'result.sides': 'left side {left}, right side {right}',
+      'result.share': 'Share',
+      'result.link-copied': 'Link copied!',
+      'result.share-failed': 'Could not share',
+      'result.answer-label': '{label}:',
+      'result.label.solve': 'Solution',
+      'result.label.system': 'Solution',
+      'result.label.diff': 'Derivative',
+      'result.label.integrate': 'Integral',
+      'result.label.defint': 'Definite integral',
+      'result.label.limit': 'Limit',
+      'result.label.simplify': 'Simplified',
+      'result.label.factor': 'Factored',
+      'result.label.expand': 'Expanded',
+      'result.label.inequality': 'Solution set',
+      'result.label.region': 'Solution region',
+      'result.kind.solve': 'solution',
+      'result.kind.diff': 'derivative',
+      'result.kind.integrate': 'integral',
+      'result.kind.defint': 'definite integral',
+      'result.kind.limit': 'limit',
+      'result.kind.simplify': 'simplified',
+      'result.kind.factor': 'factored',
+      'result.kind.expand': 'expanded',
+      'result.kind.inequality': 'solution set',
+      'result.kind.region': 'solution region',
+      'answer.exact': '(exact)',
+      'answer.approximate': '(approximate)',
+      'answer.all-real': 'All real {variable}',
+      'answer.no-real': 'No real solution',
+      'answer.complex': 'complex:',
+      'answer.more': 'and {count} more',
+      'answer.or': 'or',
+      'answer.and': 'and',
+      'answer.none-satisfy': 'No real {variable} satisfies the inequality',
+      'answer.region': 'All points where {where} (shaded on the graph)',
+      'answer.region-where': 'All points where',
+
+      'note.always-equal': 'Both sides are always equal, so every real {variable} is a solution.',
+      'note.never-equal': 'The {variable} terms cancel, leaving {constant} = 0, which is never true.',
+      'note.all-complex': 'Every solution is complex.',
+      'note.rejected': {
+        one: '{answers} does not satisfy the original equation.',
+        other: '{answers} do not satisfy the original equation.',
+      },
+      'note.no-root': 'No root was found between {from} and {to}.',
+      'note.nearest': 'Showing the {count} solutions nearest zero; {more} more were found.',
+
+      'check.cannot-evaluate': 'it cannot be evaluated',
+      'check.not-real': 'it is not a real number',
+      'check.undefined': 'the equation is undefined there',
+      'check.not-equal': 'the two sides are not equal there',
+
+      'error.expression': 'Unable to work out the recognized expression.',
+      'error.equation': 'Unable to parse and solve the recognized equation.',
+      'error.system': 'Unable to solve the system of equations.',
+      'error.no-system-solution': 'The system of equations has no solution.',
+      'error.inequality': 'Unable to parse and solve the recognized inequality.',
+      'error.image': 'The image could not be read.',
+      'error.no-camera': 'This browser cannot use the camera. Upload a photo instead.',
+      'error.no-recognition': 'Text recognition is not available. Check your connection and reload the page.',
+      'error.recognition-stopped': 'Recognition was stopped.',
+      'error.no-pdf': 'PDF support is not available. Check your connection and reload the page.',
+
+      'graph.title': 'Graph',
+      'graph.zoom': 'Zoom graph',
+      'graph.zoom-in': 'Zoom in',
+      'graph.zoom-out': 'Zoom out',
+      'graph.reset': 'Reset',
+
+      'practice.title': 'Practice',
+      'practice.title-for': 'Practice: {problem}',
+      'practice.close': 'Close practice',
+      'practice.count': 'Problems',
+      'practice.new': 'New set',
+      'practice.making': 'Making practice problems…',
+      'practice.instructions': 'Solve for {variable}. Separate several answers with commas.',
+      'practice.none': 'No similar problems with clean answers could be made from this equation.',
+      'practice.answer-to': 'Answer to {problem}',
+      'practice.check': 'Check',
+      'practice.empty': 'Enter an answer first.',
+      'practice.correct': 'Correct!',
+      'practice.wrong': '{answers} does not solve the equation.',
+      'practice.partial': '{found} of {total} solutions found; there is more to find.',
+      'practice.yours': 'Your practice',
+      'practice.score': '{correct} of {attempted} correct',
+      'practice.score-label': '{topic} score',
+      'topic.linear': 'Linear equations',
+      'topic.quadratic': 'Quadratic equations',
+      'topic.exponential': 'Exponential equations',
+      'topic.rational': 'Rational equations',
+      'topic.general': 'Other equations',
+
+      'step.start': 'Start with the equation',
+      'step.collect': 'Collect the {variable} terms on one side and the constants on the other',
+      'step.divide': 'Divide both sides by {value}',
+      'step.factor': 'Factor the left-hand side',
+      'step.zero-factors': 'Set each factor equal to zero',
+      'step.solve-factors': 'Solve each factor for {variable}',
+      'step.factor-out': 'Factor out {variable}',
+      'step.solve-for': 'Solve for {variable}',
+      'step.coefficients': 'Identify the coefficients',
+      'step.discriminant': 'Compute the discriminant b^2 - 4ac',
+      'step.negative-discriminant': 'The discriminant is negative, so there are no real solutions',
+      'step.complex-solutions': 'The complex solutions are',
+      'step.quadratic-formula': 'Apply the quadratic formula',
+      'step.simplify': 'Simplify',
+      'step.negate': 'Multiply both sides by -1',
+      'step.positive-power': 'A power of a positive base is always positive, so there is no real solution',
+      'step.natural-log': 'Take the natural logarithm of both sides',
+      'step.log-base': 'Take logarithms of both sides (base {base})',
+      'step.excluded': 'Note the values that make a denominator zero',
+      'step.multiply-lcd': 'Multiply both sides by the common denominator {lcd}',
+      'step.reject': 'Reject solutions that make a denominator zero',
+      'step.no-valid': 'No valid solutions remain',
+      'step.standard-form': 'Move every term to one side and combine like terms',
+      'step.rearrange': 'Rearrange so that one side is zero',
+      'step.no-solutions': 'No solutions found',
+      'step.cancel': 'Collect everything on one side; the {variable} terms cancel',
+      'step.search': "Search {from} ≤ {variable} ≤ {to} numerically: bisect each sign change and refine with Newton's method",
+      'step.no-roots': 'No real roots found',
+      'step.check': 'Check each answer in the original equation',
+      'step.not-real': '{answer}: not a real value, cannot be checked numerically',
+
+      'history.title': 'History',
+      'history.intro': 'Find, re-solve and export the problems you have solved before.',
+      'history.search': 'Search problems and answers',
+      'history.type.all': 'All types',
+      'history.type.solve': 'Equations',
+      'history.type.system': 'Systems',
+      'history.type.diff': 'Derivatives',
+      'history.type.integrate': 'Integrals',
+      'history.type.defint': 'Definite integrals',
+      'history.type.limit': 'Limits',
+      'history.type.simplify': 'Simplify',
+      'history.type.factor': 'Factor',
+      'history.type.expand': 'Expand',
+      'history.empty': 'No solves found.',
+      'history.photo': 'Problem photo',
+      'history.resolve': 'Re-solve',
+      'history.select': 'Select for printing',
+      'history.print': 'Print / PDF',
+      'history.print-hint': 'Prints the selected solves, or all those shown when none is selected.',
+      'history.print-steps': 'Worked steps',
+      'history.print-key': 'Answer key page',
+      'history.print-none': 'There is nothing to print.',
+
+      'shared.title': 'Shared solution',
+      'shared.intro': 'A problem solved with Math GPT.',
+      'shared.loading': 'Opening the solution…',
+      'shared.try': 'Solve your own problems',
+      'shared.error.invalid': 'This link is not a Math GPT solution.',
+      'shared.error.damaged': 'This link is incomplete or damaged. Ask for it to be sent again.',
+      'shared.error.unsupported': 'This browser cannot open the link. Try a recent version of Chrome, Firefox, Safari or Edge.',
+
+      'worksheet.title': 'Worksheet',
+      'worksheet.problem': 'Problem {n}',
+      'worksheet.answer': 'Answer',
+      'worksheet.steps': 'Worked steps',
+      'worksheet.key': 'Answer key',
+
+      'account.title': 'Account',
+      'account.intro': 'Your plan, billing dates and payments.',
+      'account.period': 'Current period',
+      'account.remaining': 'Days remaining',
+      'account.next-billing': 'Next billing date',
+      'account.trial': 'Free trial solves used',
+      'account.trial-count': '{used} of {limit}',
+      'account.upgrade': 'Upgrade to annual',
+      'account.choose': 'Choose a plan',
+      'account.renew': 'Renew',
+      'account.cancel': 'Cancel subscription',
+      'account.cancel-confirm': 'Cancel your subscription? You can keep solving until {date}.',
+      'account.cancel-failed': 'Could not cancel: {error}',
+      'account.payments': 'Payments',
+      'account.date': 'Date',
+      'account.plan': 'Plan',
+      'account.amount': 'Amount',
+      'account.reference': 'Reference',
+      'account.no-payments': 'No payments yet.',
+      'account.plan-name': '{plan} plan',
+      'account.will-not-renew': 'Will not renew',
+      'account.state.none': 'Free trial',
+      'account.state.active': 'Active',
+      'account.state.cancelled': 'Cancelled',
+      'account.state.grace': 'Payment overdue',
+      'account.state.expired': 'Expired',
+      'plan.monthly': 'Monthly',
+      'plan.annual': 'Annual',
+
+      'notice.renewal-due': 'Your {plan} plan renews on {date}.',
+      'notice.expiring': 'Your {plan} plan ends on {date} and will not renew. You can renew it from the Account page.',
+      'notice.grace': 'We could not renew your {plan} plan. Solving stays unlocked for a few more days while the payment is retried.',
+      'notice.expired': 'Your {plan} plan has ended. Choose a plan to keep solving without limits.',
+
+      'admin.title': 'Admin',
+      'admin.intro': 'Registrations, subscriptions and usage across all users.',
+      'admin.period': 'Period',
+      'admin.days-7': 'Last 7 days',
+      'admin.days-30': 'Last 30 days',
+      'admin.days-90': 'Last 90 days',
+      'admin.refresh': 'Refresh',
+      'admin.load-failed': 'Could not load the admin data: {error}',
+      'admin.needs-rest': "The admin console needs the REST storage backend. Set STORAGE_BACKEND to 'rest' in static/js/app.js and run the server.",
+      'admin.daily-solves': 'Daily solves',
+      'admin.solves-total': {
+        one: '{total} solve in the period',
+        other: '{total} solves in the period',
+      },
+      'admin.ocr-failures': 'OCR failure rate',
+      'admin.ocr-rate': '{rate} of recognitions failed in the period',
+      'admin.no-scans': 'No photos were recognized in the period.',
+      'admin.conversion': 'Trial to paid',
+      'admin.conversion-rate': '{rate} of trial users have paid ({paid} of {tried})',
+      'admin.no-trials': 'Nobody has used the free trial yet.',
+      'admin.funnel.registered': 'Registered',
+      'admin.funnel.tried': 'Tried',
+      'admin.funnel.paid': 'Paid',
+      'admin.users': 'Users',
+      'admin.search': 'Search name or email',
+      'admin.user': 'User',
+      'admin.registered': 'Registered',
+      'admin.status': 'Status',
+      'admin.references': 'Paystack references',
+      'admin.trial': 'Trial used',
+      'admin.solves': 'Solves',
+      'admin.role-admin': 'admin',
+      'admin.unverified': 'not confirmed',
+      'admin.plan-until': '{plan} until {date}',
+      'admin.granted-by': 'Granted by {email}',
+      'admin.grant-monthly': 'Grant monthly',
+      'admin.grant-annual': 'Grant annual',
+      'admin.revoke': 'Revoke',
+      'admin.reset-trial': 'Reset trial',
+      'admin.revoke-confirm': 'Revoke the plan of {email}? It ends at once.',
+      'admin.action-failed': 'Could not update the user: {error}',
+    },
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = catalog;
+  } else {
+    root.MathGPT.i18n.register('en', catalog);
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
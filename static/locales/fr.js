@@ -0,0 +1,413 @@
+/*
+  fr.js
+  -----
+  French messages.  Photos are read with Tesseract's French model, which
+  also knows the accented letters of French word problems.
+*/
+
+(function (root) {
+  'use strict';
+
+  const catalog = {
+    label: 'Français',
+    ocr: 'fra',
+    messages: {
+      'app.title': 'Math GPT Photosolve',
+      'nav.toggle': 'Afficher la navigation',
+      'nav.dashboard': 'Tableau de bord',
+      'nav.pricing': 'Tarifs',
+      'nav.history': 'Historique',
+      'nav.account': 'Compte',
+      'nav.logout': 'Déconnexion',
+      'nav.hello': 'Bonjour, {name}',
+      'nav.language': 'Langue',
+      'nav.admin': 'Administration',
+      'footer.rights': 'Math GPT. Tous droits réservés.',
+
+      'auth.welcome': 'Bienvenue sur Math GPT',
+      'auth.intro': 'Résolvez facilement vos problèmes de maths en photo.  Créez un compte pour commencer.',
+      'auth.login': 'Connexion',
+      'auth.register': 'Inscription',
+      'auth.email': 'Adresse e-mail',
+      'auth.password': 'Mot de passe',
+      'auth.name': 'Nom',
+      'auth.forgot': 'Mot de passe oublié ?',
+      'auth.reset-intro': 'Saisissez votre adresse e-mail et nous vous enverrons un lien pour choisir un nouveau mot de passe.',
+      'auth.send-link': 'Envoyer le lien',
+      'auth.password-strength': 'Robustesse du mot de passe',
+      'auth.weak.length': 'Utilisez au moins {min} caractères.',
+      'auth.weak.mix': 'Mélangez majuscules, minuscules, chiffres et symboles, ou utilisez 16 caractères ou plus.',
+      'auth.weak.common': 'Ce mot de passe est trop courant.',
+      'auth.weak.personal': 'N’utilisez ni votre nom ni votre e-mail dans votre mot de passe.',
+      'auth.new-password-title': 'Choisissez un nouveau mot de passe',
+      'auth.new-password': 'Nouveau mot de passe',
+      'auth.repeat-password': 'Répétez le nouveau mot de passe',
+      'auth.save-password': 'Enregistrer le mot de passe',
+      'auth.all-required': 'Tous les champs sont obligatoires.',
+      'auth.unreachable': 'Impossible de joindre le serveur des comptes. Veuillez réessayer.',
+      'auth.reset-sent': 'Si un compte existe pour cette adresse, un lien de réinitialisation y a été envoyé.',
+      'auth.reset-failed': 'Impossible d’envoyer le lien de réinitialisation. Veuillez réessayer.',
+      'auth.mismatch': 'Les mots de passe ne correspondent pas.',
+      'auth.password-changed': 'Votre mot de passe a été modifié. Connectez-vous avec le nouveau mot de passe.',
+      'auth.link-sent': 'Lien envoyé',
+      'auth.verification-failed': 'Impossible d’envoyer le lien de vérification. Veuillez réessayer.',
+      'auth.email-confirmed': 'Merci, votre adresse e-mail est confirmée.',
+      'auth.confirm-failed': 'Impossible de confirmer votre adresse e-mail. Veuillez réessayer.',
+      'auth.verify-notice': 'Veuillez confirmer votre adresse e-mail avec le lien que nous vous avons envoyé.',
+      'auth.resend': 'Renvoyer le lien',
+      'auth.error.invalid-email': 'Saisissez une adresse e-mail valide.',
+      'auth.error.exists': 'Un compte existe déjà avec cette adresse e-mail.',
+      'auth.error.invalid-credentials': 'Adresse e-mail ou mot de passe incorrect.',
+      'auth.error.invalid-token': 'Ce lien n’est pas valide ou a expiré.',
+
+      'pricing.title': 'Choisissez un abonnement',
+      'pricing.intro': 'Profitez de résolutions illimitées et de tous les modèles GPT, actuels et à venir.',
+      'pricing.currency': 'Devise',
+      'pricing.free-title': 'Essai gratuit',
+      'pricing.free-text': 'Essayez Math GPT gratuitement.  Vous pouvez résoudre jusqu’à {limit} problèmes sans payer.',
+      'pricing.free-btn': 'Utiliser l’essai gratuit',
+      'pricing.monthly-title': 'Mensuel',
+      'pricing.monthly-text': 'Payez chaque mois et résolvez sans limite.  Résiliable à tout moment.',
+      'pricing.monthly-btn': 'S’abonner au mois',
+      'pricing.annual-title': 'Annuel',
+      'pricing.annual-text': 'Économisez en payant à l’année.  Tous les modèles pendant 12 mois.',
+      'pricing.annual-btn': 'S’abonner à l’année',
+      'pricing.back': 'Retour',
+      'pricing.trial-used': 'Votre essai gratuit est terminé. Abonnez-vous pour continuer à utiliser Math GPT.',
+      'pricing.no-key': 'Renseignez votre clé publique Paystack dans static/js/app.js avant d’accepter des paiements.',
+      'pricing.paid': 'Paiement effectué ! Vous êtes maintenant abonné à la formule {plan}.',
+      'pricing.unconfirmed': 'Nous n’avons pas pu confirmer votre paiement ({error}). Si vous avez été débité, contactez le support avec la référence {reference}.',
+      'pricing.closed': 'Fenêtre de paiement fermée.',
+
+      'solver.title': 'Solveur photo',
+      'solver.intro': 'Envoyez une image nette de votre problème de maths et laissez notre IA faire le reste.',
+      'solver.camera': 'Utiliser la caméra',
+      'solver.take-photo': 'Prendre la photo',
+      'solver.cancel': 'Annuler',
+      'solver.camera-refused': 'L’accès à la caméra a été refusé. Envoyez plutôt une photo.',
+      'solver.camera-photo': 'Photo de la caméra',
+      'solver.crop': 'Faites glisser pour recadrer le problème',
+      'solver.rotate': 'Faire pivoter la photo',
+      'solver.rotate-left': 'Pivoter à gauche',
+      'solver.rotate-right': 'Pivoter à droite',
+      'solver.straighten': 'Redresser',
+      'solver.reset': 'Réinitialiser',
+      'solver.fine-rotation': 'Rotation fine :',
+      'solver.before': 'Avant',
+      'solver.after': 'Après (envoyé à la reconnaissance)',
+      'prep.grayscale': 'Niveaux de gris',
+      'prep.upscale': 'Agrandir',
+      'prep.contrast': 'Contraste',
+      'prep.denoise': 'Débruiter',
+      'prep.threshold': 'Seuillage',
+      'solver.type': 'Type de problème',
+      'solver.mode.auto': 'Détection automatique',
+      'solver.mode.solve': 'Résoudre une équation',
+      'solver.mode.derivative': 'Dérivée',
+      'solver.mode.integral': 'Intégrale',
+      'solver.mode.limit': 'Limite',
+      'solver.mode.simplify': 'Simplifier',
+      'solver.mode.factor': 'Factoriser',
+      'solver.mode.expand': 'Développer',
+      'solver.limit-point': 'Point limite',
+      'solver.recognize': 'Reconnaître',
+      'solver.many': 'Choisissez plusieurs photos ou un PDF pour reconnaître et résoudre toute une série d’exercices.',
+      'solver.check-text': 'Vérifiez le problème reconnu et corrigez les erreurs avant de le résoudre.',
+      'solver.solve': 'Résoudre',
+      'solver.nothing': 'Il n’y a rien à résoudre.',
+      'solver.summary': {
+        one: '{count} problème reconnu ; {solved} résolu.',
+        other: '{count} problèmes reconnus ; {solved} résolus.',
+      },
+      'solver.error': 'Erreur : {message}',
+      'solver.unreadable': '{line}  ← illisible : {error}',
+      'solver.no-text': 'Aucun texte n’a été reconnu dans l’image.',
+      'solver.trial-used': 'Votre essai gratuit est terminé. Abonnez-vous, puis réessayez.',
+      'solver.read-by': 'Lu par {recognizer}, confiance {confidence}. Les symboles surlignés sont incertains.',
+      'solver.confident': 'Confiance {confidence}',
+      'solver.or': 'Ou : ',
+      'solver.likely': 'Probabilité {confidence}',
+
+      'queue.title': 'File d’attente',
+      'queue.clear': 'Effacer les terminés',
+      'queue.queued': 'En attente',
+      'queue.running': 'En cours',
+      'queue.done': 'Terminé',
+      'queue.failed': 'Échec',
+      'queue.cancelled': 'Annulé',
+      'queue.loading': 'Chargement',
+      'queue.recognizing': 'Reconnaissance',
+      'queue.solving': 'Résolution',
+      'queue.cancel': 'Annuler',
+      'queue.retry': 'Réessayer',
+      'queue.remove': 'Retirer',
+      'queue.results': 'Résultats de la série',
+      'queue.export': 'Exporter en CSV',
+      'queue.item': 'Élément',
+      'queue.problem': 'Problème',
+      'queue.type': 'Type',
+      'queue.answer': 'Réponse',
+      'queue.page': '{name} – page {n}',
+
+      'result.problem': 'Problème {n} : {label}',
+      'result.system': 'Problème {n} : système de {count} équations',
+      'result.steps': 'Étapes détaillées ({count})',
+      'result.copy': 'Copier le résultat',
+      'result.copy-latex': 'Copier en LaTeX',
+      'result.copy-text': 'Copier le texte',
+      'result.copy-mathml': 'Copier en MathML',
+      'result.copied': 'Copié !',
+      'result.copy-failed': 'Échec de la copie',
+      'result.practice': 'S’entraîner',
+      'result.graph': 'Graphique',
+      'result.graph-of': 'Graphique du problème {n}',
+      'result.exact': 'Exacte',
+      'result.approximate': 'Approchée',
+      'result.symbolic': 'Symbolique',
+      'result.rejected': 'Ne vérifie pas',
+      'result.complex': 'Non réelle',
+      'result.sides': 'membre de gauche {left}, membre de droite {right}',
+      'result.share': 'Partager',
+      'result.link-copied': 'Lien copié !',
+      'result.share-failed': 'Partage impossible',
+      'result.answer-label': '{label} :',
+      'result.label.solve': 'Solution',
+      'result.label.system': 'Solution',
+      'result.label.diff': 'Dérivée',
+      'result.label.integrate': 'Primitive',
+      'result.label.defint': 'Intégrale définie',
+      'result.label.limit': 'Limite',
+      'result.label.simplify': 'Forme simplifiée',
+      'result.label.factor': 'Forme factorisée',
+      'result.label.expand': 'Forme développée',
+      'result.label.inequality': 'Ensemble des solutions',
+      'result.label.region': 'Région des solutions',
+      'result.kind.solve': 'solution',
+      'result.kind.diff': 'dérivée',
+      'result.kind.integrate': 'primitive',
+      'result.kind.defint': 'intégrale définie',
+      'result.kind.limit': 'limite',
+      'result.kind.simplify': 'forme simplifiée',
+      'result.kind.factor': 'forme factorisée',
+      'result.kind.expand': 'forme développée',
+      'result.kind.inequality': 'ensemble des solutions',
+      'result.kind.region': 'région des solutions',
+      'answer.exact': '(valeur exacte)',
+      'answer.approximate': '(valeur approchée)',
+      'answer.all-real': 'Tout {variable} réel',
+      'answer.no-real': 'Pas de solution réelle',
+      'answer.complex': 'complexes :',
+      'answer.more': 'et {count} de plus',
+      'answer.or': 'ou',
+      'answer.and': 'et',
+      'answer.none-satisfy': 'Aucun {variable} réel ne vérifie l’inéquation',
+      'answer.region': 'Tous les points où {where} (zone ombrée sur le graphique)',
+      'answer.region-where': 'Tous les points où',
+
+      'note.always-equal': 'Les deux membres sont toujours égaux : tout {variable} réel est solution.',
+      'note.never-equal': 'Les termes en {variable} s’annulent et il reste {constant} = 0, ce qui n’est jamais vrai.',
+      'note.all-complex': 'Toutes les solutions sont complexes.',
+      'note.rejected': {
+        one: '{answers} ne vérifie pas l’équation de départ.',
+        other: '{answers} ne vérifient pas l’équation de départ.',
+      },
+      'note.no-root': 'Aucune racine n’a été trouvée entre {from} et {to}.',
+      'note.nearest': 'Affichage des {count} solutions les plus proches de zéro ; {more} autres ont été trouvées.',
+
+      'check.cannot-evaluate': 'impossible à évaluer',
+      'check.not-real': 'ce n’est pas un nombre réel',
+      'check.undefined': 'l’équation n’y est pas définie',
+      'check.not-equal': 'les deux membres n’y sont pas égaux',
+
+      'error.expression': 'Impossible de calculer l’expression reconnue.',
+      'error.equation': 'Impossible d’analyser et de résoudre l’équation reconnue.',
+      'error.system': 'Impossible de résoudre le système d’équations.',
+      'error.no-system-solution': 'Le système d’équations n’a pas de solution.',
+      'error.inequality': 'Impossible d’analyser et de résoudre l’inéquation reconnue.',
+      'error.image': 'Impossible de lire l’image.',
+      'error.no-camera': 'Ce navigateur ne peut pas utiliser la caméra. Envoyez plutôt une photo.',
+      'error.no-recognition': 'La reconnaissance de texte n’est pas disponible. Vérifiez votre connexion et rechargez la page.',
+      'error.recognition-stopped': 'La reconnaissance a été arrêtée.',
+      'error.no-pdf': 'La lecture des PDF n’est pas disponible. Vérifiez votre connexion et rechargez la page.',
+
+      'graph.title': 'Graphique',
+      'graph.zoom': 'Zoom du graphique',
+      'graph.zoom-in': 'Zoom avant',
+      'graph.zoom-out': 'Zoom arrière',
+      'graph.reset': 'Réinitialiser',
+
+      'practice.title': 'Entraînement',
+      'practice.title-for': 'Entraînement : {problem}',
+      'practice.close': 'Fermer l’entraînement',
+      'practice.count': 'Problèmes',
+      'practice.new': 'Nouvelle série',
+      'practice.making': 'Préparation des exercices…',
+      'practice.instructions': 'Résolvez pour {variable}. Séparez plusieurs réponses par des virgules.',
+      'practice.none': 'Aucun problème semblable avec des réponses simples n’a pu être créé à partir de cette équation.',
+      'practice.answer-to': 'Réponse à {problem}',
+      'practice.check': 'Vérifier',
+      'practice.empty': 'Saisissez d’abord une réponse.',
+      'practice.correct': 'Correct !',
+      'practice.wrong': '{answers} ne vérifie pas l’équation.',
+      'practice.partial': '{found} solution(s) sur {total} trouvée(s) ; il en reste à trouver.',
+      'practice.yours': 'Votre entraînement',
+      'practice.score': '{correct} sur {attempted} correctes',
+      'practice.score-label': 'Score : {topic}',
+      'topic.linear': 'Équations du premier degré',
+      'topic.quadratic': 'Équations du second degré',
+      'topic.exponential': 'Équations exponentielles',
+      'topic.rational': 'Équations rationnelles',
+      'topic.general': 'Autres équations',
+
+      'step.start': 'Partir de l’équation',
+      'step.collect': 'Regrouper les termes en {variable} d’un côté et les constantes de l’autre',
+      'step.divide': 'Diviser les deux membres par {value}',
+      'step.factor': 'Factoriser le membre de gauche',
+      'step.zero-factors': 'Annuler chaque facteur',
+      'step.solve-factors': 'Résoudre chaque équation en {variable}',
+      'step.factor-out': 'Mettre {variable} en facteur',
+      'step.solve-for': 'Résoudre en {variable}',
+      'step.coefficients': 'Identifier les coefficients',
+      'step.discriminant': 'Calculer le discriminant b^2 - 4ac',
+      'step.negative-discriminant': 'Le discriminant est négatif, il n’y a donc pas de solution réelle',
+      'step.complex-solutions': 'Les solutions complexes sont',
+      'step.quadratic-formula': 'Appliquer la formule du second degré',
+      'step.simplify': 'Simplifier',
+      'step.negate': 'Multiplier les deux membres par -1',
+      'step.positive-power': 'Une puissance d’une base positive est toujours positive, il n’y a donc pas de solution réelle',
+      'step.natural-log': 'Prendre le logarithme népérien des deux membres',
+      'step.log-base': 'Prendre le logarithme des deux membres (base {base})',
+      'step.excluded': 'Noter les valeurs qui annulent un dénominateur',
+      'step.multiply-lcd': 'Multiplier les deux membres par le dénominateur commun {lcd}',
+      'step.reject': 'Écarter les solutions qui annulent un dénominateur',
+      'step.no-valid': 'Il ne reste aucune solution valable',
+      'step.standard-form': 'Passer tous les termes d’un côté et réduire',
+      'step.rearrange': 'Réarranger pour qu’un membre soit nul',
+      'step.no-solutions': 'Aucune solution trouvée',
+      'step.cancel': 'Tout regrouper d’un côté ; les termes en {variable} s’annulent',
+      'step.search': 'Chercher numériquement sur {from} ≤ {variable} ≤ {to} : dichotomie à chaque changement de signe, puis méthode de Newton',
+      'step.no-roots': 'Aucune racine réelle trouvée',
+      'step.check': 'Vérifier chaque réponse dans l’équation de départ',
+      'step.not-real': '{answer} : valeur non réelle, impossible à vérifier numériquement',
+
+      'history.title': 'Historique',
+      'history.intro': 'Retrouvez, résolvez à nouveau et exportez vos problèmes déjà résolus.',
+      'history.search': 'Rechercher dans les problèmes et les réponses',
+      'history.type.all': 'Tous les types',
+      'history.type.solve': 'Équations',
+      'history.type.system': 'Systèmes',
+      'history.type.diff': 'Dérivées',
+      'history.type.integrate': 'Intégrales',
+      'history.type.defint': 'Intégrales définies',
+      'history.type.limit': 'Limites',
+      'history.type.simplify': 'Simplifier',
+      'history.type.factor': 'Factoriser',
+      'history.type.expand': 'Développer',
+      'history.empty': 'Aucune résolution trouvée.',
+      'history.photo': 'Photo du problème',
+      'history.resolve': 'Résoudre à nouveau',
+      'history.select': 'Sélectionner pour l’impression',
+      'history.print': 'Imprimer / PDF',
+      'history.print-hint': 'Imprime les résolutions sélectionnées, ou toutes celles affichées si aucune ne l’est.',
+      'history.print-steps': 'Étapes détaillées',
+      'history.print-key': 'Page de corrigé',
+      'history.print-none': 'Il n’y a rien à imprimer.',
+
+      'shared.title': 'Solution partagée',
+      'shared.intro': 'Un problème résolu avec Math GPT.',
+      'shared.loading': 'Ouverture de la solution…',
+      'shared.try': 'Résolvez vos propres problèmes',
+      'shared.error.invalid': 'Ce lien n’est pas une solution Math GPT.',
+      'shared.error.damaged': 'Ce lien est incomplet ou endommagé. Demandez à le recevoir de nouveau.',
+      'shared.error.unsupported': 'Ce navigateur ne peut pas ouvrir le lien. Essayez une version récente de Chrome, Firefox, Safari ou Edge.',
+
+      'worksheet.title': 'Fiche d’exercices',
+      'worksheet.problem': 'Problème {n}',
+      'worksheet.answer': 'Réponse',
+      'worksheet.steps': 'Étapes détaillées',
+      'worksheet.key': 'Corrigé',
+
+      'account.title': 'Compte',
+      'account.intro': 'Votre formule, vos dates de facturation et vos paiements.',
+      'account.period': 'Période en cours',
+      'account.remaining': 'Jours restants',
+      'account.next-billing': 'Prochaine facturation',
+      'account.trial': 'Résolutions gratuites utilisées',
+      'account.trial-count': '{used} sur {limit}',
+      'account.upgrade': 'Passer à l’annuel',
+      'account.choose': 'Choisir une formule',
+      'account.renew': 'Renouveler',
+      'account.cancel': 'Résilier l’abonnement',
+      'account.cancel-confirm': 'Résilier votre abonnement ? Vous pourrez résoudre jusqu’au {date}.',
+      'account.cancel-failed': 'Résiliation impossible : {error}',
+      'account.payments': 'Paiements',
+      'account.date': 'Date',
+      'account.plan': 'Formule',
+      'account.amount': 'Montant',
+      'account.reference': 'Référence',
+      'account.no-payments': 'Aucun paiement pour l’instant.',
+      'account.plan-name': 'Formule {plan}',
+      'account.will-not-renew': 'Ne sera pas renouvelé',
+      'account.state.none': 'Essai gratuit',
+      'account.state.active': 'Actif',
+      'account.state.cancelled': 'Résilié',
+      'account.state.grace': 'Paiement en retard',
+      'account.state.expired': 'Expiré',
+      'plan.monthly': 'Mensuelle',
+      'plan.annual': 'Annuelle',
+
+      'notice.renewal-due': 'Votre formule {plan} sera renouvelée le {date}.',
+      'notice.expiring': 'Votre formule {plan} prend fin le {date} et ne sera pas renouvelée. Vous pouvez la renouveler depuis la page Compte.',
+      'notice.grace': 'Nous n’avons pas pu renouveler votre formule {plan}. La résolution reste disponible quelques jours pendant que le paiement est retenté.',
+      'notice.expired': 'Votre formule {plan} a pris fin. Choisissez une formule pour continuer à résoudre sans limite.',
+
+      'admin.title': 'Administration',
+      'admin.intro': 'Inscriptions, abonnements et utilisation de tous les utilisateurs.',
+      'admin.period': 'Période',
+      'admin.days-7': '7 derniers jours',
+      'admin.days-30': '30 derniers jours',
+      'admin.days-90': '90 derniers jours',
+      'admin.refresh': 'Actualiser',
+      'admin.load-failed': 'Impossible de charger les données d’administration : {error}',
+      'admin.needs-rest': "La console d’administration nécessite le stockage REST. Réglez STORAGE_BACKEND sur 'rest' dans static/js/app.js et lancez le serveur.",
+      'admin.daily-solves': 'Résolutions par jour',
+      'admin.solves-total': {
+        one: '{total} résolution sur la période',
+        other: '{total} résolutions sur la période',
+      },
+      'admin.ocr-failures': 'Taux d’échec de la reconnaissance',
+      'admin.ocr-rate': '{rate} des reconnaissances ont échoué sur la période',
+      'admin.no-scans': 'Aucune photo n’a été reconnue sur la période.',
+      'admin.conversion': 'De l’essai au paiement',
+      'admin.conversion-rate': '{rate} des utilisateurs de l’essai ont payé ({paid} sur {tried})',
+      'admin.no-trials': 'Personne n’a encore utilisé l’essai gratuit.',
+      'admin.funnel.registered': 'Inscrits',
+      'admin.funnel.tried': 'Essai',
+      'admin.funnel.paid': 'Payé',
+      'admin.users': 'Utilisateurs',
+      'admin.search': 'Rechercher un nom ou une adresse',
+      'admin.user': 'Utilisateur',
+      'admin.registered': 'Inscription',
+      'admin.status': 'Statut',
+      'admin.references': 'Références Paystack',
+      'admin.trial': 'Essai utilisé',
+      'admin.solves': 'Résolutions',
+      'admin.role-admin': 'admin',
+      'admin.unverified': 'non confirmée',
+      'admin.plan-until': '{plan} jusqu’au {date}',
+      'admin.granted-by': 'Accordée par {email}',
+      'admin.grant-monthly': 'Accorder mensuelle',
+      'admin.grant-annual': 'Accorder annuelle',
+      'admin.revoke': 'Retirer',
+      'admin.reset-trial': 'Réinitialiser l’essai',
+      'admin.revoke-confirm': 'Retirer la formule de {email} ? Elle prend fin immédiatement.',
+      'admin.action-failed': 'Impossible de modifier l’utilisateur : {error}',
+    },
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = catalog;
+  } else {
+    root.MathGPT.i18n.register('fr', catalog);
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
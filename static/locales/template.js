@@ -0,0 +1,428 @@
+/*
+  template.js
+  -----------
+  Starting point for a new language.  To add one:
+
+    1. Copy this file to static/locales/<code>.js, where <code> is the
+       language's ISO 639 code (tw for Twi, ha for Hausa, sw for Swahili,
+       zu for isiZulu…), and replace 'xx' below with it.
+    2. Set `label` to the language's own name and `ocr` to the Tesseract
+       language photos are read with.  Tesseract has models for many
+       languages (swa, afr, yor…); keep 'eng' for one it does not know,
+       since problems are mostly numbers and Latin letters anyway.
+    3. Translate the messages.  Any left empty are shown in English.
+       Keep {placeholders} as they are; messages with `one` and `other`
+       are plural forms, and languages with more forms can add them by
+       their Intl.PluralRules names (zero, two, few, many).
+    4. Load the file in index.html after static/locales/en.js and add it
+       to APP_SHELL in sw.js.
+
+  This file itself is not loaded by the app.
+*/
+
+(function (root) {
+  'use strict';
+
+  const catalog = {
+    label: '',
+    ocr: 'eng',
+    messages: {
+      'app.title': '',
+      'nav.toggle': '',
+      'nav.dashboard': '',
+      'nav.pricing': '',
+      'nav.history': '',
+      'nav.account': '',
+      'nav.logout': '',
+      'nav.hello': '',
+      'nav.language': '',
+      'nav.admin': '',
+      'footer.rights': '',
+
+      'auth.welcome': '',
+      'auth.intro': '',
+      'auth.login': '',
+      'auth.register': '',
+      'auth.email': '',
+      'auth.password': '',
+      'auth.name': '',
+      'auth.forgot': '',
+      'auth.reset-intro': '',
+      'auth.send-link': '',
+      'auth.password-strength': '',
+      'auth.weak.length': '',
+      'auth.weak.mix': '',
+      'auth.weak.common': '',
+      'auth.weak.personal': '',
+      'auth.new-password-title': '',
+      'auth.new-password': '',
+      'auth.repeat-password': '',
+      'auth.save-password': '',
+      'auth.all-required': '',
+      'auth.unreachable': '',
+      'auth.reset-sent': '',
+      'auth.reset-failed': '',
+      'auth.mismatch': '',
+      'auth.password-changed': '',
+      'auth.link-sent': '',
+      'auth.verification-failed': '',
+      'auth.email-confirmed': '',
+      'auth.confirm-failed': '',
+      'auth.verify-notice': '',
+      'auth.resend': '',
+      'auth.error.invalid-email': '',
+      'auth.error.exists': '',
+      'auth.error.invalid-credentials': '',
+      'auth.error.invalid-token': '',
+
+      'pricing.title': '',
+      'pricing.intro': '',
+      'pricing.currency': '',
+      'pricing.free-title': '',
+      'pricing.free-text': '',
+      'pricing.free-btn': '',
+      'pricing.monthly-title': '',
+      'pricing.monthly-text': '',
+      'pricing.monthly-btn': '',
+      'pricing.annual-title': '',
+      'pricing.annual-text': '',
+      'pricing.annual-btn': '',
+      'pricing.back': '',
+      'pricing.trial-used': '',
+      'pricing.no-key': '',
+      'pricing.paid': '',
+      'pricing.unconfirmed': '',
+      'pricing.closed': '',
+
+      'solver.title': '',
+      'solver.intro': '',
+      'solver.camera': '',
+      'solver.take-photo': '',
+      'solver.cancel': '',
+      'solver.camera-refused': '',
+      'solver.camera-photo': '',
+      'solver.crop': '',
+      'solver.rotate': '',
+      'solver.rotate-left': '',
+      'solver.rotate-right': '',
+      'solver.straighten': '',
+      'solver.reset': '',
+      'solver.fine-rotation': '',
+      'solver.before': '',
+      'solver.after': '',
+      'prep.grayscale': '',
+      'prep.upscale': '',
+      'prep.contrast': '',
+      'prep.denoise': '',
+      'prep.threshold': '',
+      'solver.type': '',
+      'solver.mode.auto': '',
+      'solver.mode.solve': '',
+      'solver.mode.derivative': '',
+      'solver.mode.integral': '',
+      'solver.mode.limit': '',
+      'solver.mode.simplify': '',
+      'solver.mode.factor': '',
+      'solver.mode.expand': '',
+      'solver.limit-point': '',
+      'solver.recognize': '',
+      'solver.many': '',
+      'solver.check-text': '',
+      'solver.solve': '',
+      'solver.nothing': '',
+      'solver.summary': {
+        one: '',
+        other: '',
+      },
+      'solver.error': '',
+      'solver.unreadable': '',
+      'solver.no-text': '',
+      'solver.trial-used': '',
+      'solver.read-by': '',
+      'solver.confident': '',
+      'solver.or': '',
+      'solver.likely': '',
+
+      'queue.title': '',
+      'queue.clear': '',
+      'queue.queued': '',
+      'queue.running': '',
+      'queue.done': '',
+      'queue.failed': '',
+      'queue.cancelled': '',
+      'queue.loading': '',
+      'queue.recognizing': '',
+      'queue.solving': '',
+      'queue.cancel': '',
+      'queue.retry': '',
+      'queue.remove': '',
+      'queue.results': '',
+      'queue.export': '',
+      'queue.item': '',
+      'queue.problem': '',
+      'queue.type': '',
+      'queue.answer': '',
+      'queue.page': '',
+
+      'result.problem': '',
+      'result.system': '',
+      'result.steps': '',
+      'result.copy': '',
+      'result.copy-latex': '',
+      'result.copy-text': '',
+      'result.copy-mathml': '',
+      'result.copied': '',
+      'result.copy-failed': '',
+      'result.practice': '',
+      'result.graph': '',
+      'result.graph-of': '',
+      'result.exact': '',
+      'result.approximate': '',
+      'result.symbolic': '',
+      'result.rejected': '',
+      'result.complex': '',
+      'result.sides': '',
+      'result.share': '',
+      'result.link-copied': '',
+      'result.share-failed': '',
+      'result.answer-label': '',
+      'result.label.solve': '',
+      'result.label.system': '',
+      'result.label.diff': '',
+      'result.label.integrate': '',
+      'result.label.defint': '',
+      'result.label.limit': '',
+      'result.label.simplify': '',
+      'result.label.factor': '',
+      'result.label.expand': '',
+      'result.label.inequality': '',
+      'result.label.region': '',
+      'result.kind.solve': '',
+      'result.kind.diff': '',
+      'result.kind.integrate': '',
+      'result.kind.defint': '',
+      'result.kind.limit': '',
+      'result.kind.simplify': '',
+      'result.kind.factor': '',
+      'result.kind.expand': '',
+      'result.kind.inequality': '',
+      'result.kind.region': '',
+      'answer.exact': '',
+      'answer.approximate': '',
+      'answer.all-real': '',
+      'answer.no-real': '',
+      'answer.complex': '',
+      'answer.more': '',
+      'answer.or': '',
+      'answer.and': '',
+      'answer.none-satisfy': '',
+      'answer.region': '',
+      'answer.region-where': '',
+
+      'note.always-equal': '',
+      'note.never-equal': '',
+      'note.all-complex': '',
+      'note.rejected': {
+        one: '',
+        other: '',
+      },
+      'note.no-root': '',
+      'note.nearest': '',
+
+      'check.cannot-evaluate': '',
+      'check.not-real': '',
+      'check.undefined': '',
+      'check.not-equal': '',
+
+      'error.expression': '',
+      'error.equation': '',
+      'error.system': '',
+      'error.no-system-solution': '',
+      'error.inequality': '',
+      'error.image': '',
+      'error.no-camera': '',
+      'error.no-recognition': '',
+      'error.recognition-stopped': '',
+      'error.no-pdf': '',
+
+      'graph.title': '',
+      'graph.zoom': '',
+      'graph.zoom-in': '',
+      'graph.zoom-out': '',
+      'graph.reset': '',
+
+      'practice.title': '',
+      'practice.title-for': '',
+      'practice.close': '',
+      'practice.count': '',
+      'practice.new': '',
+      'practice.making': '',
+      'practice.instructions': '',
+      'practice.none': '',
+      'practice.answer-to': '',
+      'practice.check': '',
+      'practice.empty': '',
+      'practice.correct': '',
+      'practice.wrong': '',
+      'practice.partial': '',
+      'practice.yours': '',
+      'practice.score': '',
+      'practice.score-label': '',
+      'topic.linear': '',
+      'topic.quadratic': '',
+      'topic.exponential': '',
+      'topic.rational': '',
+      'topic.general': '',
+
+      'step.start': '',
+      'step.collect': '',
+      'step.divide': '',
+      'step.factor': '',
+      'step.zero-factors': '',
+      'step.solve-factors': '',
+      'step.factor-out': '',
+      'step.solve-for': '',
+      'step.coefficients': '',
+      'step.discriminant': '',
+      'step.negative-discriminant': '',
+      'step.complex-solutions': '',
+      'step.quadratic-formula': '',
+      'step.simplify': '',
+      'step.negate': '',
+      'step.positive-power': '',
+      'step.natural-log': '',
+      'step.log-base': '',
+      'step.excluded': '',
+      'step.multiply-lcd': '',
+      'step.reject': '',
+      'step.no-valid': '',
+      'step.standard-form': '',
+      'step.rearrange': '',
+      'step.no-solutions': '',
+      'step.cancel': '',
+      'step.search': '',
+      'step.no-roots': '',
+      'step.check': '',
+      'step.not-real': '',
+
+      'history.title': '',
+      'history.intro': '',
+      'history.search': '',
+      'history.type.all': '',
+      'history.type.solve': '',
+      'history.type.system': '',
+      'history.type.diff': '',
+      'history.type.integrate': '',
+      'history.type.defint': '',
+      'history.type.limit': '',
+      'history.type.simplify': '',
+      'history.type.factor': '',
+      'history.type.expand': '',
+      'history.empty': '',
+      'history.photo': '',
+      'history.resolve': '',
+      'history.select': '',
+      'history.print': '',
+      'history.print-hint': '',
+      'history.print-steps': '',
+      'history.print-key': '',
+      'history.print-none': '',
+
+      'shared.title': '',
+      'shared.intro': '',
+      'shared.loading': '',
+      'shared.try': '',
+      'shared.error.invalid': '',
+      'shared.error.damaged': '',
+      'shared.error.unsupported': '',
+
+      'worksheet.title': '',
+      'worksheet.problem': '',
+      'worksheet.answer': '',
+      'worksheet.steps': '',
+      'worksheet.key': '',
+
+      'account.title': '',
+      'account.intro': '',
+      'account.period': '',
+      'account.remaining': '',
+      'account.next-billing': '',
+      'account.trial': '',
+      'account.trial-count': '',
+      'account.upgrade': '',
+      'account.choose': '',
+      'account.renew': '',
+      'account.cancel': '',
+      'account.cancel-confirm': '',
+      'account.cancel-failed': '',
+      'account.payments': '',
+      'account.date': '',
+      'account.plan': '',
+      'account.amount': '',
+      'account.reference': '',
+      'account.no-payments': '',
+      'account.plan-name': '',
+      'account.will-not-renew': '',
+      'account.state.none': '',
+      'account.state.active': '',
+      'account.state.cancelled': '',
+      'account.state.grace': '',
+      'account.state.expired': '',
+      'plan.monthly': '',
+      'plan.annual': '',
+
+      'notice.renewal-due': '',
+      'notice.expiring': '',
+      'notice.grace': '',
+      'notice.expired': '',
+
+      'admin.title': '',
+      'admin.intro': '',
+      'admin.period': '',
+      'admin.days-7': '',
+      'admin.days-30': '',
+      'admin.days-90': '',
+      'admin.refresh': '',
+      'admin.load-failed': '',
+      'admin.needs-rest': '',
+      'admin.daily-solves': '',
+      'admin.solves-total': {
+        one: '',
+        other: '',
+      },
+      'admin.ocr-failures': '',
+      'admin.ocr-rate': '',
+      'admin.no-scans': '',
+      'admin.conversion': '',
+      'admin.conversion-rate': '',
+      'admin.no-trials': '',
+      'admin.funnel.registered': '',
+      'admin.funnel.tried': '',
+      'admin.funnel.paid': '',
+      'admin.users': '',
+      'admin.search': '',
+      'admin.user': '',
+      'admin.registered': '',
+      'admin.status': '',
+      'admin.references': '',
+      'admin.trial': '',
+      'admin.solves': '',
+      'admin.role-admin': '',
+      'admin.unverified': '',
+      'admin.plan-until': '',
+      'admin.granted-by': '',
+      'admin.grant-monthly': '',
+      'admin.grant-annual': '',
+      'admin.revoke': '',
+      'admin.reset-trial': '',
+      'admin.revoke-confirm': '',
+      'admin.action-failed': '',
+    },
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = catalog;
+  } else {
+    root.MathGPT.i18n.register('xx', catalog);
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
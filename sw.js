@@ -0,0 +1,188 @@
+/*
+  sw.js
+  -----
+  Service worker that lets Math GPT install as an app and recognize and
+  solve problems with no network.  On install it caches the page, its
+  scripts and styles, the libraries loaded from CDNs and the Tesseract
+  worker, engine and English language data (their URLs come from
+  static/js/ocr.js); the data for another language is cached the first
+  time a photo is read in it.  Pinned CDN files are then answered from
+  the cache first.  The app's own files are answered from the cache too
+  but refreshed in the background, so a change shows up on the next
+  load, and pages are fetched from the network when possible, falling
+  back to the cached copy offline.
+
+  Account and payment calls (/api/, Paystack's API) always go to the
+  network.  Bump CACHE_NAME when the lists below change.
+*/
+
+'use strict';
+
+importScripts('static/js/ocr.js');
+
+const CACHE_NAME = 'mathgpt-v9';
+
+/**
+ * Files served from this origin.
+ */
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'static/css/style.css',
+  'static/icons/icon-192.png',
+  'static/icons/icon-512.png',
+  'static/vendor/katex/katex.min.css',
+  'static/vendor/katex/katex.min.js',
+  'static/js/steps.js',
+  'static/js/mathview.js',
+  'static/js/normalize.js',
+  'static/js/storage.js',
+  'static/js/auth.js',
+  'static/js/entitlement.js',
+  'static/js/history.js',
+  'static/js/share.js',
+  'static/js/worksheet.js',
+  'static/js/usage.js',
+  'static/js/verify.js',
+  'static/js/solver.js',
+  'static/js/practice.js',
+  'static/js/plot.js',
+  'static/js/imageprep.js',
+  'static/js/ocr.js',
+  'static/js/recognize.js',
+  'static/js/batch.js',
+  'static/js/i18n.js',
+  'static/locales/en.js',
+  'static/locales/fr.js',
+  'static/js/pricing.js',
+  'static/js/charts.js',
+  'static/js/router.js',
+  'static/js/views/login.js',
+  'static/js/views/solve.js',
+  'static/js/views/pricing.js',
+  'static/js/views/history.js',
+  'static/js/views/account.js',
+  'static/js/views/admin.js',
+  'static/js/views/shared.js',
+  'static/js/app.js',
+];
+
+/**
+ * Libraries loaded from CDNs.  Paystack's script is loaded without CORS,
+ * so it is cached as an opaque response.
+ */
+const CDN_ASSETS = [
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js',
+  'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.min.js',
+  'https://cdn.jsdelivr.net/npm/nerdamer@1.1.13/all.min.js',
+  'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js',
+  'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js',
+].concat(self.MathGPT.ocr.assetUrls('eng'));
+const NO_CORS_ASSETS = ['https://js.paystack.co/v1/inline.js'];
+
+/**
+ * Other hosts whose files are cached as they are fetched (KaTeX fonts
+ * come from this origin; Tesseract may ask for other language data).
+ */
+const CACHED_HOSTS = ['cdn.jsdelivr.net', 'tessdata.projectnaptha.com', 'js.paystack.co'];
+
+/**
+ * Whether a request must always go to the network.
+ *
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isLive(url) {
+  return url.pathname.includes('/api/') || url.hostname === 'api.paystack.co' || url.hostname === 'checkout.paystack.com';
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      await cache.addAll(APP_SHELL);
+      // A CDN that is down should not stop the app installing; those
+      // files are cached the first time the page loads them instead.
+      const requests = CDN_ASSETS.map((url) => new Request(url, { mode: 'cors' }))
+        .concat(NO_CORS_ASSETS.map((url) => new Request(url, { mode: 'no-cors' })));
+      await Promise.all(requests.map((request) => cache.add(request).catch((err) => {
+        console.warn(`Could not cache ${request.url}`, err);
+      })));
+      await self.skipWaiting();
+    }),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+/**
+ * Answer from the network and keep a copy, or from the cache offline.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    return (await cache.match(request, { ignoreSearch: true })) || (await cache.match('index.html')) || Response.error();
+  }
+}
+
+/**
+ * Answer from the cache, fetching and keeping files it does not have.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
+
+/**
+ * Answer from the cache when possible and refresh the cached copy from
+ * the network either way.
+ *
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(event.request);
+  const fresh = fetch(event.request).then((response) => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+  if (!cached) return fresh;
+  event.waitUntil(fresh.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (isLive(url)) return;
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (CACHED_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
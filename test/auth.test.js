@@ -0,0 +1,61 @@
+/*
+  auth.test.js
+  ------------
+  Rate limiting of failed logins.
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const authLib = require('../static/js/auth');
+
+// createAuth over an in-memory store, allowing two failed logins.
+function createAuth() {
+  const users = new Map();
+  return authLib.createAuth({
+    store: {
+      findUser: async (email) => users.get(email.toLowerCase()) || null,
+      saveUser: async (user) => {
+        users.set(user.email.toLowerCase(), user);
+        return user;
+      },
+    },
+    sessions: authLib.memorySessions(),
+    mailer: { send: async () => {} },
+    appUrl: 'http://localhost/',
+    limiter: authLib.createRateLimiter({ limit: 2, windowMs: 60000 }),
+  });
+}
+
+test('failing from one client does not lock the account for another', async () => {
+  const auth = createAuth();
+  await auth.register({ name: 'Ann', email: 'ann@example.com', password: 'Correct-Horse-Battery-9' });
+  const attacker = { client: '203.0.113.9' };
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(auth.login('ann@example.com', 'wrong', attacker), { code: 'invalid-credentials' });
+  }
+  await assert.rejects(auth.login('ann@example.com', 'Correct-Horse-Battery-9', attacker), { code: 'rate-limited' });
+
+  const session = await auth.login('ann@example.com', 'Correct-Horse-Battery-9', { client: '198.51.100.4' });
+  assert.strictEqual(session.email, 'ann@example.com');
+});
+
+test('a client that keeps failing is refused for every email', async () => {
+  const auth = createAuth();
+  const client = { client: '203.0.113.9' };
+  await assert.rejects(auth.login('a@example.com', 'wrong', client), { code: 'invalid-credentials' });
+  await assert.rejects(auth.login('b@example.com', 'wrong', client), { code: 'invalid-credentials' });
+  await assert.rejects(auth.login('c@example.com', 'wrong', client), { code: 'rate-limited' });
+});
+
+test('resetting an email clears its failures from every client', () => {
+  const limiter = authLib.createRateLimiter({ limit: 1, windowMs: 60000 });
+  limiter.fail('email:ann@example.com|client:a');
+  limiter.fail('email:ann@example.com|client:b');
+  limiter.fail('email:bob@example.com|client:a');
+  limiter.reset('email:ann@example.com');
+  assert.strictEqual(limiter.isBlocked('email:ann@example.com|client:a'), 0);
+  assert.strictEqual(limiter.isBlocked('email:ann@example.com|client:b'), 0);
+  assert.ok(limiter.isBlocked('email:bob@example.com|client:a') > 0);
+});
@@ -0,0 +1,62 @@
+/*
+  entitlement.test.js
+  -------------------
+  applyPayment: renewing, switching plan and paying after a plan lapsed.
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const entitlement = require('../static/js/entitlement');
+
+// A user who paid for `plan` on 1 January 2026.
+function subscriber(plan) {
+  const user = { email: 'a@example.com' };
+  entitlement.applyPayment(user, { plan, reference: 'first', amount: 1, currency: 'GHS', paidAt: '2026-01-01T00:00:00.000Z' });
+  return user;
+}
+
+function pay(user, plan, paidAt) {
+  return entitlement.applyPayment(user, { plan, reference: `ref-${plan}-${paidAt}`, amount: 1, currency: 'GHS', paidAt });
+}
+
+test('paying for the same plan renews it from the end of the period', () => {
+  const user = subscriber('monthly');
+  const event = pay(user, 'monthly', '2026-01-20T00:00:00.000Z');
+  assert.strictEqual(event.type, 'renewed');
+  assert.strictEqual(entitlement.periodEnd(user).toISOString(), '2026-03-01T00:00:00.000Z');
+});
+
+test('upgrading to annual keeps the days left on the monthly plan', () => {
+  const user = subscriber('monthly');
+  const event = pay(user, 'annual', '2026-01-20T00:00:00.000Z');
+  assert.strictEqual(event.type, 'upgraded');
+  assert.strictEqual(user.subscription, 'annual');
+  assert.strictEqual(entitlement.periodEnd(user).toISOString(), '2027-02-01T00:00:00.000Z');
+  assert.strictEqual(entitlement.state(user, new Date('2026-01-25T00:00:00.000Z')), 'active');
+});
+
+test('switching annual to monthly keeps the rest of the annual term', () => {
+  const user = subscriber('annual');
+  const event = pay(user, 'monthly', '2026-03-01T00:00:00.000Z');
+  assert.strictEqual(event.type, 'subscribed');
+  assert.strictEqual(user.subscription, 'monthly');
+  assert.strictEqual(entitlement.periodEnd(user).toISOString(), '2027-02-01T00:00:00.000Z');
+  assert.strictEqual(entitlement.state(user, new Date('2026-06-01T00:00:00.000Z')), 'active');
+});
+
+test('a plan that has lapsed starts again from the payment', () => {
+  const user = subscriber('monthly');
+  const event = pay(user, 'annual', '2026-05-01T00:00:00.000Z');
+  assert.strictEqual(event.type, 'subscribed');
+  assert.strictEqual(entitlement.periodEnd(user).toISOString(), '2027-05-01T00:00:00.000Z');
+});
+
+test('a reference applied twice changes nothing', () => {
+  const user = subscriber('monthly');
+  const again = entitlement.applyPayment(user, { plan: 'annual', reference: 'first', amount: 1, currency: 'GHS', paidAt: '2026-01-10T00:00:00.000Z' });
+  assert.strictEqual(again, null);
+  assert.strictEqual(user.subscription, 'monthly');
+  assert.strictEqual(user.payments.length, 1);
+});
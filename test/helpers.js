@@ -0,0 +1,120 @@
+/*
+  helpers.js
+  ----------
+  Shared set-up for the tests: a backend on a free port with an
+  in-memory store and a stand-in Paystack client, and the solver modules
+  with the globals they find in the browser.  Run the tests with
+
+    node --test test/
+
+  The solver tests need Nerdamer, which the page loads from a CDN; they
+  are skipped unless it can be required (npm install nerdamer@1.1.13,
+  or NODE_PATH pointing at a copy).
+*/
+
+'use strict';
+
+const { createServer } = require('../server/index');
+const { createUserStore } = require('../server/user-store');
+
+/**
+ * A Paystack client that answers from a map of transactions and
+ * remembers the subscriptions it was asked to disable.
+ *
+ * @returns {{transactions: Map, disabled: Array, verifyTransaction: Function, disableSubscription: Function}}
+ */
+function fakePaystackClient() {
+  const client = {
+    transactions: new Map(),
+    disabled: [],
+    async verifyTransaction(reference) {
+      const tx = client.transactions.get(reference);
+      if (!tx) throw Object.assign(new Error('Transaction reference not found'), { status: 400 });
+      return tx;
+    },
+    async disableSubscription(code) {
+      client.disabled.push(code);
+    },
+  };
+  return client;
+}
+
+/**
+ * Start a backend.  `request(path, {method, token, body})` calls it and
+ * resolves to {status, body}.
+ *
+ * @param {Object} [options]  passed on to createServer
+ * @returns {Promise<Object>} {url, store, paystack, request, register, close}
+ */
+async function startBackend(options) {
+  const store = createUserStore();
+  const paystack = fakePaystackClient();
+  const mail = [];
+  const server = createServer(Object.assign({
+    store,
+    paystack,
+    secretKey: 'sk_test_secret',
+    mailer: { send: async (message) => mail.push(message) },
+  }, options));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api`;
+
+  async function request(path, opts) {
+    const o = opts || {};
+    const headers = { 'Content-Type': 'application/json' };
+    if (o.token) headers.Authorization = `Bearer ${o.token}`;
+    const response = await fetch(`${url}${path}`, {
+      method: o.method || (o.body === undefined ? 'GET' : 'POST'),
+      headers,
+      body: o.body === undefined ? undefined : JSON.stringify(o.body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  // Register a user and answer with their session token.
+  async function register(email, name) {
+    const answer = await request('/auth/register', {
+      body: { name: name || 'Test User', email, password: 'Correct-Horse-Battery-9' },
+    });
+    if (answer.status !== 200) throw new Error(`Could not register ${email}: ${answer.body.error}`);
+    return answer.body.token;
+  }
+
+  return {
+    url,
+    store,
+    paystack,
+    mail,
+    request,
+    register,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Load the solver modules the way index.html does: Nerdamer and the
+ * English and French catalogs as globals, then steps, mathview, verify
+ * and solver.  Answers null when Nerdamer is not installed.
+ *
+ * @returns {Object|null} the MathGPT namespace
+ */
+function loadSolver() {
+  if (globalThis.MathGPT && globalThis.MathGPT.solver) return globalThis.MathGPT;
+  try {
+    globalThis.nerdamer = require('nerdamer/all.min.js');
+  } catch (err) {
+    return null;
+  }
+  const MathGPT = globalThis.MathGPT = globalThis.MathGPT || {};
+  MathGPT.i18n = require('../static/js/i18n');
+  MathGPT.i18n.register('en', require('../static/locales/en'));
+  MathGPT.i18n.register('fr', require('../static/locales/fr'));
+  MathGPT.steps = require('../static/js/steps');
+  MathGPT.mathview = require('../static/js/mathview');
+  MathGPT.verify = require('../static/js/verify');
+  MathGPT.solver = require('../static/js/solver');
+  return MathGPT;
+}
+
+module.exports = { fakePaystackClient, startBackend, loadSolver };
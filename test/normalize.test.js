@@ -0,0 +1,59 @@
+/*
+  normalize.test.js
+  -----------------
+  normalizeLine against a table of strings as Tesseract returns them,
+  each with the expression the solver should receive.
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeLine, normalizeText } = require('../static/js/normalize');
+
+const FIXTURES = [
+  // Symbols and spacing
+  ['x² + 2x − 3 = 0', 'x^2+2*x-3=0'],
+  ['6 ÷ 2 × 3', '6/2*3'],
+  ['√x=4', 'sqrt(x)=4'],
+  ['√(x+1)=3', 'sqrt(x+1)=3'],
+  // Implicit multiplication and brackets
+  ['2(x+1)(x-1)', '2*(x+1)*(x-1)'],
+  ['(x+1=2', '(x+1)=2'],
+  ['e^(2x)=12', 'e^(2*x)=12'],
+  // Digit look-alikes
+  ['2x+l=5', '2*x+1=5'],
+  ['l0x', '10*x'],
+  ['1OO+2=x', '100+2=x'],
+  ['2O', '20'],
+  // ...but not inside function names
+  ['2log(x)=4', '2*log(x)=4'],
+  ['3ln(x)=6', '3*log(x)=6'],
+  ['2lim', '2*l*i*m'],
+  ['xlog(x)', 'x*log(x)'],
+  ['ln(2x)', 'log(2*x)'],
+  // Function syntax
+  ['sin x + log 2', 'sin(x)+log(2)'],
+  ['sinhx', 'sinh(x)'],
+  ['log10(x)=2', 'log10(x)=2'],
+  ['sin^2x+cos^2x', 'sin(x)^2+cos(x)^2'],
+  ['sin^2(x)', 'sin(x)^2'],
+  // Calculus notation
+  ['lim x->0 sinx/x', 'limit(sin(x)/x,x,0)'],
+  ['d/dx x^3', 'diff(x^3,x)'],
+  ['d/dx sin x', 'diff(sin(x),x)'],
+  ['d/dx xsinx', 'diff(x*sin(x),x)'],
+  ['∫ x dx', 'integrate(x,x)'],
+  ['∫ cosx dx', 'integrate(cos(x),x)'],
+  ['sin(cosx)', 'sin(cos(x))'],
+];
+
+FIXTURES.forEach(([ocr, expected]) => {
+  test(`normalizeLine(${JSON.stringify(ocr)})`, () => {
+    assert.strictEqual(normalizeLine(ocr), expected);
+  });
+});
+
+test('normalizeText normalizes each line and drops blank ones', () => {
+  assert.strictEqual(normalizeText('2x + l = 5\n\n3ln(x)=6\n'), '2*x+1=5\n3*log(x)=6');
+});
@@ -0,0 +1,147 @@
+/*
+  payments.test.js
+  ----------------
+  Payments verified through POST /api/payments/verify or delivered by
+  the Paystack webhook, and the signature check on that webhook.
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyTransaction } = require('../server/payments');
+const { signPayload, isValidSignature } = require('../server/paystack');
+const { sendWebhook } = require('../server/fake-paystack');
+const { createUserStore } = require('../server/user-store');
+const { startBackend } = require('./helpers');
+
+// A successful monthly payment in GHS.
+function monthly(reference, email) {
+  return {
+    reference,
+    status: 'success',
+    currency: 'GHS',
+    amount: 10000,
+    paid_at: '2026-10-18T12:00:00.000Z',
+    customer: { email },
+    metadata: { planType: 'monthly' },
+  };
+}
+
+// The token in the last verification link mailed to `email`.
+function verifyToken(backend, email) {
+  const message = backend.mail.filter((m) => m.to === email && /#verify\?/.test(m.text)).pop();
+  return message.text.match(/[?&]token=([^\s&]+)/)[1];
+}
+
+test('verifying the email claims the plan paid for before the account existed', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.close);
+  backend.paystack.transactions.set('ref-1', monthly('ref-1', 'new@example.com'));
+
+  const verified = await backend.request('/payments/verify', { body: { reference: 'ref-1', email: 'new@example.com' } });
+  assert.strictEqual(verified.status, 200);
+  assert.strictEqual(backend.store.get('new@example.com').password, undefined);
+
+  const token = await backend.register('new@example.com', 'New User');
+  assert.strictEqual(backend.store.get('new@example.com').subscription, 'none');
+
+  const confirmed = await backend.request('/auth/verify-email', {
+    body: { email: 'new@example.com', token: verifyToken(backend, 'new@example.com') },
+  });
+  assert.strictEqual(confirmed.status, 200);
+  const stored = backend.store.get('new@example.com');
+  assert.strictEqual(stored.name, 'New User');
+  assert.strictEqual(stored.subscription, 'monthly');
+  assert.strictEqual(stored.subscriptionReference, 'ref-1');
+  assert.strictEqual(stored.unclaimedPlan, undefined);
+  const { body: user } = await backend.request('/users/new%40example.com', { token });
+  assert.strictEqual(user.subscription, 'monthly');
+});
+
+test('registering someone else\'s paid email does not hand over their plan', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.close);
+  backend.paystack.transactions.set('ref-1', monthly('ref-1', 'payer@example.com'));
+  await backend.request('/payments/verify', { body: { reference: 'ref-1', email: 'payer@example.com' } });
+
+  const token = await backend.register('payer@example.com', 'Mallory');
+  const { body: user } = await backend.request('/users/payer%40example.com', { token });
+  assert.strictEqual(user.subscription, 'none');
+  assert.strictEqual(user.unclaimedPlan, undefined);
+
+  // Only the owner of the address can finish the claim, here by
+  // resetting the password from the emailed link.
+  await backend.request('/auth/request-reset', { body: { email: 'payer@example.com' } });
+  const reset = backend.mail.filter((m) => /#reset\?/.test(m.text)).pop();
+  const answer = await backend.request('/auth/reset-password', {
+    body: { email: 'payer@example.com', token: reset.text.match(/[?&]token=([^\s&]+)/)[1], password: 'Another-Horse-Battery-7' },
+  });
+  assert.strictEqual(answer.status, 200);
+  assert.strictEqual(backend.store.get('payer@example.com').subscription, 'monthly');
+});
+
+test('an account with a password cannot be registered again', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.close);
+  await backend.register('ann@example.com');
+  const again = await backend.request('/auth/register', {
+    body: { name: 'Someone Else', email: 'ann@example.com', password: 'Correct-Horse-Battery-9' },
+  });
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(again.body.code, 'exists');
+});
+
+test('a webhook signature only matches its own body and key', () => {
+  const body = JSON.stringify({ event: 'charge.success', data: monthly('ref-1', 'ann@example.com') });
+  const signature = signPayload(body, 'sk_test_secret');
+  assert.strictEqual(isValidSignature(body, signature, 'sk_test_secret'), true);
+  assert.strictEqual(isValidSignature(body.replace('10000', '90000'), signature, 'sk_test_secret'), false);
+  assert.strictEqual(isValidSignature(body, signature, 'sk_test_other'), false);
+  assert.strictEqual(isValidSignature(body, undefined, 'sk_test_secret'), false);
+  assert.strictEqual(isValidSignature(body, 'not-hex', 'sk_test_secret'), false);
+});
+
+test('a webhook that is not signed with the secret key is refused', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.close);
+  await backend.register('ann@example.com');
+  const event = { event: 'charge.success', data: monthly('ref-1', 'ann@example.com') };
+
+  const unsigned = await backend.request('/paystack/webhook', { body: event });
+  assert.strictEqual(unsigned.status, 401);
+  const forged = await sendWebhook(`${backend.url}/paystack/webhook`, event, 'sk_test_other');
+  assert.strictEqual(forged.status, 401);
+  assert.strictEqual(backend.store.get('ann@example.com').subscription, 'none');
+});
+
+test('a payment delivered twice is applied once', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.close);
+  await backend.register('ann@example.com');
+  const tx = monthly('ref-1', 'ann@example.com');
+  backend.paystack.transactions.set('ref-1', tx);
+
+  for (let i = 0; i < 2; i++) {
+    const delivered = await sendWebhook(`${backend.url}/paystack/webhook`, { event: 'charge.success', data: tx }, 'sk_test_secret');
+    assert.strictEqual(delivered.status, 200);
+  }
+  const stored = backend.store.get('ann@example.com');
+  assert.strictEqual(stored.subscription, 'monthly');
+  const start = stored.subscriptionStart;
+
+  const verified = await backend.request('/payments/verify', { body: { reference: 'ref-1', email: 'ann@example.com' } });
+  assert.strictEqual(verified.status, 200);
+  const after = backend.store.get('ann@example.com');
+  assert.strictEqual(after.payments.length, 1);
+  assert.strictEqual(after.subscriptionStart, start);
+});
+
+test('applyTransaction reports no event for a reference it has applied', () => {
+  const store = createUserStore();
+  const tx = monthly('ref-1', 'ann@example.com');
+  assert.strictEqual(applyTransaction(store, tx).event.type, 'subscribed');
+  const again = applyTransaction(store, tx);
+  assert.strictEqual(again.event, null);
+  assert.strictEqual(store.get('ann@example.com').payments.length, 1);
+});
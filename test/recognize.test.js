@@ -0,0 +1,53 @@
+/*
+  recognize.test.js
+  -----------------
+  alternatives: the other readings of an uncertain line, best first.
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { alternatives } = require('../static/js/recognize');
+
+function symbol(text, confidence, choices) {
+  return { text, confidence, bbox: null, choices: choices || [] };
+}
+
+// "5z = 7", where the 5 and the z are uncertain.
+function line() {
+  const words = [
+    [symbol('5', 50, [{ text: 'S', confidence: 40 }, { text: 's', confidence: 10 }]), symbol('z', 30, [{ text: '2', confidence: 90 }])],
+    [symbol('=', 95, [{ text: '-', confidence: 5 }])],
+    [symbol('7', 99)],
+  ].map((symbols) => ({ text: symbols.map((s) => s.text).join(''), confidence: 70, symbols }));
+  return { text: '5z = 7', confidence: 60, words };
+}
+
+const texts = (found) => found.map(({ line: l }) => l.text);
+
+test('readings are ranked by the product of their symbol confidences', () => {
+  const found = alternatives(line());
+  assert.deepStrictEqual(texts(found), ['52 = 7', 'S2 = 7', 'Sz = 7']);
+  assert.deepStrictEqual(found.map((f) => f.confidence), [45, 36, 12]);
+  assert.strictEqual(found[0].line.words[0].symbols[1].text, '2');
+});
+
+test('the line as read is left out and left unchanged', () => {
+  const read = line();
+  const found = alternatives(read, { limit: 10 });
+  assert.ok(!texts(found).includes('5z = 7'));
+  assert.strictEqual(found.length, 5);
+  assert.strictEqual(read.words[0].symbols[1].text, 'z');
+  assert.strictEqual(read.words[0].text, '5z');
+});
+
+test('only symbols below the threshold are swapped', () => {
+  assert.deepStrictEqual(texts(alternatives(line(), { threshold: 40 })), ['52 = 7']);
+  assert.deepStrictEqual(alternatives(line(), { threshold: 20 }), []);
+  assert.ok(texts(alternatives(line(), { threshold: 100, limit: 20 })).includes('5z - 7'));
+});
+
+test('limit caps the number of readings', () => {
+  assert.deepStrictEqual(texts(alternatives(line(), { limit: 1 })), ['52 = 7']);
+});
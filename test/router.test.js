@@ -0,0 +1,56 @@
+/*
+  router.test.js
+  --------------
+  Paths matched against route patterns, and the router falling back
+  for an address it cannot read.
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const router = require('../static/js/router');
+
+// A window with just the address and history the router uses; `go`
+// changes the address the way following a link does.
+function fakeWindow(hash) {
+  const listeners = {};
+  const win = {
+    location: { hash },
+    history: {
+      replaceState(state, title, url) {
+        win.location.hash = url;
+      },
+    },
+    addEventListener(type, listener) {
+      listeners[type] = listener;
+    },
+    go(next) {
+      win.location.hash = next;
+      listeners.hashchange();
+    },
+  };
+  return win;
+}
+
+test('matchPath decodes parameters', () => {
+  assert.deepStrictEqual(router.matchPath('/shared/:data', '/shared/a%20b'), { data: 'a b' });
+  assert.strictEqual(router.matchPath('/shared/:data', '/shared/'), null);
+});
+
+test('a parameter that is not valid percent-encoding does not match', () => {
+  assert.strictEqual(router.matchPath('/shared/:data', '/shared/%E0%A4%A'), null);
+});
+
+test('a malformed address falls back instead of throwing', () => {
+  const win = fakeWindow('#/solve');
+  const shown = [];
+  const routes = [{ path: '/solve' }, { path: '/shared/:data' }];
+  const r = router.createRouter({ routes, fallback: '/solve', onRoute: (route, params, path) => shown.push(path) }, win);
+  r.start();
+  win.go('#/shared/%E0%A4%A');
+  assert.deepStrictEqual(shown, ['/solve', '/solve']);
+  assert.strictEqual(win.location.hash, '#/solve');
+  win.go('#/shared/abc');
+  assert.deepStrictEqual(r.current().params, { data: 'abc' });
+});
@@ -0,0 +1,49 @@
+/*
+  share.test.js
+  -------------
+  Solutions written to link data and read back.
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const share = require('../static/js/share');
+
+// resultLabel reads the catalogs through the page's MathGPT namespace.
+globalThis.MathGPT = { i18n: require('../static/js/i18n') };
+MathGPT.i18n.register('en', require('../static/locales/en'));
+MathGPT.i18n.register('fr', require('../static/locales/fr'));
+const { resultLabel } = require('../static/js/solver');
+
+const solution = {
+  v: share.VERSION,
+  problem: '2x = 4',
+  problemTeX: '',
+  type: 'solve',
+  label: 'Solution',
+  solution: 'x = 2',
+  tex: '',
+  steps: [{ title: 'Divide both sides by 2', math: 'x = 2' }],
+};
+
+test('a solution reads back as it was written', async () => {
+  assert.deepStrictEqual(await share.decode(await share.encode(solution)), solution);
+});
+
+test('a link without a label is labelled from the catalog', async (t) => {
+  t.after(() => MathGPT.i18n.setLocale('en'));
+  const data = await share.encode(Object.assign({}, solution, { label: undefined, type: 42 }));
+  const read = await share.decode(data);
+  assert.strictEqual(read.label, undefined);
+  assert.strictEqual(read.type, undefined);
+  assert.strictEqual(resultLabel(read), MathGPT.i18n.t('result.label.solve'));
+  MathGPT.i18n.setLocale('fr');
+  assert.strictEqual(resultLabel(read), MathGPT.i18n.t('result.label.solve'));
+  assert.strictEqual(resultLabel({ label: 'Old label' }), 'Old label');
+});
+
+test('link data that is not a solution is refused', async () => {
+  await assert.rejects(share.decode('jnot-json'), { code: 'damaged' });
+  await assert.rejects(share.decode(await share.encode({ v: share.VERSION, problem: '2x = 4' })), { code: 'invalid' });
+});
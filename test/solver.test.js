@@ -0,0 +1,42 @@
+/*
+  solver.test.js
+  --------------
+  Answers, notes and errors are written in the current language.  Needs
+  Nerdamer (see helpers.js).
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSolver } = require('./helpers');
+
+const MathGPT = loadSolver();
+const skip = !MathGPT && 'Nerdamer is not installed';
+
+function solve(lines, variables) {
+  return MathGPT.solver.solveProblem({ kind: lines.length > 1 ? 'system' : 'single', lines, variables: variables || ['x'] });
+}
+
+test('inequality and region answers are translated', { skip }, (t) => {
+  t.after(() => MathGPT.i18n.setLocale('en'));
+  MathGPT.i18n.setLocale('fr');
+  assert.strictEqual(solve(['x^2>4']).solutionText, 'x < -2 ou x > 2');
+  assert.strictEqual(solve(['x^2+1>0']).solutionText, 'Tout x réel');
+  assert.strictEqual(solve(['x^2+1<0']).solutionText, 'Aucun x réel ne vérifie l’inéquation');
+  assert.strictEqual(solve(['y>x', 'y<2'], ['x', 'y']).solutionText, 'Tous les points où y>x et y<2 (zone ombrée sur le graphique)');
+});
+
+test('notes and errors are translated', { skip }, (t) => {
+  t.after(() => MathGPT.i18n.setLocale('en'));
+  MathGPT.i18n.setLocale('fr');
+  assert.strictEqual(solve(['x-x=0']).note, 'Les deux membres sont toujours égaux : tout x réel est solution.');
+  assert.strictEqual(solve(['x^2+1=0']).note, 'Toutes les solutions sont complexes.');
+  assert.strictEqual(solve(['x+y=1', 'x+y=2'], ['x', 'y']).error, 'Impossible de résoudre le système d’équations.');
+  assert.strictEqual(MathGPT.verify.checkAnswer('x', '2', 'x', '3').reason, 'les deux membres n’y sont pas égaux');
+});
+
+test('English stays the default', { skip }, () => {
+  assert.strictEqual(solve(['x^2>4']).solutionText, 'x < -2 or x > 2');
+  assert.strictEqual(solve(['x-x=1']).note, 'The x terms cancel, leaving -1 = 0, which is never true.');
+});
@@ -0,0 +1,54 @@
+/*
+  steps.test.js
+  -------------
+  Worked steps for exponential equations, including bases of more than
+  one digit.  Needs Nerdamer (see helpers.js).
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSolver } = require('./helpers');
+
+const MathGPT = loadSolver();
+const skip = !MathGPT && 'Nerdamer is not installed';
+
+function worked(equation) {
+  const { family, steps, solutions } = MathGPT.steps.generateSteps(equation, 'x', []);
+  return { family, steps: steps.map((s) => `${s.title}: ${s.math}`), solutions };
+}
+
+test('a base of several digits is not read as a coefficient', { skip }, () => {
+  assert.deepStrictEqual(worked('25^x=5'), {
+    family: 'exponential',
+    steps: [
+      'Start with the equation: 25^x = 5',
+      'Take logarithms of both sides (base 25): x = 1/2',
+      'Check each answer in the original equation: x = 1/2: 5 = 5 ✓',
+    ],
+    solutions: ['1/2'],
+  });
+  assert.deepStrictEqual(worked('12^x=144').steps, [
+    'Start with the equation: 12^x = 144',
+    'Take logarithms of both sides (base 12): x = 2',
+    'Check each answer in the original equation: x = 2: 144 = 144 ✓',
+  ]);
+  assert.deepStrictEqual(worked('10^x=3').solutions, ['log(3)/log(10)']);
+});
+
+test('a coefficient is divided out when it is written with *', { skip }, () => {
+  assert.deepStrictEqual(worked('2*3^x=18').steps, [
+    'Start with the equation: 2*3^x = 18',
+    'Divide both sides by 2: 3^(x) = 9',
+    'Take logarithms of both sides (base 3): x = 2',
+    'Check each answer in the original equation: x = 2: 18 = 18 ✓',
+  ]);
+  assert.deepStrictEqual(worked('3*e^(2*x)=12').solutions, ['log(2)']);
+});
+
+test('a rational power of the base gives a fraction', { skip }, () => {
+  const { steps, solutions } = worked('100^(x-1)=10');
+  assert.strictEqual(steps[1], 'Take logarithms of both sides (base 100): x-1 = 1/2');
+  assert.deepStrictEqual(solutions, ['3/2']);
+});
@@ -0,0 +1,117 @@
+/*
+  storage.test.js
+  ---------------
+  Each storage adapter gives back what was saved in it: the local and
+  IndexedDB adapters over in-memory stand-ins for localStorage and
+  IndexedDB, and the REST adapter against the backend.
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const storage = require('../static/js/storage');
+const { startBackend } = require('./helpers');
+
+/**
+ * Just enough of IndexedDB for indexedDbAdapter: databases of object
+ * stores with out-of-line keys, whose requests succeed on the next
+ * tick.
+ *
+ * @returns {{open: Function}}
+ */
+function memoryIndexedDB() {
+  const databases = new Map();
+  const later = (fn) => setImmediate(fn);
+  // An object store whose requests are made with `request(result)`.
+  const objectStore = (records, request) => ({
+    put: (value, key) => request(records.set(key, structuredClone(value)) && key),
+    get: (key) => request(records.has(key) ? structuredClone(records.get(key)) : undefined),
+    getAll: () => request(Array.from(records.values(), (v) => structuredClone(v))),
+  });
+  return {
+    open(name) {
+      const request = {};
+      later(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        const stores = databases.get(name);
+        request.result = {
+          createObjectStore(storeName) {
+            stores.set(storeName, new Map());
+            return objectStore(stores.get(storeName), (result) => ({ result }));
+          },
+          transaction(storeName) {
+            const tx = {};
+            tx.objectStore = () => objectStore(stores.get(storeName), (result) => {
+              later(() => tx.oncomplete());
+              return { result };
+            });
+            return tx;
+          },
+        };
+        if (isNew) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+}
+
+const ann = {
+  email: 'Ann@Example.com',
+  name: 'Ann',
+  history: [{ id: 'h1', results: [{ problem: '2x=4', solution: 'x = 2' }] }],
+};
+
+async function roundTrip(store) {
+  assert.deepStrictEqual(await store.getUsers(), []);
+  assert.strictEqual(await store.findUser('ann@example.com'), null);
+
+  await store.saveUser(ann);
+  assert.deepStrictEqual(await store.findUser(' ANN@example.com '), ann);
+
+  const changed = Object.assign({}, ann, { name: 'Ann B.' });
+  await store.saveUser(changed);
+  assert.deepStrictEqual(await store.getUsers(), [changed]);
+
+  await store.setSession('token-1');
+  assert.strictEqual(await store.getSession(), 'token-1');
+  await store.setSession(null);
+  assert.strictEqual(await store.getSession(), null);
+}
+
+test('the local adapter gives back what was saved', async () => {
+  await roundTrip(storage.localAdapter({ storage: storage.memoryStorage() }));
+});
+
+test('the IndexedDB adapter gives back what was saved', async () => {
+  await roundTrip(storage.indexedDbAdapter({ indexedDB: memoryIndexedDB(), storage: storage.memoryStorage() }));
+});
+
+test('the IndexedDB adapter takes over the accounts in localStorage', async () => {
+  const local = storage.memoryStorage();
+  await storage.localAdapter({ storage: local }).saveUser(ann);
+  const store = storage.indexedDbAdapter({ indexedDB: memoryIndexedDB(), storage: local });
+  assert.deepStrictEqual(await store.findUser('ann@example.com'), ann);
+});
+
+test('the REST adapter gives back what was saved', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.close);
+  const token = await backend.register('ann@example.com', 'Ann');
+  const session = storage.memoryStorage();
+  const store = storage.restAdapter({ baseUrl: `${backend.url}/`, storage: session });
+  await store.setSession(token);
+
+  const user = await store.findUser('ANN@example.com');
+  assert.strictEqual(user.name, 'Ann');
+  assert.strictEqual(user.password, undefined);
+
+  user.history = ann.history;
+  await store.saveUser(user);
+  assert.deepStrictEqual((await store.findUser('ann@example.com')).history, ann.history);
+
+  await store.setSession(null);
+  await assert.rejects(store.findUser('ann@example.com'), { status: 401 });
+});
@@ -0,0 +1,84 @@
+/*
+  usage.test.js
+  -------------
+  The free trial and usage counts are kept by the server: the users API
+  cannot change them, and POST /api/usage/... counts solves and scans.
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startBackend } = require('./helpers');
+const entitlement = require('../static/js/entitlement');
+const usage = require('../static/js/usage');
+
+test('useSolve takes trial solves until none are left, and none on a plan', () => {
+  const user = { email: 'a@example.com', freeTrialUsed: 0 };
+  for (let i = 0; i < entitlement.FREE_TRIAL_LIMIT; i++) assert.strictEqual(entitlement.useSolve(user), true);
+  assert.strictEqual(user.freeTrialUsed, entitlement.FREE_TRIAL_LIMIT);
+  assert.strictEqual(entitlement.useSolve(user), false);
+  assert.strictEqual(user.freeTrialUsed, entitlement.FREE_TRIAL_LIMIT);
+
+  entitlement.grant(user, 'monthly', 'admin@example.com');
+  assert.strictEqual(entitlement.useSolve(user), true);
+  assert.strictEqual(user.freeTrialUsed, entitlement.FREE_TRIAL_LIMIT);
+});
+
+test('recordScan counts failures as scans too', () => {
+  const user = {};
+  const now = new Date('2026-10-18T12:00:00Z');
+  usage.recordScan(user, true, now);
+  usage.recordScan(user, false, now);
+  assert.deepStrictEqual(user.usage['2026-10-18'], { solves: 0, scans: 2, scanFailures: 1 });
+});
+
+test('the users API keeps the stored trial and usage counts', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.close);
+  const token = await backend.register('ann@example.com');
+  const { body: user } = await backend.request('/users/ann%40example.com', { token });
+
+  const put = await backend.request('/users/ann%40example.com', {
+    method: 'PUT',
+    token,
+    body: Object.assign({}, user, { freeTrialUsed: -100, usage: { '2026-10-18': { solves: 9999 } } }),
+  });
+  assert.strictEqual(put.status, 200);
+  const stored = backend.store.get('ann@example.com');
+  assert.strictEqual(stored.freeTrialUsed, 0);
+  assert.strictEqual(stored.usage, undefined);
+});
+
+test('solves are counted on the server until the trial is used up', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.close);
+  const token = await backend.register('ann@example.com');
+
+  assert.strictEqual((await backend.request('/usage/solves', { body: {} })).status, 401);
+  for (let i = 1; i <= entitlement.FREE_TRIAL_LIMIT; i++) {
+    const answer = await backend.request('/usage/solves', { token, body: {} });
+    assert.strictEqual(answer.status, 200);
+    assert.strictEqual(answer.body.freeTrialUsed, i);
+  }
+  const refused = await backend.request('/usage/solves', { token, body: {} });
+  assert.strictEqual(refused.status, 402);
+  assert.strictEqual(refused.body.code, 'trial-used');
+
+  const days = Object.values(backend.store.get('ann@example.com').usage);
+  assert.strictEqual(days.reduce((sum, day) => sum + day.solves, 0), entitlement.FREE_TRIAL_LIMIT);
+});
+
+test('scans and failed scans are counted on the server', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.close);
+  const token = await backend.register('ann@example.com');
+
+  await backend.request('/usage/scans', { token, body: { ok: true } });
+  const answer = await backend.request('/usage/scans', { token, body: { ok: false } });
+  assert.strictEqual(answer.status, 200);
+  const day = Object.values(answer.body.usage)[0];
+  assert.strictEqual(day.scans, 2);
+  assert.strictEqual(day.scanFailures, 1);
+  assert.strictEqual(answer.body.freeTrialUsed, 0);
+});
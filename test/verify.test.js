@@ -0,0 +1,63 @@
+/*
+  verify.test.js
+  --------------
+  Answers checked by substitution: irrational and logarithmic roots are
+  real and exact, wrong ones are turned away and ones in terms of other
+  variables are kept as they are.  Needs Nerdamer (see helpers.js).
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSolver } = require('./helpers');
+
+const MathGPT = loadSolver();
+const skip = !MathGPT && 'Nerdamer is not installed';
+
+function answersOf(line) {
+  const result = MathGPT.solver.solveProblem({ lines: [line], variables: ['x'] });
+  return result.answers.map((a) => ({ kind: a.kind, number: Number(a.number.toFixed(6)) }));
+}
+
+test('numericParts evaluates exact forms before splitting them', { skip }, () => {
+  const { numericParts } = MathGPT.verify;
+  assert.ok(Math.abs(numericParts('(1/2)*(-3+sqrt(5))').re - (-3 + Math.sqrt(5)) / 2) < 1e-9);
+  assert.strictEqual(numericParts('(1/2)*(-3+sqrt(5))').im, 0);
+  assert.strictEqual(numericParts('log(5)/log(3)-1').im, 0);
+  assert.deepStrictEqual(numericParts('1+2*i'), { re: 1, im: 2 });
+});
+
+test('the roots of a quadratic with irrational roots check out exactly', { skip }, () => {
+  assert.deepStrictEqual(answersOf('x^2+3*x+1=0'), [
+    { kind: 'exact', number: -2.618034 },
+    { kind: 'exact', number: -0.381966 },
+  ]);
+  assert.deepStrictEqual(answersOf('x^2-x-1=0'), [
+    { kind: 'exact', number: -0.618034 },
+    { kind: 'exact', number: 1.618034 },
+  ]);
+});
+
+test('a root written with logarithms is real and exact', { skip }, () => {
+  const check = MathGPT.verify.checkAnswer('3^(x+1)', '5', 'x', 'log(5)/log(3)-1');
+  assert.strictEqual(check.kind, 'exact');
+  assert.deepStrictEqual(answersOf('3^(x+1)=5'), [{ kind: 'exact', number: 0.464974 }]);
+});
+
+test('a value that does not satisfy the equation is rejected', { skip }, () => {
+  assert.strictEqual(MathGPT.verify.checkAnswer('x^2+3*x+1', '0', 'x', '(1/2)*(1-sqrt(5))').kind, 'rejected');
+  assert.strictEqual(MathGPT.verify.checkAnswer('x^2+1', '0', 'x', 'i').kind, 'complex');
+});
+
+test('a root in terms of another variable is kept as a symbolic answer', { skip }, () => {
+  for (const line of ['y=2*x+1', '3*x-4*y=10']) {
+    const result = MathGPT.solver.solveProblem({ lines: [line], variables: ['x', 'y'] });
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(result.rejected, []);
+    assert.deepStrictEqual(result.answers.map((a) => a.kind), ['symbolic']);
+    assert.match(result.solutionText, /^x = .*y/);
+  }
+  const check = MathGPT.verify.checkAnswer('y', '2*x+1', 'x', '(-1/2)*(-y+1)');
+  assert.strictEqual(check.kind, 'symbolic');
+});